@@ -0,0 +1,146 @@
+const fs = require("fs");
+
+// Request rate limits and storage quotas, per user. LIMITS_FILE can name a
+// JSON file with the same shape; its rules and quotas replace the matching
+// ones below.
+//
+// Every authenticated request counts against the "default" rule. A request
+// that matches one of a rule's `routes` ("METHOD /path", with :params) also
+// counts against that rule.
+const DEFAULT_LIMITS = {
+  rateLimits: {
+    default: { windowSeconds: 60, max: 300 },
+    // Everything that makes new letters (and uploads them to storage)
+    create: {
+      windowSeconds: 60 * 60,
+      max: 200,
+      routes: [
+        "POST /letters/save",
+        "POST /letters/import",
+        "POST /letters/drive-files/:fileId/adopt",
+        "POST /templates/:id/render",
+        "POST /templates/:id/merge",
+      ],
+    },
+    // Storage permission changes and share links
+    share: {
+      windowSeconds: 60 * 60,
+      max: 100,
+      routes: [
+        "POST /letters/add-collaborator",
+        "PATCH /letters/:id/collaborators/:email",
+        "DELETE /letters/:id/collaborators/:email",
+        "POST /letters/:id/share-links",
+      ],
+    },
+    // Routes that call the storage API directly
+    storage: {
+      windowSeconds: 60,
+      max: 30,
+      routes: [
+        "PUT /letters/:id",
+        "GET /letters/drive-files",
+        "GET /letters/drive-files/:folderId",
+        "GET /letters/:id/storage-status",
+        "POST /letters/:id/storage/pull",
+      ],
+    },
+    // Outgoing email
+    email: {
+      windowSeconds: 60 * 60,
+      max: 50,
+      routes: ["POST /letters/:id/send", "POST /letters/:id/signatures"],
+    },
+    // Webhook requests sent on demand
+    webhooks: {
+      windowSeconds: 60 * 60,
+      max: 60,
+      routes: [
+        "POST /webhooks/:id/ping",
+        "POST /webhooks/:id/deliveries/:deliveryId/replay",
+      ],
+    },
+  },
+  // Wrong passwords on public share links (/shared/:token), which have no
+  // signed-in user to rate limit. Once either limit is used up, the link
+  // (or address) can't try again until the window is over.
+  passwordAttempts: {
+    link: { windowSeconds: 15 * 60, max: 10 }, // Per share link
+    ip: { windowSeconds: 15 * 60, max: 30 }, // Per client address
+  },
+  quotas: {
+    letters: 1000, // Including letters in the trash
+    contentBytes: 50 * 1024 * 1024, // Total size of all letters' text
+    collaboratorsPerLetter: 50,
+    webhooks: 20,
+  },
+};
+
+const QUOTAS = [
+  "letters",
+  "contentBytes",
+  "collaboratorsPerLetter",
+  "webhooks",
+];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const validateLimits = (limits) => {
+  const problems = [];
+
+  if (!limits.rateLimits.default) {
+    problems.push('there is no "default" rate limit');
+  }
+  Object.entries(limits.rateLimits).forEach(([name, rule]) => {
+    if (!isPositiveInteger(rule.windowSeconds)) {
+      problems.push(`rate limit "${name}" needs a positive windowSeconds`);
+    }
+    if (!isPositiveInteger(rule.max)) {
+      problems.push(`rate limit "${name}" needs a positive max`);
+    }
+    (rule.routes || []).forEach((route) => {
+      if (!/^[A-Z]+ \/\S*$/.test(route)) {
+        problems.push(`rate limit "${name}" has a bad route "${route}"`);
+      }
+    });
+  });
+  ["link", "ip"].forEach((name) => {
+    const rule = limits.passwordAttempts[name];
+    if (
+      !rule ||
+      !isPositiveInteger(rule.windowSeconds) ||
+      !isPositiveInteger(rule.max)
+    ) {
+      problems.push(
+        `password attempt limit "${name}" needs a positive windowSeconds and max`
+      );
+    }
+  });
+  QUOTAS.forEach((quota) => {
+    if (!isPositiveInteger(limits.quotas[quota])) {
+      problems.push(`quota "${quota}" must be a positive integer`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid limits: ${problems.join("; ")}`);
+  }
+  return limits;
+};
+
+const loadLimits = () => {
+  if (!process.env.LIMITS_FILE) {
+    return DEFAULT_LIMITS;
+  }
+  const custom = JSON.parse(fs.readFileSync(process.env.LIMITS_FILE, "utf8"));
+  return {
+    rateLimits: { ...DEFAULT_LIMITS.rateLimits, ...custom.rateLimits },
+    passwordAttempts: {
+      ...DEFAULT_LIMITS.passwordAttempts,
+      ...custom.passwordAttempts,
+    },
+    quotas: { ...DEFAULT_LIMITS.quotas, ...custom.quotas },
+  };
+};
+
+module.exports = validateLimits(loadLimits());
@@ -0,0 +1,35 @@
+const nodemailer = require("nodemailer");
+
+// Outgoing mail goes through SMTP, configured from the environment:
+//   SMTP_HOST, SMTP_PORT   server (port defaults to 587)
+//   SMTP_SECURE            "true" for TLS from the start (usually port 465);
+//                          otherwise STARTTLS is used when the server offers it
+//   SMTP_USER, SMTP_PASS   credentials; leave unset for servers without auth
+//   MAIL_FROM              sender, e.g. "Letters <letters@example.com>"
+// To test locally, run an SMTP catcher such as Mailpit or MailHog and set
+// SMTP_HOST=localhost and SMTP_PORT=1025 without credentials.
+
+let transport;
+
+const isMailConfigured = () => !!process.env.SMTP_HOST;
+
+const getTransport = () => {
+  if (!transport) {
+    if (!isMailConfigured()) {
+      throw new Error("SMTP_HOST is not set");
+    }
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transport;
+};
+
+const mailFrom = () => process.env.MAIL_FROM || process.env.SMTP_USER;
+
+module.exports = { isMailConfigured, getTransport, mailFrom };
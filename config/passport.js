@@ -1,6 +1,7 @@
 const passport = require("passport");
 const GoogleStrategy = require("passport-google-oauth20").Strategy;
 const User = require("../models/User");
+const { userFromGoogle } = require("../helpers/authHelper");
 
 passport.use(
   new GoogleStrategy(
@@ -8,18 +9,22 @@ passport.use(
       clientID: process.env.GOOGLE_CLIENT_ID,
       clientSecret: process.env.GOOGLE_CLIENT_SECRET,
       callbackURL: process.env.GOOGLE_CALLBACK_URL,
+      // Send a random `state` kept in the session and refuse callbacks that
+      // don't bring it back, so no one can sign a browser in to their own
+      // account with a forged callback
+      state: true,
     },
     async (accessToken, refreshToken, profile, done) => {
-      let user = await User.findOne({ googleId: profile.id });
-      if (!user) {
-        user = new User({
-          googleId: profile.id,
-          name: profile.displayName,
-          email: profile.emails[0].value,
+      try {
+        // Linked to the same user as a Firebase sign-in with this account
+        const user = await userFromGoogle(profile, {
+          accessToken,
+          refreshToken,
         });
-        await user.save();
+        return done(null, user);
+      } catch (error) {
+        return done(error);
       }
-      return done(null, user);
     }
   )
 );
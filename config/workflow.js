@@ -0,0 +1,79 @@
+const fs = require("fs");
+
+// The states a letter goes through and the actions that move it between
+// them. Each action lists the states it starts from, the state it leads to
+// and who may take it:
+//   viewer, commenter, editor, owner  that role on the letter or a higher one
+//   approver                          one of the letter's named approvers, or
+//                                     the owner when none are named
+// `requiresReason` makes the caller say why. `approve` only moves the letter
+// on once every named approver has approved. Letters can only be edited in
+// the `editable` states.
+//
+// Set WORKFLOW_FILE to the path of a JSON file of the same shape to use a
+// different workflow.
+const DEFAULT_WORKFLOW = {
+  initial: "draft",
+  states: ["draft", "in_review", "approved", "sent", "archived"],
+  editable: ["draft"],
+  actions: {
+    submit: { from: ["draft"], to: "in_review", roles: ["editor"] },
+    withdraw: { from: ["in_review"], to: "draft", roles: ["editor"] },
+    approve: { from: ["in_review"], to: "approved", roles: ["approver"] },
+    reject: {
+      from: ["in_review"],
+      to: "draft",
+      roles: ["approver"],
+      requiresReason: true,
+    },
+    send: { from: ["approved"], to: "sent", roles: ["editor"] },
+    archive: { from: ["approved", "sent"], to: "archived", roles: ["owner"] },
+    reopen: {
+      from: ["approved", "sent", "archived"],
+      to: "draft",
+      roles: ["owner"],
+    },
+  },
+};
+
+const ROLES = ["viewer", "commenter", "editor", "owner", "approver"];
+
+// Refuse to start with a workflow that names unknown states or roles
+const validateWorkflow = (workflow) => {
+  const states = new Set(workflow.states);
+  const problems = [];
+
+  if (!states.has(workflow.initial)) {
+    problems.push(`initial state "${workflow.initial}" is not a state`);
+  }
+  (workflow.editable || []).forEach((state) => {
+    if (!states.has(state)) {
+      problems.push(`editable state "${state}" is not a state`);
+    }
+  });
+  Object.entries(workflow.actions || {}).forEach(([name, action]) => {
+    [...(action.from || []), action.to].forEach((state) => {
+      if (!states.has(state)) {
+        problems.push(`action "${name}" uses unknown state "${state}"`);
+      }
+    });
+    (action.roles || []).forEach((role) => {
+      if (!ROLES.includes(role)) {
+        problems.push(`action "${name}" uses unknown role "${role}"`);
+      }
+    });
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid workflow: ${problems.join("; ")}`);
+  }
+  return workflow;
+};
+
+const workflow = validateWorkflow(
+  process.env.WORKFLOW_FILE
+    ? JSON.parse(fs.readFileSync(process.env.WORKFLOW_FILE, "utf8"))
+    : DEFAULT_WORKFLOW
+);
+
+module.exports = workflow;
@@ -0,0 +1,203 @@
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const { queueLetterEvent } = require("./webhookHelper");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_EXPORT_ROWS = 10000;
+
+// Who is acting and from where, for an HTTP request
+const auditContext = (req) => ({
+  user: req.user,
+  ip: req.ip,
+  userAgent: req.get("user-agent"),
+});
+
+// The same for a Socket.IO connection
+const socketAuditContext = (socket) => ({
+  user: socket.user,
+  ip: socket.handshake.address,
+  userAgent: socket.handshake.headers["user-agent"],
+});
+
+// Context for things the server does on its own (scheduled jobs)
+const SYSTEM_CONTEXT = { user: null, ip: null };
+
+// What we keep about a letter in before/after summaries; the content itself
+// stays in the revision history
+const summarizeLetter = (letter) => ({
+  title: letter.title,
+  contentLength: (letter.content || "").length,
+  revision: letter.currentRevision,
+});
+
+// Persist one audit entry. Auditing must never break the action it
+// describes, so failures are only logged.
+const recordAudit = async (
+  context,
+  { action, letter, target, before, after, details }
+) => {
+  const user = context.user;
+  try {
+    await AuditLog.create({
+      action,
+      actor: user
+        ? {
+            id: user.uid || user.id,
+            email: user.email && user.email.toLowerCase(),
+            name: user.name,
+          }
+        : { name: "system" },
+      target: target || {
+        type: letter ? "letter" : "system",
+        id: letter ? String(letter._id) : undefined,
+        label: letter ? letter.title : undefined,
+      },
+      letterId: letter ? letter._id : undefined,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      before,
+      after,
+      details,
+    });
+  } catch (err) {
+    console.error(`Error recording audit entry ${action}:`, err);
+  }
+
+  // Letter events also go out to the webhooks subscribed to them
+  await queueLetterEvent(action, { user, letter, before, after, details });
+};
+
+const parseDate = (value) => {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Validate audit query parameters into a Mongo filter:
+//   action    one action, or several separated by commas
+//   actor     actor email
+//   letterId  only entries about this letter
+//   ip        only entries from this address
+//   from, to  date range
+//   limit     page size, 1-200 (default 50)
+//   cursor    nextCursor from the previous page
+// Returns { filter, limit, cursor } or { error }.
+const parseAuditQuery = (query = {}) => {
+  const filter = {};
+
+  if (query.action) {
+    const actions = String(query.action).split(",");
+    const unknown = actions.filter((a) => !AuditLog.ACTIONS.includes(a));
+    if (unknown.length > 0) {
+      return { error: `Unknown action: ${unknown.join(", ")}` };
+    }
+    filter.action = { $in: actions };
+  }
+
+  if (query.actor) {
+    filter["actor.email"] = String(query.actor).toLowerCase();
+  }
+
+  if (query.letterId) {
+    if (!mongoose.isValidObjectId(query.letterId)) {
+      return { error: "Invalid letterId" };
+    }
+    filter.letterId = query.letterId;
+  }
+
+  if (query.ip) {
+    filter.ip = String(query.ip);
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === null || to === null) {
+    return { error: "from and to must be valid dates" };
+  }
+  if (from || to) {
+    filter.createdAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to }),
+    };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `Limit must be a whole number from 1 to ${MAX_LIMIT}` };
+  }
+
+  // Entries are listed newest first; the cursor is the last entry's _id
+  if (query.cursor && !mongoose.isValidObjectId(query.cursor)) {
+    return { error: "Invalid cursor" };
+  }
+
+  return { filter, limit, cursor: query.cursor };
+};
+
+// One page of audit entries, newest first. Returns { entries, nextCursor }.
+const listAuditEntries = async (filter, { limit, cursor }) => {
+  const query = cursor ? { ...filter, _id: { $lt: cursor } } : filter;
+  const docs = await AuditLog.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .lean();
+
+  const entries = docs.slice(0, limit);
+  return {
+    entries,
+    nextCursor:
+      docs.length > limit ? String(entries[entries.length - 1]._id) : null,
+  };
+};
+
+const CSV_COLUMNS = [
+  ["createdAt", (e) => new Date(e.createdAt).toISOString()],
+  ["action", (e) => e.action],
+  ["actorId", (e) => e.actor?.id],
+  ["actorEmail", (e) => e.actor?.email],
+  ["targetType", (e) => e.target?.type],
+  ["targetId", (e) => e.target?.id],
+  ["targetLabel", (e) => e.target?.label],
+  ["letterId", (e) => e.letterId],
+  ["ip", (e) => e.ip],
+  ["before", (e) => e.before && JSON.stringify(e.before)],
+  ["after", (e) => e.after && JSON.stringify(e.after)],
+  ["details", (e) => e.details && JSON.stringify(e.details)],
+];
+
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? "" : String(value);
+  // Stop spreadsheets from treating a value as a formula
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Every entry matching `filter`, newest first, up to MAX_EXPORT_ROWS
+const findAuditEntriesForExport = (filter) =>
+  AuditLog.find(filter).sort({ _id: -1 }).limit(MAX_EXPORT_ROWS).lean();
+
+const auditEntriesToCsv = (entries) => {
+  const header = CSV_COLUMNS.map(([name]) => name).join(",");
+  const rows = entries.map((entry) =>
+    CSV_COLUMNS.map(([, get]) => csvCell(get(entry))).join(",")
+  );
+  return [header, ...rows].join("\n") + "\n";
+};
+
+module.exports = {
+  MAX_EXPORT_ROWS,
+  auditContext,
+  socketAuditContext,
+  SYSTEM_CONTEXT,
+  summarizeLetter,
+  recordAudit,
+  parseAuditQuery,
+  listAuditEntries,
+  findAuditEntriesForExport,
+  auditEntriesToCsv,
+};
@@ -0,0 +1,366 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const { verifyToken } = require("../config/firbaseAdmin");
+const { generateToken, hashToken } = require("./shareLinkHelper");
+
+// Access tokens are short-lived JWTs signed with JWT_SECRET; refresh tokens
+// are random strings tied to a Session and replaced on every use.
+const ACCESS_TOKEN_TTL_SECONDS =
+  parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const LOGIN_CODE_TTL_MS = 60 * 1000;
+const ISSUER = "documentme";
+// How many exchanged refresh tokens a session remembers to spot reuse
+const PREVIOUS_TOKENS_KEPT = 20;
+
+const jwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("JWT_SECRET is not set");
+  }
+  return process.env.JWT_SECRET;
+};
+
+const normalizeEmail = (email) => (email || "").trim().toLowerCase();
+
+// A user with this verified email who hasn't linked the provider yet.
+// Callers only ask with an email the provider verified, so neither side can
+// be an address someone merely typed in. Checked after loading, so legacy
+// records are seen as the model upgrades them.
+const unlinkedByEmail = async (email, providerField) => {
+  const candidates = await User.find({ email, emailVerified: true });
+  return candidates.find((user) => !user[providerField]) || null;
+};
+
+// Keep the record's profile in step with what the provider says now. Only
+// an email the provider verified is kept.
+const applyProfile = (user, { name, email, emailVerified }) => {
+  if (name && user.name !== name) user.name = name;
+  if (email && emailVerified) {
+    if (user.email !== email) user.email = email;
+    user.emailVerified = true;
+  }
+  user.lastLoginAt = new Date();
+};
+
+// Find or create the user behind a decoded Firebase ID token. A Firebase
+// account is linked to an existing user with the same Google account or,
+// when Firebase has verified it, the same email.
+const userFromFirebase = async (decoded, { login = false } = {}) => {
+  const googleId = decoded.firebase?.identities?.["google.com"]?.[0];
+  const email = normalizeEmail(decoded.email);
+  const emailVerified = decoded.email_verified === true;
+
+  // Records made before users were linked kept the Firebase UID in googleId
+  let user = await User.findOne({
+    $or: [{ firebaseUid: decoded.uid }, { googleId: decoded.uid }],
+  });
+  if (!user && googleId) {
+    user = await User.findOne({ googleId });
+  }
+  if (!user && email && emailVerified) {
+    user = await unlinkedByEmail(email, "firebaseUid");
+  }
+
+  if (!user) {
+    user = new User({ uid: decoded.uid });
+  }
+  if (!user.firebaseUid) user.firebaseUid = decoded.uid;
+  if (!user.googleId && googleId) user.googleId = googleId;
+
+  // Only logins (and new links) are worth a write; plain requests that
+  // arrive with a Firebase token just look the user up
+  if (login || user.isNew || user.isModified()) {
+    applyProfile(user, { name: decoded.name, email, emailVerified });
+    await user.save();
+  }
+  return user;
+};
+
+// Find or create the user behind a Google OAuth sign-in and keep their
+// Google tokens for Drive. Linked by Google ID, or by verified email.
+const userFromGoogle = async (profile, { accessToken, refreshToken }) => {
+  const emailEntry = (profile.emails || [])[0];
+  const email = normalizeEmail(emailEntry?.value);
+  const emailVerified = emailEntry?.verified === true;
+
+  let user = await User.findOne({ googleId: profile.id });
+  if (!user && email && emailVerified) {
+    user = await unlinkedByEmail(email, "googleId");
+  }
+  if (!user) {
+    user = new User({ googleId: profile.id });
+  }
+  if (!user.googleId) user.googleId = profile.id;
+
+  user.accessToken = accessToken;
+  // Google only sends a refresh token on the first consent
+  if (refreshToken) user.refreshToken = refreshToken;
+  applyProfile(user, { name: profile.displayName, email, emailVerified });
+  await user.save();
+  return user;
+};
+
+// Disabled accounts (see POST /admin/users/:id/disable) can't sign in or use
+// their tokens
+const isDisabled = (user) => !!user.disabledAt;
+
+// The User record behind a decoded token if it belongs to an admin whose
+// account is enabled, or null. Admin checks go by the record rather than
+// the token so role changes count straight away.
+const findActiveAdmin = async (authUser) => {
+  const user = authUser.userId
+    ? await User.findById(authUser.userId)
+    : await User.findByUid(authUser.uid);
+  return user && user.role === "admin" && !isDisabled(user) ? user : null;
+};
+
+// What the API tells clients about the signed-in user
+const describeUser = (user) => ({
+  id: user._id,
+  uid: user.uid,
+  email: user.email,
+  emailVerified: !!user.emailVerified,
+  name: user.name,
+  role: user.role,
+  providers: [user.firebaseUid && "firebase", user.googleId && "google"].filter(
+    Boolean
+  ),
+});
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400000);
+
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    {
+      uid: user.uid,
+      email: user.email,
+      emailVerified: !!user.emailVerified,
+      name: user.name,
+      role: user.role,
+      sid: String(session._id),
+    },
+    jwtSecret(),
+    {
+      subject: String(user._id),
+      issuer: ISSUER,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    }
+  );
+
+// The body returned whenever tokens are issued
+const tokenResponse = (user, session, refreshToken) => ({
+  accessToken: signAccessToken(user, session),
+  tokenType: "Bearer",
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  refreshToken,
+  refreshTokenExpiresAt: session.expiresAt,
+  user: describeUser(user),
+});
+
+// Start a session for a user who just signed in. `context` is
+// { provider, ip, userAgent }. Returns the token response.
+const startSession = async (user, context) => {
+  const refreshToken = generateToken();
+  const session = await Session.create({
+    ...context,
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    lastUsedAt: new Date(),
+    expiresAt: refreshExpiry(),
+  });
+  return tokenResponse(user, session, refreshToken);
+};
+
+// Start a session whose tokens are only handed out for a one-time code, so
+// the OAuth redirect back to the client never carries a token. Returns the
+// code.
+const createLoginCode = async (user, context) => {
+  const code = generateToken();
+  await Session.create({
+    ...context,
+    userId: user._id,
+    loginCodeHash: hashToken(code),
+    loginCodeExpiresAt: new Date(Date.now() + LOGIN_CODE_TTL_MS),
+    expiresAt: refreshExpiry(),
+  });
+  return code;
+};
+
+// Exchange a login code for the session's first tokens. Each code works
+// once. Returns the token response, or null.
+const exchangeLoginCode = async (code) => {
+  const refreshToken = generateToken();
+  const session = await Session.findOneAndUpdate(
+    {
+      loginCodeHash: hashToken(String(code || "")),
+      loginCodeExpiresAt: { $gt: new Date() },
+      revokedAt: null,
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(refreshToken),
+        lastUsedAt: new Date(),
+      },
+      $unset: { loginCodeHash: 1, loginCodeExpiresAt: 1 },
+    },
+    { new: true }
+  );
+  if (!session) return null;
+
+  const user = await User.findById(session.userId);
+  return user && !isDisabled(user)
+    ? tokenResponse(user, session, refreshToken)
+    : null;
+};
+
+const revokeSession = (filter, reason) =>
+  Session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+// Swap a refresh token for new tokens. The old refresh token stops working;
+// if it is ever presented again the session is revoked, since someone else
+// must have a copy. Returns { tokens } or { error }.
+const rotateRefreshToken = async (refreshToken, { ip, userAgent } = {}) => {
+  const tokenHash = hashToken(String(refreshToken || ""));
+  const nextToken = generateToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        lastUsedAt: now,
+        ip,
+        userAgent,
+      },
+      $push: {
+        previousTokenHashes: {
+          $each: [tokenHash],
+          $slice: -PREVIOUS_TOKENS_KEPT,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await revokeSession(
+      { previousTokenHashes: tokenHash },
+      "refresh token reused"
+    );
+    if (reused.modifiedCount > 0) {
+      console.warn("Revoked a session after its refresh token was reused");
+    }
+    return { error: "Invalid refresh token" };
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || isDisabled(user)) {
+    await revokeSession(
+      { _id: session._id },
+      user ? "account disabled" : "user deleted"
+    );
+    return { error: "Invalid refresh token" };
+  }
+  return { tokens: tokenResponse(user, session, nextToken) };
+};
+
+// End the session a refresh token belongs to. Unknown tokens are ignored.
+const revokeRefreshToken = (refreshToken) =>
+  revokeSession(
+    { refreshTokenHash: hashToken(String(refreshToken || "")) },
+    "logout"
+  );
+
+// The user an Authorization bearer token stands for, in the shape routes
+// read from req.user ({ uid, email, emailVerified, name, role, ... }), or
+// null. Accepts our access tokens and, for older clients, Firebase ID
+// tokens.
+const authenticateToken = async (token) => {
+  if (!token) return null;
+
+  const decoded = jwt.decode(token);
+  if (decoded && decoded.iss === ISSUER) {
+    let claims;
+    try {
+      claims = jwt.verify(token, jwtSecret(), { issuer: ISSUER });
+    } catch (verifyErr) {
+      return null;
+    }
+    // Revoking a session ends its access tokens too (which is how disabling
+    // an account signs it out)
+    const active = await Session.exists({
+      _id: claims.sid,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+    if (!active) return null;
+
+    return {
+      uid: claims.uid,
+      email: claims.email,
+      emailVerified: claims.emailVerified === true,
+      name: claims.name,
+      role: claims.role,
+      userId: claims.sub,
+      sid: claims.sid,
+    };
+  }
+
+  const firebaseToken = await verifyToken(token);
+  if (!firebaseToken) return null;
+  const user = await userFromFirebase(firebaseToken);
+  if (isDisabled(user)) return null;
+  return {
+    ...firebaseToken,
+    uid: user.uid,
+    email: user.email,
+    emailVerified: !!user.emailVerified,
+    name: user.name,
+    role: user.role,
+    userId: String(user._id),
+  };
+};
+
+// A short-lived token that carries a user through an OAuth redirect as its
+// `state`. It has its own issuer so it can never pass as an access token.
+const createStateToken = (user, purpose) =>
+  jwt.sign({}, jwtSecret(), {
+    subject: String(user._id),
+    issuer: `${ISSUER}/${purpose}`,
+    expiresIn: 10 * 60,
+  });
+
+// The user ID in a state token made for `purpose`, or null
+const readStateToken = (token, purpose) => {
+  try {
+    return jwt.verify(String(token || ""), jwtSecret(), {
+      issuer: `${ISSUER}/${purpose}`,
+    }).sub;
+  } catch (verifyErr) {
+    return null;
+  }
+};
+
+module.exports = {
+  userFromFirebase,
+  userFromGoogle,
+  isDisabled,
+  findActiveAdmin,
+  describeUser,
+  startSession,
+  createLoginCode,
+  exchangeLoginCode,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  authenticateToken,
+  createStateToken,
+  readStateToken,
+};
@@ -0,0 +1,62 @@
+const Comment = require("../models/Comment");
+const User = require("../models/User");
+const { transformIndex } = require("./textOperation");
+
+const MENTION_PATTERN = /@([^\s@]+@[^\s@]+\.[^\s@,;:!?()<>]+)/g;
+
+// Pull @someone@example.com mentions out of a comment body, keeping only
+// people who can actually see the letter
+const extractMentions = async (letter, body) => {
+  const mentioned = new Set();
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    mentioned.add(match[1].replace(/\.+$/, "").toLowerCase());
+  }
+  if (mentioned.size === 0) return [];
+
+  const allowed = new Set((letter.collaborators || []).map((c) => c.email));
+  const owner = await User.findByUid(letter.userId);
+  if (owner && owner.email) {
+    allowed.add(owner.email.toLowerCase());
+  }
+
+  return [...mentioned].filter((email) => allowed.has(email));
+};
+
+// Move comment anchors through content changes so threads stay attached to
+// the same text. `ops` is a list of text operations applied in order.
+const rebaseAnchors = async (letterId, ops) => {
+  if (ops.length === 0) return;
+
+  const comments = await Comment.find({ letterId, orphaned: false });
+  const updates = [];
+
+  comments.forEach((comment) => {
+    const { start, end } = comment.anchor;
+    const newStart = ops.reduce((i, op) => transformIndex(i, op), start);
+    const newEnd = ops.reduce((i, op) => transformIndex(i, op), end);
+
+    // A range that collapsed to nothing had all its text deleted
+    const orphaned = end > start && newEnd <= newStart;
+
+    if (newStart !== start || newEnd !== end || orphaned) {
+      updates.push({
+        updateOne: {
+          filter: { _id: comment._id },
+          update: {
+            $set: {
+              "anchor.start": newStart,
+              "anchor.end": Math.max(newStart, newEnd),
+              orphaned,
+            },
+          },
+        },
+      });
+    }
+  });
+
+  if (updates.length > 0) {
+    await Comment.bulkWrite(updates);
+  }
+};
+
+module.exports = { extractMentions, rebaseAnchors };
@@ -0,0 +1,190 @@
+const { google } = require("googleapis");
+const User = require("../models/User");
+const {
+  getOrCreateLettersFolder,
+  createUserLettersFolder,
+  createDriveFolder,
+  moveDriveFile,
+  listFolderFileIds,
+  drive,
+} = require("./googleDriveHelper");
+
+// Each user's letters live in a Drive folder of their own. Once they have
+// connected Google Drive (GET /auth/drive/url) it is a Letters folder in
+// their own Drive, shared with the service account; until then it is a
+// folder inside the service account's Letters folder.
+
+const DRIVE_SCOPE = "https://www.googleapis.com/auth/drive.file";
+
+// OAuth client for the Drive connection flow. GOOGLE_DRIVE_CALLBACK_URL
+// must point at GET /auth/drive/callback and be registered with Google.
+const connectionClient = () =>
+  new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_DRIVE_CALLBACK_URL
+  );
+
+// URL that asks the user for Drive access. `state` comes back to the
+// callback unchanged. Consent is always asked for so Google sends a refresh
+// token even if the user granted access before.
+const driveConnectUrl = (state) =>
+  connectionClient().generateAuthUrl({
+    access_type: "offline",
+    prompt: "consent",
+    scope: [DRIVE_SCOPE],
+    state,
+  });
+
+// Only a refresh token keeps working after the access token expires
+const isDriveConnected = (user) => Boolean(user && user.refreshToken);
+
+// An OAuth client acting as the user in their own Drive
+const userDriveAuth = (user) => {
+  const client = connectionClient();
+  client.setCredentials({
+    access_token: user.accessToken,
+    refresh_token: user.refreshToken,
+  });
+  return client;
+};
+
+// Move everything in one folder into another
+const moveFolderContents = async (fromFolderId, toFolderId) => {
+  const ids = await listFolderFileIds(fromFolderId);
+  for (const id of ids) {
+    await moveDriveFile(id, toFolderId);
+  }
+  return ids.length;
+};
+
+// Record a new letters folder on the user unless another request already
+// did. Returns the folder the user ends up with.
+const claimLettersFolder = async (user, folderId, inUserDrive) => {
+  const claimed = await User.updateOne(
+    { _id: user._id, lettersFolderId: null },
+    {
+      $set: {
+        lettersFolderId: folderId,
+        lettersFolderInUserDrive: inUserDrive,
+      },
+    }
+  );
+  if (claimed.modifiedCount > 0) {
+    user.lettersFolderId = folderId;
+    user.lettersFolderInUserDrive = inUserDrive;
+    return folderId;
+  }
+
+  // A folder in the user's Drive is found again by name, so it is the
+  // winner's too; a service account folder of our own is left over
+  if (!inUserDrive) {
+    await drive.files.update({
+      fileId: folderId,
+      requestBody: { trashed: true },
+    });
+  }
+  const current = await User.findById(user._id);
+  user.lettersFolderId = current.lettersFolderId;
+  user.lettersFolderInUserDrive = current.lettersFolderInUserDrive;
+  return current.lettersFolderId;
+};
+
+// The Drive folder ID for a user's letters, created on first use
+const lettersFolderOf = async (user) => {
+  if (user.lettersFolderId) {
+    return user.lettersFolderId;
+  }
+
+  if (isDriveConnected(user)) {
+    const folderId = await createUserLettersFolder(userDriveAuth(user));
+    return claimLettersFolder(user, folderId, true);
+  }
+
+  const folderId = await createDriveFolder(
+    `Letters - ${user.email || user.uid}`,
+    await getOrCreateLettersFolder()
+  );
+  return claimLettersFolder(user, folderId, false);
+};
+
+// Same as lettersFolderOf, for the user with this uid (e.g. Letter.userId)
+const lettersFolderFor = async (uid) => {
+  const user = await User.findByUid(uid);
+  if (!user) {
+    throw new Error(`No user found for ${uid}`);
+  }
+  return lettersFolderOf(user);
+};
+
+// Store the tokens from the connection flow and move the user's letters
+// into a Letters folder in their own Drive. Returns { user } or { error }.
+const connectDrive = async (user, tokens) => {
+  user.accessToken = tokens.access_token;
+  if (tokens.refresh_token) {
+    user.refreshToken = tokens.refresh_token;
+  }
+  if (!isDriveConnected(user)) {
+    return { error: "Google did not grant offline access" };
+  }
+  user.driveConnectedAt = new Date();
+  await user.save();
+
+  if (user.lettersFolderId && user.lettersFolderInUserDrive) {
+    return { user };
+  }
+
+  const folderId = await createUserLettersFolder(userDriveAuth(user));
+  const previousFolderId = user.lettersFolderId;
+  if (previousFolderId) {
+    const moved = await moveFolderContents(previousFolderId, folderId);
+    console.log(`Moved ${moved} files into ${user.uid}'s own Drive`);
+    await drive.files.update({
+      fileId: previousFolderId,
+      requestBody: { trashed: true },
+    });
+  }
+
+  user.lettersFolderId = folderId;
+  user.lettersFolderInUserDrive = true;
+  await user.save();
+  return { user };
+};
+
+// Forget the user's Google tokens and revoke them with Google. Their Letters
+// folder stays shared with the service account, so letters keep being
+// saved there.
+const disconnectDrive = async (user) => {
+  if (user.refreshToken) {
+    try {
+      await connectionClient().revokeToken(user.refreshToken);
+    } catch (revokeErr) {
+      console.error("Error revoking Google token:", revokeErr);
+      // Continue anyway - we stop using it either way
+    }
+  }
+
+  user.accessToken = undefined;
+  user.refreshToken = undefined;
+  user.driveConnectedAt = undefined;
+  await user.save();
+};
+
+// What GET /auth/drive reports
+const describeDriveConnection = (user) => ({
+  connected: isDriveConnected(user),
+  connectedAt: user.driveConnectedAt || null,
+  lettersFolderId: user.lettersFolderId || null,
+  inUserDrive: !!user.lettersFolderInUserDrive,
+});
+
+module.exports = {
+  connectionClient,
+  driveConnectUrl,
+  isDriveConnected,
+  lettersFolderOf,
+  lettersFolderFor,
+  connectDrive,
+  disconnectDrive,
+  describeDriveConnection,
+};
@@ -0,0 +1,197 @@
+const Letter = require("../models/Letter");
+const { getTransport, mailFrom } = require("../config/mailer");
+const {
+  parseExportOptions,
+  exportLetter,
+  renderHtml,
+} = require("./exportHelper");
+
+const MAX_RECIPIENTS = 50;
+const MAX_SCHEDULE_DAYS = 365;
+// Scheduled sends are tried this many times before they fail for good
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+
+const EMAIL_PATTERN = /^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]+$/;
+
+// A list of addresses from an array or a comma-separated string
+const parseAddresses = (value, field) => {
+  if (value === undefined || value === null || value === "") {
+    return { addresses: [] };
+  }
+  const list = (Array.isArray(value) ? value : String(value).split(","))
+    .map((address) => String(address).trim().toLowerCase())
+    .filter(Boolean);
+
+  const invalid = list.find((address) => !EMAIL_PATTERN.test(address));
+  if (invalid) {
+    return { error: `${field} has an invalid address: ${invalid}` };
+  }
+  return { addresses: [...new Set(list)] };
+};
+
+// Validate the body of POST /letters/:id/send:
+//   to, cc, bcc  addresses, as an array or comma-separated (to is required)
+//   subject      defaults to the letter title when it is sent
+//   attachPdf    true to attach the letter as a PDF; otherwise it is the
+//                message body
+//   sendAt       optional ISO date to send it later (at most a year ahead)
+//   pageSize, margin, letterhead  as for exports
+// Returns { options } or { error }.
+const parseSendOptions = (body = {}) => {
+  const recipients = {};
+  for (const field of ["to", "cc", "bcc"]) {
+    const { addresses, error } = parseAddresses(body[field], field);
+    if (error) {
+      return { error };
+    }
+    recipients[field] = addresses;
+  }
+
+  if (recipients.to.length === 0) {
+    return { error: "At least one recipient (to) is required" };
+  }
+  const total =
+    recipients.to.length + recipients.cc.length + recipients.bcc.length;
+  if (total > MAX_RECIPIENTS) {
+    return {
+      error: `A letter can be sent to at most ${MAX_RECIPIENTS} people`,
+    };
+  }
+
+  let sendAt;
+  if (body.sendAt !== undefined && body.sendAt !== null && body.sendAt !== "") {
+    sendAt = new Date(body.sendAt);
+    if (Number.isNaN(sendAt.getTime()) || sendAt <= new Date()) {
+      return { error: "sendAt must be a date in the future" };
+    }
+    if (sendAt > new Date(Date.now() + MAX_SCHEDULE_DAYS * 86400000)) {
+      return {
+        error: `sendAt can be at most ${MAX_SCHEDULE_DAYS} days from now`,
+      };
+    }
+  }
+
+  const { options: exportOptions, error } = parseExportOptions(body);
+  if (error) {
+    return { error };
+  }
+
+  return {
+    options: {
+      ...recipients,
+      subject: body.subject ? String(body.subject).slice(0, 200) : undefined,
+      attachPdf: body.attachPdf === true || body.attachPdf === "true",
+      exportOptions,
+      sendAt,
+    },
+  };
+};
+
+// Record a status change in the delivery's history
+const setStatus = (delivery, status, message) => {
+  delivery.status = status;
+  delivery.history.push({ status, at: new Date(), message });
+};
+
+const buildMessage = async (letter, delivery) => {
+  const sender = delivery.requestedBy?.name || delivery.requestedBy?.email;
+  const message = {
+    from: mailFrom(),
+    replyTo: delivery.requestedBy?.email,
+    to: delivery.to,
+    cc: delivery.cc,
+    bcc: delivery.bcc,
+    subject: delivery.subject || letter.title,
+  };
+
+  if (!delivery.attachPdf) {
+    return {
+      ...message,
+      text: letter.content,
+      html: renderHtml(letter, delivery.exportOptions),
+    };
+  }
+
+  const { buffer, mimeType, fileName } = await exportLetter(
+    letter,
+    "pdf",
+    delivery.exportOptions
+  );
+  return {
+    ...message,
+    text: `${sender ? `${sender} sent you` : "Please find"} the letter "${
+      letter.title
+    }" attached.`,
+    attachments: [
+      { filename: fileName, content: buffer, contentType: mimeType },
+    ],
+  };
+};
+
+// Send a delivery that is in the "sending" state and record the outcome.
+// With `retry`, a failed attempt is rescheduled until MAX_ATTEMPTS is
+// reached. Returns the letter (null if it is gone).
+const sendDelivery = async (delivery, { retry = false } = {}) => {
+  const letter = await Letter.findById(delivery.letterId);
+  if (!letter || letter.deletedAt) {
+    setStatus(delivery, "cancelled", "The letter was deleted");
+    delivery.lockedAt = undefined;
+    await delivery.save();
+    return null;
+  }
+
+  delivery.attempts += 1;
+  try {
+    const info = await getTransport().sendMail(
+      await buildMessage(letter, delivery)
+    );
+    delivery.messageId = info.messageId;
+    delivery.sentAt = new Date();
+    delivery.lastError = undefined;
+    setStatus(delivery, "sent");
+  } catch (sendErr) {
+    console.error(`Error sending delivery ${delivery._id}:`, sendErr);
+    delivery.lastError = sendErr.message;
+    if (retry && delivery.attempts < MAX_ATTEMPTS) {
+      delivery.sendAt = new Date(
+        Date.now() + RETRY_DELAY_MS * delivery.attempts
+      );
+      setStatus(delivery, "scheduled", `Retrying: ${sendErr.message}`);
+    } else {
+      setStatus(delivery, "failed", sendErr.message);
+    }
+  }
+
+  delivery.lockedAt = undefined;
+  await delivery.save();
+  return letter;
+};
+
+// What clients see about a delivery
+const describeDelivery = (delivery) => ({
+  _id: delivery._id,
+  letterId: delivery.letterId,
+  to: delivery.to,
+  cc: delivery.cc,
+  bcc: delivery.bcc,
+  subject: delivery.subject || null,
+  attachPdf: delivery.attachPdf,
+  sendAt: delivery.sendAt,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  sentAt: delivery.sentAt || null,
+  messageId: delivery.messageId || null,
+  lastError: delivery.lastError || null,
+  requestedBy: delivery.requestedBy,
+  cancelledBy: delivery.cancelledBy || null,
+  history: delivery.history,
+  createdAt: delivery.createdAt,
+});
+
+module.exports = {
+  parseAddresses,
+  parseSendOptions,
+  sendDelivery,
+  describeDelivery,
+};
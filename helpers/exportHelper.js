@@ -0,0 +1,210 @@
+const PDFDocument = require("pdfkit");
+const { Document, Packer, Paragraph, TextRun, HeadingLevel } = require("docx");
+const { documentOf, toHtml, toMarkdown, escapeHtml } = require("./richText");
+
+// Page sizes in PDF points (1/72 inch)
+const PAGE_SIZES = {
+  a4: { width: 595.28, height: 841.89, css: "A4" },
+  letter: { width: 612, height: 792, css: "letter" },
+  legal: { width: 612, height: 1008, css: "legal" },
+};
+
+const FORMATS = {
+  pdf: { mimeType: "application/pdf", extension: "pdf" },
+  docx: {
+    mimeType:
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    extension: "docx",
+  },
+  html: { mimeType: "text/html; charset=utf-8", extension: "html" },
+  md: { mimeType: "text/markdown; charset=utf-8", extension: "md" },
+};
+
+const MM_TO_PT = 72 / 25.4;
+const PT_TO_TWIP = 20;
+
+// Read export options from a query string or JSON body:
+//   pageSize   a4 | letter | legal (default a4)
+//   margin     page margin in millimetres (default 25)
+//   letterhead optional text printed above the letter, one line per "\n"
+const parseExportOptions = (source = {}) => {
+  const pageSize = String(source.pageSize || "a4").toLowerCase();
+  if (!PAGE_SIZES[pageSize]) {
+    return {
+      error: `Page size must be one of: ${Object.keys(PAGE_SIZES).join(", ")}`,
+    };
+  }
+
+  const margin = source.margin === undefined ? 25 : Number(source.margin);
+  if (!Number.isFinite(margin) || margin < 0 || margin > 80) {
+    return { error: "Margin must be a number of millimetres from 0 to 80" };
+  }
+
+  const letterhead = source.letterhead
+    ? String(source.letterhead).replace(/\\n/g, "\n").split("\n")
+    : [];
+
+  return { options: { pageSize, margin, letterhead } };
+};
+
+// PDF and Word exports use the plain text: blank lines separate paragraphs
+// and single newlines are line breaks
+const toParagraphs = (content = "") =>
+  content
+    .replace(/\r\n/g, "\n")
+    .split(/\n{2,}/)
+    .filter((p) => p.trim() !== "");
+
+const renderHtml = (letter, { pageSize, margin, letterhead }) => {
+  const header = letterhead.length
+    ? `<header class="letterhead">${letterhead
+        .map(escapeHtml)
+        .join("<br>")}</header>\n`
+    : "";
+
+  const body = toHtml(documentOf(letter));
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(letter.title)}</title>
+<style>
+@page { size: ${PAGE_SIZES[pageSize].css}; margin: ${margin}mm; }
+body { font-family: Georgia, "Times New Roman", serif; line-height: 1.5; }
+.letterhead { text-align: right; border-bottom: 1px solid #999; padding-bottom: 8px; margin-bottom: 24px; }
+blockquote { border-left: 3px solid #ccc; margin-left: 0; padding-left: 1em; color: #444; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #999; padding: 4px 8px; text-align: left; }
+</style>
+</head>
+<body>
+${header}<h1>${escapeHtml(letter.title)}</h1>
+${body}
+</body>
+</html>
+`;
+};
+
+const renderMarkdown = (letter, { letterhead }) => {
+  const header = letterhead.length
+    ? `${letterhead.map((line) => `> ${line}`).join("  \n")}\n\n`
+    : "";
+
+  const body = toMarkdown(documentOf(letter));
+
+  return `${header}# ${letter.title}\n\n${body}\n`;
+};
+
+const renderPdf = (letter, { pageSize, margin, letterhead }) =>
+  new Promise((resolve, reject) => {
+    const size = PAGE_SIZES[pageSize];
+    const doc = new PDFDocument({
+      size: [size.width, size.height],
+      margin: margin * MM_TO_PT,
+      info: { Title: letter.title },
+    });
+
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    if (letterhead.length) {
+      doc.font("Helvetica").fontSize(9).fillColor("#555555");
+      letterhead.forEach((line) => doc.text(line, { align: "right" }));
+      doc.moveDown().fillColor("#000000");
+    }
+
+    doc.font("Times-Bold").fontSize(18).text(letter.title).moveDown();
+    doc.font("Times-Roman").fontSize(12);
+    toParagraphs(letter.content).forEach((p) => {
+      doc.text(p, { align: "left", lineGap: 2 }).moveDown();
+    });
+
+    doc.end();
+  });
+
+const renderDocx = (letter, { pageSize, margin, letterhead }) => {
+  const size = PAGE_SIZES[pageSize];
+  const marginTwips = Math.round(margin * MM_TO_PT * PT_TO_TWIP);
+
+  // Each line of a paragraph becomes a run with a break before it
+  const paragraphFromText = (text) =>
+    new Paragraph({
+      children: text
+        .split("\n")
+        .map((line, i) => new TextRun({ text: line, break: i > 0 ? 1 : 0 })),
+      spacing: { after: 200 },
+    });
+
+  const doc = new Document({
+    title: letter.title,
+    sections: [
+      {
+        properties: {
+          page: {
+            size: {
+              width: Math.round(size.width * PT_TO_TWIP),
+              height: Math.round(size.height * PT_TO_TWIP),
+            },
+            margin: {
+              top: marginTwips,
+              right: marginTwips,
+              bottom: marginTwips,
+              left: marginTwips,
+            },
+          },
+        },
+        children: [
+          ...letterhead.map(
+            (line) =>
+              new Paragraph({
+                alignment: "right",
+                children: [new TextRun({ text: line, size: 18 })],
+              })
+          ),
+          new Paragraph({ text: letter.title, heading: HeadingLevel.TITLE }),
+          ...toParagraphs(letter.content).map(paragraphFromText),
+        ],
+      },
+    ],
+  });
+
+  return Packer.toBuffer(doc);
+};
+
+const RENDERERS = {
+  pdf: renderPdf,
+  docx: renderDocx,
+  html: async (letter, options) =>
+    Buffer.from(renderHtml(letter, options), "utf8"),
+  md: async (letter, options) =>
+    Buffer.from(renderMarkdown(letter, options), "utf8"),
+};
+
+// A file name that is safe in a Content-Disposition header and in a zip
+const exportFileName = (letter, format) => {
+  const base =
+    (letter.title || "letter")
+      .replace(/[^\w\s.-]/g, "")
+      .trim()
+      .replace(/\s+/g, "-")
+      .slice(0, 80) || "letter";
+  return `${base}.${FORMATS[format].extension}`;
+};
+
+// Render a letter into one of FORMATS. Returns { buffer, mimeType, fileName }.
+const exportLetter = async (letter, format, options) => ({
+  buffer: await RENDERERS[format](letter, options),
+  mimeType: FORMATS[format].mimeType,
+  fileName: exportFileName(letter, format),
+});
+
+module.exports = {
+  FORMATS,
+  parseExportOptions,
+  exportLetter,
+  renderHtml,
+  escapeHtml,
+};
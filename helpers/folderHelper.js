@@ -0,0 +1,126 @@
+const mongoose = require("mongoose");
+const Folder = require("../models/Folder");
+const { getProvider, getStorageFor } = require("../storage");
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+// Clean up a list of tags: trimmed, lower-case, no duplicates. Returns
+// { tags } or { error }.
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string")) {
+    return { error: "Tags must be an array of strings" };
+  }
+
+  const cleaned = [
+    ...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean)),
+  ];
+  if (cleaned.length > MAX_TAGS) {
+    return { error: `A letter can have at most ${MAX_TAGS} tags` };
+  }
+  if (cleaned.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags can be at most ${MAX_TAG_LENGTH} characters long` };
+  }
+  return { tags: cleaned };
+};
+
+// Turn a `folder` query parameter into a folderId filter value: "root" for
+// letters outside any folder, otherwise a folder ID. Returns
+// { folderId } or { error }.
+const parseFolderFilter = (value) => {
+  if (value === "root") {
+    return { folderId: null };
+  }
+  if (!mongoose.isValidObjectId(value)) {
+    return { error: 'Folder must be a folder ID or "root"' };
+  }
+  return { folderId: new mongoose.Types.ObjectId(value) };
+};
+
+// One of the user's folders, or null when the ID is invalid or not theirs
+const findUserFolder = (userId, folderId) =>
+  mongoose.isValidObjectId(folderId)
+    ? Folder.findOne({ _id: folderId, userId })
+    : null;
+
+// True when making `parentId` the parent of `folderId` would put the folder
+// inside itself
+const wouldCreateCycle = async (folderId, parentId) => {
+  let current = parentId;
+  while (current) {
+    if (String(current) === String(folderId)) {
+      return true;
+    }
+    const parent = await Folder.findById(current).select("parentId");
+    current = parent ? parent.parentId : null;
+  }
+  return false;
+};
+
+// Make sure a folder (and every folder above it) exists in Drive and return
+// its Drive folder ID
+const ensureDriveFolder = async (folder) => {
+  if (folder.driveFolderId) {
+    return folder.driveFolderId;
+  }
+
+  const parent = folder.parentId
+    ? await Folder.findById(folder.parentId)
+    : null;
+  const parentRef = parent ? await ensureDriveFolder(parent) : null;
+
+  folder.driveFolderId = await getProvider("gdrive").createFolder(
+    folder.name,
+    parentRef,
+    { owner: folder.userId }
+  );
+  await Folder.updateOne(
+    { _id: folder._id },
+    { $set: { driveFolderId: folder.driveFolderId } }
+  );
+  return folder.driveFolderId;
+};
+
+// Move a letter's stored file into the Drive folder matching its folderId.
+// Providers without folders keep their flat layout.
+const mirrorLetterFolder = async (letter) => {
+  const provider = getStorageFor(letter);
+  if (!provider.moveToFolder) {
+    return;
+  }
+
+  const folder = letter.folderId
+    ? await Folder.findById(letter.folderId)
+    : null;
+  const folderRef = folder ? await ensureDriveFolder(folder) : null;
+  await provider.moveToFolder(letter.storage.ref, folderRef, {
+    owner: letter.userId,
+  });
+};
+
+// Apply a folder rename or move to its Drive copy, if it has one
+const mirrorFolderChange = async (folder) => {
+  if (!folder.driveFolderId) {
+    return;
+  }
+
+  const provider = getProvider("gdrive");
+  await provider.renameFolder(folder.driveFolderId, folder.name);
+
+  const parent = folder.parentId
+    ? await Folder.findById(folder.parentId)
+    : null;
+  const parentRef = parent ? await ensureDriveFolder(parent) : null;
+  await provider.moveToFolder(folder.driveFolderId, parentRef, {
+    owner: folder.userId,
+  });
+};
+
+module.exports = {
+  normalizeTags,
+  parseFolderFilter,
+  findUserFolder,
+  wouldCreateCycle,
+  mirrorLetterFolder,
+  mirrorFolderChange,
+};
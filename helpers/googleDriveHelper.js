@@ -11,6 +11,16 @@ const auth = new google.auth.GoogleAuth({
 
 const drive = google.drive({ version: "v3", auth });
 
+const GOOGLE_DOC_MIME_TYPE = "application/vnd.google-apps.document";
+
+// Fields we keep on the Letter to notice edits made directly in Drive
+const FILE_STATE_FIELDS =
+  "id, name, mimeType, version, modifiedTime, headRevisionId, webViewLink, webContentLink";
+
+// Plain-text uploads keep a .txt name; native Google Docs use the bare title
+const letterFileName = (title, asGoogleDoc) =>
+  asGoogleDoc ? title : `${title}.txt`;
+
 // Get or create the Letters folder
 const getOrCreateLettersFolder = async () => {
   try {
@@ -42,42 +52,23 @@ const getOrCreateLettersFolder = async () => {
   }
 };
 
-// List all files in the user's Google Drive
-const listAllFiles = async (pageSize = 30) => {
-  try {
-    const response = await drive.files.list({
-      pageSize: pageSize,
-      fields:
-        "files(id, name, mimeType, webViewLink, thumbnailLink, createdTime)",
-      orderBy: "createdTime desc",
-    });
-    return response.data.files;
-  } catch (error) {
-    console.error("Error listing files:", error);
-    throw error;
-  }
+// Email address the service account acts as. Folders in users' own Drives
+// are shared with it so it can save letters there.
+const serviceAccountEmail = async () => {
+  const credentials = await auth.getCredentials();
+  return credentials.client_email;
 };
 
-// Service account authentication
-const serviceAuth = new google.auth.GoogleAuth({
-  keyFile: process.env.GOOGLE_SERVICE_ACCOUNT_KEY,
-  scopes: ["https://www.googleapis.com/auth/drive"],
-});
-
-// Get drive instance with service account auth
-const serviceDrive = google.drive({ version: "v3", auth: serviceAuth });
-
-// Function to create a Letters folder in user's Google Drive and grant access to service account
-const createUserLettersFolder = async (userEmail, userDriveToken) => {
+// Find or create the Letters folder in a user's own Google Drive and grant
+// the service account access to it. `userAuth` is an OAuth2 client holding
+// the user's tokens.
+const createUserLettersFolder = async (userAuth) => {
   try {
-    // Create an OAuth2 client for the user
-    const oauth2Client = new google.auth.OAuth2();
-    oauth2Client.setCredentials({ access_token: userDriveToken });
-
     // Create a drive instance with user's auth
-    const userDrive = google.drive({ version: "v3", auth: oauth2Client });
+    const userDrive = google.drive({ version: "v3", auth: userAuth });
 
-    // Check if Letters folder already exists in user's drive
+    // Check if Letters folder already exists in user's drive. With the
+    // drive.file scope this only sees folders we created.
     const response = await userDrive.files.list({
       q: "name='Letters' and mimeType='application/vnd.google-apps.folder' and trashed=false",
       spaces: "drive",
@@ -113,9 +104,9 @@ const createUserLettersFolder = async (userEmail, userDriveToken) => {
         requestBody: {
           type: "user",
           role: "writer",
-          emailAddress:
-            "letter-editor-service-account@editx-452618.iam.gserviceaccount.com",
+          emailAddress: await serviceAccountEmail(),
         },
+        sendNotificationEmail: false,
         fields: "id",
       });
 
@@ -132,45 +123,213 @@ const createUserLettersFolder = async (userEmail, userDriveToken) => {
   }
 };
 
-// Function to save document to user's Letters folder
-const saveDocumentToUserFolder = async (folderId, title, content) => {
-  try {
-    // Create file in the folder
-    const fileMetadata = {
-      name: title,
-      parents: [folderId],
-      mimeType: "application/vnd.google-apps.document",
-    };
-
-    // Using service account to create the file (since it now has permission)
-    const file = await serviceDrive.files.create({
-      resource: fileMetadata,
-      fields: "id,webViewLink",
+// Google Docs are imported from the HTML rendering when there is one, so
+// they keep the letter's formatting; .txt files get the plain text
+const letterMedia = (content, options) =>
+  options.asGoogleDoc && options.html
+    ? { mimeType: "text/html", body: options.html }
+    : { mimeType: "text/plain", body: content };
+
+// Create a letter file holding the full content, either as a .txt file or
+// converted to a native Google Doc
+const createLetterFile = async (folderId, title, content, options = {}) => {
+  const fileMetadata = {
+    name: letterFileName(title, options.asGoogleDoc),
+    parents: [folderId],
+  };
+  if (options.asGoogleDoc) {
+    fileMetadata.mimeType = GOOGLE_DOC_MIME_TYPE;
+  }
+
+  const file = await drive.files.create({
+    resource: fileMetadata,
+    media: letterMedia(content, options),
+    fields: FILE_STATE_FIELDS,
+  });
+  return file.data;
+};
+
+// Replace the name and full content of an existing letter file. Google Docs
+// re-import the upload; other files just get the new bytes.
+const updateLetterFile = async (fileId, title, content, options = {}) => {
+  const file = await drive.files.update({
+    fileId: fileId,
+    resource: {
+      name: letterFileName(title, options.asGoogleDoc),
+    },
+    media: letterMedia(content, options),
+    fields: FILE_STATE_FIELDS,
+  });
+  return file.data;
+};
+
+// Current version information for a letter file
+const getLetterFileState = async (fileId) => {
+  const file = await drive.files.get({
+    fileId: fileId,
+    fields: FILE_STATE_FIELDS,
+  });
+  return file.data;
+};
+
+// Read a letter file back as plain text
+const downloadLetterFile = async (fileId, mimeType) => {
+  const response =
+    mimeType === GOOGLE_DOC_MIME_TYPE
+      ? await drive.files.export(
+          { fileId: fileId, mimeType: "text/plain" },
+          { responseType: "text" }
+        )
+      : await drive.files.get(
+          { fileId: fileId, alt: "media" },
+          { responseType: "text" }
+        );
+
+  // Google Docs exports start with a byte order mark
+  return String(response.data).replace(/^\uFEFF/, "");
+};
+
+// Read a Google Doc as HTML, which keeps its formatting
+const downloadGoogleDocHtml = async (fileId) => {
+  const response = await drive.files.export(
+    { fileId: fileId, mimeType: "text/html" },
+    { responseType: "text" }
+  );
+  return String(response.data);
+};
+
+// Create a folder inside another one and return its ID
+const createDriveFolder = async (name, parentId) => {
+  const folder = await drive.files.create({
+    resource: {
+      name,
+      mimeType: "application/vnd.google-apps.folder",
+      parents: [parentId],
+    },
+    fields: "id",
+  });
+  return folder.data.id;
+};
+
+// Move a file or folder so that `parentId` is its only parent
+const moveDriveFile = async (fileId, parentId) => {
+  const file = await drive.files.get({ fileId, fields: "parents" });
+  const previousParents = (file.data.parents || []).filter(
+    (id) => id !== parentId
+  );
+  if (previousParents.length === 0 && file.data.parents?.includes(parentId)) {
+    return;
+  }
+
+  await drive.files.update({
+    fileId,
+    addParents: parentId,
+    removeParents: previousParents.join(","),
+    fields: "id, parents",
+  });
+};
+
+// IDs of everything directly inside a folder
+const listFolderFileIds = async (folderId) => {
+  const ids = [];
+  let pageToken;
+  do {
+    const response = await drive.files.list({
+      q: `'${folderId}' in parents and trashed=false`,
+      pageSize: 1000,
+      pageToken,
+      fields: "nextPageToken, files(id)",
     });
+    ids.push(...response.data.files.map((file) => file.id));
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+  return ids;
+};
 
-    // Update content
-    await serviceDrive.files.update({
-      fileId: file.data.id,
-      resource: {
-        description: `Letter content: ${content.substring(0, 100)}...`,
-      },
+// Whether a file or folder is `folderId` itself or somewhere below it
+const isInsideFolder = async (fileId, folderId, maxDepth = 20) => {
+  let current = fileId;
+  for (let depth = 0; depth < maxDepth && current; depth++) {
+    if (current === folderId) {
+      return true;
+    }
+    const file = await drive.files.get({ fileId: current, fields: "parents" });
+    current = (file.data.parents || [])[0];
+  }
+  return false;
+};
+
+// Find the permission a user already has on a file, if any
+const findPermission = async (fileId, email) => {
+  const response = await drive.permissions.list({
+    fileId: fileId,
+    fields: "permissions(id, emailAddress, role)",
+  });
+  const normalized = email.toLowerCase();
+  return (
+    response.data.permissions.find(
+      (p) => (p.emailAddress || "").toLowerCase() === normalized
+    ) || null
+  );
+};
+
+// Grant (or change) a user's Drive role on a file and return the permission ID
+const setFilePermission = async (fileId, email, role, options = {}) => {
+  const existing = options.permissionId
+    ? { id: options.permissionId }
+    : await findPermission(fileId, email);
+
+  if (existing) {
+    await drive.permissions.update({
+      fileId: fileId,
+      permissionId: existing.id,
+      requestBody: { role },
     });
+    return existing.id;
+  }
 
-    return {
-      fileId: file.data.id,
-      webViewLink: file.data.webViewLink,
-    };
-  } catch (error) {
-    console.error("Error saving document to user's folder:", error);
-    throw error;
+  const permission = await drive.permissions.create({
+    fileId: fileId,
+    requestBody: {
+      role,
+      type: "user",
+      emailAddress: email,
+    },
+    sendNotificationEmail: !!options.emailMessage,
+    emailMessage: options.emailMessage,
+    fields: "id",
+  });
+  return permission.data.id;
+};
+
+// Remove a user's Drive access to a file
+const removeFilePermission = async (fileId, email, permissionId) => {
+  const existing = permissionId
+    ? { id: permissionId }
+    : await findPermission(fileId, email);
+
+  if (existing) {
+    await drive.permissions.delete({
+      fileId: fileId,
+      permissionId: existing.id,
+    });
   }
 };
 
 module.exports = {
   getOrCreateLettersFolder,
-  listAllFiles,
+  setFilePermission,
+  removeFilePermission,
+  GOOGLE_DOC_MIME_TYPE,
+  createLetterFile,
+  updateLetterFile,
+  createDriveFolder,
+  moveDriveFile,
+  getLetterFileState,
+  downloadLetterFile,
+  downloadGoogleDocHtml,
+  listFolderFileIds,
+  isInsideFolder,
   drive,
-  serviceDrive,
   createUserLettersFolder,
-  saveDocumentToUserFolder,
 };
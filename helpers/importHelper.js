@@ -0,0 +1,62 @@
+const path = require("path");
+const MarkdownIt = require("markdown-it");
+const mammoth = require("mammoth");
+const { fromPlainText, fromHtml, toPlainText } = require("./richText");
+
+// Raw HTML inside Markdown is shown as text, never passed through
+const markdown = new MarkdownIt({ html: false, linkify: true });
+
+const decodeText = (buffer) => buffer.toString("utf8").replace(/^\uFEFF/, "");
+
+// Converters for each supported upload, by file extension. Each returns
+// { doc } or { error }.
+const CONVERTERS = {
+  ".txt": async (buffer) => ({ doc: fromPlainText(decodeText(buffer)) }),
+  ".md": async (buffer) => fromHtml(markdown.render(decodeText(buffer))),
+  ".html": async (buffer) => fromHtml(decodeText(buffer)),
+  ".docx": async (buffer) => {
+    try {
+      const { value } = await mammoth.convertToHtml({ buffer });
+      return fromHtml(value);
+    } catch (docxErr) {
+      console.error("Error reading Word document:", docxErr);
+      return { error: "Could not read the Word document" };
+    }
+  },
+};
+CONVERTERS[".markdown"] = CONVERTERS[".md"];
+CONVERTERS[".htm"] = CONVERTERS[".html"];
+
+const IMPORT_EXTENSIONS = Object.keys(CONVERTERS);
+
+// Multer reads multipart file names as latin1
+const uploadName = (file) =>
+  Buffer.from(file.originalname || "", "latin1").toString("utf8");
+
+// Convert one uploaded file (from multer) into what createLetter takes.
+// Returns { title, content, doc } or { error }.
+const convertUpload = async (file) => {
+  const name = uploadName(file);
+  const { name: base, ext } = path.parse(name);
+  const convert = CONVERTERS[ext.toLowerCase()];
+  if (!convert) {
+    return {
+      error: `Unsupported file type; use one of: ${IMPORT_EXTENSIONS.join(
+        ", "
+      )}`,
+    };
+  }
+
+  const { doc, error } = await convert(file.buffer);
+  if (error) {
+    return { error };
+  }
+
+  const content = toPlainText(doc);
+  if (!content.trim()) {
+    return { error: "The file has no text" };
+  }
+  return { title: base.trim() || "Untitled letter", content, doc };
+};
+
+module.exports = { IMPORT_EXTENSIONS, uploadName, convertUpload };
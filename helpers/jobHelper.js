@@ -0,0 +1,177 @@
+const Job = require("../models/Job");
+const Letter = require("../models/Letter");
+
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS, 10) || 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// Failed attempts kept on the job
+const FAILURES_KEPT = 10;
+
+const ACTIVE_STATUSES = ["queued", "running"];
+
+// Called whenever a job is queued so a runner in this process can pick it up
+// without waiting for its next poll (see jobs/jobRunner.js)
+let wakeRunner = null;
+const setJobWakeUp = (fn) => {
+  wakeRunner = fn;
+};
+
+// How long to wait before the next attempt: doubling from RETRY_BASE_MS, up
+// to an hour, with some jitter so failed jobs don't all retry together
+const backoffDelay = (attempts) => {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Recompute a letter's sync status from its jobs: pending while any are
+// queued or running, failed if the last one to finish gave up
+const refreshSyncStatus = async (letterId) => {
+  if (!letterId) return;
+
+  const active = await Job.exists({
+    letterId,
+    status: { $in: ACTIVE_STATUSES },
+  });
+  const last = active
+    ? null
+    : await Job.findOne({ letterId, finishedAt: { $ne: null } }).sort({
+        finishedAt: -1,
+      });
+  const syncStatus = active
+    ? "pending"
+    : last?.status === "dead"
+    ? "failed"
+    : "synced";
+
+  // Sync bookkeeping must not count as an edit, so skip the save hooks
+  await Letter.updateOne(
+    { _id: letterId },
+    {
+      $set: {
+        "storage.syncStatus": syncStatus,
+        "storage.syncError": syncStatus === "failed" ? last.lastError : null,
+      },
+    }
+  );
+  return syncStatus;
+};
+
+// Queue storage work. `letter` (a document or ID) ties the job to a letter,
+// whose sync status shows "pending" until the job is done; `user` is the
+// decoded token of whoever asked for it.
+const enqueueJob = async (type, { letter, user, payload } = {}) => {
+  const letterId = letter?._id || letter;
+  const job = await Job.create({
+    type,
+    letterId,
+    payload,
+    createdBy: user
+      ? { id: user.uid || user.id, email: user.email }
+      : undefined,
+    maxAttempts: MAX_ATTEMPTS,
+  });
+
+  if (letterId) {
+    await refreshSyncStatus(letterId);
+    if (letter?.storage) {
+      letter.storage.syncStatus = "pending";
+    }
+  }
+  if (wakeRunner) wakeRunner();
+  return job;
+};
+
+// Record a failed attempt: back in the queue after a delay, or dead once
+// maxAttempts is reached or the error can't be fixed by retrying
+const failJob = async (job, error, { permanent = false } = {}) => {
+  const now = new Date();
+  const dead = permanent || job.attempts >= job.maxAttempts;
+  const update = {
+    $set: { lastError: error.message, lockedAt: null },
+    $push: {
+      failures: {
+        $each: [{ attempt: job.attempts, at: now, message: error.message }],
+        $slice: -FAILURES_KEPT,
+      },
+    },
+  };
+  if (dead) {
+    update.$set.status = "dead";
+    update.$set.finishedAt = now;
+  } else {
+    update.$set.status = "queued";
+    update.$set.runAt = new Date(now.getTime() + backoffDelay(job.attempts));
+  }
+
+  await Job.updateOne({ _id: job._id }, update);
+  await refreshSyncStatus(job.letterId);
+  return dead;
+};
+
+const completeJob = async (job, result) => {
+  await Job.updateOne(
+    { _id: job._id },
+    {
+      $set: {
+        status: "succeeded",
+        result,
+        lockedAt: null,
+        lastError: null,
+        finishedAt: new Date(),
+      },
+    }
+  );
+  await refreshSyncStatus(job.letterId);
+};
+
+// Put a dead job back in the queue for another round of attempts
+const retryJob = async (job) => {
+  const retried = await Job.findOneAndUpdate(
+    { _id: job._id, status: "dead" },
+    {
+      $set: {
+        status: "queued",
+        attempts: 0,
+        runAt: new Date(),
+        finishedAt: null,
+      },
+    },
+    { new: true }
+  );
+  if (retried) {
+    await refreshSyncStatus(retried.letterId);
+    if (wakeRunner) wakeRunner();
+  }
+  return retried;
+};
+
+// What GET /jobs/:id returns
+const describeJob = (job) => ({
+  _id: job._id,
+  type: job.type,
+  letterId: job.letterId || null,
+  status: job.status,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  nextAttemptAt: job.status === "queued" ? job.runAt : null,
+  lastError: job.lastError || null,
+  failures: job.failures,
+  progress: job.progress?.total != null ? job.progress : null,
+  result: job.result ?? null,
+  createdBy: job.createdBy,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt || null,
+  finishedAt: job.finishedAt || null,
+});
+
+module.exports = {
+  ACTIVE_STATUSES,
+  setJobWakeUp,
+  backoffDelay,
+  refreshSyncStatus,
+  enqueueJob,
+  failJob,
+  completeJob,
+  retryJob,
+  describeJob,
+};
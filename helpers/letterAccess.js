@@ -0,0 +1,44 @@
+// Roles from least to most privileged
+const ROLES = ["viewer", "commenter", "editor", "owner"];
+const COLLABORATOR_ROLES = ["viewer", "commenter", "editor"];
+
+const findCollaborator = (letter, email) => {
+  const normalized = (email || "").toLowerCase();
+  if (!normalized) return null;
+  return (letter.collaborators || []).find((c) => c.email === normalized);
+};
+
+// The email to match a decoded token against invitations with. Only an
+// email the sign-in provider verified counts; anyone can sign up with an
+// address they don't own.
+const verifiedEmail = (user) =>
+  user.emailVerified ? (user.email || "").toLowerCase() : "";
+
+// Work out what a decoded token may do with a letter ("owner", a
+// collaborator role, or null for no access)
+const getLetterRole = (letter, user) => {
+  const userId = user.uid || user.id;
+  if (letter.userId === userId) {
+    return "owner";
+  }
+
+  const collaborator = findCollaborator(letter, verifiedEmail(user));
+  return collaborator ? collaborator.role : null;
+};
+
+const hasRole = (role, minRole) =>
+  !!role && ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+
+// Check whether a decoded token has at least `minRole` on a letter
+const canAccessLetter = (letter, user, minRole = "viewer") =>
+  hasRole(getLetterRole(letter, user), minRole);
+
+module.exports = {
+  ROLES,
+  COLLABORATOR_ROLES,
+  findCollaborator,
+  verifiedEmail,
+  getLetterRole,
+  hasRole,
+  canAccessLetter,
+};
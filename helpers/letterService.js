@@ -0,0 +1,274 @@
+const Letter = require("../models/Letter");
+const LetterRevision = require("../models/LetterRevision");
+const Comment = require("../models/Comment");
+const ShareLink = require("../models/ShareLink");
+const EmailDelivery = require("../models/EmailDelivery");
+const SignatureRequest = require("../models/SignatureRequest");
+const LetterTransition = require("../models/LetterTransition");
+const { getStorage, getStorageFor } = require("../storage");
+const { recordRevision } = require("./revisionHelper");
+const { enqueueJob } = require("./jobHelper");
+const { checkNewLetterQuota } = require("./quotaHelper");
+const { fromPlainText, documentOf, toHtml } = require("./richText");
+
+// New Drive letters are stored as plain text files unless the caller asks
+// for a native Google Doc, or DRIVE_SAVE_AS_GOOGLE_DOC=true makes that the
+// default
+const DEFAULT_AS_GOOGLE_DOC = process.env.DRIVE_SAVE_AS_GOOGLE_DOC === "true";
+
+// Raised when the stored copy changed since our last upload
+class StorageConflictError extends Error {
+  constructor(remote) {
+    super("The stored copy was edited outside the letter editor");
+    this.name = "StorageConflictError";
+    this.remote = remote;
+  }
+}
+
+// Remember the storage state we just wrote so later edits can be detected
+const applyStorageState = (letter, state) => {
+  letter.storage.version = state.version;
+  letter.storage.modifiedTime = state.modifiedTime;
+  letter.storage.syncedAt = new Date();
+  if (state.webViewLink) {
+    letter.storage.webViewLink = state.webViewLink;
+  }
+};
+
+// Return the stored state if it was modified after our last upload,
+// otherwise null. Letters synced before tracking existed never conflict.
+const checkStorageConflict = async (letter) => {
+  if (!letter.storage?.ref || !letter.storage.version) {
+    return null;
+  }
+
+  const remote = await getStorageFor(letter).getState(letter.storage.ref);
+  return remote.version !== letter.storage.version ? remote : null;
+};
+
+// Upload the letter's full content to its storage provider. Throws
+// StorageConflictError when the stored copy was edited directly, unless
+// `force`. Returns the new storage state.
+const pushLetterToStorage = async (letter, { force = false } = {}) => {
+  if (!letter.storage?.ref) {
+    return null;
+  }
+
+  if (!force) {
+    const remote = await checkStorageConflict(letter);
+    if (remote) {
+      throw new StorageConflictError(remote);
+    }
+  }
+
+  const state = await getStorageFor(letter).update(letter.storage.ref, {
+    title: letter.title,
+    content: letter.content,
+    html: toHtml(documentOf(letter)),
+    format: letter.storage.format,
+  });
+
+  applyStorageState(letter, state);
+  // Sync bookkeeping must not count as an edit, so skip the save hooks
+  await Letter.updateOne(
+    { _id: letter._id },
+    {
+      $set: {
+        "storage.version": letter.storage.version,
+        "storage.modifiedTime": letter.storage.modifiedTime,
+        "storage.syncedAt": letter.storage.syncedAt,
+        "storage.webViewLink": letter.storage.webViewLink,
+      },
+    }
+  );
+  return state;
+};
+
+// Queue the upload of a letter's edited content to its stored copy. The
+// push job refuses to overwrite direct edits to the stored copy (see
+// pushLetterToStorage) unless `force`. Letters not uploaded yet get their
+// latest content from the upload job instead.
+const queueStoragePush = (letter, user, { force = false } = {}) =>
+  enqueueJob("push", { letter, user, payload: { force } });
+
+// Read the current stored copy of a letter. Returns { content, state }.
+const fetchStoredCopy = (letter) =>
+  getStorageFor(letter).fetch(letter.storage.ref);
+
+// Create a letter on behalf of a decoded token and queue the upload of its
+// stored copy; the letter's storage.syncStatus is "pending" until the upload
+// job has run. This is the single save path used by POST /letters/save and
+// anything else that produces new letters (templates, mail-merge, imports).
+// `doc` is a normalised document with `content` its plain text; without it
+// `content` is plain text. Returns { letter, job }; throws
+// QuotaExceededError when the user has no room for the letter.
+const createLetter = async (
+  authUser,
+  { title, content, doc, asGoogleDoc = DEFAULT_AS_GOOGLE_DOC }
+) => {
+  const userId = authUser.uid || authUser.id;
+  await checkNewLetterQuota(userId, content);
+
+  const provider = getStorage();
+  // Only Drive can hold a native Google Doc
+  const format = provider.name === "gdrive" && asGoogleDoc ? "gdoc" : "text";
+
+  // Save the letter details to the database
+  const letter = new Letter({
+    userId: userId,
+    title,
+    content,
+    doc: doc || fromPlainText(content),
+    storage: { provider: provider.name, format, syncStatus: "pending" },
+  });
+
+  await letter.save();
+  await recordRevision(letter, authUser);
+
+  const job = await enqueueJob("upload", {
+    letter,
+    user: authUser,
+    payload: { ownerEmail: authUser.email },
+  });
+  return { letter, job };
+};
+
+// Create the stored copy of a letter that doesn't have one yet and give the
+// owner access to it. Run by the upload job, so it picks up any edits made
+// while the job was queued. Returns the storage state, or null if the letter
+// was purged in the meantime.
+const uploadLetter = async (letter, { ownerEmail } = {}) => {
+  const provider = getStorageFor(letter);
+
+  if (!letter.storage.ref) {
+    const state = await provider.create({
+      title: letter.title,
+      content: letter.content,
+      html: toHtml(documentOf(letter)),
+      format: letter.storage.format,
+      owner: letter.userId,
+    });
+    letter.storage.ref = state.ref;
+    applyStorageState(letter, state);
+
+    const saved = await Letter.updateOne(
+      { _id: letter._id },
+      {
+        $set: {
+          "storage.ref": letter.storage.ref,
+          "storage.version": letter.storage.version,
+          "storage.modifiedTime": letter.storage.modifiedTime,
+          "storage.syncedAt": letter.storage.syncedAt,
+          "storage.webViewLink": letter.storage.webViewLink,
+        },
+      }
+    );
+    if (saved.matchedCount === 0) {
+      await provider.delete(state.ref);
+      return null;
+    }
+  }
+
+  // IMPORTANT: Grant access to the user who created the file
+  if (ownerEmail) {
+    await provider.share(letter.storage.ref, ownerEmail, "owner");
+  }
+
+  return provider.getState(letter.storage.ref);
+};
+
+// Create a letter for a file that already exists in storage (e.g. one from
+// GET /letters/drive-files) and link it to that file instead of uploading a
+// copy. `file` is what the provider's open() returned, with the letter's
+// `doc` and `content` read from it. The owner's access is granted by an
+// upload job, which finds the file already there. Throws QuotaExceededError
+// like createLetter.
+const adoptLetter = async (authUser, providerName, file, { title } = {}) => {
+  const userId = authUser.uid || authUser.id;
+  await checkNewLetterQuota(userId, file.content);
+
+  const letter = new Letter({
+    userId,
+    title,
+    content: file.content,
+    doc: file.doc,
+    storage: {
+      provider: providerName,
+      ref: file.state.ref,
+      format: file.state.format,
+    },
+  });
+  applyStorageState(letter, file.state);
+
+  await letter.save();
+  await recordRevision(letter, authUser);
+
+  if (authUser.email) {
+    await enqueueJob("upload", {
+      letter,
+      user: authUser,
+      payload: { ownerEmail: authUser.email },
+    });
+  }
+  return letter;
+};
+
+// Move a letter to the trash. The stored copy is trashed too, by a job, so
+// it can still be recovered.
+const trashLetter = async (letter, user) => {
+  letter.deletedAt = new Date();
+  letter.deletedBy = user.email || user.uid || user.id;
+  await letter.save();
+
+  return enqueueJob("trash", { letter, user });
+};
+
+// Take a letter back out of the trash
+const restoreLetter = async (letter, user) => {
+  letter.deletedAt = null;
+  letter.deletedBy = undefined;
+  await letter.save();
+
+  return enqueueJob("restore", { letter, user });
+};
+
+// Delete a letter for good: its revisions, comments, share links and email
+// history now, and its stored copy by a job
+const purgeLetter = async (letter, user) => {
+  await Letter.deleteOne({ _id: letter._id });
+  await LetterRevision.deleteMany({ letterId: letter._id });
+  await Comment.deleteMany({ letterId: letter._id });
+  await ShareLink.deleteMany({ letterId: letter._id });
+  await EmailDelivery.deleteMany({ letterId: letter._id });
+  await SignatureRequest.deleteMany({ letterId: letter._id });
+  await LetterTransition.deleteMany({ letterId: letter._id });
+
+  // A letter purged before its upload ran has no stored copy; the upload
+  // job notices and stops
+  if (letter.storage.ref) {
+    return enqueueJob("delete", {
+      letter: letter._id,
+      user,
+      payload: {
+        provider: letter.storage.provider,
+        ref: letter.storage.ref,
+      },
+    });
+  }
+  return null;
+};
+
+module.exports = {
+  StorageConflictError,
+  createLetter,
+  uploadLetter,
+  adoptLetter,
+  checkStorageConflict,
+  pushLetterToStorage,
+  queueStoragePush,
+  fetchStoredCopy,
+  applyStorageState,
+  trashLetter,
+  restoreLetter,
+  purgeLetter,
+};
@@ -0,0 +1,109 @@
+const Letter = require("../models/Letter");
+const Webhook = require("../models/Webhook");
+const { quotas } = require("../config/limits");
+
+const QUOTA_MESSAGES = {
+  letters:
+    "You have reached your letter limit; delete letters or empty the trash",
+  contentBytes:
+    "You have reached your storage limit; delete letters or empty the trash",
+  collaboratorsPerLetter: "This letter has the most collaborators it can have",
+  webhooks: "You have registered the most webhooks you can have",
+};
+
+// Raised when a change would take a user over one of their quotas
+class QuotaExceededError extends Error {
+  constructor(quota, used) {
+    super(QUOTA_MESSAGES[quota]);
+    this.name = "QuotaExceededError";
+    this.quota = quota;
+    this.limit = quotas[quota];
+    this.used = used;
+  }
+}
+
+// Response body for a 403 caused by a quota
+const quotaErrorBody = (error) => ({
+  message: error.message,
+  quota: error.quota,
+  limit: error.limit,
+  used: error.used,
+});
+
+const byteLength = (text) => Buffer.byteLength(text || "", "utf8");
+
+// How much of their quotas a user's letters use. Letters in the trash still
+// count until they are purged.
+const usageOf = async (userId) => {
+  const [totals] = await Letter.aggregate([
+    { $match: { userId } },
+    {
+      $group: {
+        _id: null,
+        letters: { $sum: 1 },
+        contentBytes: { $sum: { $strLenBytes: { $ifNull: ["$content", ""] } } },
+        mostCollaborators: {
+          $max: { $size: { $ifNull: ["$collaborators", []] } },
+        },
+      },
+    },
+  ]);
+  return {
+    letters: totals?.letters || 0,
+    contentBytes: totals?.contentBytes || 0,
+    mostCollaborators: totals?.mostCollaborators || 0,
+  };
+};
+
+// Throw QuotaExceededError unless the user has room for one more letter
+// holding `content`
+const checkNewLetterQuota = async (userId, content) => {
+  const usage = await usageOf(userId);
+  if (usage.letters + 1 > quotas.letters) {
+    throw new QuotaExceededError("letters", usage.letters);
+  }
+  if (usage.contentBytes + byteLength(content) > quotas.contentBytes) {
+    throw new QuotaExceededError("contentBytes", usage.contentBytes);
+  }
+};
+
+// Throw QuotaExceededError if replacing the letter's content with `content`
+// would take its owner over their storage quota. Edits that don't grow the
+// letter are always allowed.
+const checkContentQuota = async (letter, content) => {
+  const growth = byteLength(content) - byteLength(letter.content);
+  if (growth <= 0) {
+    return;
+  }
+
+  const usage = await usageOf(letter.userId);
+  if (usage.contentBytes + growth > quotas.contentBytes) {
+    throw new QuotaExceededError("contentBytes", usage.contentBytes);
+  }
+};
+
+// Throw QuotaExceededError if the letter can't take another collaborator
+const checkCollaboratorQuota = (letter) => {
+  const count = (letter.collaborators || []).length;
+  if (count + 1 > quotas.collaboratorsPerLetter) {
+    throw new QuotaExceededError("collaboratorsPerLetter", count);
+  }
+};
+
+// Throw QuotaExceededError unless the user can register another webhook
+const checkWebhookQuota = async (userId) => {
+  const count = await Webhook.countDocuments({ "owner.id": userId });
+  if (count + 1 > quotas.webhooks) {
+    throw new QuotaExceededError("webhooks", count);
+  }
+};
+
+module.exports = {
+  QuotaExceededError,
+  quotaErrorBody,
+  usageOf,
+  checkNewLetterQuota,
+  checkContentQuota,
+  checkCollaboratorQuota,
+  checkWebhookQuota,
+};
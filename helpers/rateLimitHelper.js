@@ -0,0 +1,145 @@
+const RateLimitCounter = require("../models/RateLimitCounter");
+const { rateLimits, passwordAttempts } = require("../config/limits");
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "POST /letters/:id/send" -> { method, pattern }
+const compileRoute = (route) => {
+  const [method, path] = route.split(" ");
+  const source = path
+    .split("/")
+    .map((segment) =>
+      segment.startsWith(":") ? "[^/]+" : escapeRegExp(segment)
+    )
+    .join("/");
+  return { method, pattern: new RegExp(`^${source}/?$`) };
+};
+
+const RULES = Object.entries(rateLimits).map(([name, rule]) => ({
+  name,
+  max: rule.max,
+  windowSeconds: rule.windowSeconds,
+  routes: (rule.routes || []).map(compileRoute),
+}));
+
+// The rules a request counts against: "default" and any rule listing its
+// route
+const rulesFor = (method, path) =>
+  RULES.filter(
+    (rule) =>
+      rule.name === "default" ||
+      rule.routes.some(
+        (route) => route.method === method && route.pattern.test(path)
+      )
+  );
+
+// Limits use fixed windows, e.g. each clock minute for a 60 second window
+const currentWindow = (rule, now) => {
+  const windowMs = rule.windowSeconds * 1000;
+  const start = Math.floor(now / windowMs) * windowMs;
+  return {
+    key: (userKey) => `${rule.name}:${userKey}:${start}`,
+    resetAt: new Date(start + windowMs),
+  };
+};
+
+const describeLimit = (rule, used, resetAt) => ({
+  name: rule.name,
+  limit: rule.max,
+  windowSeconds: rule.windowSeconds,
+  used,
+  remaining: Math.max(rule.max - used, 0),
+  resetAt,
+  exceeded: used > rule.max,
+});
+
+// Count one request by `userKey` against each rule and return where each
+// limit stands
+const hitRateLimits = (userKey, rules) => {
+  const now = Date.now();
+  return Promise.all(
+    rules.map(async (rule) => {
+      const { key, resetAt } = currentWindow(rule, now);
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key: key(userKey) },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+        { upsert: true, new: true }
+      );
+      return describeLimit(rule, counter.count, resetAt);
+    })
+  );
+};
+
+// Where each of a user's limits stands, without counting a request
+const rateLimitStatus = async (userKey) => {
+  const now = Date.now();
+  const windows = RULES.map((rule) => ({
+    rule,
+    ...currentWindow(rule, now),
+  }));
+  const counters = await RateLimitCounter.find({
+    key: { $in: windows.map(({ key }) => key(userKey)) },
+  });
+  const counts = new Map(counters.map((c) => [c.key, c.count]));
+
+  return windows.map(({ rule, key, resetAt }) => {
+    const { exceeded, ...limit } = describeLimit(
+      rule,
+      counts.get(key(userKey)) || 0,
+      resetAt
+    );
+    return {
+      ...limit,
+      routes: rateLimits[rule.name].routes || ["Every authenticated request"],
+    };
+  });
+};
+
+const PASSWORD_RULES = Object.entries(passwordAttempts).map(([name, rule]) => ({
+  name: `password-${name}`,
+  keyName: name,
+  ...rule,
+}));
+
+// When `keys` ({ link, ip }) may next try a share link password, or null if
+// neither has used up its failed attempts
+const passwordLockedUntil = async (keys) => {
+  const now = Date.now();
+  const windows = PASSWORD_RULES.map((rule) => {
+    const { key, resetAt } = currentWindow(rule, now);
+    return { rule, key: key(keys[rule.keyName]), resetAt };
+  });
+  const counters = await RateLimitCounter.find({
+    key: { $in: windows.map(({ key }) => key) },
+  });
+  const counts = new Map(counters.map((c) => [c.key, c.count]));
+
+  const locked = windows.filter(
+    ({ rule, key }) => (counts.get(key) || 0) >= rule.max
+  );
+  if (locked.length === 0) return null;
+  return new Date(Math.max(...locked.map(({ resetAt }) => resetAt)));
+};
+
+// Count a wrong share link password against `keys` ({ link, ip })
+const countPasswordFailure = (keys) => {
+  const now = Date.now();
+  return Promise.all(
+    PASSWORD_RULES.map((rule) => {
+      const { key, resetAt } = currentWindow(rule, now);
+      return RateLimitCounter.updateOne(
+        { key: key(keys[rule.keyName]) },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+        { upsert: true }
+      );
+    })
+  );
+};
+
+module.exports = {
+  rulesFor,
+  hitRateLimits,
+  rateLimitStatus,
+  passwordLockedUntil,
+  countPasswordFailure,
+};
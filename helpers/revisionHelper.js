@@ -0,0 +1,66 @@
+const { diffLines, diffWords } = require("diff");
+const Letter = require("../models/Letter");
+const LetterRevision = require("../models/LetterRevision");
+
+// Append a new immutable revision holding the letter's current title and
+// content
+const recordRevision = async (letter, user = {}, options = {}) => {
+  // Bump the counter atomically so concurrent saves never share a number
+  const updated = await Letter.findByIdAndUpdate(
+    letter._id,
+    { $inc: { currentRevision: 1 } },
+    { new: true, projection: { currentRevision: 1 } }
+  );
+
+  const revision = await LetterRevision.create({
+    letterId: letter._id,
+    revision: updated.currentRevision,
+    title: letter.title,
+    content: letter.content,
+    doc: letter.doc,
+    authorId: user.uid || user.id,
+    authorName: user.name,
+    authorEmail: user.email,
+    restoredFrom: options.restoredFrom,
+  });
+
+  letter.currentRevision = updated.currentRevision;
+  return revision;
+};
+
+// Letters saved before revisions existed have no history yet; snapshot their
+// current state first so the next overwrite does not lose it
+const ensureBaselineRevision = async (letter) => {
+  if (letter.currentRevision > 0) {
+    return null;
+  }
+  return recordRevision(letter, { uid: letter.userId });
+};
+
+// Compare two revisions line by line or word by word
+const diffRevisions = (fromRevision, toRevision, mode = "line") => {
+  const diffFn = mode === "word" ? diffWords : diffLines;
+  let added = 0;
+  let removed = 0;
+
+  const changes = diffFn(
+    fromRevision.content || "",
+    toRevision.content || ""
+  ).map((part) => {
+    const type = part.added ? "added" : part.removed ? "removed" : "unchanged";
+    if (part.added) added += part.count;
+    if (part.removed) removed += part.count;
+    return { type, value: part.value, count: part.count };
+  });
+
+  return {
+    from: fromRevision.revision,
+    to: toRevision.revision,
+    mode: mode === "word" ? "word" : "line",
+    titleChanged: fromRevision.title !== toRevision.title,
+    changes,
+    stats: { added, removed },
+  };
+};
+
+module.exports = { recordRevision, ensureBaselineRevision, diffRevisions };
@@ -0,0 +1,1166 @@
+const { diffArrays, diffChars } = require("diff");
+const { parseDocument } = require("htmlparser2");
+
+// Letters are stored as a ProseMirror-style tree in Letter.doc:
+//
+//   { type: "doc", content: [
+//     { type: "heading", attrs: { level: 1 }, content: [
+//       { type: "text", text: "Dear " },
+//       { type: "text", text: "Ann", marks: [{ type: "bold" }] } ] },
+//     { type: "bullet_list", content: [
+//       { type: "list_item", content: [{ type: "paragraph", content: [...] }] } ] } ] }
+//
+// Letter.content holds the plain-text rendering of the tree (toPlainText),
+// which is what search, comments and live collaboration work on. Nothing in
+// a doc is ever treated as markup: text is escaped when rendered and only
+// the node types, marks and attributes below are kept.
+
+// Which children each node type may hold
+const SCHEMA = {
+  paragraph: "inline",
+  heading: "inline",
+  code_block: "text",
+  horizontal_rule: null,
+  blockquote: ["paragraph", "heading", "bullet_list", "ordered_list"],
+  bullet_list: ["list_item"],
+  ordered_list: ["list_item"],
+  list_item: ["paragraph", "bullet_list", "ordered_list"],
+  table: ["table_row"],
+  table_row: ["table_cell", "table_header"],
+  table_cell: ["paragraph"],
+  table_header: ["paragraph"],
+};
+
+const BLOCKS = [
+  "paragraph",
+  "heading",
+  "blockquote",
+  "bullet_list",
+  "ordered_list",
+  "code_block",
+  "horizontal_rule",
+  "table",
+];
+
+// In the order they are applied when rendering, outermost first
+const MARKS = ["link", "bold", "italic", "underline", "strike", "code"];
+
+const MAX_NODES = 20000;
+const MAX_DEPTH = 16;
+const SAFE_HREF = /^(https?:\/\/|mailto:)\S+$/i;
+const LANGUAGE = /^[\w+#.-]{1,30}$/;
+
+class InvalidDocumentError extends Error {}
+
+const fail = (path, message) => {
+  throw new InvalidDocumentError(`${path}: ${message}`);
+};
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Normalise line endings and drop control characters other than tab and
+// newline
+const sanitizeText = (text = "") =>
+  String(text)
+    .replace(/\r\n?/g, "\n")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, "");
+
+const escapeHtml = (text = "") =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const emptyParagraph = () => ({ type: "paragraph", content: [] });
+
+const sameMarks = (a = [], b = []) => JSON.stringify(a) === JSON.stringify(b);
+
+// Append text to an inline list, merging it into the previous text node when
+// the formatting matches
+const pushText = (nodes, text, marks = []) => {
+  const last = nodes[nodes.length - 1];
+  if (last && last.type === "text" && sameMarks(last.marks, marks)) {
+    last.text += text;
+  } else {
+    nodes.push(
+      marks.length ? { type: "text", text, marks } : { type: "text", text }
+    );
+  }
+};
+
+// No line breaks at either end of a block and never two in a row, so a
+// block's text never contains a blank line
+const trimBreaks = (nodes) => {
+  const out = [];
+  nodes.forEach((node) => {
+    const last = out[out.length - 1];
+    if (node.type === "hard_break" && (!last || last.type === "hard_break")) {
+      return;
+    }
+    out.push(node);
+  });
+  if (out.length && out[out.length - 1].type === "hard_break") {
+    out.pop();
+  }
+  return out;
+};
+
+// --- Validation ---
+
+const countNode = (ctx, path) => {
+  ctx.nodes += 1;
+  if (ctx.nodes > MAX_NODES) {
+    fail(path, `documents may have at most ${MAX_NODES} nodes`);
+  }
+};
+
+const childrenOf = (node, path) => {
+  if (node.content === undefined || node.content === null) {
+    return [];
+  }
+  if (!Array.isArray(node.content)) {
+    fail(path, "content must be an array");
+  }
+  return node.content;
+};
+
+const normalizeMarks = (marks, path) => {
+  if (marks === undefined || marks === null) {
+    return [];
+  }
+  if (!Array.isArray(marks)) {
+    fail(path, "marks must be an array");
+  }
+
+  const byType = {};
+  marks.forEach((mark, i) => {
+    const type = isObject(mark) ? mark.type : undefined;
+    if (!MARKS.includes(type)) {
+      fail(`${path}.marks[${i}]`, `unknown mark "${type}"`);
+    }
+    if (type === "link") {
+      const href = String(mark.attrs?.href || "").trim();
+      if (!SAFE_HREF.test(href)) {
+        fail(`${path}.marks[${i}]`, "links must be http(s) or mailto URLs");
+      }
+      byType.link = { type, attrs: { href } };
+    } else {
+      byType[type] = { type };
+    }
+  });
+  return MARKS.filter((type) => byType[type]).map((type) => byType[type]);
+};
+
+// Text and hard breaks. Newlines inside text become hard breaks.
+const normalizeInline = (node, path, ctx) => {
+  const out = [];
+  childrenOf(node, path).forEach((child, i) => {
+    const at = `${path}.content[${i}]`;
+    countNode(ctx, at);
+    if (!isObject(child)) {
+      fail(at, "expected a node");
+    }
+    if (child.type === "hard_break") {
+      out.push({ type: "hard_break" });
+      return;
+    }
+    if (child.type !== "text") {
+      fail(at, `"${child.type}" is not allowed here`);
+    }
+    if (typeof child.text !== "string") {
+      fail(at, "text must be a string");
+    }
+
+    const marks = normalizeMarks(child.marks, at);
+    sanitizeText(child.text)
+      .split("\n")
+      .forEach((line, j) => {
+        if (j > 0) out.push({ type: "hard_break" });
+        if (line) pushText(out, line, marks);
+      });
+  });
+  return trimBreaks(out);
+};
+
+const normalizeBlock = (node, allowed, path, ctx, depth) => {
+  countNode(ctx, path);
+  if (!isObject(node)) {
+    fail(path, "expected a node");
+  }
+  if (!allowed.includes(node.type)) {
+    fail(
+      path,
+      SCHEMA[node.type] !== undefined
+        ? `"${node.type}" is not allowed here`
+        : `unknown node type "${node.type}"`
+    );
+  }
+  if (depth > MAX_DEPTH) {
+    fail(path, "the document is nested too deeply");
+  }
+
+  const attrs = isObject(node.attrs) ? node.attrs : {};
+  const children = () =>
+    childrenOf(node, path).map((child, i) =>
+      normalizeBlock(
+        child,
+        SCHEMA[node.type],
+        `${path}.content[${i}]`,
+        ctx,
+        depth + 1
+      )
+    );
+  const nonEmptyChildren = () => {
+    const content = children();
+    if (!content.length) {
+      fail(path, `${node.type} must not be empty`);
+    }
+    return content;
+  };
+
+  switch (node.type) {
+    case "paragraph":
+      return { type: "paragraph", content: normalizeInline(node, path, ctx) };
+
+    case "heading": {
+      const level = attrs.level === undefined ? 1 : Number(attrs.level);
+      if (!Number.isInteger(level) || level < 1 || level > 6) {
+        fail(path, "heading level must be from 1 to 6");
+      }
+      return {
+        type: "heading",
+        attrs: { level },
+        content: normalizeInline(node, path, ctx),
+      };
+    }
+
+    case "code_block": {
+      const text = childrenOf(node, path)
+        .map((child, i) => {
+          const at = `${path}.content[${i}]`;
+          countNode(ctx, at);
+          if (
+            !isObject(child) ||
+            child.type !== "text" ||
+            typeof child.text !== "string"
+          ) {
+            fail(at, "code blocks may only hold text");
+          }
+          return sanitizeText(child.text);
+        })
+        .join("");
+      const block = {
+        type: "code_block",
+        content: text ? [{ type: "text", text }] : [],
+      };
+      if (typeof attrs.language === "string" && LANGUAGE.test(attrs.language)) {
+        block.attrs = { language: attrs.language };
+      }
+      return block;
+    }
+
+    case "horizontal_rule":
+      return { type: "horizontal_rule" };
+
+    case "ordered_list": {
+      const start = attrs.start === undefined ? 1 : Number(attrs.start);
+      if (!Number.isInteger(start) || start < 1) {
+        fail(path, "list start must be a whole number of at least 1");
+      }
+      return {
+        type: "ordered_list",
+        attrs: { start },
+        content: nonEmptyChildren(),
+      };
+    }
+
+    // An item always starts with a paragraph, even an empty one
+    case "list_item": {
+      const content = children();
+      if (!content.length || content[0].type !== "paragraph") {
+        content.unshift(emptyParagraph());
+      }
+      return { type: "list_item", content };
+    }
+
+    case "table_cell":
+    case "table_header": {
+      const content = children();
+      return {
+        type: node.type,
+        content: content.length ? content : [emptyParagraph()],
+      };
+    }
+
+    default:
+      return { type: node.type, content: nonEmptyChildren() };
+  }
+};
+
+// Validate a document sent by a client and return a clean copy holding only
+// what the schema allows. Returns { doc } or { error }.
+const normalizeDoc = (input) => {
+  if (!isObject(input) || input.type !== "doc") {
+    return { error: 'The document must be an object with type "doc"' };
+  }
+
+  try {
+    const ctx = { nodes: 0 };
+    const content = childrenOf(input, "doc").map((node, i) =>
+      normalizeBlock(node, BLOCKS, `doc.content[${i}]`, ctx, 1)
+    );
+    return {
+      doc: {
+        type: "doc",
+        content: content.length ? content : [emptyParagraph()],
+      },
+    };
+  } catch (error) {
+    if (error instanceof InvalidDocumentError) {
+      return { error: `Invalid document at ${error.message}` };
+    }
+    throw error;
+  }
+};
+
+// --- Plain text ---
+//
+// Blocks are separated by a blank line. Lists render as "- " / "1. " lines
+// (nested items indented by two spaces), tables as "| a | b |" rows and
+// quotes as "> " lines, so a block's text never holds a blank line (code
+// blocks excepted).
+
+const inlineText = (nodes = []) =>
+  nodes.map((node) => (node.type === "hard_break" ? "\n" : node.text)).join("");
+
+const prefixLines = (text, first, rest) =>
+  text
+    .split("\n")
+    .map((line, i) => (i === 0 ? first : rest) + line)
+    .join("\n");
+
+const isList = (node) =>
+  node.type === "bullet_list" || node.type === "ordered_list";
+
+const listMarker = (list, i) =>
+  list.type === "ordered_list" ? `${(list.attrs?.start || 1) + i}. ` : "- ";
+
+const listText = (list, indent = "") =>
+  list.content
+    .map((item, i) =>
+      item.content
+        .map((child, j) =>
+          isList(child)
+            ? listText(child, `${indent}  `)
+            : prefixLines(
+                blockText(child),
+                j === 0 ? indent + listMarker(list, i) : `${indent}  `,
+                `${indent}  `
+              )
+        )
+        .join("\n")
+    )
+    .join("\n");
+
+const cellText = (cell) =>
+  cell.content.map((p) => inlineText(p.content).replace(/\n/g, " ")).join(" ");
+
+const blockText = (node) => {
+  switch (node.type) {
+    case "horizontal_rule":
+      return "---";
+    case "blockquote":
+      return node.content
+        .map((child) => prefixLines(blockText(child), "> ", "> "))
+        .join("\n");
+    case "bullet_list":
+    case "ordered_list":
+      return listText(node);
+    case "table":
+      return node.content
+        .map((row) => `| ${row.content.map(cellText).join(" | ")} |`)
+        .join("\n");
+    default:
+      return inlineText(node.content);
+  }
+};
+
+const toPlainText = (doc) => doc.content.map(blockText).join("\n\n");
+
+// A plain-text letter as a document: blank lines separate paragraphs and
+// single newlines are line breaks
+const fromPlainText = (text = "") => ({
+  type: "doc",
+  content: sanitizeText(text)
+    .split("\n\n")
+    .map((chunk) => ({ type: "paragraph", content: retext([], chunk) })),
+});
+
+// The document of a letter, including letters from before Letter.doc
+const documentOf = (letter) => letter.doc || fromPlainText(letter.content);
+
+// --- Merging plain-text edits ---
+//
+// Live collaboration, pulls from storage and older clients change only the
+// plain text. mergeTextIntoDoc carries such an edit over to the document:
+// blocks whose text didn't change are kept as they are, and changed blocks
+// are re-read from their new text in the shape of the block they replace,
+// keeping the formatting of every character the edit didn't touch.
+
+// Inline nodes as one entry per character (hard breaks are "\n")
+const toChars = (nodes = []) =>
+  nodes.flatMap((node) =>
+    node.type === "hard_break"
+      ? [{ char: "\n", marks: [] }]
+      : node.text.split("").map((char) => ({ char, marks: node.marks || [] }))
+  );
+
+const fromChars = (chars) => {
+  const nodes = [];
+  chars.forEach(({ char, marks }) => {
+    if (char === "\n") {
+      nodes.push({ type: "hard_break" });
+    } else {
+      pushText(nodes, char, marks);
+    }
+  });
+  return trimBreaks(nodes);
+};
+
+// Replace the text of some inline nodes. Typed text takes the formatting of
+// the character before it.
+const retext = (nodes, text) => {
+  const chars = toChars(nodes);
+  const result = [];
+  let i = 0;
+
+  diffChars(chars.map((c) => c.char).join(""), text).forEach((part) => {
+    const length = part.value.length;
+    if (part.removed) {
+      i += length;
+    } else if (part.added) {
+      const before = result[result.length - 1] || chars[i];
+      const marks = before ? before.marks : [];
+      part.value.split("").forEach((char) => result.push({ char, marks }));
+    } else {
+      result.push(...chars.slice(i, i + length));
+      i += length;
+    }
+  });
+  return fromChars(result);
+};
+
+// First paragraph of every item of a list and its sub-lists, in reading
+// order
+const listParagraphs = (list) =>
+  list.content.flatMap((item) =>
+    item.content.flatMap((child) =>
+      isList(child) ? listParagraphs(child) : [child]
+    )
+  );
+
+const LIST_ITEM_LINE = /^( *)([-*•]|\d+[.)]) ?(.*)$/;
+
+const rebuildList = (template, text) => {
+  // One entry per item; lines without a marker continue the item before
+  const items = [];
+  text.split("\n").forEach((line) => {
+    const match = LIST_ITEM_LINE.exec(line);
+    if (match) {
+      items.push({
+        depth: Math.floor(match[1].length / 2),
+        start: parseInt(match[2], 10),
+        text: match[3],
+      });
+    } else if (items.length) {
+      items[items.length - 1].text += `\n${line.trim()}`;
+    } else {
+      items.push({ depth: 0, text: line });
+    }
+  });
+
+  const oldParagraphs = listParagraphs(template);
+  const root = { ...template, content: [] };
+  const stack = [{ depth: 0, list: root }];
+
+  items.forEach((item, i) => {
+    while (stack.length > 1 && item.depth < stack[stack.length - 1].depth) {
+      stack.pop();
+    }
+    const top = stack[stack.length - 1];
+    if (item.depth > top.depth && top.list.content.length) {
+      const parent = top.list.content[top.list.content.length - 1];
+      const nested = item.start
+        ? { type: "ordered_list", attrs: { start: item.start }, content: [] }
+        : { type: "bullet_list", content: [] };
+      parent.content.push(nested);
+      stack.push({ depth: item.depth, list: nested });
+    }
+
+    stack[stack.length - 1].list.content.push({
+      type: "list_item",
+      content: [
+        {
+          type: "paragraph",
+          content: retext(oldParagraphs[i]?.content, item.text),
+        },
+      ],
+    });
+  });
+  return root;
+};
+
+const rebuildTable = (template, text) => ({
+  type: "table",
+  content: text.split("\n").map((line, r) => {
+    const oldCells = template.content[r]?.content || [];
+    return {
+      type: "table_row",
+      content: line
+        .replace(/^\|\s?/, "")
+        .replace(/\s?\|$/, "")
+        .split(" | ")
+        .map((cell, c) => ({
+          type: oldCells[c]?.type || "table_cell",
+          content: [
+            {
+              type: "paragraph",
+              content: retext(oldCells[c]?.content[0]?.content, cell),
+            },
+          ],
+        })),
+    };
+  }),
+});
+
+// Read a block back from its plain text in the shape of `template`, the
+// block it replaces (null for a new block)
+const rebuildBlock = (template, text) => {
+  switch (template?.type) {
+    case "heading":
+      return {
+        type: "heading",
+        attrs: { ...template.attrs },
+        content: retext(template.content, text),
+      };
+    case "code_block":
+      return {
+        ...template,
+        content: text ? [{ type: "text", text }] : [],
+      };
+    case "bullet_list":
+    case "ordered_list":
+      return rebuildList(template, text);
+    case "table":
+      return rebuildTable(template, text);
+    case "blockquote":
+      return {
+        type: "blockquote",
+        content: text.split("\n").map((line, i) => {
+          const old = template.content[i];
+          return {
+            type: old?.type === "heading" ? "heading" : "paragraph",
+            ...(old?.type === "heading" && { attrs: { ...old.attrs } }),
+            content: retext(
+              old && !isList(old) ? old.content : [],
+              line.replace(/^> ?/, "")
+            ),
+          };
+        }),
+      };
+    case "horizontal_rule":
+      if (text.trim() === "---") return template;
+      break;
+    case "paragraph":
+      return { type: "paragraph", content: retext(template.content, text) };
+  }
+  return { type: "paragraph", content: retext([], text) };
+};
+
+// Carry a plain-text edit over to a document. `text` is the letter's new
+// plain text; returns the new document.
+const mergeTextIntoDoc = (doc, text) => {
+  const blocks = doc?.content || [];
+  const oldChunks = [];
+  blocks.forEach((block, index) => {
+    blockText(block)
+      .split("\n\n")
+      .forEach((chunk) => oldChunks.push({ text: chunk, index }));
+  });
+  const newChunks = sanitizeText(text).split("\n\n");
+
+  // Line the chunks up; `index` is the old block a chunk came from
+  const entries = [];
+  let o = 0;
+  diffArrays(
+    oldChunks.map((chunk) => chunk.text),
+    newChunks
+  ).forEach((part) => {
+    part.value.forEach((value) => {
+      if (part.added) {
+        entries.push({ text: value });
+      } else if (part.removed) {
+        entries.push({ index: oldChunks[o++].index });
+      } else {
+        entries.push({ text: value, index: oldChunks[o++].index, kept: true });
+      }
+    });
+  });
+
+  // A block survives as is when all of its chunks were kept, with nothing
+  // inserted between them
+  const positions = new Map();
+  entries.forEach((entry, position) => {
+    if (entry.index === undefined) return;
+    const seen = positions.get(entry.index) || { first: position, count: 0 };
+    seen.count += 1;
+    seen.last = position;
+    seen.changed = seen.changed || !entry.kept;
+    positions.set(entry.index, seen);
+  });
+  const intact = (index) => {
+    const seen = positions.get(index);
+    return !seen.changed && seen.last - seen.first + 1 === seen.count;
+  };
+
+  // Changed text between two intact blocks is paired up with the blocks it
+  // replaced; extra chunks become paragraphs
+  const content = [];
+  let templates = [];
+  let texts = [];
+  const flush = () => {
+    texts.forEach((chunk, j) =>
+      content.push(rebuildBlock(templates[j] || null, chunk))
+    );
+    templates = [];
+    texts = [];
+  };
+
+  entries.forEach((entry) => {
+    if (entry.index !== undefined && intact(entry.index)) {
+      flush();
+      if (content[content.length - 1] !== blocks[entry.index]) {
+        content.push(blocks[entry.index]);
+      }
+      return;
+    }
+    if (
+      entry.index !== undefined &&
+      templates[templates.length - 1] !== blocks[entry.index]
+    ) {
+      templates.push(blocks[entry.index]);
+    }
+    if (entry.text !== undefined) {
+      texts.push(entry.text);
+    }
+  });
+  flush();
+
+  return {
+    type: "doc",
+    content: content.length ? content : [emptyParagraph()],
+  };
+};
+
+// --- HTML and Markdown ---
+
+const MARK_TAGS = {
+  bold: "strong",
+  italic: "em",
+  underline: "u",
+  strike: "s",
+  code: "code",
+};
+
+const inlineHtml = (nodes = []) =>
+  nodes
+    .map((node) => {
+      if (node.type === "hard_break") return "<br>";
+      return (node.marks || []).reduceRight(
+        (html, mark) =>
+          mark.type === "link"
+            ? `<a href="${escapeHtml(
+                mark.attrs.href
+              )}" rel="noopener noreferrer nofollow">${html}</a>`
+            : `<${MARK_TAGS[mark.type]}>${html}</${MARK_TAGS[mark.type]}>`,
+        escapeHtml(node.text)
+      );
+    })
+    .join("");
+
+const blockHtml = (node) => {
+  const inner = (separator = "\n") =>
+    node.content.map(blockHtml).join(separator);
+
+  switch (node.type) {
+    case "paragraph":
+      return `<p>${inlineHtml(node.content)}</p>`;
+    case "heading":
+      return `<h${node.attrs.level}>${inlineHtml(node.content)}</h${
+        node.attrs.level
+      }>`;
+    case "code_block":
+      return `<pre><code>${escapeHtml(inlineText(node.content))}</code></pre>`;
+    case "horizontal_rule":
+      return "<hr>";
+    case "blockquote":
+      return `<blockquote>\n${inner()}\n</blockquote>`;
+    case "bullet_list":
+      return `<ul>\n${inner()}\n</ul>`;
+    case "ordered_list": {
+      const start = node.attrs?.start || 1;
+      return `<ol${start !== 1 ? ` start="${start}"` : ""}>\n${inner()}\n</ol>`;
+    }
+    case "list_item":
+      return `<li>${inner("")}</li>`;
+    case "table":
+      return `<table>\n${inner()}\n</table>`;
+    case "table_row":
+      return `<tr>${inner("")}</tr>`;
+    case "table_cell":
+      return `<td>${inner("")}</td>`;
+    case "table_header":
+      return `<th>${inner("")}</th>`;
+    default:
+      return "";
+  }
+};
+
+// HTML for the body of a letter. Only the tags above are ever produced.
+const toHtml = (doc) => doc.content.map(blockHtml).join("\n");
+
+const MARK_MARKDOWN = { bold: "**", italic: "_", strike: "~~" };
+
+const escapeMarkdown = (text) => text.replace(/([\\`*_[\]<>|~])/g, "\\$1");
+
+const inlineMarkdown = (nodes = []) =>
+  nodes
+    .map((node) => {
+      if (node.type === "hard_break") return "  \n";
+      const marks = node.marks || [];
+      const text = marks.some((mark) => mark.type === "code")
+        ? `\`${node.text}\``
+        : escapeMarkdown(node.text);
+      return marks.reduceRight((md, mark) => {
+        if (mark.type === "link") return `[${md}](${mark.attrs.href})`;
+        const wrap = MARK_MARKDOWN[mark.type];
+        return wrap ? `${wrap}${md}${wrap}` : md;
+      }, text);
+    })
+    .join("");
+
+const listMarkdown = (list) =>
+  list.content
+    .map((item, i) => {
+      const marker = listMarker(list, i);
+      const indent = " ".repeat(marker.length);
+      return item.content
+        .map((child, j) =>
+          prefixLines(blockMarkdown(child), j === 0 ? marker : indent, indent)
+        )
+        .join("\n");
+    })
+    .join("\n");
+
+const tableMarkdown = (table) => {
+  const rows = table.content.map(
+    (row) =>
+      `| ${row.content
+        .map((cell) =>
+          cell.content
+            .map((p) => inlineMarkdown(p.content).replace(/ {2}\n/g, " "))
+            .join(" ")
+        )
+        .join(" | ")} |`
+  );
+  rows.splice(1, 0, `|${" --- |".repeat(table.content[0].content.length)}`);
+  return rows.join("\n");
+};
+
+const blockMarkdown = (node) => {
+  switch (node.type) {
+    case "heading":
+      return `${"#".repeat(node.attrs.level)} ${inlineMarkdown(node.content)}`;
+    case "code_block":
+      return `\`\`\`${node.attrs?.language || ""}\n${inlineText(
+        node.content
+      )}\n\`\`\``;
+    case "horizontal_rule":
+      return "---";
+    case "blockquote":
+      return prefixLines(
+        node.content.map(blockMarkdown).join("\n\n"),
+        "> ",
+        "> "
+      );
+    case "bullet_list":
+    case "ordered_list":
+      return listMarkdown(node);
+    case "table":
+      return tableMarkdown(node);
+    default:
+      return inlineMarkdown(node.content);
+  }
+};
+
+const toMarkdown = (doc) => doc.content.map(blockMarkdown).join("\n\n");
+
+// --- HTML input ---
+//
+// fromHtml turns HTML from imports and Google Docs exports into a document.
+// Only structure the letter format knows survives: scripts, styles, images,
+// attributes and unknown tags are dropped and their text kept where it makes
+// sense.
+
+const DROPPED_TAGS = [
+  "head",
+  "script",
+  "style",
+  "title",
+  "template",
+  "noscript",
+  "iframe",
+  "object",
+  "embed",
+  "img",
+  "svg",
+  "math",
+  "select",
+  "textarea",
+  "button",
+];
+
+const TAG_MARKS = {
+  b: "bold",
+  strong: "bold",
+  i: "italic",
+  em: "italic",
+  u: "underline",
+  ins: "underline",
+  s: "strike",
+  strike: "strike",
+  del: "strike",
+  code: "code",
+  kbd: "code",
+  samp: "code",
+  tt: "code",
+};
+
+const INLINE_TAGS = [
+  "a",
+  "span",
+  "font",
+  "sub",
+  "sup",
+  "small",
+  "big",
+  "mark",
+  "abbr",
+  "cite",
+  "q",
+  "label",
+  "time",
+  "var",
+  "dfn",
+  "br",
+  ...Object.keys(TAG_MARKS),
+];
+
+const isTag = (node, ...names) =>
+  node.type === "tag" && (!names.length || names.includes(node.name));
+
+// Google Docs exports put formatting in classes defined in a <style> block
+const collectClassStyles = (nodes, styles = {}) => {
+  nodes.forEach((node) => {
+    if (node.type === "style") {
+      const css = node.children.map((child) => child.data || "").join("");
+      for (const [, name, rule] of css.matchAll(/\.([\w-]+)\s*\{([^}]*)\}/g)) {
+        styles[name] = `${styles[name] || ""};${rule}`;
+      }
+    } else if (node.children) {
+      collectClassStyles(node.children, styles);
+    }
+  });
+  return styles;
+};
+
+// Google Docs wraps links in a redirect through google.com/url
+const unwrapHref = (href = "") => {
+  const match = /^https:\/\/www\.google\.com\/url\?q=([^&]+)/.exec(href);
+  return match ? decodeURIComponent(match[1]) : href.trim();
+};
+
+const elementMarks = (node, ctx) => {
+  const marks = [];
+  if (TAG_MARKS[node.name]) {
+    marks.push({ type: TAG_MARKS[node.name] });
+  }
+  if (node.name === "a") {
+    const href = unwrapHref(node.attribs.href);
+    if (SAFE_HREF.test(href)) marks.push({ type: "link", attrs: { href } });
+  }
+
+  const style = [
+    node.attribs.style || "",
+    ...(node.attribs.class || "")
+      .split(/\s+/)
+      .map((name) => ctx.classStyles[name] || ""),
+  ].join(";");
+  if (/font-weight\s*:\s*(bold|[6-9]00)/i.test(style)) {
+    marks.push({ type: "bold" });
+  }
+  if (/font-style\s*:\s*italic/i.test(style)) {
+    marks.push({ type: "italic" });
+  }
+  if (/text-decoration[^;]*underline/i.test(style)) {
+    marks.push({ type: "underline" });
+  }
+  if (/text-decoration[^;]*line-through/i.test(style)) {
+    marks.push({ type: "strike" });
+  }
+  return marks;
+};
+
+const inlineFrom = (nodes, ctx, marks = []) =>
+  nodes.flatMap((node) => {
+    if (node.type === "text") {
+      return [{ type: "text", text: node.data, marks }];
+    }
+    if (!isTag(node) || DROPPED_TAGS.includes(node.name)) {
+      return [];
+    }
+    if (node.name === "br") {
+      return [{ type: "hard_break" }];
+    }
+    return inlineFrom(node.children, ctx, [
+      ...marks,
+      ...elementMarks(node, ctx),
+    ]);
+  });
+
+// HTML whitespace rules: runs of spaces collapse into one, and spaces at
+// the start or end of a line disappear
+const collapseSpaces = (nodes) => {
+  const out = [];
+  const trimLast = () => {
+    const last = out[out.length - 1];
+    if (last && last.type === "text") {
+      last.text = last.text.replace(/ $/, "");
+      if (!last.text) out.pop();
+    }
+  };
+
+  nodes.forEach((node) => {
+    if (node.type === "hard_break") {
+      trimLast();
+      out.push(node);
+      return;
+    }
+    const last = out[out.length - 1];
+    let text = node.text.replace(/[ \t\n\r\f]+/g, " ");
+    if (!last || last.type === "hard_break" || last.text.endsWith(" ")) {
+      text = text.replace(/^ /, "");
+    }
+    if (text) out.push({ ...node, text });
+  });
+  trimLast();
+  return out;
+};
+
+const textOf = (node) =>
+  node.type === "text"
+    ? node.data
+    : isTag(node, "br")
+    ? "\n"
+    : (node.children || []).map(textOf).join("");
+
+// Any block as plain paragraphs, for places that only take paragraphs
+const flattenToParagraphs = (block) => {
+  switch (block.type) {
+    case "paragraph":
+      return [block];
+    case "heading":
+    case "code_block":
+      return [{ type: "paragraph", content: block.content }];
+    case "horizontal_rule":
+      return [];
+    default:
+      return block.content.flatMap(flattenToParagraphs);
+  }
+};
+
+const listFrom = (node, ctx) => {
+  const items = [];
+  node.children.forEach((child) => {
+    if (isTag(child, "li")) {
+      items.push({
+        type: "list_item",
+        content: blocksFrom(child.children, ctx).flatMap((block) =>
+          block.type === "paragraph" || isList(block)
+            ? [block]
+            : flattenToParagraphs(block)
+        ),
+      });
+    } else if (isTag(child, "ul", "ol")) {
+      // A list directly inside a list belongs to the item before it
+      const nested = listFrom(child, ctx);
+      if (!nested) return;
+      if (!items.length) items.push({ type: "list_item", content: [] });
+      items[items.length - 1].content.push(nested);
+    }
+  });
+  if (!items.length) {
+    return null;
+  }
+
+  if (node.name === "ol") {
+    const start = parseInt(node.attribs.start, 10);
+    return {
+      type: "ordered_list",
+      attrs: { start: start > 0 ? start : 1 },
+      content: items,
+    };
+  }
+  return { type: "bullet_list", content: items };
+};
+
+const rowsOf = (node) =>
+  node.children.flatMap((child) => {
+    if (isTag(child, "tr")) return [child];
+    if (isTag(child, "thead", "tbody", "tfoot")) return rowsOf(child);
+    return [];
+  });
+
+const tableFrom = (node, ctx) => {
+  const rows = rowsOf(node)
+    .map((row) => ({
+      type: "table_row",
+      content: row.children
+        .filter((cell) => isTag(cell, "td", "th"))
+        .map((cell) => ({
+          type: cell.name === "th" ? "table_header" : "table_cell",
+          content: blocksFrom(cell.children, ctx).flatMap(flattenToParagraphs),
+        })),
+    }))
+    .filter((row) => row.content.length);
+  return rows.length ? [{ type: "table", content: rows }] : [];
+};
+
+const blockFrom = (node, ctx) => {
+  if (/^h[1-6]$/.test(node.name)) {
+    return [
+      {
+        type: "heading",
+        attrs: { level: Number(node.name[1]) },
+        content: collapseSpaces(inlineFrom(node.children, ctx)),
+      },
+    ];
+  }
+
+  switch (node.name) {
+    case "p":
+      return [
+        {
+          type: "paragraph",
+          content: collapseSpaces(
+            inlineFrom(node.children, ctx, elementMarks(node, ctx))
+          ),
+        },
+      ];
+    case "hr":
+      return [{ type: "horizontal_rule" }];
+    case "pre":
+      return [
+        {
+          type: "code_block",
+          content: [{ type: "text", text: textOf(node).replace(/\n$/, "") }],
+        },
+      ];
+    case "blockquote": {
+      const content = blocksFrom(node.children, ctx).flatMap((block) =>
+        SCHEMA.blockquote.includes(block.type)
+          ? [block]
+          : flattenToParagraphs(block)
+      );
+      return content.length ? [{ type: "blockquote", content }] : [];
+    }
+    case "ul":
+    case "ol": {
+      const list = listFrom(node, ctx);
+      return list ? [list] : [];
+    }
+    case "table":
+      return tableFrom(node, ctx);
+    // div, section, body and anything else unknown just hold other blocks
+    default:
+      return blocksFrom(node.children, ctx);
+  }
+};
+
+const blocksFrom = (nodes, ctx) => {
+  const blocks = [];
+  let inline = [];
+  // Loose text between blocks becomes a paragraph of its own
+  const flush = () => {
+    const content = collapseSpaces(inline);
+    if (content.some((node) => node.type === "text")) {
+      blocks.push({ type: "paragraph", content });
+    }
+    inline = [];
+  };
+
+  nodes.forEach((node) => {
+    if (node.type === "text" || isTag(node, ...INLINE_TAGS)) {
+      inline.push(...inlineFrom([node], ctx));
+    } else if (isTag(node) && !DROPPED_TAGS.includes(node.name)) {
+      flush();
+      blocks.push(...blockFrom(node, ctx));
+    }
+  });
+  flush();
+  return blocks;
+};
+
+// Convert HTML into a document. Returns { doc } or { error }.
+const fromHtml = (html) => {
+  const root = parseDocument(String(html));
+  const ctx = { classStyles: collectClassStyles(root.children) };
+  return normalizeDoc({ type: "doc", content: blocksFrom(root.children, ctx) });
+};
+
+// --- Request bodies ---
+
+// Read the body of POST /letters/save and PUT /letters/:id. Clients send the
+// structured `doc`; older clients may still send plain-text `content`, which
+// is never interpreted as markup. Returns { doc, content } (doc is undefined
+// for plain text) or { error }.
+const parseLetterBody = (body = {}) => {
+  if (body.doc !== undefined && body.doc !== null) {
+    const { doc, error } = normalizeDoc(body.doc);
+    if (error) {
+      return { error };
+    }
+    return { doc, content: toPlainText(doc) };
+  }
+
+  if (typeof body.content !== "string") {
+    return { error: "The letter must be sent as doc (or content as text)" };
+  }
+  return { content: sanitizeText(body.content) };
+};
+
+module.exports = {
+  normalizeDoc,
+  parseLetterBody,
+  fromPlainText,
+  fromHtml,
+  documentOf,
+  mergeTextIntoDoc,
+  toPlainText,
+  toHtml,
+  toMarkdown,
+  escapeHtml,
+};
@@ -0,0 +1,278 @@
+const mongoose = require("mongoose");
+const { escapeHtml } = require("./exportHelper");
+const { parseFolderFilter } = require("./folderHelper");
+const { verifiedEmail } = require("./letterAccess");
+
+const SORT_FIELDS = {
+  relevance: "score",
+  updated: "updatedAt",
+  created: "createdAt",
+  title: "titleKey",
+};
+const SCOPES = ["all", "owned", "shared"];
+const DATE_FIELDS = { updated: "updatedAt", created: "createdAt" };
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SNIPPET_RADIUS = 80;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Words to highlight for a $text query. Negated terms ("-draft") are left
+// out; quoted phrases are highlighted word by word.
+const searchTerms = (q = "") =>
+  [
+    ...new Set(
+      q
+        .split(/\s+/)
+        .filter((word) => word && !word.startsWith("-"))
+        .map((word) => word.replace(/["]/g, "").toLowerCase())
+        .filter(Boolean)
+    ),
+  ].sort((a, b) => b.length - a.length);
+
+// Escape `text` for HTML and wrap each word starting with a search term in
+// <mark>. Matching by prefix roughly follows the stemming $text does.
+const highlight = (text, terms) => {
+  if (!terms.length) {
+    return escapeHtml(text);
+  }
+  const pattern = new RegExp(
+    `\\b(?:${terms.map(escapeRegExp).join("|")})\\w*`,
+    "gi"
+  );
+
+  let result = "";
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    result += escapeHtml(text.slice(last, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return result + escapeHtml(text.slice(last));
+};
+
+// A short, highlighted excerpt of `content` around the first matching term
+// (or the start of the letter when nothing matches)
+const buildSnippet = (content = "", terms) => {
+  const lower = content.toLowerCase();
+  const hits = terms
+    .map((term) => lower.search(new RegExp(`\\b${escapeRegExp(term)}`)))
+    .filter((index) => index >= 0);
+  const first = hits.length ? Math.min(...hits) : 0;
+
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(content.length, first + SNIPPET_RADIUS);
+  const excerpt = content.slice(start, end).replace(/\s+/g, " ").trim();
+
+  return `${start > 0 ? "…" : ""}${highlight(excerpt, terms)}${
+    end < content.length ? "…" : ""
+  }`;
+};
+
+// Cursors are opaque to clients: the sort value and _id of the last result
+const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify([value, String(id)])).toString("base64url");
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, "base64url"));
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    const decoded =
+      field === "updatedAt" || field === "createdAt" ? new Date(value) : value;
+    if (decoded instanceof Date && Number.isNaN(decoded.getTime())) {
+      return null;
+    }
+    return { value: decoded, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    return null;
+  }
+};
+
+const parseDate = (value) => {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Validate GET /letters/search query parameters:
+//   q            full-text query (Mongo $text syntax: "phrases", -exclude)
+//   scope        all | owned | shared (default all)
+//   owner        only letters owned by this user ID
+//   collaborator only letters shared with this email address
+//   folder       only letters in this folder ID ("root" for no folder)
+//   tag          only letters with this tag
+//   from, to     date range, applied to `dateField` (updated | created)
+//   sort         relevance | updated | created | title
+//                (default relevance with q, otherwise updated)
+//   order        asc | desc (default asc for title, otherwise desc)
+//   limit        page size, 1-100 (default 20)
+//   cursor       nextCursor from the previous page
+const parseSearchQuery = (query = {}) => {
+  const q = String(query.q || "").trim();
+
+  const scope = String(query.scope || "all").toLowerCase();
+  if (!SCOPES.includes(scope)) {
+    return { error: `Scope must be one of: ${SCOPES.join(", ")}` };
+  }
+
+  const sort = String(query.sort || (q ? "relevance" : "updated"));
+  if (!SORT_FIELDS[sort]) {
+    return {
+      error: `Sort must be one of: ${Object.keys(SORT_FIELDS).join(", ")}`,
+    };
+  }
+  if (sort === "relevance" && !q) {
+    return { error: "Sorting by relevance needs a search query (q)" };
+  }
+
+  const order = String(
+    query.order || (sort === "title" ? "asc" : "desc")
+  ).toLowerCase();
+  if (!["asc", "desc"].includes(order)) {
+    return { error: "Order must be asc or desc" };
+  }
+
+  const dateField = DATE_FIELDS[String(query.dateField || "updated")];
+  if (!dateField) {
+    return { error: "dateField must be updated or created" };
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === null || to === null) {
+    return { error: "from and to must be valid dates" };
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `Limit must be a whole number from 1 to ${MAX_LIMIT}` };
+  }
+
+  let folder;
+  if (query.folder !== undefined) {
+    folder = parseFolderFilter(String(query.folder));
+    if (folder.error) {
+      return { error: folder.error };
+    }
+  }
+
+  const field = SORT_FIELDS[sort];
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(String(query.cursor), field);
+    if (!cursor) {
+      return { error: "Invalid cursor" };
+    }
+  }
+
+  return {
+    options: {
+      q,
+      terms: searchTerms(q),
+      scope,
+      owner: query.owner ? String(query.owner) : undefined,
+      collaborator: query.collaborator
+        ? String(query.collaborator).toLowerCase()
+        : undefined,
+      folder,
+      tag: query.tag ? String(query.tag).trim().toLowerCase() : undefined,
+      dateField,
+      from,
+      to,
+      field,
+      direction: order === "asc" ? 1 : -1,
+      limit,
+      cursor,
+    },
+  };
+};
+
+// Aggregation pipeline returning one page (plus one extra document, to tell
+// whether there is a next page) of the letters `user` can see
+const buildSearchPipeline = (user, options) => {
+  const userId = user.uid || user.id;
+  // Shared letters are found by the user's email, so only a verified one
+  const email = verifiedEmail(user);
+
+  // Legacy collaborator entries are bare email strings
+  const sharedWithMe = {
+    $or: [{ "collaborators.email": email }, { collaborators: email }],
+  };
+  const access = {
+    all: { $or: [{ userId }, ...(email ? sharedWithMe.$or : [])] },
+    owned: { userId },
+    shared: email ? sharedWithMe : { _id: null },
+  }[options.scope];
+
+  const filters = [access, { deletedAt: null }];
+  if (options.q) {
+    filters.push({ $text: { $search: options.q } });
+  }
+  if (options.owner) {
+    filters.push({ userId: options.owner });
+  }
+  if (options.collaborator) {
+    filters.push({
+      $or: [
+        { "collaborators.email": options.collaborator },
+        { collaborators: options.collaborator },
+      ],
+    });
+  }
+  if (options.folder) {
+    filters.push({ folderId: options.folder.folderId });
+  }
+  if (options.tag) {
+    filters.push({ tags: options.tag });
+  }
+  if (options.from || options.to) {
+    filters.push({
+      [options.dateField]: {
+        ...(options.from && { $gte: options.from }),
+        ...(options.to && { $lte: options.to }),
+      },
+    });
+  }
+
+  const pipeline = [{ $match: { $and: filters } }];
+  if (options.q) {
+    pipeline.push({ $addFields: { score: { $meta: "textScore" } } });
+  }
+  // Title order should ignore case
+  if (options.field === "titleKey") {
+    pipeline.push({ $addFields: { titleKey: { $toLower: "$title" } } });
+  }
+
+  // Keyset pagination: continue strictly after the last (value, _id)
+  const { field, direction, cursor } = options;
+  if (cursor) {
+    const op = direction === 1 ? "$gt" : "$lt";
+    pipeline.push({
+      $match: {
+        $or: [
+          { [field]: { [op]: cursor.value } },
+          { [field]: cursor.value, _id: { [op]: cursor.id } },
+        ],
+      },
+    });
+  }
+
+  pipeline.push(
+    { $sort: { [field]: direction, _id: direction } },
+    { $limit: options.limit + 1 }
+  );
+  return pipeline;
+};
+
+module.exports = {
+  parseSearchQuery,
+  buildSearchPipeline,
+  buildSnippet,
+  highlight,
+  encodeCursor,
+};
@@ -0,0 +1,124 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const TOKEN_BYTES = 32;
+const MAX_EXPIRY_DAYS = 365;
+const MIN_PASSWORD_LENGTH = 8;
+
+const generateToken = () =>
+  crypto.randomBytes(TOKEN_BYTES).toString("base64url");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(String(password), salt, 64);
+  return `${salt}:${hash.toString("hex")}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [salt, expected] = stored.split(":");
+  const hash = await scrypt(String(password || ""), salt, 64);
+  return crypto.timingSafeEqual(hash, Buffer.from(expected, "hex"));
+};
+
+// Why a link can't be used any more, or null while it is active
+const linkProblem = (link, now = new Date()) => {
+  if (link.revokedAt) return "revoked";
+  if (link.expiresAt && link.expiresAt <= now) return "expired";
+  if (link.maxViews && link.viewCount >= link.maxViews) return "exhausted";
+  return null;
+};
+
+// Validate the body of POST /letters/:id/share-links:
+//   expiresAt     ISO date, or
+//   expiresInDays number of days from now (at most 365)
+//   password      optional password viewers must enter
+//   maxViews      optional view limit
+//   label         optional note for the owner
+// Returns { options } or { error }.
+const parseShareLinkOptions = async (body = {}) => {
+  let expiresAt;
+  if (body.expiresAt !== undefined && body.expiresAt !== null) {
+    expiresAt = new Date(body.expiresAt);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      return { error: "expiresAt must be a date in the future" };
+    }
+  } else if (body.expiresInDays !== undefined && body.expiresInDays !== null) {
+    const days = Number(body.expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+      return {
+        error: `expiresInDays must be a number from 1 to ${MAX_EXPIRY_DAYS}`,
+      };
+    }
+    expiresAt = new Date(Date.now() + days * 86400000);
+  }
+
+  let maxViews;
+  if (body.maxViews !== undefined && body.maxViews !== null) {
+    maxViews = Number(body.maxViews);
+    if (!Number.isInteger(maxViews) || maxViews < 1) {
+      return { error: "maxViews must be a whole number of at least 1" };
+    }
+  }
+
+  if (
+    body.password !== undefined &&
+    body.password !== null &&
+    (typeof body.password !== "string" ||
+      body.password.length < MIN_PASSWORD_LENGTH)
+  ) {
+    return {
+      error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`,
+    };
+  }
+
+  return {
+    options: {
+      expiresAt,
+      maxViews,
+      passwordHash: body.password
+        ? await hashPassword(body.password)
+        : undefined,
+      label: body.label ? String(body.label).slice(0, 100) : undefined,
+    },
+  };
+};
+
+// What owners see about a link (never the token or password hash)
+const describeLink = (link) => ({
+  _id: link._id,
+  label: link.label,
+  tokenPrefix: link.tokenPrefix,
+  createdBy: link.createdBy,
+  createdAt: link.createdAt,
+  expiresAt: link.expiresAt || null,
+  hasPassword: !!link.passwordHash,
+  maxViews: link.maxViews || null,
+  viewCount: link.viewCount,
+  lastAccessedAt: link.lastAccessedAt || null,
+  revokedAt: link.revokedAt || null,
+  status: linkProblem(link) || "active",
+});
+
+// Where the API is reached from outside. PUBLIC_BASE_URL should be set when
+// the API sits behind a proxy.
+const publicBaseUrl = (req) =>
+  process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+
+// Public URL for a token
+const shareUrl = (req, token) => `${publicBaseUrl(req)}/shared/${token}`;
+
+module.exports = {
+  generateToken,
+  hashToken,
+  verifyPassword,
+  linkProblem,
+  parseShareLinkOptions,
+  describeLink,
+  publicBaseUrl,
+  shareUrl,
+};
@@ -0,0 +1,448 @@
+const crypto = require("crypto");
+const Letter = require("../models/Letter");
+const {
+  generateToken,
+  hashToken,
+  publicBaseUrl,
+} = require("./shareLinkHelper");
+const { parseAddresses } = require("./emailHelper");
+const { documentOf } = require("./richText");
+const {
+  isMailConfigured,
+  getTransport,
+  mailFrom,
+} = require("../config/mailer");
+const { setRoomLocked } = require("../sockets/collaboration");
+const { isEditable } = require("./workflowHelper");
+const { SYSTEM_CONTEXT, recordAudit } = require("./auditHelper");
+
+const MAX_SIGNERS = 20;
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_EXPIRY_DAYS = 365;
+// Decoded size of a drawn signature
+const MAX_IMAGE_BYTES = 64 * 1024;
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+// JSON with object keys sorted, so a value hashes the same however the
+// database happened to order its fields
+const canonicalJson = (value) => {
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const fields = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${fields.join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// SHA-256 of a letter's title, text and structured document
+const hashDocument = ({ title, content, doc }) =>
+  sha256(canonicalJson({ title, content, doc: doc || null }));
+
+// What a signature certifies about one signer
+const signerRecord = (signer) => ({
+  email: signer.email,
+  order: signer.order,
+  status: signer.status,
+  signedAt: signer.signedAt,
+  via: signer.via,
+  userId: signer.userId,
+  ip: signer.ip,
+  userAgent: signer.userAgent,
+  signatureType: signer.signature?.type,
+  signatureName: signer.signature?.name,
+  signatureImageHash: signer.signature?.image
+    ? sha256(signer.signature.image)
+    : undefined,
+});
+
+// SHA-256 binding the signed content to everyone's signature, so neither
+// can be changed later without it showing
+const finalHashOf = (request) =>
+  sha256(
+    canonicalJson({
+      requestId: String(request._id),
+      letterId: String(request.letterId),
+      contentHash: request.contentHash,
+      completedAt: request.completedAt,
+      signers: request.signers.map(signerRecord),
+    })
+  );
+
+// Validate the body of POST /letters/:id/signatures:
+//   signers        emails in signing order, as an array or comma-separated;
+//                  someone listed twice is only asked once
+//   message        optional note for the signers
+//   expiresInDays  how long the signers have (default 30, at most 365)
+// Returns { options } or { error }.
+const parseSignatureRequest = (body = {}) => {
+  const { addresses, error } = parseAddresses(body.signers, "signers");
+  if (error) {
+    return { error };
+  }
+  if (addresses.length === 0) {
+    return { error: "At least one signer is required" };
+  }
+  if (addresses.length > MAX_SIGNERS) {
+    return { error: `A letter can have at most ${MAX_SIGNERS} signers` };
+  }
+
+  let days = DEFAULT_EXPIRY_DAYS;
+  if (body.expiresInDays !== undefined && body.expiresInDays !== null) {
+    days = Number(body.expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+      return {
+        error: `expiresInDays must be a number from 1 to ${MAX_EXPIRY_DAYS}`,
+      };
+    }
+  }
+
+  return {
+    options: {
+      signers: addresses,
+      message: body.message ? String(body.message).slice(0, 1000) : undefined,
+      expiresAt: new Date(Date.now() + days * 86400000),
+    },
+  };
+};
+
+// Validate a signature:
+//   type   "typed" or "drawn"
+//   name   the typed signature, or optionally the name beside a drawing
+//   image  for drawn signatures, a PNG as a data URL
+// Returns { signature } or { error }.
+const parseSignature = (body = {}) => {
+  const name = typeof body.name === "string" ? body.name.trim() : "";
+
+  if (body.type === "typed") {
+    if (!name || name.length > 100) {
+      return {
+        error: "A typed signature needs a name of up to 100 characters",
+      };
+    }
+    return { signature: { type: "typed", name } };
+  }
+
+  if (body.type === "drawn") {
+    const match = /^data:image\/png;base64,([A-Za-z0-9+/]+={0,2})$/.exec(
+      typeof body.image === "string" ? body.image : ""
+    );
+    const bytes = match && Buffer.from(match[1], "base64");
+    if (
+      !bytes ||
+      bytes.length > MAX_IMAGE_BYTES ||
+      !bytes.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)
+    ) {
+      return {
+        error: `A drawn signature must be a PNG data URL of at most ${
+          MAX_IMAGE_BYTES / 1024
+        } KB`,
+      };
+    }
+    return {
+      signature: {
+        type: "drawn",
+        image: body.image,
+        name: name.slice(0, 100) || undefined,
+      },
+    };
+  }
+
+  return { error: 'Signature type must be "typed" or "drawn"' };
+};
+
+// Why a request can't be signed any more, or null while it can
+const requestProblem = (request, now = new Date()) => {
+  if (request.status !== "pending") return request.status;
+  if (request.expiresAt && request.expiresAt <= now) return "expired";
+  return null;
+};
+
+// The signer whose turn it is
+const currentSigner = (request) =>
+  request.signers.find((signer) => signer.status === "pending");
+
+// Give a signer a new link token; only its hash is kept
+const issueSignerToken = (signer) => {
+  const token = generateToken();
+  signer.tokenHash = hashToken(token);
+  signer.tokenPrefix = token.slice(0, 6);
+  return token;
+};
+
+const signUrl = (req, token) => `${publicBaseUrl(req)}/sign/${token}`;
+
+// Email a signer their link when mail is configured. Returns whether it
+// was sent; the owner can always hand the link over themselves.
+const notifySigner = async (req, request, signer, token) => {
+  if (!isMailConfigured()) return false;
+
+  const sender = request.requestedBy?.name || request.requestedBy?.email;
+  const title = request.document.title;
+  try {
+    await getTransport().sendMail({
+      from: mailFrom(),
+      replyTo: request.requestedBy?.email,
+      to: signer.email,
+      subject: `Please sign "${title}"`,
+      text: [
+        `${sender || "Someone"} asked you to sign the letter "${title}".`,
+        request.message,
+        `Review and sign it here:\n${signUrl(req, token)}`,
+        request.expiresAt &&
+          `The link works until ${request.expiresAt.toUTCString()}.`,
+      ]
+        .filter(Boolean)
+        .join("\n\n"),
+    });
+    signer.notifiedAt = new Date();
+    return true;
+  } catch (mailErr) {
+    console.error(`Error emailing signer ${signer.email}:`, mailErr);
+    return false;
+  }
+};
+
+// Record the current signer's signature and hand the request on to the next
+// signer. After the last one the request is completed and its final hash
+// set. Returns the next signer, or null when everyone has signed.
+const applySignature = (request, signer, signature, context) => {
+  signer.status = "signed";
+  signer.signature = signature;
+  signer.signedAt = new Date();
+  signer.via = context.via;
+  signer.userId = context.user?.uid;
+  signer.ip = context.ip;
+  signer.userAgent = context.userAgent;
+  signer.tokenHash = undefined;
+
+  const next = request.signers.find((s) => s.status === "waiting");
+  if (next) {
+    next.status = "pending";
+    return next;
+  }
+
+  request.status = "completed";
+  request.completedAt = signer.signedAt;
+  request.finalHash = finalHashOf(request);
+  return null;
+};
+
+// Lock the letter for good once a request is completed
+const lockAsSigned = (request) =>
+  Letter.updateOne(
+    { _id: request.letterId },
+    {
+      $set: {
+        lock: {
+          reason: "signed",
+          signatureRequestId: request._id,
+          lockedAt: request.completedAt,
+        },
+      },
+    }
+  );
+
+// Sign for `signer` and save, then either invite the next signer or lock the
+// letter for good. `context` is { via, user, ip, userAgent }. Saving throws
+// mongoose's VersionError if the request changed meanwhile, e.g. when the
+// same signature is submitted twice at once. Returns the next signer, or
+// null when everyone has signed.
+const submitSignature = async (req, request, signer, signature, context) => {
+  const next = applySignature(request, signer, signature, context);
+  if (!next) {
+    await request.save();
+    await lockAsSigned(request);
+    return null;
+  }
+
+  const token = issueSignerToken(next);
+  await request.save();
+  if (await notifySigner(req, request, next, token)) {
+    await request.save();
+  }
+  return next;
+};
+
+// Lock a letter for a new signature request, saving live edits first.
+// Returns the letter as it was locked, or null if it was already locked.
+const lockForSigning = async (letterId, signatureRequestId) => {
+  await setRoomLocked(letterId, true);
+  const letter = await Letter.findOneAndUpdate(
+    { _id: letterId, lock: null },
+    {
+      $set: {
+        lock: { reason: "signing", signatureRequestId, lockedAt: new Date() },
+      },
+    },
+    { new: true }
+  );
+  if (!letter) {
+    const current = await Letter.findById(letterId);
+    if (current && isEditable(current)) {
+      await setRoomLocked(letterId, false);
+    }
+  }
+  return letter;
+};
+
+// Let the letter be edited again after a request was cancelled, declined
+// or expired. Returns the letter, or null if the request no longer held
+// its lock.
+const unlockAfter = async (request) => {
+  const letter = await Letter.findOneAndUpdate(
+    { _id: request.letterId, "lock.signatureRequestId": request._id },
+    { $set: { lock: null } },
+    { new: true }
+  );
+  if (letter && isEditable(letter)) {
+    await setRoomLocked(request.letterId, false);
+  }
+  return letter;
+};
+
+// End a pending request whose expiresAt has passed, so its links stop
+// working and the letter can be edited again. Signatures already given
+// stay on record. Returns whether the request was expired now.
+const expireRequest = async (request, now = new Date()) => {
+  if (request.status !== "pending" || requestProblem(request, now) === null) {
+    return false;
+  }
+
+  request.status = "expired";
+  request.signers.forEach((signer) => {
+    signer.tokenHash = undefined;
+  });
+  await request.save();
+  const letter = await unlockAfter(request);
+  if (letter) {
+    await recordAudit(SYSTEM_CONTEXT, {
+      action: "letter.signature_expire",
+      letter,
+      target: {
+        type: "signature_request",
+        id: String(request._id),
+        label: request.document.title,
+      },
+      details: { requestId: request._id, expiresAt: request.expiresAt },
+    });
+  }
+  return true;
+};
+
+// End a request because `signer` declined, with an optional reason, and let
+// the letter be edited again
+const declineRequest = async (request, signer, reason) => {
+  signer.status = "declined";
+  signer.declinedAt = new Date();
+  signer.declineReason = reason ? String(reason).slice(0, 500) : undefined;
+  signer.tokenHash = undefined;
+  request.status = "declined";
+  await request.save();
+  await unlockAfter(request);
+};
+
+// Check a request against its hashes and the letter as it is now
+const verifyRequest = (request, letter) => {
+  const computedContentHash = hashDocument(request.document);
+  const computedFinalHash =
+    request.status === "completed" ? finalHashOf(request) : null;
+  const letterHash = letter
+    ? hashDocument({
+        title: letter.title,
+        content: letter.content,
+        doc: documentOf(letter),
+      })
+    : null;
+
+  const checks = {
+    completed: request.status === "completed",
+    contentIntact: computedContentHash === request.contentHash,
+    signaturesIntact:
+      !!request.finalHash && computedFinalHash === request.finalHash,
+    letterUnchanged: letterHash === request.contentHash,
+  };
+
+  return {
+    requestId: request._id,
+    letterId: request.letterId,
+    valid: Object.values(checks).every(Boolean),
+    checks,
+    contentHash: request.contentHash,
+    computedContentHash,
+    finalHash: request.finalHash || null,
+    computedFinalHash,
+    letterHash,
+    completedAt: request.completedAt || null,
+    signers: request.signers.map(signerRecord),
+  };
+};
+
+const describeSigner = (signer) => ({
+  email: signer.email,
+  order: signer.order,
+  status: signer.status,
+  notifiedAt: signer.notifiedAt || null,
+  signedAt: signer.signedAt || null,
+  via: signer.via || null,
+  signature: signer.signature || null,
+  ip: signer.ip || null,
+  userAgent: signer.userAgent || null,
+  declinedAt: signer.declinedAt || null,
+  declineReason: signer.declineReason || null,
+});
+
+// What clients see about a request (never token hashes). The signed
+// document itself is only included with `withDocument`.
+const describeRequest = (request, { withDocument = false } = {}) => ({
+  _id: request._id,
+  letterId: request.letterId,
+  title: request.document.title,
+  status: requestProblem(request) || "pending",
+  requestedBy: request.requestedBy,
+  message: request.message || null,
+  signers: request.signers.map(describeSigner),
+  contentHash: request.contentHash,
+  finalHash: request.finalHash || null,
+  expiresAt: request.expiresAt || null,
+  completedAt: request.completedAt || null,
+  cancelledBy: request.cancelledBy || null,
+  cancelledAt: request.cancelledAt || null,
+  createdAt: request.createdAt,
+  ...(withDocument && {
+    document: {
+      title: request.document.title,
+      content: request.document.content,
+      doc: request.document.doc,
+    },
+  }),
+});
+
+module.exports = {
+  hashDocument,
+  parseSignatureRequest,
+  parseSignature,
+  requestProblem,
+  currentSigner,
+  issueSignerToken,
+  signUrl,
+  notifySigner,
+  submitSignature,
+  lockForSigning,
+  unlockAfter,
+  expireRequest,
+  declineRequest,
+  verifyRequest,
+  describeRequest,
+};
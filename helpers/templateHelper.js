@@ -0,0 +1,108 @@
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w.]*)\s*\}\}/g;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Names of all {{placeholders}} used in a piece of text
+const extractPlaceholders = (text = "") => [
+  ...new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map((m) => m[1])),
+];
+
+// Check that every placeholder in the template has exactly one field
+// definition. Returns a list of problems (empty when the template is valid).
+const validateTemplate = ({ title, content, fields = [] }) => {
+  const errors = [];
+  const names = fields.map((f) => f.name);
+
+  names
+    .filter((name, i) => names.indexOf(name) !== i)
+    .forEach((name) => errors.push(`Field "${name}" is defined twice`));
+
+  [...extractPlaceholders(title), ...extractPlaceholders(content)]
+    .filter((name) => !names.includes(name))
+    .forEach((name) =>
+      errors.push(`Placeholder "{{${name}}}" has no field definition`)
+    );
+
+  return [...new Set(errors)];
+};
+
+// Turn one raw value into the text that goes into the letter
+const coerceValue = (field, raw) => {
+  const value = typeof raw === "string" ? raw.trim() : raw;
+
+  switch (field.type) {
+    case "number": {
+      const number = Number(value);
+      if (value === "" || !Number.isFinite(number)) {
+        throw new Error(`"${field.name}" must be a number`);
+      }
+      return String(number);
+    }
+    case "date": {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`"${field.name}" must be a valid date`);
+      }
+      return date.toISOString().slice(0, 10);
+    }
+    case "email":
+      if (!EMAIL_PATTERN.test(String(value))) {
+        throw new Error(`"${field.name}" must be an email address`);
+      }
+      return String(value);
+    case "boolean": {
+      const normalized = String(value).toLowerCase();
+      if (["true", "yes", "1"].includes(normalized)) return "Yes";
+      if (["false", "no", "0"].includes(normalized)) return "No";
+      throw new Error(`"${field.name}" must be yes/no or true/false`);
+    }
+    default:
+      return String(value);
+  }
+};
+
+// Validate and format the data for every field. Returns { values, errors }.
+const resolveValues = (fields, data = {}) => {
+  const values = {};
+  const errors = [];
+
+  fields.forEach((field) => {
+    let raw = data[field.name];
+    if (raw === undefined || raw === null || raw === "") {
+      raw = field.defaultValue;
+    }
+
+    if (raw === undefined || raw === null || raw === "") {
+      if (field.required) {
+        errors.push(`"${field.name}" is required`);
+      } else {
+        values[field.name] = "";
+      }
+      return;
+    }
+
+    try {
+      values[field.name] = coerceValue(field, raw);
+    } catch (err) {
+      errors.push(err.message);
+    }
+  });
+
+  return { values, errors };
+};
+
+const fill = (text, values) =>
+  text.replace(PLACEHOLDER_PATTERN, (match, name) =>
+    values[name] !== undefined ? values[name] : match
+  );
+
+// Render a template with the given data. Returns { title, content, errors }.
+const renderTemplate = (template, data) => {
+  const { values, errors } = resolveValues(template.fields || [], data);
+  return {
+    title: fill(template.title, values),
+    content: fill(template.content, values),
+    errors,
+  };
+};
+
+module.exports = { extractPlaceholders, validateTemplate, renderTemplate };
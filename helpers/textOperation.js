@@ -0,0 +1,189 @@
+const { diffChars } = require("diff");
+
+// Plain-text operational transformation.
+//
+// An operation is an array of components that walks the whole document:
+//   positive integer -> retain that many characters
+//   string           -> insert the string
+//   negative integer -> delete that many characters
+// e.g. [5, "abc", -2, 10] keeps 5 chars, inserts "abc", drops 2, keeps 10.
+
+const isRetain = (c) => typeof c === "number" && c > 0;
+const isDelete = (c) => typeof c === "number" && c < 0;
+const isInsert = (c) => typeof c === "string" && c.length > 0;
+
+// Append a component, merging it with the previous one where possible
+const push = (ops, component) => {
+  if (component === 0 || component === "") return;
+  const last = ops[ops.length - 1];
+
+  if (isRetain(component) && isRetain(last)) {
+    ops[ops.length - 1] = last + component;
+  } else if (isDelete(component) && isDelete(last)) {
+    ops[ops.length - 1] = last + component;
+  } else if (isInsert(component) && isInsert(last)) {
+    ops[ops.length - 1] = last + component;
+  } else if (isInsert(component) && isDelete(last)) {
+    // Keep inserts before deletes so equivalent operations look the same
+    const prev = ops[ops.length - 2];
+    if (isInsert(prev)) {
+      ops[ops.length - 2] = prev + component;
+    } else {
+      ops.splice(ops.length - 1, 0, component);
+    }
+  } else {
+    ops.push(component);
+  }
+};
+
+const normalize = (ops) => {
+  const result = [];
+  ops.forEach((component) => push(result, component));
+  return result;
+};
+
+// Validate untrusted input (e.g. from a socket) and return a normalized copy
+const parse = (ops) => {
+  if (!Array.isArray(ops)) {
+    throw new Error("Operation must be an array");
+  }
+  ops.forEach((component) => {
+    if (
+      !(typeof component === "string") &&
+      !(Number.isInteger(component) && component !== 0)
+    ) {
+      throw new Error("Invalid operation component");
+    }
+  });
+  return normalize(ops);
+};
+
+// Length of the document the operation applies to
+const baseLength = (ops) =>
+  ops.reduce((len, c) => (isInsert(c) ? len : len + Math.abs(c)), 0);
+
+// Length of the document after applying the operation
+const targetLength = (ops) =>
+  ops.reduce(
+    (len, c) => (isInsert(c) ? len + c.length : isRetain(c) ? len + c : len),
+    0
+  );
+
+const apply = (doc, ops) => {
+  if (baseLength(ops) !== doc.length) {
+    throw new Error("Operation length does not match the document");
+  }
+
+  let result = "";
+  let index = 0;
+  ops.forEach((c) => {
+    if (isRetain(c)) {
+      result += doc.slice(index, index + c);
+      index += c;
+    } else if (isInsert(c)) {
+      result += c;
+    } else {
+      index -= c;
+    }
+  });
+  return result;
+};
+
+// Given two operations made concurrently on the same document, return
+// [a', b'] such that apply(apply(doc, a), b') === apply(apply(doc, b), a').
+// When both insert at the same spot, a's insert goes first.
+const transform = (a, b) => {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new Error("Operations are not based on the same document");
+  }
+
+  const aPrime = [];
+  const bPrime = [];
+  let i = 0;
+  let j = 0;
+  let opA = a[i++];
+  let opB = b[j++];
+
+  while (opA !== undefined || opB !== undefined) {
+    if (isInsert(opA)) {
+      push(aPrime, opA);
+      push(bPrime, opA.length);
+      opA = a[i++];
+      continue;
+    }
+    if (isInsert(opB)) {
+      push(aPrime, opB.length);
+      push(bPrime, opB);
+      opB = b[j++];
+      continue;
+    }
+
+    let min;
+    if (isRetain(opA) && isRetain(opB)) {
+      min = Math.min(opA, opB);
+      push(aPrime, min);
+      push(bPrime, min);
+      opA = opA === min ? a[i++] : opA - min;
+      opB = opB === min ? b[j++] : opB - min;
+    } else if (isDelete(opA) && isDelete(opB)) {
+      // Both deleted the same text; nothing left to do on either side
+      min = Math.min(-opA, -opB);
+      opA = -opA === min ? a[i++] : opA + min;
+      opB = -opB === min ? b[j++] : opB + min;
+    } else if (isDelete(opA) && isRetain(opB)) {
+      min = Math.min(-opA, opB);
+      push(aPrime, -min);
+      opA = -opA === min ? a[i++] : opA + min;
+      opB = opB === min ? b[j++] : opB - min;
+    } else {
+      min = Math.min(opA, -opB);
+      push(bPrime, -min);
+      opA = opA === min ? a[i++] : opA - min;
+      opB = -opB === min ? b[j++] : opB + min;
+    }
+  }
+
+  return [aPrime, bPrime];
+};
+
+// Move a character index (cursor, selection end) through an operation.
+// Text inserted exactly at the index pushes it to the right.
+const transformIndex = (index, ops) => {
+  let remaining = index;
+  let newIndex = index;
+
+  for (const c of ops) {
+    if (remaining < 0) break;
+    if (isRetain(c)) {
+      remaining -= c;
+    } else if (isInsert(c)) {
+      newIndex += c.length;
+    } else {
+      newIndex -= Math.min(remaining, -c);
+      remaining += c;
+    }
+  }
+  return newIndex;
+};
+
+// Build an operation that turns one text into another, for changes that
+// arrive as whole documents (REST updates, revision restores)
+const fromDiff = (oldText, newText) =>
+  normalize(
+    diffChars(oldText, newText).map((part) => {
+      if (part.added) return part.value;
+      if (part.removed) return -part.value.length;
+      return part.value.length;
+    })
+  );
+
+module.exports = {
+  normalize,
+  parse,
+  apply,
+  transform,
+  transformIndex,
+  fromDiff,
+  baseLength,
+  targetLength,
+};
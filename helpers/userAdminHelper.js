@@ -0,0 +1,322 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Letter = require("../models/Letter");
+const ShareLink = require("../models/ShareLink");
+const Job = require("../models/Job");
+const { describeUser, isDisabled, revokeSession } = require("./authHelper");
+const { isDriveConnected } = require("./driveConnectionHelper");
+const { findCollaborator } = require("./letterAccess");
+const { enqueueJob } = require("./jobHelper");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+// Users listed in GET /admin/stats as owning the most letters
+const TOP_USERS = 10;
+const ACTIVE_DAYS = 30;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Validate user search parameters into a Mongo filter:
+//   q       part of an email or name, or an exact uid or user ID
+//   role    admin or user
+//   status  active or disabled
+//   limit   page size, 1-200 (default 50)
+//   cursor  nextCursor from the previous page
+// Returns { filter, limit, cursor } or { error }.
+const parseUserQuery = (query = {}) => {
+  const filter = {};
+
+  if (query.q) {
+    const q = String(query.q).trim();
+    const pattern = new RegExp(escapeRegExp(q), "i");
+    filter.$or = [{ email: pattern }, { name: pattern }, { uid: q }];
+    if (mongoose.isValidObjectId(q)) {
+      filter.$or.push({ _id: q });
+    }
+  }
+
+  if (query.role) {
+    if (!User.ROLES.includes(query.role)) {
+      return { error: `Role must be one of: ${User.ROLES.join(", ")}` };
+    }
+    filter.role = query.role;
+  }
+
+  if (query.status) {
+    if (!["active", "disabled"].includes(query.status)) {
+      return { error: "Status must be active or disabled" };
+    }
+    filter.disabledAt = query.status === "disabled" ? { $ne: null } : null;
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `Limit must be a whole number from 1 to ${MAX_LIMIT}` };
+  }
+
+  // Users are listed newest first; the cursor is the last user's _id
+  if (query.cursor && !mongoose.isValidObjectId(query.cursor)) {
+    return { error: "Invalid cursor" };
+  }
+
+  return { filter, limit, cursor: query.cursor };
+};
+
+// Letter and share counts for each of `users`, keyed by uid:
+//   letters        letters they own, including those in the trash
+//   trashed        of those, the ones in the trash
+//   sharesGiven    collaborators on the letters they own
+//   sharedWithThem letters they are a collaborator on
+const letterCountsFor = async (users) => {
+  const uids = users.map((user) => user.uid);
+  const emails = users.map((user) => user.email).filter(Boolean);
+
+  const [owned, shared] = await Promise.all([
+    Letter.aggregate([
+      { $match: { userId: { $in: uids } } },
+      {
+        $group: {
+          _id: "$userId",
+          letters: { $sum: 1 },
+          trashed: {
+            $sum: {
+              $cond: [{ $ne: [{ $ifNull: ["$deletedAt", null] }, null] }, 1, 0],
+            },
+          },
+          sharesGiven: { $sum: { $size: { $ifNull: ["$collaborators", []] } } },
+        },
+      },
+    ]),
+    Letter.aggregate([
+      { $match: { "collaborators.email": { $in: emails } } },
+      { $unwind: "$collaborators" },
+      { $match: { "collaborators.email": { $in: emails } } },
+      { $group: { _id: "$collaborators.email", letters: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const ownedByUid = new Map(owned.map((row) => [row._id, row]));
+  const sharedByEmail = new Map(shared.map((row) => [row._id, row.letters]));
+  return new Map(
+    users.map((user) => {
+      const row = ownedByUid.get(user.uid);
+      return [
+        user.uid,
+        {
+          letters: row?.letters || 0,
+          trashed: row?.trashed || 0,
+          sharesGiven: row?.sharesGiven || 0,
+          sharedWithThem: sharedByEmail.get(user.email) || 0,
+        },
+      ];
+    })
+  );
+};
+
+// What the admin API returns for a user
+const describeUserForAdmin = (user, counts) => ({
+  ...describeUser(user),
+  createdAt: user.createdAt,
+  lastLoginAt: user.lastLoginAt || null,
+  driveConnected: isDriveConnected(user),
+  disabled: isDisabled(user),
+  disabledAt: user.disabledAt || null,
+  disabledBy: user.disabledBy || null,
+  disabledReason: user.disabledReason || null,
+  counts,
+});
+
+// One page of users with their letter counts, newest first. Returns
+// { users, nextCursor }.
+const listUsers = async (filter, { limit, cursor }) => {
+  const query = cursor ? { ...filter, _id: { $lt: cursor } } : filter;
+  const docs = await User.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1);
+
+  const users = docs.slice(0, limit);
+  const counts = await letterCountsFor(users);
+  return {
+    users: users.map((user) =>
+      describeUserForAdmin(user, counts.get(user.uid))
+    ),
+    nextCursor:
+      docs.length > limit ? String(users[users.length - 1]._id) : null,
+  };
+};
+
+// A user by their _id or uid, or null
+const findUserByIdOrUid = (id) =>
+  mongoose.isValidObjectId(id)
+    ? User.findOne({ $or: [{ _id: id }, { uid: id }] })
+    : User.findByUid(id);
+
+// True if `user` is the only admin whose account isn't disabled, so
+// demoting or disabling them would leave no one to run the admin API
+const isLastAdmin = async (user) => {
+  if (user.role !== "admin" || isDisabled(user)) return false;
+  const others = await User.countDocuments({
+    _id: { $ne: user._id },
+    role: "admin",
+    disabledAt: null,
+  });
+  return others === 0;
+};
+
+// Stop a user signing in and end all their sessions. `admin` is the admin's
+// User record.
+const disableUser = async (user, admin, reason) => {
+  user.disabledAt = new Date();
+  user.disabledBy = admin.email;
+  user.disabledReason = reason || undefined;
+  await user.save();
+  await revokeSession({ userId: user._id }, "account disabled");
+  return user;
+};
+
+const enableUser = async (user) => {
+  user.disabledAt = undefined;
+  user.disabledBy = undefined;
+  user.disabledReason = undefined;
+  await user.save();
+  return user;
+};
+
+// Make `to` the owner of `from`'s letters: all of them, or just those in
+// `letterIds`, trashed ones included. With `keepAccess` the previous owner
+// stays on as an editor. Letters leave the previous owner's folders, and
+// jobs give the new owner access to the stored copies and move them into
+// the new owner's Letters folder. Quotas don't apply; admins may take a
+// user over them. `authUser` is the admin's decoded token. Returns the
+// letters that were transferred.
+const transferLetters = async (from, to, authUser, options = {}) => {
+  const { letterIds, keepAccess = false } = options;
+  const filter = { userId: from.uid };
+  if (letterIds) {
+    filter._id = { $in: letterIds };
+  }
+
+  const letters = await Letter.find(filter);
+  for (const letter of letters) {
+    // The new owner no longer needs to be a collaborator
+    letter.collaborators = (letter.collaborators || []).filter(
+      (c) => c.email !== to.email
+    );
+    if (keepAccess && from.email && !findCollaborator(letter, from.email)) {
+      letter.collaborators.push({
+        email: from.email,
+        role: "editor",
+        addedBy: authUser.email,
+      });
+    }
+    letter.userId = to.uid;
+    letter.folderId = null;
+    await letter.save();
+
+    // Queued in this order, so the new owner has access before the old
+    // one loses it
+    const jobOptions = { letter, user: authUser };
+    if (to.email) {
+      await enqueueJob("upload", {
+        ...jobOptions,
+        payload: { ownerEmail: to.email },
+      });
+    }
+    if (from.email) {
+      await enqueueJob(keepAccess ? "share" : "unshare", {
+        ...jobOptions,
+        payload: { email: from.email },
+      });
+    }
+    await enqueueJob("move", jobOptions);
+  }
+  return letters;
+};
+
+// Counts across the whole system for GET /admin/stats
+const systemStats = async () => {
+  const now = new Date();
+  const activeSince = new Date(now.getTime() - ACTIVE_DAYS * 86400000);
+
+  const [
+    users,
+    admins,
+    disabled,
+    activeUsers,
+    letters,
+    trashed,
+    sharedLetters,
+    shares,
+    shareLinks,
+    jobs,
+    topOwners,
+  ] = await Promise.all([
+    User.countDocuments(),
+    User.countDocuments({ role: "admin" }),
+    User.countDocuments({ disabledAt: { $ne: null } }),
+    User.countDocuments({ lastLoginAt: { $gte: activeSince } }),
+    Letter.countDocuments(),
+    Letter.countDocuments({ deletedAt: { $ne: null } }),
+    Letter.countDocuments({ "collaborators.0": { $exists: true } }),
+    Letter.aggregate([
+      {
+        $group: {
+          _id: null,
+          count: { $sum: { $size: { $ifNull: ["$collaborators", []] } } },
+        },
+      },
+    ]),
+    ShareLink.countDocuments({
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+    }),
+    Job.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    Letter.aggregate([
+      { $group: { _id: "$userId", letters: { $sum: 1 } } },
+      { $sort: { letters: -1 } },
+      { $limit: TOP_USERS },
+    ]),
+  ]);
+
+  // Name the top owners, with their share counts
+  const owners = await User.find({
+    uid: { $in: topOwners.map((row) => row._id) },
+  });
+  const counts = await letterCountsFor(owners);
+  const ownersByUid = new Map(owners.map((user) => [user.uid, user]));
+
+  return {
+    users: { total: users, admins, disabled, activeLast30Days: activeUsers },
+    letters: { total: letters, trashed, shared: sharedLetters },
+    shares: { collaborators: shares[0]?.count || 0, activeLinks: shareLinks },
+    jobs: Object.fromEntries(
+      Job.STATUSES.map((status) => [
+        status,
+        jobs.find((row) => row._id === status)?.count || 0,
+      ])
+    ),
+    topOwners: topOwners.map((row) => {
+      const user = ownersByUid.get(row._id);
+      return {
+        uid: row._id,
+        id: user ? user._id : null,
+        email: user ? user.email : null,
+        name: user ? user.name : null,
+        ...(counts.get(row._id) || { letters: row.letters }),
+      };
+    }),
+  };
+};
+
+module.exports = {
+  parseUserQuery,
+  letterCountsFor,
+  describeUserForAdmin,
+  listUsers,
+  findUserByIdOrUid,
+  isLastAdmin,
+  disableUser,
+  enableUser,
+  transferLetters,
+  systemStats,
+};
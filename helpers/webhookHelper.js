@@ -0,0 +1,655 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const mongoose = require("mongoose");
+const Webhook = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const User = require("../models/User");
+const { canAccessLetter } = require("./letterAccess");
+const { backoffDelay } = require("./jobHelper");
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+// Private and loopback addresses are refused unless this is set, so
+// webhooks can't be pointed at internal services. Set it only to test
+// against a local receiver (scripts/webhookReceiver.js).
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+const SIGNATURE_HEADER = "X-DocumentMe-Signature";
+const USER_AGENT = "DocumentMe-Webhooks/1.0";
+
+// Audit actions (see models/AuditLog.js) that are sent to webhooks, and the
+// event each is sent as
+const EVENT_FOR_ACTION = {
+  "letter.create": "letter.created",
+  "letter.update": "letter.updated",
+  "letter.share": "letter.shared",
+  "letter.permission_change": "letter.shared",
+  "letter.unshare": "letter.unshared",
+  "letter.delete": "letter.deleted",
+  "letter.restore": "letter.restored",
+  "letter.purge": "letter.purged",
+  "letter.email_send": "letter.sent",
+  "letter.transfer": "letter.transferred",
+};
+
+// Called whenever a delivery is queued so a dispatcher in this process can
+// send it without waiting for its next poll (see jobs/webhookDispatcher.js)
+let wakeDispatcher = null;
+const setWebhookWakeUp = (fn) => {
+  wakeDispatcher = fn;
+};
+
+const generateSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+
+// The signature header value for a body sent at `timestamp` (Unix seconds).
+// Receivers recompute the HMAC over "timestamp.body" with their secret and
+// compare; the timestamp lets them turn away old requests.
+const signPayload = (secret, timestamp, body) =>
+  `t=${timestamp},v1=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+// Check a signature header the way a receiver should. Used by
+// scripts/webhookReceiver.js; `toleranceSeconds` bounds the timestamp's age.
+const verifySignature = (
+  secret,
+  header,
+  body,
+  { toleranceSeconds = 5 * 60, now = Date.now() } = {}
+) => {
+  const timestamp = Number(/(?:^|,)t=(\d+)/.exec(header || "")?.[1]);
+  if (!timestamp || Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(String(header));
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+// Addresses webhooks may not reach: this machine, private networks
+// (including carrier-grade NAT), link-local (e.g. cloud metadata services),
+// reserved, documentation and multicast ranges, and IPv6 ranges that carry
+// or translate to IPv4 addresses we can't check here (6to4, Teredo,
+// local-use NAT64 and SIIT)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 3], // Multicast and reserved, up to 255.255.255.255
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 96], // Unspecified, loopback and IPv4-compatible
+  ["::ffff:0:0:0", 96], // IPv4-translated (SIIT)
+  ["64:ff9b:1::", 48], // Local-use NAT64
+  ["100::", 64],
+  ["2001::", 32], // Teredo
+  ["2001:2::", 48],
+  ["2001:db8::", 32],
+  ["2002::", 16], // 6to4
+  ["3fff::", 20],
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8], // Multicast
+].forEach(([address, prefix]) =>
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6")
+);
+
+// The eight 16-bit groups of an IPv6 address
+const ipv6Groups = (address) => {
+  let text = address;
+  // A trailing dotted IPv4 part, as in ::ffff:127.0.0.1, is two groups
+  const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    const group = (high, low) => ((high << 8) | low).toString(16);
+    text = `${text.slice(0, dotted.index)}${group(a, b)}:${group(c, d)}`;
+  }
+  const [head, tail] = text.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const groups =
+    tail === undefined
+      ? headGroups
+      : [
+          ...headGroups,
+          ...Array(8 - headGroups.length - tailGroups.length).fill("0"),
+          ...tailGroups,
+        ];
+  return groups.map((group) => parseInt(group, 16));
+};
+
+// The IPv4 address an IPv6 address stands for (IPv4-mapped ::ffff:0:0/96
+// or NAT64 64:ff9b::/96), or null
+const embeddedIPv4 = (address) => {
+  const groups = ipv6Groups(address);
+  const mapped =
+    groups.slice(0, 5).every((group) => group === 0) && groups[5] === 0xffff;
+  const nat64 =
+    groups[0] === 0x64 &&
+    groups[1] === 0xff9b &&
+    groups.slice(2, 6).every((group) => group === 0);
+  if (!mapped && !nat64) return null;
+  return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff]
+    .map(String)
+    .join(".");
+};
+
+// True for an IP address webhooks may not reach (see BLOCKED_ADDRESSES)
+const isPrivateAddress = (address) => {
+  const ip = String(address).replace(/%.*$/, ""); // No IPv6 zone
+  const family = net.isIP(ip);
+  if (family === 4) {
+    return BLOCKED_ADDRESSES.check(ip, "ipv4");
+  }
+  if (family === 6) {
+    const ipv4 = embeddedIPv4(ip);
+    return ipv4
+      ? BLOCKED_ADDRESSES.check(ipv4, "ipv4")
+      : BLOCKED_ADDRESSES.check(ip, "ipv6");
+  }
+  return false;
+};
+
+// Hostnames that are, or by their name point at, a blocked address. Other
+// names are only checked once resolved, when a delivery is sent (see
+// publicLookup).
+const isPrivateHost = (hostname) => {
+  const host = hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (net.isIP(host)) {
+    return isPrivateAddress(host);
+  }
+  return (
+    host === "localhost" ||
+    host.endsWith(".localhost") ||
+    host.endsWith(".internal")
+  );
+};
+
+// A `lookup` for http(s).request that refuses hostnames resolving to a
+// blocked address. Checking what is actually connected to, rather than the
+// URL, also stops names that resolve differently later (DNS rebinding).
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(
+        Object.assign(new Error(`${hostname} resolves to a private address`), {
+          code: "EPRIVATEADDRESS",
+        })
+      );
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+};
+
+// Validate a webhook URL. Returns { url } or { error }.
+const parseWebhookUrl = (value) => {
+  let url;
+  try {
+    url = new URL(String(value || ""));
+  } catch (parseErr) {
+    return { error: "url must be a valid URL" };
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return { error: "url must be an http or https URL" };
+  }
+  if (url.username || url.password) {
+    return { error: "url must not contain credentials" };
+  }
+  if (!ALLOW_PRIVATE_URLS) {
+    if (url.protocol !== "https:") {
+      return { error: "url must use https" };
+    }
+    if (isPrivateHost(url.hostname)) {
+      return { error: "url must not point at a private address" };
+    }
+  }
+  return { url: url.toString() };
+};
+
+// Validate the body of POST /webhooks (or, with `partial`, PATCH):
+//   url          where to send deliveries
+//   events       list of event names, or ["*"] for all
+//   description  optional note
+//   active       false pauses deliveries
+//   allLetters   every letter's events, not just the caller's; admins only
+// Returns { fields } or { error }.
+const parseWebhookInput = (body = {}, { partial = false } = {}) => {
+  const fields = {};
+
+  if (body.url !== undefined || !partial) {
+    const { url, error } = parseWebhookUrl(body.url);
+    if (error) return { error };
+    fields.url = url;
+  }
+
+  if (body.events !== undefined || !partial) {
+    const events = body.events;
+    if (!Array.isArray(events) || events.length === 0) {
+      return { error: "events must be a non-empty list" };
+    }
+    const unknown = events.filter(
+      (event) => event !== "*" && !Webhook.EVENTS.includes(event)
+    );
+    if (unknown.length > 0) {
+      return { error: `Unknown event: ${unknown.join(", ")}` };
+    }
+    fields.events = [...new Set(events)];
+  }
+
+  if (body.description !== undefined) {
+    fields.description = String(body.description).trim().slice(0, 200);
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== "boolean") {
+      return { error: "active must be true or false" };
+    }
+    fields.active = body.active;
+  }
+
+  if (body.allLetters !== undefined) {
+    if (typeof body.allLetters !== "boolean") {
+      return { error: "allLetters must be true or false" };
+    }
+    fields.allLetters = body.allLetters;
+  }
+
+  return { fields };
+};
+
+// What the API returns for a webhook. The secret is only included right
+// after it is made (on create and rotate).
+const describeWebhook = (webhook, { withSecret = false } = {}) => ({
+  _id: webhook._id,
+  url: webhook.url,
+  description: webhook.description || null,
+  events: webhook.events,
+  allLetters: webhook.allLetters,
+  active: webhook.active,
+  owner: webhook.owner,
+  ...(withSecret && { secret: webhook.secret }),
+  lastDeliveryAt: webhook.lastDeliveryAt || null,
+  lastDeliveryStatus: webhook.lastDeliveryStatus || null,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt,
+});
+
+// What the API returns for a delivery; `withPayload` adds the body sent
+const describeDelivery = (delivery, { withPayload = false } = {}) => ({
+  _id: delivery._id,
+  webhookId: delivery.webhookId,
+  event: delivery.event,
+  eventId: delivery.eventId,
+  letterId: delivery.letterId || null,
+  status: delivery.status,
+  // Field by field, so nothing else a receiver sent back is shown
+  attempts: delivery.attempts.map((attempt) => ({
+    at: attempt.at,
+    statusCode: attempt.statusCode ?? null,
+    durationMs: attempt.durationMs,
+    error: attempt.error || null,
+  })),
+  maxAttempts: delivery.maxAttempts,
+  nextAttemptAt: delivery.status === "pending" ? delivery.runAt : null,
+  replayOf: delivery.replayOf || null,
+  requestedBy: delivery.requestedBy || null,
+  ...(withPayload && { payload: JSON.parse(delivery.payload) }),
+  createdAt: delivery.createdAt,
+  finishedAt: delivery.finishedAt || null,
+});
+
+// Validate delivery list parameters: status, limit (1-100, default 20) and
+// cursor (nextCursor from the previous page). Returns
+// { filter, limit, cursor } or { error }.
+const parseDeliveryQuery = (query = {}) => {
+  const filter = {};
+  if (query.status) {
+    if (!WebhookDelivery.STATUSES.includes(query.status)) {
+      return {
+        error: `Status must be one of: ${WebhookDelivery.STATUSES.join(", ")}`,
+      };
+    }
+    filter.status = query.status;
+  }
+
+  const limit = query.limit === undefined ? 20 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return { error: "Limit must be a whole number from 1 to 100" };
+  }
+
+  if (query.cursor && !mongoose.isValidObjectId(query.cursor)) {
+    return { error: "Invalid cursor" };
+  }
+  return { filter, limit, cursor: query.cursor };
+};
+
+// One page of a webhook's deliveries, newest first. Returns
+// { deliveries, nextCursor }.
+const listDeliveries = async (webhook, { filter, limit, cursor }) => {
+  const query = { ...filter, webhookId: webhook._id };
+  if (cursor) {
+    query._id = { $lt: cursor };
+  }
+  const docs = await WebhookDelivery.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1);
+
+  const deliveries = docs.slice(0, limit);
+  return {
+    deliveries: deliveries.map((delivery) => describeDelivery(delivery)),
+    nextCursor:
+      docs.length > limit
+        ? String(deliveries[deliveries.length - 1]._id)
+        : null,
+  };
+};
+
+// The letter as event payloads show it. The content itself isn't sent;
+// receivers with access can fetch it from the API.
+const summarizeLetterForEvent = (letter) => ({
+  id: String(letter._id),
+  title: letter.title,
+  ownerId: letter.userId,
+  status: letter.status,
+  folderId: letter.folderId || null,
+  tags: letter.tags || [],
+  collaborators: (letter.collaborators || []).map((c) => ({
+    email: c.email,
+    role: c.role,
+  })),
+  revision: letter.currentRevision,
+  deletedAt: letter.deletedAt || null,
+  createdAt: letter.createdAt,
+  updatedAt: letter.updatedAt,
+});
+
+const buildPayload = (event, { actor, letter, data }) => ({
+  id: crypto.randomUUID(),
+  event,
+  createdAt: new Date().toISOString(),
+  actor: actor
+    ? { id: actor.uid || actor.id, email: actor.email, name: actor.name }
+    : null,
+  letter: letter ? summarizeLetterForEvent(letter) : null,
+  data: data || {},
+});
+
+// Active webhooks that should hear about `event` on `letter`: those whose
+// owner can see the letter, and admins' allLetters webhooks. Owners whose
+// account is disabled, or who are no longer admins, are skipped.
+const webhooksFor = async (event, letter) => {
+  const emails = (letter.collaborators || []).map((c) => c.email);
+  const candidates = await Webhook.find({
+    active: true,
+    events: { $in: [event, "*"] },
+    $or: [
+      { allLetters: true },
+      { "owner.id": letter.userId },
+      { "owner.email": { $in: emails } },
+    ],
+  });
+  if (candidates.length === 0) return [];
+
+  const owners = await User.find({
+    uid: { $in: [...new Set(candidates.map((hook) => hook.owner.id))] },
+    disabledAt: null,
+  });
+  const ownersByUid = new Map(owners.map((user) => [user.uid, user]));
+
+  return candidates.filter((hook) => {
+    const owner = ownersByUid.get(hook.owner.id);
+    if (!owner) return false;
+    if (hook.allLetters && owner.role === "admin") return true;
+    return canAccessLetter(letter, {
+      uid: owner.uid,
+      email: owner.email,
+      emailVerified: owner.emailVerified,
+    });
+  });
+};
+
+// Queue a delivery of `payload` to each of `webhooks`
+const queueDeliveries = async (webhooks, payload) => {
+  if (webhooks.length === 0) return [];
+
+  const body = JSON.stringify(payload);
+  const deliveries = await WebhookDelivery.insertMany(
+    webhooks.map((hook) => ({
+      webhookId: hook._id,
+      event: payload.event,
+      eventId: payload.id,
+      letterId: payload.letter ? payload.letter.id : undefined,
+      payload: body,
+      maxAttempts: MAX_ATTEMPTS,
+    }))
+  );
+  if (wakeDispatcher) wakeDispatcher();
+  return deliveries;
+};
+
+// Send an audited letter action to the webhooks subscribed to it. Called by
+// recordAudit, so every action that is audited reaches webhooks too. Like
+// auditing, this must never break the action, so failures are only logged.
+const queueLetterEvent = async (
+  action,
+  { user, letter, before, after, details }
+) => {
+  const event = EVENT_FOR_ACTION[action];
+  // Failed and scheduled sends aren't "sent" yet
+  if (!event || !letter) return;
+  if (action === "letter.email_send" && details?.status !== "sent") return;
+
+  try {
+    const webhooks = await webhooksFor(event, letter);
+    const payload = buildPayload(event, {
+      actor: user,
+      letter,
+      data: { before, after, details },
+    });
+    await queueDeliveries(webhooks, payload);
+  } catch (err) {
+    console.error(`Error queueing webhooks for ${action}:`, err);
+  }
+};
+
+// POST `body` to a webhook URL and resolve to the response's status code.
+// Redirects aren't followed, since they could lead anywhere. Unless
+// ALLOW_PRIVATE_URLS, blocked addresses are refused whether the URL names
+// them or its hostname resolves to them. The response body is never read.
+const postToWebhook = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (!ALLOW_PRIVATE_URLS && isPrivateHost(target.hostname)) {
+      return reject(new Error("The URL points at a private address"));
+    }
+
+    const client = target.protocol === "https:" ? https : http;
+    const request = client.request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: ALLOW_PRIVATE_URLS ? undefined : publicLookup,
+      },
+      (response) => {
+        clearTimeout(timer);
+        response.destroy();
+        resolve(response.statusCode);
+      }
+    );
+    const timer = setTimeout(
+      () => request.destroy(new Error(`No response within ${TIMEOUT_MS} ms`)),
+      TIMEOUT_MS
+    );
+    request.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    request.end(body);
+  });
+
+// Make one attempt at a delivery that has been claimed (status "sending"):
+// POST the payload, log the attempt, and mark it succeeded, pending another
+// attempt, or failed. Returns the updated delivery.
+const attemptDelivery = async (delivery, webhook) => {
+  const startedAt = Date.now();
+  const attempt = { at: new Date(startedAt) };
+
+  if (!webhook || !webhook.active) {
+    attempt.error = webhook
+      ? "The webhook is paused"
+      : "The webhook was deleted";
+  } else {
+    const timestamp = Math.floor(startedAt / 1000);
+    try {
+      attempt.statusCode = await postToWebhook(
+        webhook.url,
+        {
+          "Content-Type": "application/json",
+          "User-Agent": USER_AGENT,
+          "X-DocumentMe-Event": delivery.event,
+          "X-DocumentMe-Delivery": String(delivery._id),
+          [SIGNATURE_HEADER]: signPayload(
+            webhook.secret,
+            timestamp,
+            delivery.payload
+          ),
+        },
+        delivery.payload
+      );
+      if (attempt.statusCode < 200 || attempt.statusCode >= 300) {
+        attempt.error = `Responded with ${attempt.statusCode}`;
+      }
+    } catch (err) {
+      attempt.error = err.message;
+    }
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  const succeeded = !attempt.error;
+  // A paused or deleted webhook gets no more attempts; replay it later
+  const finished =
+    succeeded ||
+    !webhook ||
+    !webhook.active ||
+    delivery.attempts.length + 1 >= delivery.maxAttempts;
+  const now = new Date();
+  const update = {
+    $set: { lockedAt: null },
+    $push: { attempts: attempt },
+  };
+  if (finished) {
+    update.$set.status = succeeded ? "succeeded" : "failed";
+    update.$set.finishedAt = now;
+  } else {
+    update.$set.status = "pending";
+    update.$set.runAt = new Date(
+      now.getTime() + backoffDelay(delivery.attempts.length + 1)
+    );
+  }
+
+  const updated = await WebhookDelivery.findByIdAndUpdate(
+    delivery._id,
+    update,
+    { new: true }
+  );
+  if (webhook && finished) {
+    await Webhook.updateOne(
+      { _id: webhook._id },
+      {
+        $set: {
+          lastDeliveryAt: now,
+          lastDeliveryStatus: updated.status,
+        },
+      }
+    );
+  }
+  return updated;
+};
+
+// Send a "ping" event to a webhook right away, once, so its owner can check
+// the endpoint and their signature checks. Returns the finished delivery.
+const sendPing = async (webhook, user) => {
+  const payload = buildPayload("ping", {
+    actor: user,
+    data: { webhookId: String(webhook._id) },
+  });
+  const [delivery] = await WebhookDelivery.insertMany([
+    {
+      webhookId: webhook._id,
+      event: payload.event,
+      eventId: payload.id,
+      payload: JSON.stringify(payload),
+      maxAttempts: 1,
+      requestedBy: user.email,
+      // Claimed from the start so the dispatcher leaves it alone
+      status: "sending",
+      lockedAt: new Date(),
+    },
+  ]);
+  return attemptDelivery(delivery, webhook);
+};
+
+// Send a delivery's payload again, as a new delivery with its own attempts.
+// The body (and its event ID) is unchanged.
+const replayDelivery = async (delivery, webhook, user) => {
+  const [replay] = await WebhookDelivery.insertMany([
+    {
+      webhookId: webhook._id,
+      event: delivery.event,
+      eventId: delivery.eventId,
+      letterId: delivery.letterId,
+      payload: delivery.payload,
+      maxAttempts: MAX_ATTEMPTS,
+      replayOf: delivery._id,
+      requestedBy: user.email,
+    },
+  ]);
+  if (wakeDispatcher) wakeDispatcher();
+  return replay;
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  setWebhookWakeUp,
+  generateSecret,
+  signPayload,
+  verifySignature,
+  isPrivateAddress,
+  parseWebhookUrl,
+  parseWebhookInput,
+  describeWebhook,
+  describeDelivery,
+  parseDeliveryQuery,
+  listDeliveries,
+  queueLetterEvent,
+  attemptDelivery,
+  sendPing,
+  replayDelivery,
+};
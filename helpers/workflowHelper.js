@@ -0,0 +1,202 @@
+const Letter = require("../models/Letter");
+const LetterTransition = require("../models/LetterTransition");
+const workflow = require("../config/workflow");
+const {
+  getLetterRole,
+  hasRole,
+  findCollaborator,
+  verifiedEmail,
+} = require("./letterAccess");
+const { parseAddresses } = require("./emailHelper");
+
+const MAX_APPROVERS = 20;
+
+// Letters saved before the workflow have no status
+const statusOf = (letter) => letter.status || workflow.initial;
+
+// A filter matching letters in `status`, including those without one
+const statusFilter = (status) =>
+  status === workflow.initial ? { $in: [status, null] } : status;
+
+// Why the letter's content can't be changed right now, as an HTTP status and
+// response body, or null when it can
+const editBlock = (letter) => {
+  if (letter.lock) {
+    return {
+      status: 423,
+      body: {
+        message:
+          letter.lock.reason === "signed"
+            ? "This letter has been signed and can no longer be edited"
+            : "This letter is locked while it is out for signature",
+        lock: letter.lock,
+      },
+    };
+  }
+
+  const status = statusOf(letter);
+  if (!workflow.editable.includes(status)) {
+    return {
+      status: 409,
+      body: {
+        message: `Only letters in ${workflow.editable.join(
+          " or "
+        )} can be edited; this one is ${status}`,
+        status,
+      },
+    };
+  }
+  return null;
+};
+
+const isEditable = (letter) => !editBlock(letter);
+
+// Named approvers (by verified email), or the owner when the letter has
+// none
+const isApprover = (letter, user) => {
+  if (letter.approvers.length === 0) {
+    return getLetterRole(letter, user) === "owner";
+  }
+  const email = verifiedEmail(user);
+  return !!email && letter.approvers.includes(email);
+};
+
+const mayTake = (action, letter, user) =>
+  action.roles.some((role) =>
+    role === "approver"
+      ? isApprover(letter, user)
+      : hasRole(getLetterRole(letter, user), role)
+  );
+
+// The actions `user` can take on the letter as it is now
+const availableActions = (letter, user) =>
+  Object.entries(workflow.actions)
+    .filter(
+      ([, action]) =>
+        action.from.includes(statusOf(letter)) && mayTake(action, letter, user)
+    )
+    .map(([name]) => name);
+
+// Validate the body of PUT /letters/:id/workflow/approvers:
+//   approvers  emails, as an array or comma-separated; each must be the
+//              owner or a collaborator on the letter
+// Returns { approvers } or { error }.
+const parseApprovers = (body, letter, owner) => {
+  const { addresses, error } = parseAddresses(body.approvers, "approvers");
+  if (error) {
+    return { error };
+  }
+  if (addresses.length > MAX_APPROVERS) {
+    return { error: `A letter can have at most ${MAX_APPROVERS} approvers` };
+  }
+
+  const ownerEmail = (owner.email || "").toLowerCase();
+  const outsiders = addresses.filter(
+    (email) => email !== ownerEmail && !findCollaborator(letter, email)
+  );
+  if (outsiders.length > 0) {
+    return {
+      error: `Approvers must have access to the letter: ${outsiders.join(
+        ", "
+      )}`,
+    };
+  }
+  return { approvers: addresses };
+};
+
+// States where approvals are being collected
+const reviewStates = () => workflow.actions.approve?.from || [];
+
+const isInReview = (letter) => reviewStates().includes(statusOf(letter));
+
+// Take workflow action `name` on the letter for `user`. The status only
+// changes if nobody else changed it first. Returns { letter, transition }
+// with the updated letter, or { status, error }.
+const takeAction = async (letter, name, user, { reason } = {}) => {
+  const action = Object.prototype.hasOwnProperty.call(workflow.actions, name)
+    ? workflow.actions[name]
+    : null;
+  if (!action) {
+    return { status: 404, error: `Unknown workflow action: ${name}` };
+  }
+
+  const from = statusOf(letter);
+  if (!action.from.includes(from)) {
+    return { status: 409, error: `Can't ${name} a letter that is ${from}` };
+  }
+  if (!mayTake(action, letter, user)) {
+    return { status: 403, error: `You are not allowed to ${name} this letter` };
+  }
+
+  const why = typeof reason === "string" ? reason.trim().slice(0, 1000) : "";
+  if (action.requiresReason && !why) {
+    return { status: 400, error: `A reason is required to ${name} a letter` };
+  }
+
+  const email = verifiedEmail(user);
+  const filter = { _id: letter._id, status: statusFilter(from) };
+  let update = { $set: { status: action.to } };
+
+  if (name === "approve" && letter.approvers.length > 0) {
+    // Each named approver approves once; the letter moves on with the last
+    if (letter.approvals.some((approval) => approval.email === email)) {
+      return { status: 409, error: "You have already approved this letter" };
+    }
+    filter["approvals.email"] = { $ne: email };
+    update = { $push: { approvals: { email, at: new Date() } } };
+  } else if (
+    reviewStates().includes(action.to) ||
+    workflow.editable.includes(action.to)
+  ) {
+    // Going back for (another) review starts the approvals afresh
+    update.$set.approvals = [];
+  }
+
+  let updated = await Letter.findOneAndUpdate(filter, update, { new: true });
+  if (!updated) {
+    return {
+      status: 409,
+      error: "The letter's status changed meanwhile; reload and try again",
+    };
+  }
+
+  let to = statusOf(updated);
+  if (update.$push) {
+    const approved = new Set(updated.approvals.map((a) => a.email));
+    if (updated.approvers.every((approver) => approved.has(approver))) {
+      updated =
+        (await Letter.findOneAndUpdate(
+          { _id: letter._id, status: statusFilter(from) },
+          { $set: { status: action.to } },
+          { new: true }
+        )) || updated;
+      to = statusOf(updated);
+    }
+  }
+
+  const transition = await LetterTransition.create({
+    letterId: letter._id,
+    action: name,
+    from,
+    to,
+    actor: {
+      id: user.uid || user.id,
+      email,
+      name: user.name,
+    },
+    reason: why || undefined,
+  });
+
+  return { letter: updated, transition };
+};
+
+module.exports = {
+  statusOf,
+  statusFilter,
+  editBlock,
+  isEditable,
+  isInReview,
+  availableActions,
+  parseApprovers,
+  takeAction,
+};
@@ -0,0 +1,103 @@
+const EmailDelivery = require("../models/EmailDelivery");
+const { sendDelivery } = require("../helpers/emailHelper");
+const { SYSTEM_CONTEXT, recordAudit } = require("../helpers/auditHelper");
+
+const INTERVAL_MS =
+  parseInt(process.env.EMAIL_POLL_INTERVAL_MS, 10) || 30 * 1000;
+// Emails sent per run, so one run never holds the API up for long
+const BATCH_SIZE = 20;
+// A send still marked "sending" after this long was interrupted, e.g. by a
+// restart
+const STALE_SEND_MS = 10 * 60 * 1000;
+
+// Put interrupted sends back in the queue. The message may have gone out
+// before the interruption, so this can send it twice; losing it would be
+// worse.
+const requeueInterruptedSends = () => {
+  const now = new Date();
+  return EmailDelivery.updateMany(
+    {
+      status: "sending",
+      lockedAt: { $lte: new Date(now.getTime() - STALE_SEND_MS) },
+    },
+    {
+      $set: { status: "scheduled", sendAt: now },
+      $unset: { lockedAt: 1 },
+      $push: {
+        history: {
+          status: "scheduled",
+          at: now,
+          message: "Retrying an interrupted send",
+        },
+      },
+    }
+  );
+};
+
+// Take the oldest due delivery so no other process sends it too
+const claimDueDelivery = () => {
+  const now = new Date();
+  return EmailDelivery.findOneAndUpdate(
+    { status: "scheduled", sendAt: { $lte: now } },
+    {
+      $set: { status: "sending", lockedAt: now },
+      $push: { history: { status: "sending", at: now } },
+    },
+    { new: true, sort: { sendAt: 1 } }
+  );
+};
+
+// Send scheduled emails that are due. Returns how many were attempted.
+const sendDueEmails = async () => {
+  await requeueInterruptedSends();
+
+  let attempted = 0;
+  while (attempted < BATCH_SIZE) {
+    const delivery = await claimDueDelivery();
+    if (!delivery) break;
+    attempted++;
+
+    const letter = await sendDelivery(delivery, { retry: true });
+    if (letter) {
+      await recordAudit(SYSTEM_CONTEXT, {
+        action: "letter.email_send",
+        letter,
+        details: {
+          deliveryId: delivery._id,
+          status: delivery.status,
+          requestedBy: delivery.requestedBy?.email,
+          recipients:
+            delivery.to.length + delivery.cc.length + delivery.bcc.length,
+        },
+      });
+    }
+  }
+  return attempted;
+};
+
+// Run the scheduler now and then every EMAIL_POLL_INTERVAL_MS. Schedules
+// live in the database, so nothing is lost across restarts.
+const startEmailScheduler = () => {
+  let running = false;
+  const run = () => {
+    // Skip a tick rather than run twice at once
+    if (running) return;
+    running = true;
+    sendDueEmails()
+      .then((attempted) => {
+        if (attempted > 0) {
+          console.log(`Processed ${attempted} scheduled emails`);
+        }
+      })
+      .catch((err) => console.error("Error sending scheduled emails:", err))
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  run();
+  // Don't keep the process alive just for the scheduler
+  return setInterval(run, INTERVAL_MS).unref();
+};
+
+module.exports = { startEmailScheduler, sendDueEmails };
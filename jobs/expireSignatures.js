@@ -0,0 +1,45 @@
+const SignatureRequest = require("../models/SignatureRequest");
+const { expireRequest } = require("../helpers/signatureHelper");
+
+const INTERVAL_MS =
+  parseInt(process.env.SIGNATURE_EXPIRY_INTERVAL_MS, 10) || 15 * 60 * 1000;
+// Requests expired per run, so one run never holds the API up for long
+const BATCH_SIZE = 100;
+
+// Expire pending signature requests whose expiresAt has passed, unlocking
+// their letters. Returns how many were expired.
+const expireOverdueRequests = async () => {
+  const now = new Date();
+  const requests = await SignatureRequest.find({
+    status: "pending",
+    expiresAt: { $lte: now },
+  }).limit(BATCH_SIZE);
+
+  let expired = 0;
+  for (const request of requests) {
+    try {
+      if (await expireRequest(request, now)) expired++;
+    } catch (err) {
+      console.error(`Error expiring signature request ${request._id}:`, err);
+    }
+  }
+  return expired;
+};
+
+// Run the check now and then every SIGNATURE_EXPIRY_INTERVAL_MS
+const startSignatureExpiry = () => {
+  const run = () =>
+    expireOverdueRequests()
+      .then((expired) => {
+        if (expired > 0) {
+          console.log(`Expired ${expired} signature requests`);
+        }
+      })
+      .catch((err) => console.error("Error expiring signature requests:", err));
+
+  run();
+  // Don't keep the process alive just for the check
+  return setInterval(run, INTERVAL_MS).unref();
+};
+
+module.exports = { startSignatureExpiry, expireOverdueRequests };
@@ -0,0 +1,358 @@
+const Job = require("../models/Job");
+const Letter = require("../models/Letter");
+const User = require("../models/User");
+const Folder = require("../models/Folder");
+const { getStorageFor, getProvider } = require("../storage");
+const {
+  StorageConflictError,
+  uploadLetter,
+  pushLetterToStorage,
+} = require("../helpers/letterService");
+const {
+  mirrorLetterFolder,
+  mirrorFolderChange,
+} = require("../helpers/folderHelper");
+const { findCollaborator } = require("../helpers/letterAccess");
+const { emitToLetter } = require("../sockets/collaboration");
+const {
+  ACTIVE_STATUSES,
+  setJobWakeUp,
+  failJob,
+  completeJob,
+} = require("../helpers/jobHelper");
+
+const INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5 * 1000;
+// Jobs run per pass, so one pass never holds the API up for long
+const BATCH_SIZE = 20;
+// A job still marked "running" after this long without renewing its lock
+// (see keepJobAlive) was interrupted, e.g. by a restart
+const STALE_JOB_MS = 10 * 60 * 1000;
+// How often a running job renews its lock, well within STALE_JOB_MS
+const HEARTBEAT_MS = STALE_JOB_MS / 4;
+// How often a long job reports progress (and shows it is still alive)
+const PROGRESS_EVERY = 25;
+
+// The file is already gone, which is what delete, trash and unshare want
+const isNotFound = (err) =>
+  err.code === 404 ||
+  err.code === "ENOENT" ||
+  err.name === "NoSuchKey" ||
+  err.name === "NotFound";
+
+// Errors that another attempt won't fix. A storage conflict waits for
+// someone to pull the stored copy or save again with force.
+const isPermanent = (err) =>
+  err.code === 400 || isNotFound(err) || err instanceof StorageConflictError;
+
+const SKIPPED_DELETED = { skipped: "The letter no longer exists" };
+
+// The job's letter, or null if it was purged. Throws (to retry later) while
+// its stored copy hasn't been uploaded yet.
+const storedLetterOf = async (job) => {
+  const letter = await Letter.findById(job.letterId);
+  if (letter && !letter.storage.ref) {
+    throw new Error("The letter hasn't been uploaded to storage yet");
+  }
+  return letter;
+};
+
+const ignoreNotFound = (err) => {
+  if (!isNotFound(err)) throw err;
+};
+
+const HANDLERS = {
+  async upload(job) {
+    const letter = await Letter.findById(job.letterId);
+    const state = letter ? await uploadLetter(letter, job.payload) : null;
+    if (!state) return SKIPPED_DELETED;
+    return { ref: state.ref, webViewLink: state.webViewLink || null };
+  },
+
+  // Letters not uploaded yet are left to their upload job, which stores
+  // the latest content
+  async push(job) {
+    const letter = await Letter.findById(job.letterId);
+    if (!letter) return SKIPPED_DELETED;
+    if (!letter.storage.ref) {
+      return { skipped: "The letter hasn't been uploaded to storage yet" };
+    }
+
+    try {
+      const state = await pushLetterToStorage(letter, {
+        force: !!job.payload?.force,
+      });
+      return { version: state.version, webViewLink: state.webViewLink || null };
+    } catch (err) {
+      if (err instanceof StorageConflictError) {
+        // Leave the stored copy alone and let the editors decide
+        emitToLetter(letter._id, "storage-conflict", {
+          letterId: String(letter._id),
+          modifiedTime: err.remote.modifiedTime,
+        });
+      }
+      throw err;
+    }
+  },
+
+  // Grants the collaborator's current role, so a queue of role changes ends
+  // up with the last one
+  async share(job) {
+    const letter = await storedLetterOf(job);
+    if (!letter) return SKIPPED_DELETED;
+
+    const collaborator = findCollaborator(letter, job.payload.email);
+    if (!collaborator) {
+      return { skipped: "No longer a collaborator" };
+    }
+
+    const permissionId = await getStorageFor(letter).share(
+      letter.storage.ref,
+      collaborator.email,
+      collaborator.role,
+      {
+        permissionId: collaborator.permissionId,
+        emailMessage: job.payload.emailMessage,
+      }
+    );
+    await Letter.updateOne(
+      { _id: letter._id, "collaborators.email": collaborator.email },
+      { $set: { "collaborators.$.permissionId": permissionId } }
+    );
+    return { permissionId };
+  },
+
+  async unshare(job) {
+    const letter = await Letter.findById(job.letterId);
+    // Never uploaded means never shared
+    if (!letter || !letter.storage.ref) return SKIPPED_DELETED;
+
+    await getStorageFor(letter)
+      .unshare(letter.storage.ref, job.payload.email, job.payload.permissionId)
+      .catch(ignoreNotFound);
+    return {};
+  },
+
+  async trash(job) {
+    const letter = await storedLetterOf(job);
+    if (!letter) return SKIPPED_DELETED;
+    await getStorageFor(letter).trash(letter.storage.ref).catch(ignoreNotFound);
+    return {};
+  },
+
+  async restore(job) {
+    const letter = await storedLetterOf(job);
+    if (!letter) return SKIPPED_DELETED;
+    await getStorageFor(letter).restore(letter.storage.ref);
+    return {};
+  },
+
+  // The letter is gone by now, so the job carries the provider and ref
+  async delete(job) {
+    await getProvider(job.payload.provider)
+      .delete(job.payload.ref)
+      .catch(ignoreNotFound);
+    return {};
+  },
+
+  async move(job) {
+    const letter = await storedLetterOf(job);
+    if (!letter) return SKIPPED_DELETED;
+    await mirrorLetterFolder(letter);
+    return { folderId: letter.folderId };
+  },
+
+  async move_folder(job) {
+    const folder = await Folder.findById(job.payload.folderId);
+    if (!folder) return { skipped: "The folder no longer exists" };
+    await mirrorFolderChange(folder);
+    return {};
+  },
+
+  // The folder is gone by now, so the job carries its Drive ID
+  async delete_folder(job) {
+    await getProvider("gdrive")
+      .deleteFolder(job.payload.driveFolderId)
+      .catch(ignoreNotFound);
+    return {};
+  },
+
+  // Grant every letter's owner access to its stored copy. Letters that fail
+  // are counted rather than failing the job.
+  async repair_permissions(job) {
+    const filter = { "storage.ref": { $ne: null } };
+    const total = await Letter.countDocuments(filter);
+    let fixed = 0;
+    let failed = 0;
+
+    const reportProgress = () =>
+      Job.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            progress: { done: fixed + failed, total },
+            lockedAt: new Date(),
+          },
+        }
+      );
+    await reportProgress();
+
+    for await (const letter of Letter.find(filter).cursor()) {
+      try {
+        // Find the user who owns this letter
+        const user = await User.findByUid(letter.userId);
+
+        if (user && user.email) {
+          await getStorageFor(letter).share(
+            letter.storage.ref,
+            user.email,
+            "owner"
+          );
+          fixed++;
+        } else {
+          failed++;
+        }
+      } catch (err) {
+        console.error(
+          `Error fixing permissions for letter ${letter._id}:`,
+          err
+        );
+        failed++;
+      }
+
+      if ((fixed + failed) % PROGRESS_EVERY === 0) {
+        await reportProgress();
+      }
+    }
+
+    await reportProgress();
+    return { fixed, failed };
+  },
+};
+
+// Put interrupted jobs back in the queue. The attempt they were on still
+// counts.
+const requeueInterruptedJobs = () => {
+  const now = new Date();
+  return Job.updateMany(
+    {
+      status: "running",
+      lockedAt: { $lte: new Date(now.getTime() - STALE_JOB_MS) },
+    },
+    { $set: { status: "queued", runAt: now }, $unset: { lockedAt: 1 } }
+  );
+};
+
+// Take the next due job so no other process runs it too. A letter's jobs
+// run in the order they were queued, so a job waits while an older one for
+// the same letter is unfinished.
+const claimNextJob = async () => {
+  const now = new Date();
+  const candidates = await Job.find({ status: "queued", runAt: { $lte: now } })
+    .sort({ runAt: 1 })
+    .limit(BATCH_SIZE)
+    .select("_id letterId createdAt");
+
+  for (const candidate of candidates) {
+    if (candidate.letterId) {
+      const earlier = await Job.exists({
+        letterId: candidate.letterId,
+        status: { $in: ACTIVE_STATUSES },
+        createdAt: { $lt: candidate.createdAt },
+      });
+      if (earlier) continue;
+    }
+
+    const job = await Job.findOneAndUpdate(
+      { _id: candidate._id, status: "queued" },
+      {
+        $set: { status: "running", lockedAt: now, startedAt: now },
+        $inc: { attempts: 1 },
+      },
+      { new: true }
+    );
+    if (job) return job;
+  }
+  return null;
+};
+
+// Renew the job's lock while its handler runs, so a slow upload or push
+// isn't taken for an interrupted job and run a second time alongside
+const keepJobAlive = (job) =>
+  setInterval(() => {
+    Job.updateOne(
+      { _id: job._id, status: "running" },
+      { $set: { lockedAt: new Date() } }
+    ).catch((err) =>
+      console.error(`Error renewing the lock on job ${job._id}:`, err)
+    );
+  }, HEARTBEAT_MS).unref();
+
+const runJob = async (job) => {
+  const handler = HANDLERS[job.type];
+  const heartbeat = keepJobAlive(job);
+  try {
+    if (!handler) {
+      throw Object.assign(new Error(`Unknown job type: ${job.type}`), {
+        code: 400,
+      });
+    }
+    const result = await handler(job);
+    await completeJob(job, result);
+  } catch (err) {
+    const dead = await failJob(job, err, { permanent: isPermanent(err) });
+    console.error(
+      `Job ${job._id} (${job.type}) failed on attempt ${job.attempts}${
+        dead ? " and was given up on" : ""
+      }:`,
+      err.message
+    );
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+// Run jobs that are due. Returns how many were attempted.
+const runDueJobs = async () => {
+  await requeueInterruptedJobs();
+
+  let attempted = 0;
+  while (attempted < BATCH_SIZE) {
+    const job = await claimNextJob();
+    if (!job) break;
+    attempted++;
+    await runJob(job);
+  }
+  return attempted;
+};
+
+// Run the queue now, every JOB_POLL_INTERVAL_MS, and whenever this process
+// queues a job. Jobs live in the database, so nothing is lost across
+// restarts.
+const startJobRunner = () => {
+  let running = false;
+  let runAgain = false;
+  const run = () => {
+    // Never run twice at once; a job queued meanwhile gets a pass right after
+    if (running) {
+      runAgain = true;
+      return;
+    }
+    running = true;
+    runDueJobs()
+      .catch((err) => console.error("Error running jobs:", err))
+      .finally(() => {
+        running = false;
+        if (runAgain) {
+          runAgain = false;
+          run();
+        }
+      });
+  };
+
+  setJobWakeUp(run);
+  run();
+  // Don't keep the process alive just for the runner
+  return setInterval(run, INTERVAL_MS).unref();
+};
+
+module.exports = { startJobRunner, runDueJobs };
@@ -0,0 +1,62 @@
+const Letter = require("../models/Letter");
+const { purgeLetter } = require("../helpers/letterService");
+const {
+  SYSTEM_CONTEXT,
+  summarizeLetter,
+  recordAudit,
+} = require("../helpers/auditHelper");
+
+const TRASH_RETENTION_DAYS =
+  parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const INTERVAL_MS =
+  parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+// Letters purged per run, so one run never holds the API up for long
+const BATCH_SIZE = 100;
+
+// Permanently delete letters that have been in the trash for longer than
+// TRASH_RETENTION_DAYS. Returns how many were purged.
+const purgeExpiredLetters = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 86400000);
+  const letters = await Letter.find({ deletedAt: { $lte: cutoff } }).limit(
+    BATCH_SIZE
+  );
+
+  let purged = 0;
+  for (const letter of letters) {
+    try {
+      await purgeLetter(letter);
+      await recordAudit(SYSTEM_CONTEXT, {
+        action: "letter.purge",
+        letter,
+        before: summarizeLetter(letter),
+        details: { reason: "retention", deletedAt: letter.deletedAt },
+      });
+      purged++;
+    } catch (err) {
+      console.error(`Error purging letter ${letter._id}:`, err);
+    }
+  }
+  return purged;
+};
+
+// Run the purge now and then every TRASH_PURGE_INTERVAL_MS
+const startTrashPurge = () => {
+  const run = () =>
+    purgeExpiredLetters()
+      .then((purged) => {
+        if (purged > 0) {
+          console.log(`Purged ${purged} letters from the trash`);
+        }
+      })
+      .catch((err) => console.error("Error purging trash:", err));
+
+  run();
+  // Don't keep the process alive just for the purge
+  return setInterval(run, INTERVAL_MS).unref();
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  startTrashPurge,
+  purgeExpiredLetters,
+};
@@ -0,0 +1,92 @@
+const Webhook = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const {
+  setWebhookWakeUp,
+  attemptDelivery,
+} = require("../helpers/webhookHelper");
+
+const INTERVAL_MS =
+  parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5 * 1000;
+// Deliveries attempted per pass, so one pass never holds the API up for long
+const BATCH_SIZE = 20;
+// A delivery still marked "sending" after this long was interrupted, e.g. by
+// a restart
+const STALE_SEND_MS = 10 * 60 * 1000;
+
+// Put interrupted deliveries back in the queue. The receiver may already
+// have had the request, which is why payloads carry an event ID.
+const requeueInterruptedDeliveries = () => {
+  const now = new Date();
+  return WebhookDelivery.updateMany(
+    {
+      status: "sending",
+      lockedAt: { $lte: new Date(now.getTime() - STALE_SEND_MS) },
+    },
+    { $set: { status: "pending", runAt: now }, $unset: { lockedAt: 1 } }
+  );
+};
+
+// Take the oldest due delivery so no other process sends it too
+const claimDueDelivery = () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { status: "pending", runAt: { $lte: now } },
+    { $set: { status: "sending", lockedAt: now } },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+// Send webhook deliveries that are due. Returns how many were attempted.
+const sendDueDeliveries = async () => {
+  await requeueInterruptedDeliveries();
+
+  let attempted = 0;
+  while (attempted < BATCH_SIZE) {
+    const delivery = await claimDueDelivery();
+    if (!delivery) break;
+    attempted++;
+
+    const webhook = await Webhook.findById(delivery.webhookId);
+    const result = await attemptDelivery(delivery, webhook);
+    if (result.status === "failed") {
+      console.error(
+        `Webhook delivery ${delivery._id} (${delivery.event}) failed:`,
+        result.attempts[result.attempts.length - 1].error
+      );
+    }
+  }
+  return attempted;
+};
+
+// Send due deliveries now, every WEBHOOK_POLL_INTERVAL_MS, and whenever this
+// process queues one. Deliveries live in the database, so nothing is lost
+// across restarts.
+const startWebhookDispatcher = () => {
+  let running = false;
+  let runAgain = false;
+  const run = () => {
+    // Never run twice at once; a delivery queued meanwhile gets a pass right
+    // after
+    if (running) {
+      runAgain = true;
+      return;
+    }
+    running = true;
+    sendDueDeliveries()
+      .catch((err) => console.error("Error sending webhooks:", err))
+      .finally(() => {
+        running = false;
+        if (runAgain) {
+          runAgain = false;
+          run();
+        }
+      });
+  };
+
+  setWebhookWakeUp(run);
+  run();
+  // Don't keep the process alive just for the dispatcher
+  return setInterval(run, INTERVAL_MS).unref();
+};
+
+module.exports = { startWebhookDispatcher, sendDueDeliveries };
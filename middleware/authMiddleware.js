@@ -1,6 +1,9 @@
-const { verifyToken } = require("../config/firbaseAdmin");
-const User = require("../models/User");
+const { authenticateToken } = require("../helpers/authHelper");
+const rateLimit = require("./rateLimit");
 
+// Accepts an access token from /auth (or, for older clients, a Firebase ID
+// token) as "Authorization: Bearer TOKEN" and sets req.user. The request then
+// counts against the user's rate limits.
 const authMiddleware = async (req, res, next) => {
   const token = req.headers.authorization?.split(" ")[1]; // Extract token from "Bearer TOKEN"
 
@@ -11,15 +14,17 @@ const authMiddleware = async (req, res, next) => {
   }
 
   try {
-    const decodedToken = await verifyToken(token);
-    if (!decodedToken) {
+    const user = await authenticateToken(token);
+    if (!user) {
       return res.status(401).json({ message: "Invalid token" });
     }
-    req.user = decodedToken;
-    next();
+    req.user = user;
   } catch (error) {
+    console.error("Error checking token:", error);
     return res.status(401).json({ message: "Invalid token" });
   }
+
+  return rateLimit(req, res, next);
 };
 
 module.exports = authMiddleware;
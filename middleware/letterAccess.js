@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+const Letter = require("../models/Letter");
+const { getLetterRole, hasRole } = require("../helpers/letterAccess");
+const { editBlock } = require("../helpers/workflowHelper");
+
+// Load the letter named by req.params.id (or req.body.letterId) and make sure
+// the caller has at least `minRole` on it. Must run after authMiddleware.
+// On success the letter is available as req.letter and the role as
+// req.letterRole. Letters in the trash count as missing unless
+// `options.allowTrashed`. With `options.editable`, letters whose content
+// can't change right now (locked for signing, or past the draft stage) are
+// refused.
+const requireLetterRole =
+  (minRole, options = {}) =>
+  async (req, res, next) => {
+    const letterId = req.params.id || req.body.letterId;
+
+    if (!mongoose.isValidObjectId(letterId)) {
+      return res.status(404).json({ message: "Letter not found" });
+    }
+
+    try {
+      const letter = await Letter.findById(letterId);
+      if (!letter || (letter.deletedAt && !options.allowTrashed)) {
+        return res.status(404).json({ message: "Letter not found" });
+      }
+
+      const role = getLetterRole(letter, req.user);
+      if (!role) {
+        return res
+          .status(403)
+          .json({ message: "Not authorized to access this letter" });
+      }
+
+      if (!hasRole(role, minRole)) {
+        return res.status(403).json({
+          message: `This action requires the ${minRole} role on this letter`,
+        });
+      }
+
+      const blocked = options.editable && editBlock(letter);
+      if (blocked) {
+        return res.status(blocked.status).json(blocked.body);
+      }
+
+      req.letter = letter;
+      req.letterRole = role;
+      next();
+    } catch (error) {
+      console.error("Error checking letter access:", error);
+      res.status(500).json({
+        message: "Failed to check letter access",
+        error: error.message,
+      });
+    }
+  };
+
+module.exports = requireLetterRole;
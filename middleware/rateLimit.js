@@ -0,0 +1,56 @@
+const { rulesFor, hitRateLimits } = require("../helpers/rateLimitHelper");
+
+const secondsUntil = (date) =>
+  Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 0);
+
+// Count the request against the caller's rate limits (see config/limits.js)
+// and answer 429 once one is used up. The RateLimit-* headers describe the
+// limit closest to running out. Runs from authMiddleware, so it covers every
+// authenticated route.
+const rateLimit = async (req, res, next) => {
+  // Routers that run authMiddleware twice only count the request once
+  if (req.rateLimits) {
+    return next();
+  }
+
+  let limits;
+  try {
+    limits = await hitRateLimits(
+      req.user.uid || req.user.id,
+      rulesFor(req.method, req.originalUrl.split("?")[0])
+    );
+  } catch (error) {
+    console.error("Error checking rate limits:", error);
+    // Let the request through rather than fail it
+    return next();
+  }
+  req.rateLimits = limits;
+
+  const exceeded = limits.find((limit) => limit.exceeded);
+  const reported =
+    exceeded ||
+    limits.reduce((tightest, limit) =>
+      limit.remaining < tightest.remaining ? limit : tightest
+    );
+  res.set({
+    "RateLimit-Policy": limits
+      .map((limit) => `${limit.limit};w=${limit.windowSeconds}`)
+      .join(", "),
+    "RateLimit-Limit": String(reported.limit),
+    "RateLimit-Remaining": String(reported.remaining),
+    "RateLimit-Reset": String(secondsUntil(reported.resetAt)),
+  });
+
+  if (exceeded) {
+    const retryAfter = secondsUntil(exceeded.resetAt);
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+      message: "Too many requests, try again later",
+      limit: exceeded.name,
+      retryAfter,
+    });
+  }
+  next();
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,21 @@
+const { findActiveAdmin } = require("../helpers/authHelper");
+
+// Only let admins through, going by their User record (see findActiveAdmin).
+// Sets req.admin to that record. Must run after authMiddleware.
+const requireAdmin = async (req, res, next) => {
+  try {
+    const admin = await findActiveAdmin(req.user);
+    if (!admin) {
+      return res.status(403).json({ message: "Admin access required" });
+    }
+    req.admin = admin;
+  } catch (error) {
+    console.error("Error checking admin access:", error);
+    return res
+      .status(500)
+      .json({ message: "Failed to check access", error: error.message });
+  }
+  next();
+};
+
+module.exports = requireAdmin;
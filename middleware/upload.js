@@ -0,0 +1,38 @@
+const multer = require("multer");
+
+const MAX_FILE_BYTES =
+  parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 5 * 1024 * 1024;
+const MAX_FILES = 20;
+
+// Uploads are kept in memory; they are parsed straight into letters and
+// never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_BYTES,
+    files: MAX_FILES,
+  },
+});
+
+// Multer errors that mean the upload was too big
+const TOO_LARGE = ["LIMIT_FILE_SIZE", "LIMIT_FILE_COUNT", "LIMIT_PART_COUNT"];
+
+// Answer multer's errors in JSON like every other route: 413 when a limit
+// was hit, 400 otherwise. Goes right after upload.single() or
+// upload.array() in a route.
+const handleUploadErrors = (err, req, res, next) => {
+  if (!(err instanceof multer.MulterError)) {
+    return next(err);
+  }
+  if (TOO_LARGE.includes(err.code)) {
+    return res.status(413).json({
+      message: err.message,
+      code: err.code,
+      maxFileBytes: MAX_FILE_BYTES,
+      maxFiles: MAX_FILES,
+    });
+  }
+  res.status(400).json({ message: err.message, code: err.code });
+};
+
+module.exports = { upload, handleUploadErrors };
@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+const AUDIT_ACTIONS = [
+  "letter.create",
+  "letter.view",
+  "letter.update",
+  "letter.move",
+  "letter.delete",
+  "letter.restore",
+  "letter.purge",
+  "letter.share",
+  "letter.permission_change",
+  "letter.unshare",
+  "letter.link_create",
+  "letter.link_revoke",
+  "letter.link_view",
+  "letter.email_send",
+  "letter.email_schedule",
+  "letter.email_cancel",
+  "letter.signature_request",
+  "letter.sign",
+  "letter.signature_decline",
+  "letter.signature_cancel",
+  "letter.signature_expire",
+  "letter.signature_complete",
+  "letter.transition",
+  "letter.approvers_change",
+  "letter.transfer",
+  "admin.fix_permissions",
+  "admin.role_change",
+  "admin.user_disable",
+  "admin.user_enable",
+];
+
+// Audit entries are append-only; never update them in place
+const AuditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true,
+  },
+  // Who did it. System actions (e.g. the trash purge) have no actor ID.
+  actor: {
+    id: String, // Firebase UID
+    email: String,
+    name: String,
+  },
+  // What it was done to
+  target: {
+    type: {
+      type: String,
+      enum: [
+        "letter",
+        "collaborator",
+        "share_link",
+        "signature_request",
+        "user",
+        "system",
+      ],
+    },
+    id: String,
+    label: String, // Letter title or collaborator email at the time
+  },
+  letterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Letter",
+  },
+  ip: String,
+  userAgent: String,
+  // Short summaries of the state before and after the action
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  details: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+});
+
+AuditLogSchema.index({ letterId: 1, _id: -1 });
+AuditLogSchema.index({ action: 1, _id: -1 });
+AuditLogSchema.index({ "actor.email": 1, _id: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+AuditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
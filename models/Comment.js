@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+const ReplySchema = new mongoose.Schema({
+  authorId: String,
+  authorName: String,
+  authorEmail: String,
+  body: {
+    type: String,
+    required: true,
+  },
+  mentions: [String], // Emails of collaborators @mentioned in the body
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  editedAt: Date,
+});
+
+// A comment thread anchored to a character range of Letter.content
+const CommentSchema = new mongoose.Schema({
+  letterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Letter",
+    required: true,
+    index: true,
+  },
+  authorId: String,
+  authorName: String,
+  authorEmail: String,
+  body: {
+    type: String,
+    required: true,
+  },
+  mentions: [String],
+  anchor: {
+    start: { type: Number, required: true },
+    end: { type: Number, required: true },
+    quote: String, // The text that was selected when the thread was started
+  },
+  // Set once all of the anchored text has been deleted
+  orphaned: {
+    type: Boolean,
+    default: false,
+  },
+  replies: [ReplySchema],
+  resolved: {
+    type: Boolean,
+    default: false,
+  },
+  resolvedBy: String,
+  resolvedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+CommentSchema.pre("save", function (next) {
+  if (!this.isNew && this.isModified()) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+module.exports = mongoose.model("Comment", CommentSchema);
@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+const DELIVERY_STATUSES = [
+  "scheduled",
+  "sending",
+  "sent",
+  "failed",
+  "cancelled",
+];
+
+const StatusChangeSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    message: String, // Error or reason, when there is one
+  },
+  { _id: false }
+);
+
+// One request to email a letter, sent right away or at `sendAt` by
+// jobs/emailScheduler.js. Kept after sending as the letter's delivery history.
+const EmailDeliverySchema = new mongoose.Schema({
+  letterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Letter",
+    required: true,
+  },
+  requestedBy: {
+    id: String, // Firebase UID
+    email: String,
+    name: String,
+  },
+  to: [String],
+  cc: [String],
+  bcc: [String],
+  subject: String,
+  // Attach the letter as a PDF instead of putting it in the message body
+  attachPdf: {
+    type: Boolean,
+    default: false,
+  },
+  exportOptions: mongoose.Schema.Types.Mixed, // See parseExportOptions
+  sendAt: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: "scheduled",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  lockedAt: Date, // When a sender claimed it; see jobs/emailScheduler.js
+  messageId: String, // SMTP Message-ID once sent
+  sentAt: Date,
+  lastError: String,
+  cancelledBy: String,
+  history: [StatusChangeSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+EmailDeliverySchema.index({ letterId: 1, createdAt: -1 });
+EmailDeliverySchema.index({ status: 1, sendAt: 1 });
+
+EmailDeliverySchema.statics.STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model("EmailDelivery", EmailDeliverySchema);
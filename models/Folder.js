@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// A user-defined folder for organizing letters. Folders nest through
+// parentId; a null parentId is a top-level folder.
+const FolderSchema = new mongoose.Schema({
+  userId: {
+    type: String, // Firebase UID of the owner
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Folder",
+    default: null,
+  },
+  // Matching subfolder under the Letters folder in Google Drive, created the
+  // first time a Drive-stored letter is moved into this folder
+  driveFolderId: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Sibling folders must have different names, like in Drive's UI
+FolderSchema.index({ userId: 1, parentId: 1, name: 1 }, { unique: true });
+
+FolderSchema.pre("save", function (next) {
+  if (!this.isNew && this.isModified()) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+module.exports = mongoose.model("Folder", FolderSchema);
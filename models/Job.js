@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+
+// Storage work done in the background by jobs/jobRunner.js
+const JOB_TYPES = [
+  "upload", // Create the stored copy of a new letter
+  "push", // Upload an edited letter's content to its stored copy
+  "share", // Grant (or change) a collaborator's storage permission
+  "unshare", // Remove a collaborator's storage permission
+  "trash",
+  "restore",
+  "delete", // Delete a purged letter's stored copy
+  "move", // Move the stored copy into the Drive folder matching folderId
+  "move_folder", // Rename or move a folder's Drive copy to match it
+  "delete_folder", // Delete a deleted folder's Drive copy
+  "repair_permissions", // Re-grant every owner access to their letters
+];
+
+// queued -> running -> succeeded, or back to queued for another attempt
+// until maxAttempts, after which the job is "dead" and waits for someone to
+// look at it (POST /jobs/:id/retry)
+const JOB_STATUSES = ["queued", "running", "succeeded", "dead"];
+
+const FailureSchema = new mongoose.Schema(
+  {
+    attempt: Number,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    message: String,
+  },
+  { _id: false }
+);
+
+const JobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: JOB_TYPES,
+    required: true,
+  },
+  // The letter the job is for, if any. Jobs for the same letter run in the
+  // order they were queued.
+  letterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Letter",
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  createdBy: {
+    id: String, // Firebase UID
+    email: String,
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: "queued",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6,
+  },
+  // When the job may next run; pushed back after each failed attempt
+  runAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedAt: Date, // When a runner claimed it
+  lastError: String,
+  failures: [FailureSchema], // The most recent failed attempts
+  // For jobs that work through many items (repair_permissions)
+  progress: {
+    done: Number,
+    total: Number,
+  },
+  result: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  startedAt: Date,
+  finishedAt: Date,
+});
+
+JobSchema.index({ status: 1, runAt: 1 });
+JobSchema.index({ letterId: 1, status: 1, createdAt: 1 });
+
+JobSchema.statics.TYPES = JOB_TYPES;
+JobSchema.statics.STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model("Job", JobSchema);
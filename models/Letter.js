@@ -1,4 +1,101 @@
 const mongoose = require("mongoose");
+const { fromPlainText } = require("../helpers/richText");
+const workflow = require("../config/workflow");
+
+const CollaboratorSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ["viewer", "commenter", "editor"],
+      default: "viewer",
+    },
+    permissionId: String, // Storage provider's ID for this share, if any
+    addedBy: String,
+    addedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Where the letter's content is stored (see storage/index.js)
+const StorageSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: ["gdrive", "local", "s3"],
+      required: true,
+    },
+    // Drive file ID, local file name or S3 object name. Unset until the
+    // letter's upload job has created the stored copy.
+    ref: String,
+    // "text" for plain text, "gdoc" for a native Google Doc
+    format: {
+      type: String,
+      enum: ["text", "gdoc"],
+      default: "text",
+    },
+    // Stored version after our last upload; a different version in storage
+    // means someone edited the stored copy directly
+    version: String,
+    modifiedTime: Date,
+    syncedAt: Date,
+    webViewLink: String,
+    // "pending" while storage jobs for the letter are queued or running,
+    // "failed" when the last one gave up (see helpers/jobHelper.js)
+    syncStatus: {
+      type: String,
+      enum: ["pending", "synced", "failed"],
+      default: "synced",
+    },
+    syncError: String,
+  },
+  { _id: false }
+);
+
+const ApprovalSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Why a letter can't be edited (see helpers/signatureHelper.js)
+const LockSchema = new mongoose.Schema(
+  {
+    // "signing" while a signature request is pending, "signed" for good
+    // once everyone has signed
+    reason: {
+      type: String,
+      enum: ["signing", "signed"],
+      required: true,
+    },
+    signatureRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SignatureRequest",
+    },
+    lockedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
 
 const LetterSchema = new mongoose.Schema({
   userId: {
@@ -10,15 +107,58 @@ const LetterSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Plain-text rendering of `doc`; search, comments and live collaboration
+  // work on this
   content: {
     type: String,
     required: true,
   },
-  googleDriveId: {
-    type: String,
+  // The letter as a structured document (see helpers/richText.js)
+  doc: mongoose.Schema.Types.Mixed,
+  storage: {
+    type: StorageSchema,
     required: true,
   },
-  collaborators: [String], // Ensure this field is present
+  collaborators: [CollaboratorSchema],
+  // The owner's folder holding the letter; null is the top level
+  folderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Folder",
+    default: null,
+  },
+  // Free-form labels, stored lower-case
+  tags: {
+    type: [String],
+    default: [],
+  },
+  // Set while the letter is in the trash; jobs/purgeTrash.js deletes it for
+  // good once TRASH_RETENTION_DAYS have passed
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: String,
+  // Where the letter is in the workflow (see config/workflow.js)
+  status: {
+    type: String,
+    default: workflow.initial,
+  },
+  // Emails of the people who approve the letter when it is in review
+  approvers: {
+    type: [{ type: String, lowercase: true, trim: true }],
+    default: [],
+  },
+  // Approvers who have approved since it was last submitted
+  approvals: [ApprovalSchema],
+  // Set while the content must not change; null when the letter is editable
+  lock: {
+    type: LockSchema,
+    default: null,
+  },
+  currentRevision: {
+    type: Number,
+    default: 0,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -29,4 +169,71 @@ const LetterSchema = new mongoose.Schema({
   },
 });
 
+// Full-text search over title and content (GET /letters/search); a title
+// match counts for more than a match in the body
+LetterSchema.index(
+  { title: "text", content: "text" },
+  { name: "letter_text", weights: { title: 5, content: 1 } }
+);
+LetterSchema.index({ userId: 1, updatedAt: -1 });
+LetterSchema.index({ "collaborators.email": 1 });
+LetterSchema.index({ deletedAt: 1 });
+LetterSchema.index({ userId: 1, folderId: 1 });
+LetterSchema.index({ userId: 1, tags: 1 });
+LetterSchema.index({ userId: 1, status: 1 });
+
+LetterSchema.set("toJSON", { virtuals: true });
+LetterSchema.set("toObject", { virtuals: true });
+
+// Older clients read the Drive file ID from googleDriveId
+LetterSchema.virtual("googleDriveId").get(function () {
+  return this.storage && this.storage.provider === "gdrive"
+    ? this.storage.ref
+    : undefined;
+});
+
+// Upgrade legacy documents as they are read
+LetterSchema.pre("init", function (doc) {
+  // Letters saved before pluggable storage only had a Drive file ID
+  // (scripts/migrateStorageRefs.js rewrites them in the database)
+  if (!doc.storage && doc.googleDriveId) {
+    doc.storage = {
+      provider: "gdrive",
+      ref: doc.googleDriveId,
+      format: doc.driveFormat || "text",
+      version:
+        doc.driveRevisionId ||
+        (doc.driveModifiedTime &&
+          new Date(doc.driveModifiedTime).toISOString()),
+      modifiedTime: doc.driveModifiedTime,
+      syncedAt: doc.driveSyncedAt,
+    };
+  }
+
+  // Letters saved before the structured format are plain text
+  // (scripts/migrateRichText.js rewrites them in the database)
+  if (!doc.doc && typeof doc.content === "string") {
+    doc.doc = fromPlainText(doc.content);
+  }
+
+  // Collaborators used to be stored as bare email strings with Drive
+  // "writer" access; read those as editors
+  // (scripts/migrateCollaboratorRoles.js rewrites them in the database)
+  if (Array.isArray(doc.collaborators)) {
+    doc.collaborators = doc.collaborators.map((c) =>
+      typeof c === "string"
+        ? { email: c.toLowerCase(), role: "editor" }
+        : { ...c, permissionId: c.permissionId || c.drivePermissionId }
+    );
+  }
+});
+
+// Keep updatedAt in step with every save
+LetterSchema.pre("save", function (next) {
+  if (!this.isNew && this.isModified()) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
 module.exports = mongoose.model("Letter", LetterSchema);
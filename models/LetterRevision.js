@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// Revisions are append-only snapshots of a letter; never update them in place
+const LetterRevisionSchema = new mongoose.Schema({
+  letterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Letter",
+    required: true,
+    index: true,
+  },
+  revision: {
+    type: Number,
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  content: {
+    type: String,
+    default: "",
+  },
+  doc: mongoose.Schema.Types.Mixed, // Unset for revisions of plain-text letters
+  authorId: String, // Firebase UID of whoever made the save
+  authorName: String,
+  authorEmail: String,
+  restoredFrom: Number, // Set when this revision was created by a restore
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+});
+
+LetterRevisionSchema.index({ letterId: 1, revision: 1 }, { unique: true });
+
+module.exports = mongoose.model("LetterRevision", LetterRevisionSchema);
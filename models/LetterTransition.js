@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// One workflow action taken on a letter (see config/workflow.js). An
+// approval that still waits for other approvers has the same `from` and
+// `to`. Entries are never changed once written.
+const LetterTransitionSchema = new mongoose.Schema({
+  letterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Letter",
+    required: true,
+  },
+  action: {
+    type: String,
+    required: true,
+  },
+  from: String,
+  to: String,
+  actor: {
+    id: String, // Firebase UID
+    email: String,
+    name: String,
+  },
+  reason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+});
+
+LetterTransitionSchema.index({ letterId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("LetterTransition", LetterTransitionSchema);
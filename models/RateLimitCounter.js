@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Requests one user made under one rate limit rule in one fixed window (see
+// helpers/rateLimitHelper.js). Kept in the database so every API process
+// counts against the same limit.
+const RateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String, // rule:user:windowStart
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// MongoDB removes counters once their window is over
+RateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimitCounter", RateLimitCounterSchema);
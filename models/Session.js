@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// A signed-in client. The refresh token changes every time it is used and
+// only its hash is stored; an older token coming back means it was copied,
+// and the whole session is revoked (see helpers/authHelper.js).
+const SessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  provider: {
+    type: String,
+    enum: ["firebase", "google"],
+    required: true,
+  },
+  refreshTokenHash: { type: String, unique: true, sparse: true },
+  // Hashes of refresh tokens already exchanged, to spot reuse
+  previousTokenHashes: { type: [String], index: true },
+  // One-time code handed to the client after Google sign-in, exchanged for
+  // the first tokens with POST /auth/exchange
+  loginCodeHash: { type: String, unique: true, sparse: true },
+  loginCodeExpiresAt: Date,
+  ip: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastUsedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: Date,
+  revokedReason: String,
+});
+
+// MongoDB removes sessions once they have expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", SessionSchema);
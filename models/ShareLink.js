@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// A public, read-only link to a letter. Only a hash of the token is stored;
+// the token itself is shown once, when the link is created.
+const ShareLinkSchema = new mongoose.Schema({
+  letterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Letter",
+    required: true,
+    index: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  tokenPrefix: String, // First characters of the token, to tell links apart
+  label: String,
+  createdBy: String, // Email of the owner who created it
+  expiresAt: Date,
+  passwordHash: String, // "salt:hash" from scrypt; unset means no password
+  maxViews: Number, // Unset means unlimited
+  viewCount: {
+    type: Number,
+    default: 0,
+  },
+  lastAccessedAt: Date,
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("ShareLink", ShareLinkSchema);
@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+
+const REQUEST_STATUSES = [
+  "pending",
+  "completed",
+  "declined",
+  "cancelled",
+  "expired", // Not everyone signed by expiresAt
+];
+// "waiting" signers are queued behind someone who hasn't signed yet; only
+// the "pending" one can sign
+const SIGNER_STATUSES = ["waiting", "pending", "signed", "declined"];
+
+const SignatureSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["typed", "drawn"],
+      required: true,
+    },
+    name: String, // The typed name, or the signer's name beside a drawing
+    image: String, // PNG data URL of a drawn signature
+  },
+  { _id: false }
+);
+
+const SignerSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    order: {
+      type: Number,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: SIGNER_STATUSES,
+      default: "waiting",
+    },
+    // Hash of the signer's link token; issued when it is their turn
+    tokenHash: String,
+    tokenPrefix: String,
+    notifiedAt: Date, // When the link was last emailed to them
+    signature: SignatureSchema,
+    signedAt: Date,
+    declinedAt: Date,
+    declineReason: String,
+    // How they signed: "account" when logged in, "link" through the token
+    via: {
+      type: String,
+      enum: ["account", "link"],
+    },
+    userId: String, // Firebase UID, when signed with an account
+    ip: String,
+    userAgent: String,
+  },
+  { _id: false }
+);
+
+// A request for people to sign a letter one after another. The letter is
+// locked while the request is pending and for good once everyone has
+// signed; `document` is the exact text they signed and `contentHash` its
+// SHA-256 (see helpers/signatureHelper.js).
+const SignatureRequestSchema = new mongoose.Schema(
+  {
+    letterId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Letter",
+      required: true,
+      index: true,
+    },
+    requestedBy: {
+      id: String, // Firebase UID
+      email: String,
+      name: String,
+    },
+    message: String, // Note to the signers
+    document: {
+      title: String,
+      content: String,
+      doc: mongoose.Schema.Types.Mixed,
+    },
+    contentHash: {
+      type: String,
+      required: true,
+    },
+    signers: [SignerSchema],
+    status: {
+      type: String,
+      enum: REQUEST_STATUSES,
+      default: "pending",
+    },
+    expiresAt: Date,
+    // SHA-256 over the content hash and every signer's metadata, set once
+    // the last signature is in
+    finalHash: String,
+    completedAt: Date,
+    cancelledBy: String,
+    cancelledAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  // Two signatures landing at once must not overwrite each other
+  { optimisticConcurrency: true }
+);
+
+SignatureRequestSchema.index({ "signers.tokenHash": 1 }, { sparse: true });
+SignatureRequestSchema.index({ "signers.email": 1, status: 1 });
+
+SignatureRequestSchema.statics.STATUSES = REQUEST_STATUSES;
+SignatureRequestSchema.statics.SIGNER_STATUSES = SIGNER_STATUSES;
+
+module.exports = mongoose.model("SignatureRequest", SignatureRequestSchema);
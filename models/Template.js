@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+const FieldSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      match: /^[A-Za-z_][\w.]*$/,
+    },
+    label: String,
+    type: {
+      type: String,
+      enum: ["string", "number", "date", "email", "boolean"],
+      default: "string",
+    },
+    required: {
+      type: Boolean,
+      default: true,
+    },
+    defaultValue: String,
+  },
+  { _id: false }
+);
+
+// A reusable letter with {{placeholder}} fields in its title and content
+const TemplateSchema = new mongoose.Schema({
+  userId: {
+    type: String, // Firebase UID of the owner
+    required: true,
+    index: true,
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  content: {
+    type: String,
+    required: true,
+  },
+  description: String,
+  fields: [FieldSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+TemplateSchema.pre("save", function (next) {
+  if (!this.isNew && this.isModified()) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+module.exports = mongoose.model("Template", TemplateSchema);
@@ -1,13 +1,86 @@
 const mongoose = require("mongoose");
 
+const USER_ROLES = ["admin", "user"];
+
+// One person, however they signed in. Google OAuth and Firebase sign-ins are
+// linked to the same record (see helpers/authHelper.js).
 const UserSchema = new mongoose.Schema({
-  googleId: { type: String, required: true, unique: true },
+  // The ID other records use for this person, e.g. Letter.userId. For
+  // people who first signed in through Firebase it is their Firebase UID.
+  uid: {
+    type: String,
+    required: true,
+    // Sparse until scripts/migrateUsers.js has given legacy records one
+    unique: true,
+    sparse: true,
+    default: () => new mongoose.Types.ObjectId().toString(),
+  },
+  firebaseUid: { type: String, unique: true, sparse: true },
+  googleId: { type: String, unique: true, sparse: true },
   name: String,
-  email: String,
-  role: { type: String, enum: ["admin", "user"], default: "user" },
+  email: { type: String, lowercase: true, trim: true, index: true },
+  // Set once a sign-in provider has said it verified `email`. Only verified
+  // emails link sign-ins to this record. Unset on records from before
+  // verification was tracked, until their next sign-in.
+  emailVerified: { type: Boolean, default: false },
+  // Set by admins through PUT /admin/users/:id/role
+  role: { type: String, enum: USER_ROLES, default: "user" },
+  // Google OAuth tokens from the last Google sign-in or Drive connection
+  // (GET /auth/drive/url), for Drive access
   accessToken: String,
   refreshToken: String,
+  driveConnectedAt: Date,
+  // The Drive folder the user's letters are saved in (see
+  // helpers/driveConnectionHelper.js): a Letters folder in their own Drive,
+  // or one of their own in the service account's Drive until they connect
   lettersFolderId: String,
+  lettersFolderInUserDrive: { type: Boolean, default: false },
+  lastLoginAt: Date,
+  // Disabled accounts can't sign in and their sessions are revoked
+  disabledAt: Date,
+  disabledBy: String, // Email of the admin who disabled it
+  disabledReason: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Upgrade legacy documents as they are read
+UserSchema.pre("init", function (doc) {
+  // Users used to be keyed by `googleId` only, which held a Google profile
+  // ID (numeric) after an OAuth sign-in and a Firebase UID when the record
+  // was made on first save (scripts/migrateUsers.js rewrites them in the
+  // database)
+  if (!doc.uid && doc.googleId) {
+    this.$locals.legacy = true;
+    if (/^\d+$/.test(doc.googleId)) {
+      doc.uid = String(doc._id);
+    } else {
+      doc.uid = doc.googleId;
+      doc.firebaseUid = doc.googleId;
+      doc.googleId = undefined;
+    }
+  }
 });
 
+// Write the upgraded identity fields back the first time a legacy record is
+// saved
+UserSchema.pre("save", function (next) {
+  if (this.$locals.legacy) {
+    ["uid", "firebaseUid", "googleId"].forEach((path) =>
+      this.markModified(path)
+    );
+    this.$locals.legacy = false;
+  }
+  next();
+});
+
+// Find the user with this `uid`, including legacy records that still keep it
+// in googleId
+UserSchema.statics.findByUid = function (uid) {
+  return this.findOne({
+    $or: [{ uid }, { uid: { $exists: false }, googleId: uid }],
+  });
+};
+
+UserSchema.statics.ROLES = USER_ROLES;
+
 module.exports = mongoose.model("User", UserSchema);
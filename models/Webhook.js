@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+// Letter events a webhook can subscribe to; "*" subscribes to all of them.
+// "ping" is only sent by POST /webhooks/:id/ping.
+const WEBHOOK_EVENTS = [
+  "letter.created",
+  "letter.updated",
+  "letter.shared", // A collaborator was added or their role changed
+  "letter.unshared",
+  "letter.deleted", // Moved to the trash
+  "letter.restored",
+  "letter.purged",
+  "letter.sent", // Emailed
+  "letter.transferred", // Given to a new owner by an admin
+];
+
+// An endpoint that gets a signed POST for each letter event it subscribes
+// to (see helpers/webhookHelper.js). A user's webhooks hear about the
+// letters they can see; an admin's can cover every letter.
+const WebhookSchema = new mongoose.Schema({
+  owner: {
+    id: String, // User uid
+    email: String,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+  description: String,
+  events: {
+    type: [{ type: String, enum: [...WEBHOOK_EVENTS, "*"] }],
+    required: true,
+  },
+  // Only admins can set this
+  allLetters: {
+    type: Boolean,
+    default: false,
+  },
+  // Key for the HMAC-SHA256 signature on every delivery. Kept in full since
+  // it is needed to sign; the API only shows it when it is made.
+  secret: {
+    type: String,
+    required: true,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: String, // "succeeded" or "failed"
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+WebhookSchema.index({ "owner.id": 1, createdAt: -1 });
+WebhookSchema.index({ active: 1, events: 1 });
+
+WebhookSchema.pre("save", function (next) {
+  if (!this.isNew && this.isModified()) {
+    this.updatedAt = Date.now();
+  }
+  next();
+});
+
+WebhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model("Webhook", WebhookSchema);
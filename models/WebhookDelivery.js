@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+// pending -> sending -> succeeded, or back to pending for another attempt
+// until maxAttempts, after which it has "failed" and can be replayed
+const DELIVERY_STATUSES = ["pending", "sending", "succeeded", "failed"];
+
+// How long delivery logs are kept
+const LOG_RETENTION_DAYS =
+  parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS, 10) || 30;
+
+const AttemptSchema = new mongoose.Schema(
+  {
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    statusCode: Number, // Unset when no response came back
+    durationMs: Number,
+    error: String,
+  },
+  { _id: false }
+);
+
+// One event sent (or to be sent) to one webhook, sent by
+// jobs/webhookDispatcher.js. The payload is stored as sent, so replays
+// deliver exactly the same body.
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Webhook",
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  // The event's ID, shared by every delivery and replay of it so receivers
+  // can ignore repeats
+  eventId: {
+    type: String,
+    required: true,
+  },
+  letterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Letter",
+  },
+  payload: {
+    type: String, // The JSON body
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: "pending",
+  },
+  attempts: [AttemptSchema],
+  maxAttempts: {
+    type: Number,
+    default: 8,
+  },
+  // When the next attempt may be made; pushed back after each failure
+  runAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedAt: Date, // When a dispatcher claimed it
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "WebhookDelivery",
+  },
+  requestedBy: String, // Email of whoever asked for a ping or replay
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: Date,
+});
+
+WebhookDeliverySchema.index({ status: 1, runAt: 1 });
+WebhookDeliverySchema.index({ webhookId: 1, _id: -1 });
+WebhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: LOG_RETENTION_DAYS * 86400 }
+);
+
+WebhookDeliverySchema.statics.STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model("WebhookDelivery", WebhookDeliverySchema);
@@ -0,0 +1,360 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const authMiddleware = require("../middleware/authMiddleware");
+const requireAdmin = require("../middleware/requireAdmin");
+const {
+  MAX_EXPORT_ROWS,
+  parseAuditQuery,
+  listAuditEntries,
+  findAuditEntriesForExport,
+  auditEntriesToCsv,
+  auditContext,
+  recordAudit,
+} = require("../helpers/auditHelper");
+const {
+  parseUserQuery,
+  letterCountsFor,
+  describeUserForAdmin,
+  listUsers,
+  findUserByIdOrUid,
+  isLastAdmin,
+  disableUser,
+  enableUser,
+  transferLetters,
+  systemStats,
+} = require("../helpers/userAdminHelper");
+const { isDisabled } = require("../helpers/authHelper");
+const { enqueueJob } = require("../helpers/jobHelper");
+
+const router = express.Router();
+
+router.use(authMiddleware, requireAdmin);
+
+// Load the user named by :id (their _id or uid), or answer 404
+const findUserParam = async (req, res) => {
+  const user = await findUserByIdOrUid(req.params.id);
+  if (!user) {
+    res.status(404).json({ message: "User not found" });
+  }
+  return user;
+};
+
+// Audit target for an action on a user account
+const userTarget = (user) => ({
+  type: "user",
+  id: String(user._id),
+  label: user.email,
+});
+
+const describeWithCounts = async (user) => {
+  const counts = await letterCountsFor([user]);
+  return describeUserForAdmin(user, counts.get(user.uid));
+};
+
+// Route to list and search users, with how many letters each owns and
+// shares (see parseUserQuery in helpers/userAdminHelper.js for the filters).
+// Follow `nextCursor` for the next page.
+router.get("/users", async (req, res) => {
+  const { filter, limit, cursor, error } = parseUserQuery(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    res.status(200).json(await listUsers(filter, { limit, cursor }));
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch users", error: error.message });
+  }
+});
+
+// Route to get one user, by _id or uid
+router.get("/users/:id", async (req, res) => {
+  try {
+    const user = await findUserParam(req, res);
+    if (!user) return;
+
+    res.status(200).json(await describeWithCounts(user));
+  } catch (error) {
+    console.error("Error fetching user:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch user", error: error.message });
+  }
+});
+
+// Route to change a user's role: { role }. The last admin can't be demoted.
+router.put("/users/:id/role", async (req, res) => {
+  const { role } = req.body;
+  if (!User.ROLES.includes(role)) {
+    return res
+      .status(400)
+      .json({ message: `Role must be one of: ${User.ROLES.join(", ")}` });
+  }
+
+  try {
+    const user = await findUserParam(req, res);
+    if (!user) return;
+
+    const before = user.role;
+    if (before !== role) {
+      if (role !== "admin" && (await isLastAdmin(user))) {
+        return res
+          .status(409)
+          .json({ message: "The last admin can't be demoted" });
+      }
+      user.role = role;
+      await user.save();
+
+      await recordAudit(auditContext(req), {
+        action: "admin.role_change",
+        target: userTarget(user),
+        before: { role: before },
+        after: { role },
+      });
+    }
+
+    res.status(200).json(await describeWithCounts(user));
+  } catch (error) {
+    console.error("Error changing role:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to change role", error: error.message });
+  }
+});
+
+// Route to disable an account: { reason? }. The user is signed out
+// everywhere and can't sign in again until the account is enabled.
+router.post("/users/:id/disable", async (req, res) => {
+  try {
+    const user = await findUserParam(req, res);
+    if (!user) return;
+
+    if (user._id.equals(req.admin._id)) {
+      return res
+        .status(400)
+        .json({ message: "You can't disable your own account" });
+    }
+    if (isDisabled(user)) {
+      return res
+        .status(409)
+        .json({ message: "The account is already disabled" });
+    }
+    if (await isLastAdmin(user)) {
+      return res
+        .status(409)
+        .json({ message: "The last admin can't be disabled" });
+    }
+
+    const reason = req.body.reason ? String(req.body.reason).trim() : "";
+    await disableUser(user, req.admin, reason);
+
+    await recordAudit(auditContext(req), {
+      action: "admin.user_disable",
+      target: userTarget(user),
+      details: { reason: reason || undefined },
+    });
+
+    res.status(200).json(await describeWithCounts(user));
+  } catch (error) {
+    console.error("Error disabling user:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to disable user", error: error.message });
+  }
+});
+
+// Route to enable a disabled account
+router.post("/users/:id/enable", async (req, res) => {
+  try {
+    const user = await findUserParam(req, res);
+    if (!user) return;
+
+    if (!isDisabled(user)) {
+      return res.status(409).json({ message: "The account isn't disabled" });
+    }
+    await enableUser(user);
+
+    await recordAudit(auditContext(req), {
+      action: "admin.user_enable",
+      target: userTarget(user),
+    });
+
+    res.status(200).json(await describeWithCounts(user));
+  } catch (error) {
+    console.error("Error enabling user:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to enable user", error: error.message });
+  }
+});
+
+// Route to give a user's letters to someone else:
+// { to (user _id, uid or email), letterIds?, keepAccess? }. Without
+// letterIds every letter they own moves, trashed ones included. With
+// keepAccess the previous owner stays on as an editor. Storage access
+// follows in background jobs.
+router.post("/users/:id/transfer-letters", async (req, res) => {
+  const { to, letterIds, keepAccess } = req.body;
+  if (!to) {
+    return res.status(400).json({ message: "to is required" });
+  }
+  if (
+    letterIds !== undefined &&
+    (!Array.isArray(letterIds) ||
+      !letterIds.every((id) => mongoose.isValidObjectId(id)))
+  ) {
+    return res
+      .status(400)
+      .json({ message: "letterIds must be a list of letter IDs" });
+  }
+
+  try {
+    const from = await findUserParam(req, res);
+    if (!from) return;
+
+    const target = String(to).includes("@")
+      ? await User.findOne({ email: String(to).trim().toLowerCase() })
+      : await findUserByIdOrUid(String(to));
+    if (!target) {
+      return res.status(404).json({ message: "New owner not found" });
+    }
+    if (target.uid === from.uid) {
+      return res
+        .status(400)
+        .json({ message: "The new owner must be a different user" });
+    }
+    if (isDisabled(target)) {
+      return res
+        .status(400)
+        .json({ message: "Letters can't go to a disabled account" });
+    }
+
+    const letters = await transferLetters(from, target, req.user, {
+      letterIds,
+      keepAccess: !!keepAccess,
+    });
+
+    for (const letter of letters) {
+      await recordAudit(auditContext(req), {
+        action: "letter.transfer",
+        letter,
+        before: { owner: from.email },
+        after: { owner: target.email },
+        details: { keepAccess: !!keepAccess },
+      });
+    }
+
+    res.status(200).json({
+      transferred: letters.length,
+      letterIds: letters.map((letter) => letter._id),
+      from: describeUserForAdmin(from),
+      to: describeUserForAdmin(target),
+    });
+  } catch (error) {
+    console.error("Error transferring letters:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to transfer letters", error: error.message });
+  }
+});
+
+// Route to get counts of users, letters, shares and jobs, and the users who
+// own the most letters
+router.get("/stats", async (req, res) => {
+  try {
+    res.status(200).json(await systemStats());
+  } catch (error) {
+    console.error("Error fetching stats:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch stats", error: error.message });
+  }
+});
+
+// Route to grant every letter's owner access to its stored copy again. The
+// work is done by a background job; GET /jobs/:jobId shows its progress.
+router.post("/fix-permissions", async (req, res) => {
+  try {
+    const job = await enqueueJob("repair_permissions", { user: req.user });
+
+    await recordAudit(auditContext(req), {
+      action: "admin.fix_permissions",
+      details: { jobId: job._id },
+    });
+
+    res.status(202).json({
+      message: "Fixing permissions in the background",
+      jobId: job._id,
+    });
+  } catch (error) {
+    console.error("Error fixing permissions:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fix permissions", error: error.message });
+  }
+});
+
+// Route to search the audit log across all letters and users (see
+// parseAuditQuery in helpers/auditHelper.js for the filters). Follow
+// `nextCursor` for the next page.
+router.get("/audit", async (req, res) => {
+  const { filter, limit, cursor, error } = parseAuditQuery(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    res.status(200).json(await listAuditEntries(filter, { limit, cursor }));
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch audit log", error: error.message });
+  }
+});
+
+// Route to download the audit entries matching the same filters, as
+// ?format=csv (default) or json
+router.get("/audit/export", async (req, res) => {
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (!["csv", "json"].includes(format)) {
+    return res.status(400).json({ message: "Format must be csv or json" });
+  }
+
+  const { filter, error } = parseAuditQuery({ ...req.query, limit: undefined });
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const entries = await findAuditEntriesForExport(filter);
+
+    res.set({
+      "Content-Type":
+        format === "csv"
+          ? "text/csv; charset=utf-8"
+          : "application/json; charset=utf-8",
+      "Content-Disposition": `attachment; filename="audit-log.${format}"`,
+      // Lets clients tell that the export hit the row cap
+      "X-Export-Truncated": String(entries.length >= MAX_EXPORT_ROWS),
+    });
+    res
+      .status(200)
+      .send(
+        format === "csv"
+          ? auditEntriesToCsv(entries)
+          : JSON.stringify(entries, null, 2)
+      );
+  } catch (error) {
+    console.error("Error exporting audit log:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to export audit log", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,88 @@
 const express = require("express");
 const passport = require("passport");
-const { getAuthUrl, oauth2Client } = require("../config/firbaseAdmin");
+const {
+  getAuthUrl,
+  oauth2Client,
+  verifyToken,
+} = require("../config/firbaseAdmin");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const authMiddleware = require("../middleware/authMiddleware");
+const {
+  userFromFirebase,
+  describeUser,
+  isDisabled,
+  startSession,
+  createLoginCode,
+  exchangeLoginCode,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  createStateToken,
+  readStateToken,
+} = require("../helpers/authHelper");
+const {
+  connectionClient,
+  driveConnectUrl,
+  connectDrive,
+  disconnectDrive,
+  describeDriveConnection,
+} = require("../helpers/driveConnectionHelper");
 const router = express.Router();
 
 require("../config/passport");
 
+// Where the Google sign-in sends the browser back to
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
+
+const clientContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get("user-agent"),
+});
+
 // Route to get Google Authentication URL (for Drive Access)
 router.get("/google/url", (req, res) => {
   res.json({ url: getAuthUrl() });
 });
 
+// Route to sign in with a Firebase ID token: { idToken }. The Firebase
+// account is linked to the user's existing record, if any, and the response
+// has our access and refresh tokens.
+router.post("/firebase", async (req, res) => {
+  const { idToken } = req.body;
+  if (!idToken) {
+    return res.status(400).json({ message: "idToken is required" });
+  }
+
+  try {
+    const decoded = await verifyToken(idToken);
+    if (!decoded) {
+      return res.status(401).json({ message: "Invalid token" });
+    }
+
+    const user = await userFromFirebase(decoded, { login: true });
+    if (isDisabled(user)) {
+      return res.status(403).json({ message: "This account is disabled" });
+    }
+    const tokens = await startSession(user, {
+      ...clientContext(req),
+      provider: "firebase",
+    });
+    res.status(200).json(tokens);
+  } catch (error) {
+    console.error("Error signing in with Firebase:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to sign in", error: error.message });
+  }
+});
+
 // Set up Google OAuth with Drive scope
 router.get(
   "/google",
   passport.authenticate("google", {
+    session: false,
+    accessType: "offline", // So Drive can still be reached after sign-in
     scope: [
       "profile",
       "email",
@@ -22,25 +91,250 @@ router.get(
   })
 );
 
+// The browser comes back with a one-time `code` rather than tokens; the
+// client swaps it for tokens with POST /auth/exchange. Callbacks without the
+// `state` sent by GET /auth/google (see config/passport.js) fail.
 router.get(
   "/google/callback",
-  passport.authenticate("google", { failureRedirect: "/" }),
+  passport.authenticate("google", {
+    session: false,
+    failureRedirect: `${CLIENT_URL}/auth?error=google`,
+  }),
   async (req, res) => {
+    if (isDisabled(req.user)) {
+      return res.redirect(`${CLIENT_URL}/auth?error=disabled`);
+    }
     try {
-      // Store the access token
-      const token = req.user.accessToken;
-      const userId = req.user.id;
-      const email = req.user.email;
-
-      // Redirect with token info
-      res.redirect(
-        `http://localhost:3000/auth?token=${token}&userId=${userId}&email=${email}`
-      );
+      const code = await createLoginCode(req.user, {
+        ...clientContext(req),
+        provider: "google",
+      });
+      res.redirect(`${CLIENT_URL}/auth?code=${encodeURIComponent(code)}`);
     } catch (error) {
       console.error("Error in auth callback:", error);
-      res.redirect("/");
+      res.redirect(`${CLIENT_URL}/auth?error=login`);
     }
   }
 );
 
+// Route to swap the code from the Google callback for tokens: { code }.
+// Codes work once, within a minute.
+router.post("/exchange", async (req, res) => {
+  try {
+    const tokens = await exchangeLoginCode(req.body.code);
+    if (!tokens) {
+      return res.status(400).json({ message: "Invalid or expired login code" });
+    }
+    res.status(200).json(tokens);
+  } catch (error) {
+    console.error("Error exchanging login code:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to sign in", error: error.message });
+  }
+});
+
+// Route to get new tokens for a refresh token: { refreshToken }. The refresh
+// token is replaced; keep the new one from the response.
+router.post("/refresh", async (req, res) => {
+  try {
+    const { tokens, error } = await rotateRefreshToken(
+      req.body.refreshToken,
+      clientContext(req)
+    );
+    if (error) {
+      return res.status(401).json({ message: error });
+    }
+    res.status(200).json(tokens);
+  } catch (error) {
+    console.error("Error refreshing tokens:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to refresh tokens", error: error.message });
+  }
+});
+
+// Route to log out: { refreshToken }. Ends the session, including its
+// access tokens.
+router.post("/logout", async (req, res) => {
+  if (!req.body.refreshToken) {
+    return res.status(400).json({ message: "refreshToken is required" });
+  }
+
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error logging out:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to log out", error: error.message });
+  }
+});
+
+// Route to log out everywhere
+router.post("/logout-all", authMiddleware, async (req, res) => {
+  try {
+    const result = await revokeSession(
+      { userId: req.user.userId },
+      "logout everywhere"
+    );
+    res.status(200).json({ revoked: result.modifiedCount });
+  } catch (error) {
+    console.error("Error logging out everywhere:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to log out", error: error.message });
+  }
+});
+
+// Route to get the signed-in user
+router.get("/me", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.status(200).json(describeUser(user));
+  } catch (error) {
+    console.error("Error fetching user:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch user", error: error.message });
+  }
+});
+
+// Route to list the user's active sessions, most recently used first
+router.get("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      refreshTokenHash: { $ne: null },
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json(
+      sessions.map((session) => ({
+        _id: session._id,
+        provider: session.provider,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === req.user.sid,
+      }))
+    );
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch sessions", error: error.message });
+  }
+});
+
+// Route to end one of the user's sessions, e.g. a lost device
+router.delete("/sessions/:sessionId", authMiddleware, async (req, res) => {
+  try {
+    const result = await revokeSession(
+      { _id: req.params.sessionId, userId: req.user.userId },
+      "revoked by user"
+    ).catch(() => null);
+    if (!result || result.matchedCount === 0) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to revoke session", error: error.message });
+  }
+});
+
+// Route to see whether the user's Google Drive is connected and which
+// folder their letters are saved in
+router.get("/drive", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.status(200).json(describeDriveConnection(user));
+  } catch (error) {
+    console.error("Error fetching Drive connection:", error);
+    res.status(500).json({
+      message: "Failed to fetch Drive connection",
+      error: error.message,
+    });
+  }
+});
+
+// Route to start connecting the user's Google Drive. The client sends the
+// browser to `url`; Google sends it back to /auth/drive/callback.
+router.get("/drive/url", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.status(200).json({
+      url: driveConnectUrl(createStateToken(user, "drive")),
+    });
+  } catch (error) {
+    console.error("Error starting Drive connection:", error);
+    res.status(500).json({
+      message: "Failed to start Drive connection",
+      error: error.message,
+    });
+  }
+});
+
+// Google sends the browser here after the user has answered. The user's
+// letters move into a Letters folder in their own Drive, then the browser
+// goes back to the client's /drive page with `connected` or `error` set.
+router.get("/drive/callback", async (req, res) => {
+  const userId = readStateToken(req.query.state, "drive");
+  if (!userId || !req.query.code) {
+    return res.redirect(`${CLIENT_URL}/drive?error=denied`);
+  }
+
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.redirect(`${CLIENT_URL}/drive?error=user`);
+    }
+
+    const { tokens } = await connectionClient().getToken(req.query.code);
+    const { error } = await connectDrive(user, tokens);
+    if (error) {
+      console.error("Error connecting Drive:", error);
+      return res.redirect(`${CLIENT_URL}/drive?error=offline`);
+    }
+    res.redirect(`${CLIENT_URL}/drive?connected=1`);
+  } catch (error) {
+    console.error("Error connecting Drive:", error);
+    res.redirect(`${CLIENT_URL}/drive?error=connect`);
+  }
+});
+
+// Route to disconnect the user's Google Drive. Letters already saved there
+// stay where they are.
+router.delete("/drive", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    await disconnectDrive(user);
+    res.status(200).json(describeDriveConnection(user));
+  } catch (error) {
+    console.error("Error disconnecting Drive:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to disconnect Drive", error: error.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,258 @@
+const express = require("express");
+const Letter = require("../models/Letter");
+const Comment = require("../models/Comment");
+const authMiddleware = require("../middleware/authMiddleware");
+const requireLetterRole = require("../middleware/letterAccess");
+const { extractMentions } = require("../helpers/commentHelper");
+const {
+  alignRangeWithSavedContent,
+  emitToLetter,
+} = require("../sockets/collaboration");
+
+// Mounted under /letters/:id/comments
+const router = express.Router({ mergeParams: true });
+
+const canView = requireLetterRole("viewer");
+const canComment = requireLetterRole("commenter");
+
+const authorFields = (user) => ({
+  authorId: user.uid || user.id,
+  authorName: user.name || user.email,
+  authorEmail: user.email,
+});
+
+const isAuthor = (entry, user) => entry.authorId === (user.uid || user.id);
+
+// Load a thread on the current letter or answer 404
+const findThread = async (req, res) => {
+  const comment = await Comment.findOne({
+    _id: req.params.commentId,
+    letterId: req.letter._id,
+  }).catch(() => null);
+
+  if (!comment) {
+    res.status(404).json({ message: "Comment not found" });
+  }
+  return comment;
+};
+
+// Route to list comment threads, optionally ?resolved=true|false
+router.get("/", authMiddleware, canView, async (req, res) => {
+  try {
+    const filter = { letterId: req.letter._id };
+    if (req.query.resolved !== undefined) {
+      filter.resolved = req.query.resolved === "true";
+    }
+
+    const comments = await Comment.find(filter).sort({ "anchor.start": 1 });
+    res.status(200).json(comments);
+  } catch (error) {
+    console.error("Error fetching comments:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch comments", error: error.message });
+  }
+});
+
+// Route to start a comment thread on a range of the letter. Clients editing
+// live send the room `version` their selection was made at.
+router.post("/", authMiddleware, canComment, async (req, res) => {
+  const { body, anchor, version } = req.body;
+
+  if (!body || !body.trim()) {
+    return res.status(400).json({ message: "Comment body is required" });
+  }
+
+  if (
+    !anchor ||
+    !Number.isInteger(anchor.start) ||
+    !Number.isInteger(anchor.end) ||
+    anchor.start < 0 ||
+    anchor.end < anchor.start
+  ) {
+    return res
+      .status(400)
+      .json({ message: "Anchor must have integer start <= end" });
+  }
+
+  try {
+    const letter = req.letter;
+    const range = await alignRangeWithSavedContent(letter._id, version, anchor);
+
+    // Re-read the content in case a live room was just flushed
+    const { content } = await Letter.findById(letter._id).select("content");
+
+    if (range.end > content.length) {
+      return res
+        .status(400)
+        .json({ message: "Anchor is outside the letter content" });
+    }
+
+    const comment = await Comment.create({
+      letterId: letter._id,
+      ...authorFields(req.user),
+      body,
+      mentions: await extractMentions(letter, body),
+      anchor: {
+        start: range.start,
+        end: range.end,
+        quote: content.slice(range.start, range.end),
+      },
+    });
+
+    emitToLetter(letter._id, "comment-added", comment);
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error("Error adding comment:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to add comment", error: error.message });
+  }
+});
+
+// Route to reply to a thread
+router.post(
+  "/:commentId/replies",
+  authMiddleware,
+  canComment,
+  async (req, res) => {
+    const { body } = req.body;
+
+    if (!body || !body.trim()) {
+      return res.status(400).json({ message: "Reply body is required" });
+    }
+
+    try {
+      const comment = await findThread(req, res);
+      if (!comment) return;
+
+      comment.replies.push({
+        ...authorFields(req.user),
+        body,
+        mentions: await extractMentions(req.letter, body),
+      });
+      await comment.save();
+
+      emitToLetter(req.letter._id, "comment-updated", comment);
+      res.status(201).json(comment);
+    } catch (error) {
+      console.error("Error adding reply:", error);
+      res
+        .status(500)
+        .json({ message: "Failed to add reply", error: error.message });
+    }
+  }
+);
+
+// Route to mark a thread as resolved
+router.post(
+  "/:commentId/resolve",
+  authMiddleware,
+  canComment,
+  async (req, res) => {
+    try {
+      const comment = await findThread(req, res);
+      if (!comment) return;
+
+      comment.resolved = true;
+      comment.resolvedBy = req.user.email;
+      comment.resolvedAt = new Date();
+      await comment.save();
+
+      emitToLetter(req.letter._id, "comment-updated", comment);
+      res.status(200).json(comment);
+    } catch (error) {
+      console.error("Error resolving comment:", error);
+      res
+        .status(500)
+        .json({ message: "Failed to resolve comment", error: error.message });
+    }
+  }
+);
+
+// Route to reopen a resolved thread
+router.post(
+  "/:commentId/reopen",
+  authMiddleware,
+  canComment,
+  async (req, res) => {
+    try {
+      const comment = await findThread(req, res);
+      if (!comment) return;
+
+      comment.resolved = false;
+      comment.resolvedBy = undefined;
+      comment.resolvedAt = undefined;
+      await comment.save();
+
+      emitToLetter(req.letter._id, "comment-updated", comment);
+      res.status(200).json(comment);
+    } catch (error) {
+      console.error("Error reopening comment:", error);
+      res
+        .status(500)
+        .json({ message: "Failed to reopen comment", error: error.message });
+    }
+  }
+);
+
+// Route to edit the text of a thread (author only)
+router.patch("/:commentId", authMiddleware, canComment, async (req, res) => {
+  const { body } = req.body;
+
+  if (!body || !body.trim()) {
+    return res.status(400).json({ message: "Comment body is required" });
+  }
+
+  try {
+    const comment = await findThread(req, res);
+    if (!comment) return;
+
+    if (!isAuthor(comment, req.user)) {
+      return res
+        .status(403)
+        .json({ message: "Only the author can edit this comment" });
+    }
+
+    comment.body = body;
+    comment.mentions = await extractMentions(req.letter, body);
+    await comment.save();
+
+    emitToLetter(req.letter._id, "comment-updated", comment);
+    res.status(200).json(comment);
+  } catch (error) {
+    console.error("Error editing comment:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to edit comment", error: error.message });
+  }
+});
+
+// Route to delete a thread (author or letter owner)
+router.delete("/:commentId", authMiddleware, canComment, async (req, res) => {
+  try {
+    const comment = await findThread(req, res);
+    if (!comment) return;
+
+    if (!isAuthor(comment, req.user) && req.letterRole !== "owner") {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to delete this comment" });
+    }
+
+    await comment.deleteOne();
+
+    emitToLetter(req.letter._id, "comment-deleted", {
+      letterId: req.letter._id,
+      commentId: comment._id,
+    });
+    res.status(200).json({ message: "Comment deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting comment:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to delete comment", error: error.message });
+  }
+});
+
+module.exports = router;
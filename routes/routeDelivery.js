@@ -0,0 +1,107 @@
+const express = require("express");
+const EmailDelivery = require("../models/EmailDelivery");
+const authMiddleware = require("../middleware/authMiddleware");
+const requireLetterRole = require("../middleware/letterAccess");
+const { describeDelivery } = require("../helpers/emailHelper");
+const { auditContext, recordAudit } = require("../helpers/auditHelper");
+
+// Mounted under /letters/:id/deliveries. Emails are sent with
+// POST /letters/:id/send.
+const router = express.Router({ mergeParams: true });
+
+const canEdit = requireLetterRole("editor");
+
+// Route to list a letter's emails, newest first, each with its status history
+router.get("/", authMiddleware, canEdit, async (req, res) => {
+  try {
+    const deliveries = await EmailDelivery.find({ letterId: req.letter._id })
+      .sort({ createdAt: -1 })
+      .limit(100);
+    res.status(200).json(deliveries.map(describeDelivery));
+  } catch (error) {
+    console.error("Error fetching deliveries:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch deliveries", error: error.message });
+  }
+});
+
+// Route to get one email and its status history
+router.get("/:deliveryId", authMiddleware, canEdit, async (req, res) => {
+  try {
+    const delivery = await EmailDelivery.findOne({
+      _id: req.params.deliveryId,
+      letterId: req.letter._id,
+    }).catch(() => null);
+    if (!delivery) {
+      return res.status(404).json({ message: "Delivery not found" });
+    }
+    res.status(200).json(describeDelivery(delivery));
+  } catch (error) {
+    console.error("Error fetching delivery:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch delivery", error: error.message });
+  }
+});
+
+// Route to cancel a scheduled email. Only emails that haven't started
+// sending can be cancelled.
+router.post(
+  "/:deliveryId/cancel",
+  authMiddleware,
+  canEdit,
+  async (req, res) => {
+    try {
+      const now = new Date();
+      const cancelledBy = req.user.email;
+      const delivery = await EmailDelivery.findOneAndUpdate(
+        {
+          _id: req.params.deliveryId,
+          letterId: req.letter._id,
+          status: "scheduled",
+        },
+        {
+          $set: { status: "cancelled", cancelledBy },
+          $push: {
+            history: {
+              status: "cancelled",
+              at: now,
+              message: `Cancelled by ${cancelledBy}`,
+            },
+          },
+        },
+        { new: true }
+      ).catch(() => null);
+
+      if (!delivery) {
+        const existing = await EmailDelivery.findOne({
+          _id: req.params.deliveryId,
+          letterId: req.letter._id,
+        }).catch(() => null);
+        if (!existing) {
+          return res.status(404).json({ message: "Delivery not found" });
+        }
+        return res.status(409).json({
+          message: `Only scheduled emails can be cancelled; this one is ${existing.status}`,
+          delivery: describeDelivery(existing),
+        });
+      }
+
+      await recordAudit(auditContext(req), {
+        action: "letter.email_cancel",
+        letter: req.letter,
+        details: { deliveryId: delivery._id, sendAt: delivery.sendAt },
+      });
+
+      res.status(200).json(describeDelivery(delivery));
+    } catch (error) {
+      console.error("Error cancelling delivery:", error);
+      res
+        .status(500)
+        .json({ message: "Failed to cancel delivery", error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require("express");
+const Folder = require("../models/Folder");
+const Letter = require("../models/Letter");
+const authMiddleware = require("../middleware/authMiddleware");
+const { findUserFolder, wouldCreateCycle } = require("../helpers/folderHelper");
+const { enqueueJob } = require("../helpers/jobHelper");
+
+const router = express.Router();
+
+// Load one of the caller's folders or answer 404
+const findOwnFolder = async (req, res) => {
+  const folder = await findUserFolder(
+    req.user.uid || req.user.id,
+    req.params.id
+  );
+  if (!folder) {
+    res.status(404).json({ message: "Folder not found" });
+  }
+  return folder;
+};
+
+// Resolve a parentId from the request body: null for the top level, a
+// folder for an ID the caller owns, or undefined when it is invalid
+const resolveParent = async (req, parentId) => {
+  if (parentId === null || parentId === undefined || parentId === "") {
+    return null;
+  }
+  const parent = await findUserFolder(req.user.uid || req.user.id, parentId);
+  return parent || undefined;
+};
+
+const duplicateNameResponse = (res) =>
+  res
+    .status(409)
+    .json({ message: "A folder with this name already exists here" });
+
+// Route to list the caller's folders. Each folder has a parentId, so clients
+// can build the tree; letterCount excludes letters in the trash.
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.uid || req.user.id;
+    const [folders, counts] = await Promise.all([
+      Folder.find({ userId }).sort({ name: 1 }),
+      Letter.aggregate([
+        { $match: { userId, deletedAt: null, folderId: { $ne: null } } },
+        { $group: { _id: "$folderId", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const countById = new Map(counts.map((c) => [String(c._id), c.count]));
+    res.status(200).json(
+      folders.map((folder) => ({
+        ...folder.toObject(),
+        letterCount: countById.get(String(folder._id)) || 0,
+      }))
+    );
+  } catch (error) {
+    console.error("Error fetching folders:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch folders", error: error.message });
+  }
+});
+
+// Route to create a folder, optionally inside another one
+router.post("/", authMiddleware, async (req, res) => {
+  const { name, parentId } = req.body;
+
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({ message: "Folder name is required" });
+  }
+
+  try {
+    const parent = await resolveParent(req, parentId);
+    if (parent === undefined) {
+      return res.status(404).json({ message: "Parent folder not found" });
+    }
+
+    const folder = await Folder.create({
+      userId: req.user.uid || req.user.id,
+      name,
+      parentId: parent ? parent._id : null,
+    });
+    res.status(201).json(folder);
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateNameResponse(res);
+    }
+    console.error("Error creating folder:", error);
+    const status = error.name === "ValidationError" ? 400 : 500;
+    res
+      .status(status)
+      .json({ message: "Failed to create folder", error: error.message });
+  }
+});
+
+// Route to rename a folder and/or move it under another parent
+router.patch("/:id", authMiddleware, async (req, res) => {
+  const { name, parentId } = req.body;
+
+  try {
+    const folder = await findOwnFolder(req, res);
+    if (!folder) return;
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ message: "Folder name is required" });
+      }
+      folder.name = name;
+    }
+
+    if (parentId !== undefined) {
+      const parent = await resolveParent(req, parentId);
+      if (parent === undefined) {
+        return res.status(404).json({ message: "Parent folder not found" });
+      }
+      if (parent && (await wouldCreateCycle(folder._id, parent._id))) {
+        return res
+          .status(400)
+          .json({ message: "A folder cannot be moved inside itself" });
+      }
+      folder.parentId = parent ? parent._id : null;
+    }
+
+    await folder.save();
+
+    // A job renames or moves the Drive copy, if there is one
+    const job = folder.driveFolderId
+      ? await enqueueJob("move_folder", {
+          user: req.user,
+          payload: { folderId: folder._id },
+        })
+      : null;
+
+    res.status(200).json({ ...folder.toJSON(), jobId: job ? job._id : null });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateNameResponse(res);
+    }
+    console.error("Error updating folder:", error);
+    const status = error.name === "ValidationError" ? 400 : 500;
+    res
+      .status(status)
+      .json({ message: "Failed to update folder", error: error.message });
+  }
+});
+
+// Route to delete an empty folder. Letters in the trash don't count, and are
+// moved to the top level so restoring them still works.
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const folder = await findOwnFolder(req, res);
+    if (!folder) return;
+
+    const [subfolders, letters] = await Promise.all([
+      Folder.countDocuments({ parentId: folder._id }),
+      Letter.countDocuments({ folderId: folder._id, deletedAt: null }),
+    ]);
+    if (subfolders > 0 || letters > 0) {
+      return res.status(409).json({
+        message: "Only empty folders can be deleted",
+        subfolders,
+        letters,
+      });
+    }
+
+    const trashed = await Letter.find({ folderId: folder._id });
+    for (const letter of trashed) {
+      letter.folderId = null;
+      await Letter.updateOne({ _id: letter._id }, { folderId: null });
+      await enqueueJob("move", { letter, user: req.user });
+    }
+    await folder.deleteOne();
+
+    // A job deletes the Drive copy, if there is one
+    const job = folder.driveFolderId
+      ? await enqueueJob("delete_folder", {
+          user: req.user,
+          payload: { driveFolderId: folder.driveFolderId },
+        })
+      : null;
+
+    res.status(200).json({
+      message: "Folder deleted successfully",
+      jobId: job ? job._id : null,
+    });
+  } catch (error) {
+    console.error("Error deleting folder:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to delete folder", error: error.message });
+  }
+});
+
+module.exports = router;
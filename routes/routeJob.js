@@ -0,0 +1,77 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Job = require("../models/Job");
+const Letter = require("../models/Letter");
+const authMiddleware = require("../middleware/authMiddleware");
+const { canAccessLetter } = require("../helpers/letterAccess");
+const { findActiveAdmin } = require("../helpers/authHelper");
+const { describeJob, retryJob } = require("../helpers/jobHelper");
+
+const router = express.Router();
+
+// Load a job the caller may see (or answer 404): one they queued, one for a
+// letter they have at least `minRole` on, or any job for an admin (going
+// by their User record, see findActiveAdmin)
+const findVisibleJob = async (req, res, minRole) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ message: "Job not found" });
+    return null;
+  }
+
+  const job = await Job.findById(req.params.id);
+  let visible = false;
+  if (job) {
+    const userId = req.user.uid || req.user.id;
+    visible =
+      job.createdBy?.id === userId || !!(await findActiveAdmin(req.user));
+    if (!visible && job.letterId) {
+      const letter = await Letter.findById(job.letterId);
+      visible = !!letter && canAccessLetter(letter, req.user, minRole);
+    }
+  }
+
+  if (!visible) {
+    res.status(404).json({ message: "Job not found" });
+    return null;
+  }
+  return job;
+};
+
+// Route to check on a background job: its status, attempts, errors and,
+// for bulk jobs, progress
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const job = await findVisibleJob(req, res, "viewer");
+    if (!job) return;
+
+    res.status(200).json(describeJob(job));
+  } catch (error) {
+    console.error("Error fetching job:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch job", error: error.message });
+  }
+});
+
+// Route to give a dead job (one that used up its attempts) another round
+router.post("/:id/retry", authMiddleware, async (req, res) => {
+  try {
+    const job = await findVisibleJob(req, res, "owner");
+    if (!job) return;
+
+    const retried = await retryJob(job);
+    if (!retried) {
+      return res
+        .status(409)
+        .json({ message: "Only jobs that have given up can be retried" });
+    }
+    res.status(200).json(describeJob(retried));
+  } catch (error) {
+    console.error("Error retrying job:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to retry job", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,102 +1,195 @@
 const express = require("express");
+const mongoose = require("mongoose");
+const archiver = require("archiver");
 const { google } = require("googleapis");
 const Letter = require("../models/Letter");
-const User = require("../models/User"); // Add this import
 const authMiddleware = require("../middleware/authMiddleware");
+const { upload, handleUploadErrors } = require("../middleware/upload");
+const revisionRoutes = require("./routeRevision");
+const commentRoutes = require("./routeComment");
+const shareLinkRoutes = require("./routeShareLink");
+const deliveryRoutes = require("./routeDelivery");
+const signatureRoutes = require("./routeSignature");
+const workflowRoutes = require("./routeWorkflow");
+const EmailDelivery = require("../models/EmailDelivery");
+const SignatureRequest = require("../models/SignatureRequest");
+const { drive, isInsideFolder } = require("../helpers/googleDriveHelper");
+const { lettersFolderFor } = require("../helpers/driveConnectionHelper");
+const { getStorageFor, getProvider } = require("../storage");
 const {
-  getOrCreateLettersFolder,
-  drive,
-} = require("../helpers/googleDriveHelper");
+  recordRevision,
+  ensureBaselineRevision,
+} = require("../helpers/revisionHelper");
+const {
+  createLetter,
+  adoptLetter,
+  queueStoragePush,
+  fetchStoredCopy,
+  applyStorageState,
+  trashLetter,
+  restoreLetter,
+  purgeLetter,
+} = require("../helpers/letterService");
+const {
+  replaceRoomContent,
+  updateSocketRole,
+  closeRoom,
+} = require("../sockets/collaboration");
+const { listEditors } = require("../sockets/presence");
+const { enqueueJob } = require("../helpers/jobHelper");
+const {
+  QuotaExceededError,
+  quotaErrorBody,
+  checkContentQuota,
+  checkCollaboratorQuota,
+} = require("../helpers/quotaHelper");
+const { TRASH_RETENTION_DAYS } = require("../jobs/purgeTrash");
+const {
+  auditContext,
+  summarizeLetter,
+  recordAudit,
+  parseAuditQuery,
+  listAuditEntries,
+} = require("../helpers/auditHelper");
+const { rebaseAnchors } = require("../helpers/commentHelper");
+const { fromDiff } = require("../helpers/textOperation");
+const {
+  parseLetterBody,
+  fromPlainText,
+  fromHtml,
+  toPlainText,
+  documentOf,
+  mergeTextIntoDoc,
+  toHtml,
+} = require("../helpers/richText");
+const requireLetterRole = require("../middleware/letterAccess");
+const {
+  COLLABORATOR_ROLES,
+  findCollaborator,
+  verifiedEmail,
+  getLetterRole,
+  canAccessLetter,
+} = require("../helpers/letterAccess");
+const {
+  normalizeTags,
+  parseFolderFilter,
+  findUserFolder,
+} = require("../helpers/folderHelper");
+const {
+  parseSearchQuery,
+  buildSearchPipeline,
+  buildSnippet,
+  highlight,
+  encodeCursor,
+} = require("../helpers/searchHelper");
+const {
+  FORMATS,
+  parseExportOptions,
+  exportLetter,
+} = require("../helpers/exportHelper");
+const { uploadName, convertUpload } = require("../helpers/importHelper");
+const {
+  parseSendOptions,
+  sendDelivery,
+  describeDelivery,
+} = require("../helpers/emailHelper");
+const { isMailConfigured } = require("../config/mailer");
+const {
+  requestProblem,
+  describeRequest,
+} = require("../helpers/signatureHelper");
+const workflow = require("../config/workflow");
+const { statusFilter } = require("../helpers/workflowHelper");
 
 const router = express.Router();
 
-// Route to save a letter to Google Drive
-router.post("/save", authMiddleware, async (req, res) => {
-  const { title, content } = req.body;
-  const userId = req.user.uid || req.user.id;
-  const userEmail = req.user.email; // Make sure this is available from auth
+const canView = requireLetterRole("viewer");
+const canEdit = requireLetterRole("editor");
+// For changes to the content itself, which need an editable letter (see
+// editBlock in helpers/workflowHelper.js)
+const canWrite = requireLetterRole("editor", { editable: true });
+const isOwner = requireLetterRole("owner");
+const isOwnerOfTrashed = requireLetterRole("owner", { allowTrashed: true });
 
+const MAX_BULK_EXPORT = 50;
+
+// The Drive browsing routes only make sense when Drive is the storage backend
+const requireDriveStorage = (req, res, next) => {
+  if ((process.env.STORAGE_PROVIDER || "gdrive") !== "gdrive") {
+    return res
+      .status(400)
+      .json({ message: "Google Drive storage is not enabled" });
+  }
+  next();
+};
+
+// Whether a Drive file is somewhere in the caller's own Letters folder.
+// Files the service account can't see count as outside it.
+const inOwnDriveFolder = async (req, fileId) => {
+  const folderId = await lettersFolderFor(req.user.uid);
   try {
-    // Find user by googleId
-    let user;
-    try {
-      user = await User.findOne({ googleId: userId });
-
-      if (!user) {
-        user = new User({
-          googleId: userId,
-          name: req.user.name || "Unknown User",
-          email: userEmail,
-          role: "user",
-        });
-        await user.save();
-      }
-    } catch (userErr) {
-      console.error("Error finding or creating user:", userErr);
-      user = {
-        googleId: userId,
-        email: userEmail,
-      };
+    return await isInsideFolder(fileId, folderId);
+  } catch (driveErr) {
+    if (driveErr.code === 404) {
+      return false;
     }
+    throw driveErr;
+  }
+};
 
-    // Ensure the "Letters" folder exists
-    const folderId = await getOrCreateLettersFolder();
-
-    // Create a new file in the "Letters" folder
-    const fileMetadata = {
-      name: `${title}.txt`,
-      parents: [folderId],
-    };
-
-    const media = {
-      mimeType: "text/plain",
-      body: content,
-    };
-
-    // Create the file
-    const file = await drive.files.create({
-      resource: fileMetadata,
-      media: media,
-      fields: "id, webViewLink",
+// The storage routes need the stored copy, which a new letter only has once
+// its upload job has run
+const requireStoredCopy = (req, res, next) => {
+  if (!req.letter.storage.ref) {
+    return res.status(409).json({
+      message: "The letter hasn't been uploaded to storage yet",
+      syncStatus: req.letter.storage.syncStatus,
     });
+  }
+  next();
+};
 
-    const fileId = file.data.id;
+router.use("/:id/revisions", revisionRoutes);
+router.use("/:id/comments", commentRoutes);
+router.use("/:id/share-links", shareLinkRoutes);
+router.use("/:id/deliveries", deliveryRoutes);
+router.use("/:id/signatures", signatureRoutes);
+router.use("/:id/workflow", workflowRoutes);
 
-    // IMPORTANT: Grant access to the user who created the file
-    if (userEmail) {
-      try {
-        await drive.permissions.create({
-          fileId: fileId,
-          requestBody: {
-            type: "user",
-            role: "writer",
-            emailAddress: userEmail,
-            sendNotificationEmail: false,
-          },
-        });
-        console.log(`Granted access to ${userEmail} for file ${fileId}`);
-      } catch (permError) {
-        console.error("Error granting file permissions:", permError);
-        // Continue anyway - we don't want to fail the whole request
-      }
-    }
+// Route to save a letter to the configured storage. The body has `title`
+// and either the structured `doc` or plain-text `content`. The stored copy
+// is uploaded in the background; GET /jobs/:jobId follows the upload.
+router.post("/save", authMiddleware, async (req, res) => {
+  const { title, asGoogleDoc } = req.body;
+  const { doc, content, error } = parseLetterBody(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
 
-    // Save the letter details to the database
-    const newLetter = new Letter({
-      userId: userId,
+  try {
+    const { letter, job } = await createLetter(req.user, {
       title,
       content,
-      googleDriveId: fileId,
+      doc,
+      asGoogleDoc,
+    });
+    await recordAudit(auditContext(req), {
+      action: "letter.create",
+      letter,
+      after: summarizeLetter(letter),
     });
-
-    await newLetter.save();
 
     res.status(201).json({
       message: "Letter saved successfully",
-      fileId: fileId,
-      webViewLink: file.data.webViewLink,
+      letterId: letter._id,
+      storageProvider: letter.storage.provider,
+      syncStatus: letter.storage.syncStatus,
+      jobId: job._id,
     });
   } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(403).json(quotaErrorBody(error));
+    }
     console.error("Error saving letter:", error);
     res
       .status(500)
@@ -104,156 +197,544 @@ router.post("/save", authMiddleware, async (req, res) => {
   }
 });
 
-// List all top-level files and folders
-router.get("/drive-files", authMiddleware, async (req, res) => {
-  try {
-    // First, get the Letters folder(s)
-    const lettersResponse = await drive.files.list({
-      q: "name='Letters' and mimeType='application/vnd.google-apps.folder' and trashed=false",
-      fields: "files(id, name, mimeType, webViewLink, iconLink, createdTime)",
-    });
+// Route to import uploaded documents (multipart field "files": .txt, .md,
+// .html or .docx), creating one letter per file. The file name is the title.
+router.post(
+  "/import",
+  authMiddleware,
+  upload.array("files"),
+  handleUploadErrors,
+  async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: "Upload at least one file" });
+    }
 
-    // Then get other files
-    const filesResponse = await drive.files.list({
-      q: "trashed=false",
-      pageSize: 30,
-      fields: "files(id, name, mimeType, webViewLink, iconLink, createdTime)",
-      orderBy: "createdTime desc", // Most recent files first
-    });
+    const asGoogleDoc =
+      req.body.asGoogleDoc === undefined
+        ? undefined
+        : req.body.asGoogleDoc === "true";
 
-    // Combine and sort all files
-    let allFiles = [...lettersResponse.data.files, ...filesResponse.data.files];
+    try {
+      const results = [];
+
+      // One file at a time so we don't flood the storage backend
+      for (const file of req.files) {
+        const fileName = uploadName(file);
+        const { title, content, doc, error } = await convertUpload(file);
 
-    // Remove duplicates based on ID
-    const uniqueFiles = [];
-    const seenIds = new Set();
+        if (error) {
+          results.push({ file: fileName, status: "error", errors: [error] });
+          continue;
+        }
 
-    for (const file of allFiles) {
-      if (!seenIds.has(file.id)) {
-        seenIds.add(file.id);
-        uniqueFiles.push(file);
+        try {
+          const { letter } = await createLetter(req.user, {
+            title,
+            content,
+            doc,
+            asGoogleDoc,
+          });
+          await recordAudit(auditContext(req), {
+            action: "letter.create",
+            letter,
+            after: summarizeLetter(letter),
+            details: { source: "import", fileName },
+          });
+          results.push({
+            file: fileName,
+            status: "created",
+            letterId: letter._id,
+            title,
+          });
+        } catch (saveErr) {
+          console.error(`Error importing ${fileName}:`, saveErr);
+          results.push({
+            file: fileName,
+            status: "error",
+            errors: [saveErr.message],
+          });
+        }
       }
+
+      const imported = results.filter((r) => r.status === "created").length;
+      res.status(200).json({
+        message: `Imported ${imported} of ${req.files.length} files`,
+        imported,
+        failed: req.files.length - imported,
+        results,
+      });
+    } catch (error) {
+      console.error("Error importing letters:", error);
+      res
+        .status(500)
+        .json({ message: "Failed to import letters", error: error.message });
+    }
+  }
+);
+
+// List the files and folders in the caller's own Letters folder
+router.get(
+  "/drive-files",
+  authMiddleware,
+  requireDriveStorage,
+  async (req, res) => {
+    try {
+      const folderId = await lettersFolderFor(req.user.uid);
+
+      const response = await drive.files.list({
+        q: `'${folderId}' in parents and trashed=false`,
+        pageSize: 100,
+        fields: "files(id, name, mimeType, webViewLink, iconLink, createdTime)",
+        orderBy: "createdTime desc", // Most recent files first
+      });
+
+      res.status(200).json(response.data.files);
+    } catch (error) {
+      console.error("Error listing files:", error);
+      res
+        .status(500)
+        .json({ message: "Failed to list files", error: error.message });
     }
+  }
+);
+
+// List files within a folder under the caller's Letters folder
+router.get(
+  "/drive-files/:folderId",
+  authMiddleware,
+  requireDriveStorage,
+  async (req, res) => {
+    try {
+      const folderId = req.params.folderId;
+      if (!(await inOwnDriveFolder(req, folderId))) {
+        return res.status(404).json({ message: "Folder not found" });
+      }
+
+      const response = await drive.files.list({
+        q: `'${folderId}' in parents and trashed=false`,
+        pageSize: 100,
+        fields: "files(id, name, mimeType, webViewLink, iconLink, createdTime)",
+        orderBy: "name",
+      });
+
+      res.status(200).json(response.data.files);
+    } catch (error) {
+      console.error("Error listing folder contents:", error);
+      res.status(500).json({
+        message: "Failed to list folder contents",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Route to turn a Drive file from the listings above (a Google Doc or a text
+// file) into a letter. The letter is linked to that file; no copy is made.
+router.post(
+  "/drive-files/:fileId/adopt",
+  authMiddleware,
+  requireDriveStorage,
+  async (req, res) => {
+    const { fileId } = req.params;
+
+    try {
+      const existing = await Letter.findOne({
+        "storage.provider": "gdrive",
+        "storage.ref": fileId,
+      });
+      if (existing) {
+        return res.status(409).json({
+          message: "This file already belongs to a letter",
+          letterId: existing._id,
+        });
+      }
+
+      if (!(await inOwnDriveFolder(req, fileId))) {
+        return res.status(404).json({ message: "Drive file not found" });
+      }
+
+      let file;
+      try {
+        file = await getProvider("gdrive").open(fileId);
+      } catch (driveErr) {
+        if (driveErr.code === 404) {
+          return res.status(404).json({ message: "Drive file not found" });
+        }
+        throw driveErr;
+      }
+      if (!file) {
+        return res.status(415).json({
+          message:
+            "Only Google Docs and text files can be adopted; import other files instead",
+        });
+      }
+
+      const { doc, error } = file.html
+        ? fromHtml(file.html)
+        : { doc: fromPlainText(file.content) };
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      const content = toPlainText(doc);
+      if (!content.trim()) {
+        return res.status(400).json({ message: "The file has no text" });
+      }
+
+      const letter = await adoptLetter(
+        req.user,
+        "gdrive",
+        { ...file, content, doc },
+        { title: req.body.title || file.name.replace(/\.txt$/i, "") }
+      );
+      await recordAudit(auditContext(req), {
+        action: "letter.create",
+        letter,
+        after: summarizeLetter(letter),
+        details: { source: "drive", fileId },
+      });
+
+      res.status(201).json({
+        message: "Drive file adopted as a letter",
+        letterId: letter._id,
+        fileId: letter.storage.ref,
+        storageProvider: letter.storage.provider,
+        webViewLink: letter.storage.webViewLink || null,
+      });
+    } catch (error) {
+      if (error instanceof QuotaExceededError) {
+        return res.status(403).json(quotaErrorBody(error));
+      }
+      console.error("Error adopting Drive file:", error);
+      res
+        .status(500)
+        .json({ message: "Failed to adopt Drive file", error: error.message });
+    }
+  }
+);
+
+// Route to search the letters the user owns or collaborates on, e.g.
+// /search?q=invoice&scope=shared&sort=updated&limit=20 (see
+// helpers/searchHelper.js for every parameter). Follow `nextCursor` for the
+// next page.
+router.get("/search", authMiddleware, async (req, res) => {
+  const { options, error } = parseSearchQuery(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
 
-    // Sort by most recent first
-    uniqueFiles.sort((a, b) => {
-      return new Date(b.createdTime) - new Date(a.createdTime);
+  try {
+    const docs = await Letter.aggregate(buildSearchPipeline(req.user, options));
+    const hasMore = docs.length > options.limit;
+    const page = docs.slice(0, options.limit);
+
+    const results = page.map((doc) => {
+      // Run the legacy upgrades a normal find would
+      const letter = Letter.hydrate(doc);
+      return {
+        _id: letter._id,
+        title: letter.title,
+        userId: letter.userId,
+        role: getLetterRole(letter, req.user),
+        collaborators: letter.collaborators,
+        folderId: letter.folderId,
+        tags: letter.tags,
+        createdAt: letter.createdAt,
+        updatedAt: letter.updatedAt,
+        webViewLink: letter.storage?.webViewLink || null,
+        score: doc.score,
+        highlights: {
+          title: highlight(letter.title, options.terms),
+          content: buildSnippet(letter.content, options.terms),
+        },
+      };
     });
 
-    res.status(200).json(uniqueFiles);
+    const last = page[page.length - 1];
+    res.status(200).json({
+      results,
+      nextCursor:
+        hasMore && last ? encodeCursor(last[options.field], last._id) : null,
+    });
   } catch (error) {
-    console.error("Error listing files:", error);
+    console.error("Error searching letters:", error);
     res
       .status(500)
-      .json({ message: "Failed to list files", error: error.message });
+      .json({ message: "Failed to search letters", error: error.message });
   }
 });
 
-// List files within a specific folder
-router.get("/drive-files/:folderId", authMiddleware, async (req, res) => {
+// Route to fetch saved letters, optionally only those in one folder
+// (?folder=<id> or ?folder=root), with one tag (?tag=...) or in one
+// workflow state (?status=...)
+router.get("/all", authMiddleware, async (req, res) => {
+  const filter = { userId: req.user.uid || req.user.id, deletedAt: null };
+
+  if (req.query.folder !== undefined) {
+    const { folderId, error } = parseFolderFilter(String(req.query.folder));
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    filter.folderId = folderId;
+  }
+  if (req.query.tag) {
+    filter.tags = String(req.query.tag).trim().toLowerCase();
+  }
+  if (req.query.status) {
+    const status = String(req.query.status);
+    if (!workflow.states.includes(status)) {
+      return res.status(400).json({
+        message: `Status must be one of: ${workflow.states.join(", ")}`,
+      });
+    }
+    filter.status = statusFilter(status);
+  }
+
   try {
-    const folderId = req.params.folderId;
+    const letters = await Letter.find(filter);
 
-    const response = await drive.files.list({
-      q: `'${folderId}' in parents and trashed=false`,
-      pageSize: 100,
-      fields: "files(id, name, mimeType, webViewLink, iconLink, createdTime)",
-      orderBy: "name",
-    });
+    // The link is recorded on every sync, so no storage calls are needed
+    res.status(200).json(
+      letters.map((letter) => ({
+        ...letter.toObject(),
+        webViewLink: letter.storage.webViewLink || null,
+      }))
+    );
+  } catch (error) {
+    console.error("Error fetching letters:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch letters", error: error.message });
+  }
+});
 
-    res.status(200).json(response.data.files);
+// Route to list the tags used on the user's letters, most used first
+router.get("/tags", authMiddleware, async (req, res) => {
+  try {
+    const tags = await Letter.aggregate([
+      { $match: { userId: req.user.uid || req.user.id, deletedAt: null } },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+    ]);
+    res
+      .status(200)
+      .json(tags.map((tag) => ({ tag: tag._id, count: tag.count })));
   } catch (error) {
-    console.error("Error listing folder contents:", error);
-    res.status(500).json({
-      message: "Failed to list folder contents",
-      error: error.message,
-    });
+    console.error("Error fetching tags:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch tags", error: error.message });
   }
 });
 
-// Route to fetch saved letters
-router.get("/all", authMiddleware, async (req, res) => {
+// Route to list the user's letters in the trash, newest first. Each entry
+// says when it will be purged.
+router.get("/trash", authMiddleware, async (req, res) => {
   try {
     const userId = req.user.uid || req.user.id;
-    const letters = await Letter.find({ userId });
+    const letters = await Letter.find({
+      userId,
+      deletedAt: { $ne: null },
+    }).sort({ deletedAt: -1 });
 
-    // Get up-to-date webViewLink for each letter
-    const lettersWithLinks = await Promise.all(
-      letters.map(async (letter) => {
-        try {
-          if (letter.googleDriveId) {
-            const file = await drive.files.get({
-              fileId: letter.googleDriveId,
-              fields: "webViewLink,webContentLink",
-            });
-            return {
-              ...letter.toObject(),
-              webViewLink: file.data.webViewLink,
-              webContentLink: file.data.webContentLink || null,
-            };
-          }
-          return letter.toObject();
-        } catch (error) {
-          console.error(`Error getting link for letter ${letter._id}:`, error);
-          return letter.toObject();
-        }
-      })
+    res.status(200).json(
+      letters.map((letter) => ({
+        ...letter.toObject(),
+        purgeAt: new Date(
+          letter.deletedAt.getTime() + TRASH_RETENTION_DAYS * 86400000
+        ),
+      }))
     );
-
-    res.status(200).json(lettersWithLinks);
   } catch (error) {
-    console.error("Error fetching letters:", error);
+    console.error("Error fetching trash:", error);
     res
       .status(500)
-      .json({ message: "Failed to fetch letters", error: error.message });
+      .json({ message: "Failed to fetch trash", error: error.message });
   }
 });
 
-// Route to add a collaborator to a letter
-router.post("/add-collaborator", authMiddleware, async (req, res) => {
-  const { letterId, collaboratorEmail } = req.body;
+// Route to list the signature requests waiting for the user's signature,
+// found by their verified email
+router.get("/signature-requests", authMiddleware, async (req, res) => {
+  const email = verifiedEmail(req.user);
+  if (!email) {
+    return res.status(200).json([]);
+  }
 
   try {
-    // Find the letter
-    const letter = await Letter.findById(letterId);
+    const requests = await SignatureRequest.find({
+      status: "pending",
+      signers: { $elemMatch: { email, status: "pending" } },
+    }).sort({ createdAt: -1 });
 
-    if (!letter) {
-      return res.status(404).json({ message: "Letter not found" });
-    }
+    res
+      .status(200)
+      .json(
+        requests
+          .filter((request) => !requestProblem(request))
+          .map((request) => describeRequest(request))
+      );
+  } catch (error) {
+    console.error("Error fetching signature requests:", error);
+    res.status(500).json({
+      message: "Failed to fetch signature requests",
+      error: error.message,
+    });
+  }
+});
 
-    const fileId = letter.googleDriveId;
+// Route to download several letters as a zip. Body:
+// { letterIds: [...], format, pageSize, margin, letterhead }
+router.post("/export", authMiddleware, async (req, res) => {
+  const { letterIds } = req.body;
+  const format = String(req.body.format || "pdf").toLowerCase();
 
-    if (!fileId) {
+  if (!Array.isArray(letterIds) || letterIds.length === 0) {
+    return res
+      .status(400)
+      .json({ message: "letterIds must be a non-empty array" });
+  }
+
+  if (letterIds.length > MAX_BULK_EXPORT) {
+    return res.status(400).json({
+      message: `At most ${MAX_BULK_EXPORT} letters can be exported at once`,
+    });
+  }
+
+  if (!FORMATS[format]) {
+    return res.status(400).json({
+      message: `Format must be one of: ${Object.keys(FORMATS).join(", ")}`,
+    });
+  }
+
+  const { options, error } = parseExportOptions(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const ids = letterIds.filter((id) => mongoose.isValidObjectId(id));
+    const letters = (
+      await Letter.find({ _id: { $in: ids }, deletedAt: null })
+    ).filter((letter) => canAccessLetter(letter, req.user));
+
+    const found = new Set(letters.map((letter) => String(letter._id)));
+    const missing = letterIds.filter((id) => !found.has(String(id)));
+    if (missing.length > 0) {
       return res
         .status(404)
-        .json({ message: "Google Drive file ID not found" });
+        .json({ message: "Some letters were not found", missing });
     }
 
-    // Grant specific permission to the collaborator
-    await drive.permissions.create({
-      fileId: fileId,
-      requestBody: {
-        role: "writer",
-        type: "user",
-        emailAddress: collaboratorEmail,
-      },
-      sendNotificationEmail: true,
-      emailMessage: "You've been invited to collaborate on this document",
-      fields: "id",
-    });
+    // Render everything before streaming so a failure can still be a 500
+    const usedNames = new Set();
+    const files = [];
+    for (const letter of letters) {
+      const file = await exportLetter(letter, format, options);
 
-    // Add collaborator to the letter document if not already added
-    if (!letter.collaborators) {
-      letter.collaborators = [];
+      // Two letters with the same title must not overwrite each other
+      let name = file.fileName;
+      for (let n = 2; usedNames.has(name); n++) {
+        name = file.fileName.replace(/(\.\w+)$/, `-${n}$1`);
+      }
+      usedNames.add(name);
+      files.push({ name, buffer: file.buffer });
     }
 
-    if (!letter.collaborators.includes(collaboratorEmail)) {
-      letter.collaborators.push(collaboratorEmail);
-      await letter.save();
+    res.set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="letters-${format}.zip"`,
+    });
+
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    archive.on("error", (archiveErr) => {
+      console.error("Error writing export archive:", archiveErr);
+      res.destroy(archiveErr);
+    });
+    archive.pipe(res);
+    files.forEach((file) => archive.append(file.buffer, { name: file.name }));
+    await archive.finalize();
+  } catch (error) {
+    console.error("Error exporting letters:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to export letters", error: error.message });
+  }
+});
+
+// Route to add a collaborator to a letter (or change an existing one's role)
+router.post("/add-collaborator", authMiddleware, isOwner, async (req, res) => {
+  const { collaboratorEmail, role = "editor" } = req.body;
+  const letter = req.letter;
+
+  if (!collaboratorEmail) {
+    return res.status(400).json({ message: "Collaborator email is required" });
+  }
+
+  if (!COLLABORATOR_ROLES.includes(role)) {
+    return res.status(400).json({
+      message: `Role must be one of: ${COLLABORATOR_ROLES.join(", ")}`,
+    });
+  }
+
+  const email = collaboratorEmail.toLowerCase();
+  if (email === (req.user.email || "").toLowerCase()) {
+    return res
+      .status(400)
+      .json({ message: "The owner cannot be added as a collaborator" });
+  }
+
+  try {
+    const existing = findCollaborator(letter, email);
+    const previousRole = existing?.role;
+
+    if (!existing) {
+      checkCollaboratorQuota(letter);
+    }
+    if (existing) {
+      existing.role = role;
+    } else {
+      letter.collaborators.push({
+        email,
+        role,
+        addedBy: req.user.email,
+      });
     }
+    // Rewrite the whole array so legacy string entries get converted too
+    letter.markModified("collaborators");
+    await letter.save();
+    updateSocketRole(letter._id, email, role);
 
-    res.status(200).json({ message: "Collaborator added successfully" });
+    // Grant the storage permission matching the stored role
+    const job = await enqueueJob("share", {
+      letter,
+      user: req.user,
+      payload: {
+        email,
+        emailMessage: existing
+          ? undefined
+          : "You've been invited to collaborate on this document",
+      },
+    });
+    await recordAudit(auditContext(req), {
+      action: existing ? "letter.permission_change" : "letter.share",
+      letter,
+      target: { type: "collaborator", id: email, label: email },
+      before: existing ? { role: previousRole } : undefined,
+      after: { role },
+    });
+
+    res.status(200).json({
+      message: existing
+        ? "Collaborator role updated successfully"
+        : "Collaborator added successfully",
+      collaborators: letter.collaborators,
+      jobId: job._id,
+    });
   } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(403).json(quotaErrorBody(error));
+    }
     console.error("Error adding collaborator:", error);
     res
       .status(500)
@@ -262,142 +743,532 @@ router.post("/add-collaborator", authMiddleware, async (req, res) => {
 });
 
 // Route to get collaborators for a letter
-router.get("/:id/collaborators", authMiddleware, async (req, res) => {
+router.get("/:id/collaborators", authMiddleware, canView, async (req, res) => {
+  res.status(200).json(req.letter.collaborators || []);
+});
+
+// Route to change a collaborator's role
+router.patch(
+  "/:id/collaborators/:email",
+  authMiddleware,
+  isOwner,
+  async (req, res) => {
+    const { role } = req.body;
+    const letter = req.letter;
+
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return res.status(400).json({
+        message: `Role must be one of: ${COLLABORATOR_ROLES.join(", ")}`,
+      });
+    }
+
+    const collaborator = findCollaborator(letter, req.params.email);
+    if (!collaborator) {
+      return res.status(404).json({ message: "Collaborator not found" });
+    }
+
+    try {
+      const previousRole = collaborator.role;
+      collaborator.role = role;
+      letter.markModified("collaborators");
+      await letter.save();
+      updateSocketRole(letter._id, collaborator.email, role);
+      const job = await enqueueJob("share", {
+        letter,
+        user: req.user,
+        payload: { email: collaborator.email },
+      });
+      await recordAudit(auditContext(req), {
+        action: "letter.permission_change",
+        letter,
+        target: {
+          type: "collaborator",
+          id: collaborator.email,
+          label: collaborator.email,
+        },
+        before: { role: previousRole },
+        after: { role },
+      });
+
+      res.status(200).json({
+        message: "Collaborator role updated successfully",
+        collaborator,
+        jobId: job._id,
+      });
+    } catch (error) {
+      console.error("Error updating collaborator role:", error);
+      res.status(500).json({
+        message: "Failed to update collaborator role",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Route to remove a collaborator from a letter
+router.delete(
+  "/:id/collaborators/:email",
+  authMiddleware,
+  isOwner,
+  async (req, res) => {
+    const letter = req.letter;
+    const collaborator = findCollaborator(letter, req.params.email);
+
+    if (!collaborator) {
+      return res.status(404).json({ message: "Collaborator not found" });
+    }
+
+    try {
+      letter.collaborators = letter.collaborators.filter(
+        (c) => c.email !== collaborator.email
+      );
+      await letter.save();
+      updateSocketRole(letter._id, collaborator.email, null);
+      const job = await enqueueJob("unshare", {
+        letter,
+        user: req.user,
+        payload: {
+          email: collaborator.email,
+          permissionId: collaborator.permissionId,
+        },
+      });
+      await recordAudit(auditContext(req), {
+        action: "letter.unshare",
+        letter,
+        target: {
+          type: "collaborator",
+          id: collaborator.email,
+          label: collaborator.email,
+        },
+        before: { role: collaborator.role },
+      });
+
+      res.status(200).json({
+        message: "Collaborator removed successfully",
+        jobId: job._id,
+      });
+    } catch (error) {
+      console.error("Error removing collaborator:", error);
+      res.status(500).json({
+        message: "Failed to remove collaborator",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Route to move a letter into one of the owner's folders ({ folderId }, or
+// null for the top level). Drive-stored letters move to the matching Drive
+// subfolder too.
+router.put("/:id/folder", authMiddleware, isOwner, async (req, res) => {
+  const letter = req.letter;
+  const { folderId = null } = req.body;
+
   try {
-    const letterId = req.params.id;
-    const letter = await Letter.findById(letterId);
+    let folder = null;
+    if (folderId !== null) {
+      folder = await findUserFolder(letter.userId, folderId);
+      if (!folder) {
+        return res.status(404).json({ message: "Folder not found" });
+      }
+    }
 
-    if (!letter) {
-      return res.status(404).json({ message: "Letter not found" });
+    // Moving isn't an edit, so leave updatedAt alone
+    const previousFolderId = letter.folderId;
+    letter.folderId = folder ? folder._id : null;
+    await Letter.updateOne(
+      { _id: letter._id },
+      { $set: { folderId: letter.folderId } }
+    );
+
+    const job = await enqueueJob("move", { letter, user: req.user });
+    await recordAudit(auditContext(req), {
+      action: "letter.move",
+      letter,
+      before: { folderId: previousFolderId },
+      after: { folderId: letter.folderId },
+    });
+
+    res.status(200).json({
+      message: "Letter moved successfully",
+      folderId: letter.folderId,
+      jobId: job._id,
+    });
+  } catch (error) {
+    console.error("Error moving letter:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to move letter", error: error.message });
+  }
+});
+
+// Route to change a letter's tags. Send { tags } to replace them all, or
+// { add, remove } to change some.
+router.put("/:id/tags", authMiddleware, canEdit, async (req, res) => {
+  const letter = req.letter;
+  let requested = req.body.tags;
+
+  if (requested === undefined) {
+    const { add = [], remove = [] } = req.body;
+    const removed = normalizeTags(remove);
+    if (removed.error) {
+      return res.status(400).json({ message: removed.error });
     }
+    requested = letter.tags
+      .filter((tag) => !removed.tags.includes(tag))
+      .concat(add);
+  }
 
-    res.status(200).json(letter.collaborators || []);
+  const { tags, error } = normalizeTags(requested);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    letter.tags = tags;
+    await Letter.updateOne({ _id: letter._id }, { $set: { tags } });
+    res.status(200).json({ message: "Tags updated successfully", tags });
   } catch (error) {
-    console.error("Error fetching collaborators:", error);
+    console.error("Error updating tags:", error);
     res
       .status(500)
-      .json({ message: "Failed to fetch collaborators", error: error.message });
+      .json({ message: "Failed to update tags", error: error.message });
   }
 });
 
-// Route to get a specific letter by ID
-router.get("/:id", authMiddleware, async (req, res) => {
+// Route to see the audit trail of one letter, newest first. Takes the same
+// filters as GET /admin/audit except letterId.
+router.get(
+  "/:id/activity",
+  authMiddleware,
+  isOwnerOfTrashed,
+  async (req, res) => {
+    const { filter, limit, cursor, error } = parseAuditQuery({
+      ...req.query,
+      letterId: undefined,
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    try {
+      res
+        .status(200)
+        .json(
+          await listAuditEntries(
+            { ...filter, letterId: req.letter._id },
+            { limit, cursor }
+          )
+        );
+    } catch (error) {
+      console.error("Error fetching letter activity:", error);
+      res.status(500).json({
+        message: "Failed to fetch letter activity",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Route to see who is editing a letter right now
+router.get("/:id/presence", authMiddleware, canView, async (req, res) => {
+  res.status(200).json(listEditors(String(req.letter._id)));
+});
+
+// Route to download a letter, e.g. /:id/export?format=pdf&pageSize=letter
+router.get("/:id/export", authMiddleware, canView, async (req, res) => {
+  const format = String(req.query.format || "pdf").toLowerCase();
+  if (!FORMATS[format]) {
+    return res.status(400).json({
+      message: `Format must be one of: ${Object.keys(FORMATS).join(", ")}`,
+    });
+  }
+
+  const { options, error } = parseExportOptions(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const { buffer, mimeType, fileName } = await exportLetter(
+      req.letter,
+      format,
+      options
+    );
+
+    res.set({
+      "Content-Type": mimeType,
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+    });
+    res.status(200).send(buffer);
+  } catch (error) {
+    console.error("Error exporting letter:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to export letter", error: error.message });
+  }
+});
+
+// Route to email a letter (see helpers/emailHelper.js for the body). With
+// `sendAt` the email is stored and sent later by jobs/emailScheduler.js;
+// GET /:id/deliveries shows how it went.
+router.post("/:id/send", authMiddleware, canEdit, async (req, res) => {
+  if (!isMailConfigured()) {
+    return res.status(503).json({ message: "Email is not configured" });
+  }
+
+  const { options, error } = parseSendOptions(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
   try {
-    const letter = await Letter.findById(req.params.id);
-    if (!letter) {
-      return res.status(404).json({ message: "Letter not found" });
+    const status = options.sendAt ? "scheduled" : "sending";
+    const delivery = await EmailDelivery.create({
+      ...options,
+      letterId: req.letter._id,
+      requestedBy: {
+        id: req.user.uid || req.user.id,
+        email: req.user.email,
+        name: req.user.name,
+      },
+      sendAt: options.sendAt || new Date(),
+      status,
+      lockedAt: options.sendAt ? undefined : new Date(),
+      history: [{ status }],
+    });
+
+    const recipients =
+      delivery.to.length + delivery.cc.length + delivery.bcc.length;
+
+    if (options.sendAt) {
+      await recordAudit(auditContext(req), {
+        action: "letter.email_schedule",
+        letter: req.letter,
+        details: {
+          deliveryId: delivery._id,
+          sendAt: delivery.sendAt,
+          recipients,
+        },
+      });
+      return res.status(202).json(describeDelivery(delivery));
     }
 
-    // Get the most recent web view link
-    if (letter.googleDriveId) {
-      try {
-        const file = await drive.files.get({
-          fileId: letter.googleDriveId,
-          fields: "webViewLink,webContentLink",
-        });
+    await sendDelivery(delivery);
+    await recordAudit(auditContext(req), {
+      action: "letter.email_send",
+      letter: req.letter,
+      details: {
+        deliveryId: delivery._id,
+        status: delivery.status,
+        recipients,
+      },
+    });
 
-        letter.webViewLink = file.data.webViewLink;
-        letter.webContentLink = file.data.webContentLink || null;
-      } catch (error) {
-        console.error(`Error getting Google Drive file: ${error}`);
-      }
+    if (delivery.status !== "sent") {
+      return res.status(502).json({
+        message: "Failed to send letter",
+        error: delivery.lastError,
+        delivery: describeDelivery(delivery),
+      });
     }
+    res.status(201).json(describeDelivery(delivery));
+  } catch (error) {
+    console.error("Error sending letter:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to send letter", error: error.message });
+  }
+});
 
-    res.status(200).json(letter);
+// Route to get a letter's HTML and plain-text renderings, e.g. for previews
+router.get("/:id/preview", authMiddleware, canView, (req, res) => {
+  const doc = documentOf(req.letter);
+  res.status(200).json({
+    title: req.letter.title,
+    html: toHtml(doc),
+    text: req.letter.content,
+  });
+});
+
+// Route to get a specific letter by ID
+router.get("/:id", authMiddleware, canView, async (req, res) => {
+  try {
+    const letter = req.letter;
+    await recordAudit(auditContext(req), { action: "letter.view", letter });
+
+    res.status(200).json({
+      ...letter.toObject(),
+      webViewLink: letter.storage.webViewLink || null,
+      role: req.letterRole,
+    });
   } catch (error) {
     console.error("Error fetching letter:", error);
     res.status(500).json({ message: "Failed to fetch letter" });
   }
 });
 
-// Route to update a letter
-router.put("/:id", authMiddleware, async (req, res) => {
-  const { title, content } = req.body;
+// Route to update a letter. Takes the same body as POST /save; plain-text
+// `content` keeps the formatting of the parts it leaves unchanged. Answers
+// 423 or 409 while the letter is locked for signing or out of draft. The
+// stored copy is updated in the background; GET /jobs/:jobId follows the
+// upload, which fails (and the letter's room gets "storage-conflict") if the
+// stored copy was edited directly since our last upload, unless the body has
+// `force: true`.
+router.put("/:id", authMiddleware, canWrite, async (req, res) => {
+  const { title, force = false } = req.body;
+  const { doc, content, error } = parseLetterBody(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
 
   try {
-    const letter = await Letter.findById(req.params.id);
-    if (!letter) {
-      return res.status(404).json({ message: "Letter not found" });
-    }
+    const letter = req.letter;
+    await checkContentQuota(letter, content);
+
+    await ensureBaselineRevision(letter);
+    const previousContent = letter.content;
+    const before = summarizeLetter(letter);
 
     // Update the letter in the database
     letter.title = title;
+    letter.doc = doc || mergeTextIntoDoc(documentOf(letter), content);
     letter.content = content;
     await letter.save();
+    await rebaseAnchors(letter._id, [fromDiff(previousContent, content)]);
 
-    // Update the Google Drive file
-    if (letter.googleDriveId) {
-      await drive.files.update({
-        fileId: letter.googleDriveId,
-        resource: {
-          name: title,
-          description: `Letter content: ${content.substring(0, 100)}...`,
-        },
-      });
+    // Keep an immutable copy of what was just saved
+    const revision = await recordRevision(letter, req.user);
+    replaceRoomContent(letter._id, content);
+    await recordAudit(auditContext(req), {
+      action: "letter.update",
+      letter,
+      before,
+      after: summarizeLetter(letter),
+    });
 
-      // Get the updated web view link
-      const file = await drive.files.get({
-        fileId: letter.googleDriveId,
-        fields: "webViewLink,webContentLink",
-      });
+    // The job checks for direct edits to the stored copy when it runs, after
+    // any pushes queued before it have landed
+    const job = await queueStoragePush(letter, req.user, { force: !!force });
 
-      res.status(200).json({
-        message: "Letter updated successfully",
-        fileId: letter.googleDriveId,
-        webViewLink: file.data.webViewLink,
-        webContentLink: file.data.webContentLink || null,
-      });
-    } else {
-      res.status(200).json({ message: "Letter updated successfully" });
-    }
+    res.status(200).json({
+      message: "Letter updated successfully",
+      revision: revision.revision,
+      fileId: letter.storage.ref,
+      webViewLink: letter.storage.webViewLink || null,
+      syncStatus: letter.storage.syncStatus,
+      jobId: job._id,
+    });
   } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(403).json(quotaErrorBody(error));
+    }
     console.error("Error updating letter:", error);
     res.status(500).json({ message: "Failed to update letter" });
   }
 });
 
-// Route to delete a letter
-router.delete("/:id", authMiddleware, async (req, res) => {
-  try {
-    const letterId = req.params.id;
-
-    console.log(`Attempting to delete letter with ID: ${letterId}`);
+// Route to compare the letter with its stored copy
+router.get(
+  "/:id/storage-status",
+  authMiddleware,
+  canView,
+  requireStoredCopy,
+  async (req, res) => {
+    const letter = req.letter;
 
-    // Find the letter to get the Google Drive ID
-    const letter = await Letter.findById(letterId);
+    try {
+      const remote = await getStorageFor(letter).getState(letter.storage.ref);
 
-    if (!letter) {
-      console.log(`Letter with ID ${letterId} not found`);
-      return res.status(404).json({ message: "Letter not found" });
+      res.status(200).json({
+        provider: letter.storage.provider,
+        fileId: letter.storage.ref,
+        format: letter.storage.format,
+        conflict:
+          !!letter.storage.version && remote.version !== letter.storage.version,
+        lastSyncedAt: letter.storage.syncedAt,
+        lastSyncedVersion: letter.storage.version,
+        lastSyncedModifiedTime: letter.storage.modifiedTime,
+        modifiedTime: remote.modifiedTime,
+        version: remote.version,
+        webViewLink: remote.webViewLink,
+      });
+    } catch (error) {
+      console.error("Error checking stored letter:", error);
+      res.status(500).json({
+        message: "Failed to check stored letter",
+        error: error.message,
+      });
     }
+  }
+);
 
-    // Verify the user owns this letter
-    const userId = req.user.uid || req.user.id;
-    if (letter.userId !== userId && letter.userId.toString() !== userId) {
-      console.log(`User ${userId} not authorized to delete letter ${letterId}`);
-      return res
-        .status(403)
-        .json({ message: "Not authorized to delete this letter" });
-    }
+// Route to replace the letter's content with its stored copy, e.g. to
+// resolve a conflict in favour of edits made directly in Drive
+router.post(
+  "/:id/storage/pull",
+  authMiddleware,
+  canWrite,
+  requireStoredCopy,
+  async (req, res) => {
+    const letter = req.letter;
 
-    // Delete from Google Drive if we have a Drive ID
-    if (letter.googleDriveId) {
-      try {
-        await drive.files.delete({
-          fileId: letter.googleDriveId,
-        });
-        console.log(`Deleted file ${letter.googleDriveId} from Google Drive`);
-      } catch (driveErr) {
-        console.error("Error deleting from Google Drive:", driveErr);
-        // Continue anyway - we still want to delete from our database
-      }
+    try {
+      const { content, state } = await fetchStoredCopy(letter);
+
+      await ensureBaselineRevision(letter);
+      const previousContent = letter.content;
+      const before = summarizeLetter(letter);
+
+      letter.doc = mergeTextIntoDoc(documentOf(letter), content);
+      letter.content = content;
+      applyStorageState(letter, state);
+      await letter.save();
+      await rebaseAnchors(letter._id, [fromDiff(previousContent, content)]);
+
+      const revision = await recordRevision(letter, req.user);
+      replaceRoomContent(letter._id, content);
+      await recordAudit(auditContext(req), {
+        action: "letter.update",
+        letter,
+        before,
+        after: summarizeLetter(letter),
+        details: { source: "storage" },
+      });
+
+      res.status(200).json({
+        message: "Letter updated from storage",
+        revision: revision.revision,
+      });
+    } catch (error) {
+      console.error("Error pulling stored letter:", error);
+      res.status(500).json({
+        message: "Failed to read stored letter",
+        error: error.message,
+      });
     }
+  }
+);
 
-    // Delete from database
-    await Letter.findByIdAndDelete(letterId);
-    console.log(`Letter ${letterId} deleted from database successfully`);
+// Route to move a letter to the trash
+router.delete("/:id", authMiddleware, isOwner, async (req, res) => {
+  try {
+    const letter = req.letter;
+
+    // Save pending edits and close the letter for anyone still editing it
+    await closeRoom(letter._id);
+    const job = await trashLetter(letter, req.user);
+    await recordAudit(auditContext(req), {
+      action: "letter.delete",
+      letter,
+      before: summarizeLetter(letter),
+    });
 
-    res.status(200).json({ message: "Letter deleted successfully" });
+    res.status(200).json({
+      message: "Letter moved to trash",
+      deletedAt: letter.deletedAt,
+      jobId: job._id,
+    });
   } catch (error) {
     console.error("Error deleting letter:", error);
     res
@@ -406,58 +1277,67 @@ router.delete("/:id", authMiddleware, async (req, res) => {
   }
 });
 
-// Route to fix permissions for all existing files
-router.post("/fix-permissions", authMiddleware, async (req, res) => {
-  if (req.user.role !== "admin") {
-    return res.status(403).json({ message: "Only admins can fix permissions" });
-  }
+// Route to take a letter out of the trash
+router.post(
+  "/:id/restore",
+  authMiddleware,
+  isOwnerOfTrashed,
+  async (req, res) => {
+    const letter = req.letter;
 
-  try {
-    // Get all letters
-    const letters = await Letter.find({});
-    let fixed = 0;
-    let failed = 0;
+    if (!letter.deletedAt) {
+      return res.status(400).json({ message: "Letter is not in the trash" });
+    }
 
-    // Process each letter
-    for (const letter of letters) {
-      try {
-        // Find the user who owns this letter
-        const user = await User.findOne({ googleId: letter.userId });
-
-        if (user && user.email && letter.googleDriveId) {
-          // Grant permission to the user
-          await drive.permissions.create({
-            fileId: letter.googleDriveId,
-            requestBody: {
-              type: "user",
-              role: "writer",
-              emailAddress: user.email,
-              sendNotificationEmail: false,
-            },
-          });
-          fixed++;
-        } else {
-          failed++;
-        }
-      } catch (err) {
-        console.error(
-          `Error fixing permissions for letter ${letter._id}:`,
-          err
-        );
-        failed++;
-      }
+    try {
+      const job = await restoreLetter(letter, req.user);
+      await recordAudit(auditContext(req), {
+        action: "letter.restore",
+        letter,
+        after: summarizeLetter(letter),
+      });
+      res
+        .status(200)
+        .json({ message: "Letter restored", letter, jobId: job._id });
+    } catch (error) {
+      console.error("Error restoring letter:", error);
+      res
+        .status(500)
+        .json({ message: "Failed to restore letter", error: error.message });
     }
+  }
+);
 
-    res.status(200).json({
-      message: `Fixed permissions for ${fixed} files. Failed: ${failed}.`,
-    });
-  } catch (error) {
-    console.error("Error fixing permissions:", error);
-    res
-      .status(500)
-      .json({ message: "Failed to fix permissions", error: error.message });
+// Route to delete a letter for good, with its stored copy, revisions,
+// comments and share links. Works whether or not the letter is in the trash.
+router.delete(
+  "/:id/permanent",
+  authMiddleware,
+  isOwnerOfTrashed,
+  async (req, res) => {
+    try {
+      const letter = req.letter;
+
+      await closeRoom(letter._id);
+      const job = await purgeLetter(letter, req.user);
+      await recordAudit(auditContext(req), {
+        action: "letter.purge",
+        letter,
+        before: summarizeLetter(letter),
+      });
+
+      res.status(200).json({
+        message: "Letter deleted permanently",
+        jobId: job ? job._id : null,
+      });
+    } catch (error) {
+      console.error("Error deleting letter:", error);
+      res
+        .status(500)
+        .json({ message: "Failed to delete letter", error: error.message });
+    }
   }
-});
+);
 
 // Make sure this export is at the end of the file
 module.exports = router;
@@ -0,0 +1,42 @@
+const express = require("express");
+const Webhook = require("../models/Webhook");
+const authMiddleware = require("../middleware/authMiddleware");
+const { quotas } = require("../config/limits");
+const { usageOf } = require("../helpers/quotaHelper");
+const { rateLimitStatus } = require("../helpers/rateLimitHelper");
+
+const router = express.Router();
+
+// Route to see how much of their quotas and rate limits the caller has used.
+// Rate limits include this request.
+router.get("/usage", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.uid || req.user.id;
+    const [usage, webhooks, rateLimits] = await Promise.all([
+      usageOf(userId),
+      Webhook.countDocuments({ "owner.id": userId }),
+      rateLimitStatus(userId),
+    ]);
+
+    res.status(200).json({
+      quotas: {
+        letters: { used: usage.letters, limit: quotas.letters },
+        contentBytes: { used: usage.contentBytes, limit: quotas.contentBytes },
+        // Checked per letter; `used` is the letter with the most
+        collaboratorsPerLetter: {
+          used: usage.mostCollaborators,
+          limit: quotas.collaboratorsPerLetter,
+        },
+        webhooks: { used: webhooks, limit: quotas.webhooks },
+      },
+      rateLimits,
+    });
+  } catch (error) {
+    console.error("Error fetching usage:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch usage", error: error.message });
+  }
+});
+
+module.exports = router;
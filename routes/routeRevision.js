@@ -0,0 +1,163 @@
+const express = require("express");
+const LetterRevision = require("../models/LetterRevision");
+const authMiddleware = require("../middleware/authMiddleware");
+const requireLetterRole = require("../middleware/letterAccess");
+const { queueStoragePush } = require("../helpers/letterService");
+const {
+  recordRevision,
+  ensureBaselineRevision,
+  diffRevisions,
+} = require("../helpers/revisionHelper");
+const { replaceRoomContent } = require("../sockets/collaboration");
+const {
+  auditContext,
+  summarizeLetter,
+  recordAudit,
+} = require("../helpers/auditHelper");
+const { rebaseAnchors } = require("../helpers/commentHelper");
+const { fromDiff } = require("../helpers/textOperation");
+const { fromPlainText } = require("../helpers/richText");
+
+// Mounted under /letters/:id/revisions
+const router = express.Router({ mergeParams: true });
+
+const canView = requireLetterRole("viewer");
+// Restoring changes the content, so the letter must be editable
+const canWrite = requireLetterRole("editor", { editable: true });
+
+// Route to list all revisions of a letter (newest first, without content)
+router.get("/", authMiddleware, canView, async (req, res) => {
+  try {
+    const letter = req.letter;
+    const revisions = await LetterRevision.find({ letterId: letter._id })
+      .select("-content -doc")
+      .sort({ revision: -1 });
+
+    res.status(200).json(revisions);
+  } catch (error) {
+    console.error("Error fetching revisions:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch revisions", error: error.message });
+  }
+});
+
+// Route to diff two revisions, e.g. /diff?from=1&to=3&mode=word
+router.get("/diff", authMiddleware, canView, async (req, res) => {
+  const from = parseInt(req.query.from, 10);
+  const to = parseInt(req.query.to, 10);
+  const mode = req.query.mode || "line";
+
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({
+      message: "Both 'from' and 'to' revision numbers are required",
+    });
+  }
+
+  if (!["line", "word"].includes(mode)) {
+    return res.status(400).json({ message: "Mode must be 'line' or 'word'" });
+  }
+
+  try {
+    const revisions = await LetterRevision.find({
+      letterId: req.params.id,
+      revision: { $in: [from, to] },
+    });
+
+    const fromRevision = revisions.find((r) => r.revision === from);
+    const toRevision = revisions.find((r) => r.revision === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
+
+    res.status(200).json(diffRevisions(fromRevision, toRevision, mode));
+  } catch (error) {
+    console.error("Error diffing revisions:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to diff revisions", error: error.message });
+  }
+});
+
+// Route to get a single revision with its content
+router.get("/:rev", authMiddleware, canView, async (req, res) => {
+  try {
+    const revision = await LetterRevision.findOne({
+      letterId: req.params.id,
+      revision: parseInt(req.params.rev, 10),
+    });
+
+    if (!revision) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
+
+    res.status(200).json(revision);
+  } catch (error) {
+    console.error("Error fetching revision:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch revision", error: error.message });
+  }
+});
+
+// Route to restore a revision; this creates a new revision rather than
+// rewinding history. Like PUT /letters/:id it accepts `force: true`.
+router.post("/:rev/restore", authMiddleware, canWrite, async (req, res) => {
+  try {
+    const letter = req.letter;
+
+    const source = await LetterRevision.findOne({
+      letterId: letter._id,
+      revision: parseInt(req.params.rev, 10),
+    });
+
+    if (!source) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
+
+    await ensureBaselineRevision(letter);
+    const previousContent = letter.content;
+    const before = summarizeLetter(letter);
+
+    letter.title = source.title;
+    letter.content = source.content;
+    letter.doc = source.doc || fromPlainText(source.content);
+    await letter.save();
+    await rebaseAnchors(letter._id, [
+      fromDiff(previousContent, letter.content),
+    ]);
+
+    const revision = await recordRevision(letter, req.user, {
+      restoredFrom: source.revision,
+    });
+    replaceRoomContent(letter._id, letter.content);
+    await recordAudit(auditContext(req), {
+      action: "letter.update",
+      letter,
+      before,
+      after: summarizeLetter(letter),
+      details: { restoredFrom: source.revision },
+    });
+
+    // Same rule as PUT /letters/:id: the job won't silently overwrite direct
+    // edits to the stored copy
+    const job = await queueStoragePush(letter, req.user, {
+      force: !!req.body.force,
+    });
+
+    res.status(200).json({
+      message: `Restored revision ${source.revision}`,
+      revision: revision.revision,
+      syncStatus: letter.storage.syncStatus,
+      jobId: job._id,
+    });
+  } catch (error) {
+    console.error("Error restoring revision:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to restore revision", error: error.message });
+  }
+});
+
+module.exports = router;
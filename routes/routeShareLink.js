@@ -0,0 +1,108 @@
+const express = require("express");
+const ShareLink = require("../models/ShareLink");
+const authMiddleware = require("../middleware/authMiddleware");
+const requireLetterRole = require("../middleware/letterAccess");
+const {
+  generateToken,
+  hashToken,
+  parseShareLinkOptions,
+  describeLink,
+  shareUrl,
+} = require("../helpers/shareLinkHelper");
+const { auditContext, recordAudit } = require("../helpers/auditHelper");
+
+// Mounted under /letters/:id/share-links
+const router = express.Router({ mergeParams: true });
+
+const isOwner = requireLetterRole("owner");
+
+// Route to list a letter's share links, newest first, with their status and
+// when they were last used
+router.get("/", authMiddleware, isOwner, async (req, res) => {
+  try {
+    const links = await ShareLink.find({ letterId: req.letter._id }).sort({
+      createdAt: -1,
+    });
+    res.status(200).json(links.map(describeLink));
+  } catch (error) {
+    console.error("Error fetching share links:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch share links", error: error.message });
+  }
+});
+
+// Route to create a read-only public link. The response is the only time
+// the token (and so the URL) is shown.
+router.post("/", authMiddleware, isOwner, async (req, res) => {
+  const { options, error } = await parseShareLinkOptions(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const token = generateToken();
+    const link = await ShareLink.create({
+      ...options,
+      letterId: req.letter._id,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, 6),
+      createdBy: req.user.email,
+    });
+
+    await recordAudit(auditContext(req), {
+      action: "letter.link_create",
+      letter: req.letter,
+      target: { type: "share_link", id: String(link._id), label: link.label },
+      after: describeLink(link),
+    });
+
+    res.status(201).json({
+      ...describeLink(link),
+      token,
+      url: shareUrl(req, token),
+    });
+  } catch (error) {
+    console.error("Error creating share link:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to create share link", error: error.message });
+  }
+});
+
+// Route to revoke a share link. Revoked links stay listed for the record.
+router.delete("/:linkId", authMiddleware, isOwner, async (req, res) => {
+  try {
+    const link = await ShareLink.findOne({
+      _id: req.params.linkId,
+      letterId: req.letter._id,
+    }).catch(() => null);
+    if (!link) {
+      return res.status(404).json({ message: "Share link not found" });
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+
+      await recordAudit(auditContext(req), {
+        action: "letter.link_revoke",
+        letter: req.letter,
+        target: {
+          type: "share_link",
+          id: String(link._id),
+          label: link.label,
+        },
+      });
+    }
+
+    res.status(200).json(describeLink(link));
+  } catch (error) {
+    console.error("Error revoking share link:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to revoke share link", error: error.message });
+  }
+});
+
+module.exports = router;
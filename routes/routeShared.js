@@ -0,0 +1,201 @@
+const express = require("express");
+const Letter = require("../models/Letter");
+const ShareLink = require("../models/ShareLink");
+const {
+  hashToken,
+  verifyPassword,
+  linkProblem,
+} = require("../helpers/shareLinkHelper");
+const {
+  parseExportOptions,
+  renderHtml,
+  escapeHtml,
+} = require("../helpers/exportHelper");
+const { auditContext, recordAudit } = require("../helpers/auditHelper");
+const { documentOf } = require("../helpers/richText");
+const {
+  passwordLockedUntil,
+  countPasswordFailure,
+} = require("../helpers/rateLimitHelper");
+
+// Public, unauthenticated routes for share links. Mounted at /shared.
+const router = express.Router();
+
+// The password form posts back here as a regular HTML form
+router.use(express.urlencoded({ extended: false }));
+
+router.use((req, res, next) => {
+  res.set({
+    "Cache-Control": "no-store",
+    "X-Robots-Tag": "noindex",
+    "Referrer-Policy": "no-referrer",
+  });
+  next();
+});
+
+const PROBLEM_MESSAGES = {
+  revoked: "This link has been revoked",
+  expired: "This link has expired",
+  exhausted: "This link has reached its view limit",
+};
+
+const wantsJson = (req) =>
+  req.query.format === "json" || req.accepts(["html", "json"]) === "json";
+
+const page = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: Georgia, "Times New Roman", serif; max-width: 32em; margin: 4em auto; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+// Answer with a message, as JSON or a small HTML page
+const sendMessage = (req, res, status, message) => {
+  if (wantsJson(req)) {
+    return res.status(status).json({ message });
+  }
+  res
+    .status(status)
+    .type("html")
+    .send(page(message, `<p>${escapeHtml(message)}</p>`));
+};
+
+const sendPasswordForm = (req, res, message) => {
+  if (wantsJson(req)) {
+    return res.status(401).json({ message, passwordRequired: true });
+  }
+  res
+    .status(401)
+    .type("html")
+    .send(
+      page(
+        "Password required",
+        `<p>${escapeHtml(message)}</p>
+<form method="post">
+<input type="password" name="password" autofocus required>
+<button type="submit">View letter</button>
+</form>`
+      )
+    );
+};
+
+// Show a shared letter. The password, when the link has one, comes from the
+// form (POST) or the X-Share-Password header - never the URL.
+const viewSharedLetter = async (req, res) => {
+  try {
+    const link = await ShareLink.findOne({
+      tokenHash: hashToken(req.params.token),
+    });
+    if (!link) {
+      return sendMessage(req, res, 404, "Link not found");
+    }
+
+    const problem = linkProblem(link);
+    if (problem) {
+      return sendMessage(req, res, 410, PROBLEM_MESSAGES[problem]);
+    }
+
+    const letter = await Letter.findById(link.letterId);
+    if (!letter || letter.deletedAt) {
+      return sendMessage(req, res, 404, "Link not found");
+    }
+
+    if (link.passwordHash) {
+      const password = req.body?.password || req.get("x-share-password");
+      if (!password) {
+        return sendPasswordForm(req, res, "This letter is password protected");
+      }
+
+      // Wrong passwords are limited per link and per address, so a short
+      // password can't be guessed
+      const attemptKeys = { link: String(link._id), ip: req.ip };
+      const lockedUntil = await passwordLockedUntil(attemptKeys);
+      if (lockedUntil) {
+        res.set(
+          "Retry-After",
+          String(Math.max(Math.ceil((lockedUntil - Date.now()) / 1000), 0))
+        );
+        return sendMessage(
+          req,
+          res,
+          429,
+          "Too many wrong passwords, try again later"
+        );
+      }
+      if (!(await verifyPassword(password, link.passwordHash))) {
+        await countPasswordFailure(attemptKeys);
+        return sendPasswordForm(req, res, "Wrong password");
+      }
+    }
+
+    // Count the view only if the link is still usable, so concurrent views
+    // can't go over maxViews
+    const counted = await ShareLink.findOneAndUpdate(
+      {
+        _id: link._id,
+        revokedAt: null,
+        $or: [
+          { maxViews: null },
+          { $expr: { $lt: ["$viewCount", "$maxViews"] } },
+        ],
+      },
+      { $inc: { viewCount: 1 }, $set: { lastAccessedAt: new Date() } },
+      { new: true }
+    );
+    if (!counted) {
+      return sendMessage(req, res, 410, PROBLEM_MESSAGES.exhausted);
+    }
+
+    await recordAudit(
+      { ...auditContext(req), user: { name: "share link" } },
+      {
+        action: "letter.link_view",
+        letter,
+        target: {
+          type: "share_link",
+          id: String(link._id),
+          label: link.label,
+        },
+      }
+    );
+
+    if (wantsJson(req)) {
+      return res.status(200).json({
+        title: letter.title,
+        content: letter.content,
+        doc: documentOf(letter),
+        updatedAt: letter.updatedAt,
+      });
+    }
+
+    // renderHtml only produces the tags of the letter format, with all text
+    // escaped, so nothing needs to run
+    res.set(
+      "Content-Security-Policy",
+      "default-src 'none'; style-src 'unsafe-inline'"
+    );
+    res
+      .status(200)
+      .type("html")
+      .send(renderHtml(letter, parseExportOptions({}).options));
+  } catch (error) {
+    console.error("Error showing shared letter:", error);
+    sendMessage(req, res, 500, "Failed to load letter");
+  }
+};
+
+// Route to view a letter through a share link
+router.get("/:token", viewSharedLetter);
+
+// Route for the password form of a protected link
+router.post("/:token", viewSharedLetter);
+
+module.exports = router;
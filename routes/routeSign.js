@@ -0,0 +1,184 @@
+const express = require("express");
+const Letter = require("../models/Letter");
+const SignatureRequest = require("../models/SignatureRequest");
+const { hashToken } = require("../helpers/shareLinkHelper");
+const {
+  parseSignature,
+  requestProblem,
+  submitSignature,
+  expireRequest,
+  declineRequest,
+  describeRequest,
+} = require("../helpers/signatureHelper");
+const { toHtml } = require("../helpers/richText");
+const { auditContext, recordAudit } = require("../helpers/auditHelper");
+
+// Public, unauthenticated routes for signing through an emailed link. The
+// token in the URL belongs to one signer and stops working once they have
+// signed or declined. Mounted at /sign.
+const router = express.Router();
+
+router.use((req, res, next) => {
+  res.set({
+    "Cache-Control": "no-store",
+    "X-Robots-Tag": "noindex",
+    "Referrer-Policy": "no-referrer",
+  });
+  next();
+});
+
+const PROBLEM_MESSAGES = {
+  completed: "Everyone has already signed",
+  declined: "A signer declined this request",
+  cancelled: "This request was cancelled",
+  expired: "This request has expired",
+};
+
+// Find the request and signer for req.params.token, and make sure the
+// signer can still act on it
+const loadSigner = async (req, res, next) => {
+  try {
+    const tokenHash = hashToken(req.params.token);
+    const request = await SignatureRequest.findOne({
+      "signers.tokenHash": tokenHash,
+    });
+    if (!request) {
+      return res.status(404).json({ message: "Link not found" });
+    }
+
+    await expireRequest(request);
+    const problem = requestProblem(request);
+    if (problem) {
+      return res.status(410).json({ message: PROBLEM_MESSAGES[problem] });
+    }
+
+    req.signatureRequest = request;
+    req.signer = request.signers.find((s) => s.tokenHash === tokenHash);
+    // The audit log shows link signers by their email
+    req.signerContext = {
+      ...auditContext(req),
+      user: { email: req.signer.email, name: "signature link" },
+    };
+    next();
+  } catch (error) {
+    console.error("Error loading signing link:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to load signing link", error: error.message });
+  }
+};
+
+const requestTarget = (request) => ({
+  type: "signature_request",
+  id: String(request._id),
+  label: request.document.title,
+});
+
+// What a signer sees: the document they are asked to sign and where the
+// request stands, without the other signers' details
+const signerView = (request, signer) => {
+  const { signers, ...summary } = describeRequest(request);
+  return {
+    ...summary,
+    signer: { email: signer.email, order: signer.order, status: signer.status },
+    signerCount: signers.length,
+    document: {
+      title: request.document.title,
+      content: request.document.content,
+      doc: request.document.doc,
+      html: toHtml(request.document.doc),
+    },
+  };
+};
+
+// Route to show a signer the document and request
+router.get("/:token", loadSigner, (req, res) => {
+  res.status(200).json(signerView(req.signatureRequest, req.signer));
+});
+
+// Route to sign through the link (see parseSignature for the body)
+router.post("/:token", loadSigner, async (req, res) => {
+  const { signature, error } = parseSignature(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  const request = req.signatureRequest;
+  const signer = req.signer;
+  try {
+    const letter = await Letter.findById(request.letterId);
+    if (!letter || letter.deletedAt) {
+      return res.status(404).json({ message: "Letter not found" });
+    }
+
+    const context = req.signerContext;
+    const next = await submitSignature(req, request, signer, signature, {
+      ...context,
+      user: null,
+      via: "link",
+    });
+
+    await recordAudit(context, {
+      action: "letter.sign",
+      letter,
+      target: requestTarget(request),
+      details: {
+        requestId: request._id,
+        order: signer.order,
+        via: "link",
+        signatureType: signature.type,
+      },
+    });
+    if (!next) {
+      await recordAudit(context, {
+        action: "letter.signature_complete",
+        letter,
+        target: requestTarget(request),
+        details: { requestId: request._id, finalHash: request.finalHash },
+      });
+    }
+
+    res.status(200).json(signerView(request, signer));
+  } catch (error) {
+    if (error.name === "VersionError") {
+      return res.status(409).json({
+        message: "The request changed while you were signing; try again",
+      });
+    }
+    console.error("Error signing letter:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to sign letter", error: error.message });
+  }
+});
+
+// Route to decline through the link, with an optional `reason`
+router.post("/:token/decline", loadSigner, async (req, res) => {
+  const request = req.signatureRequest;
+  const signer = req.signer;
+  try {
+    await declineRequest(request, signer, req.body.reason);
+
+    await recordAudit(req.signerContext, {
+      action: "letter.signature_decline",
+      letter: { _id: request.letterId, title: request.document.title },
+      target: requestTarget(request),
+      details: { requestId: request._id, order: signer.order, via: "link" },
+    });
+
+    res.status(200).json(signerView(request, signer));
+  } catch (error) {
+    if (error.name === "VersionError") {
+      return res
+        .status(409)
+        .json({ message: "The request changed meanwhile; try again" });
+    }
+    console.error("Error declining signature request:", error);
+    res.status(500).json({
+      message: "Failed to decline signature request",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
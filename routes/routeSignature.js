@@ -0,0 +1,424 @@
+const express = require("express");
+const Letter = require("../models/Letter");
+const SignatureRequest = require("../models/SignatureRequest");
+const authMiddleware = require("../middleware/authMiddleware");
+const requireLetterRole = require("../middleware/letterAccess");
+const {
+  hashDocument,
+  parseSignatureRequest,
+  parseSignature,
+  requestProblem,
+  currentSigner,
+  issueSignerToken,
+  signUrl,
+  notifySigner,
+  submitSignature,
+  lockForSigning,
+  unlockAfter,
+  expireRequest,
+  declineRequest,
+  verifyRequest,
+  describeRequest,
+} = require("../helpers/signatureHelper");
+const { documentOf } = require("../helpers/richText");
+const { verifiedEmail } = require("../helpers/letterAccess");
+const { auditContext, recordAudit } = require("../helpers/auditHelper");
+
+// Mounted under /letters/:id/signatures. Signers can also sign through the
+// public link routes in routeSign.js.
+const router = express.Router({ mergeParams: true });
+
+const canView = requireLetterRole("viewer");
+const isOwner = requireLetterRole("owner");
+
+const PROBLEM_MESSAGES = {
+  completed: "Everyone has already signed",
+  declined: "A signer declined this request",
+  cancelled: "This request was cancelled",
+  expired: "This request has expired",
+};
+
+const requestTarget = (request) => ({
+  type: "signature_request",
+  id: String(request._id),
+  label: request.document.title,
+});
+
+// Load the request named by :requestId into req.signatureRequest, with
+// req.signer set when the caller's verified email is one of its signers'.
+// A request found past its expiry is expired first.
+const loadRequest = async (req, res, next) => {
+  try {
+    const request = await SignatureRequest.findOne({
+      _id: req.params.requestId,
+      letterId: req.params.id,
+    }).catch(() => null);
+    if (!request) {
+      return res.status(404).json({ message: "Signature request not found" });
+    }
+
+    await expireRequest(request);
+
+    const email = verifiedEmail(req.user);
+    req.signatureRequest = request;
+    req.signer = email
+      ? request.signers.find((signer) => signer.email === email)
+      : undefined;
+    next();
+  } catch (error) {
+    console.error("Error loading signature request:", error);
+    res.status(500).json({
+      message: "Failed to load signature request",
+      error: error.message,
+    });
+  }
+};
+
+// Signers may read a request without access to the letter itself
+const signerOrViewer = (req, res, next) =>
+  req.signer ? next() : canView(req, res, next);
+
+const requireSigner = (req, res, next) => {
+  if (!req.signer) {
+    return res
+      .status(403)
+      .json({ message: "You are not a signer of this request" });
+  }
+  next();
+};
+
+// Signing and declining are for the signer whose turn it is
+const requireCurrentSigner = (req, res, next) => {
+  const problem = requestProblem(req.signatureRequest);
+  if (problem) {
+    return res.status(409).json({ message: PROBLEM_MESSAGES[problem] });
+  }
+  if (req.signer.status !== "pending") {
+    return res.status(409).json({
+      message:
+        req.signer.status === "signed"
+          ? "You have already signed"
+          : "It is not your turn to sign yet",
+    });
+  }
+  next();
+};
+
+// Route to list a letter's signature requests, newest first
+router.get("/", authMiddleware, canView, async (req, res) => {
+  try {
+    const requests = await SignatureRequest.find({ letterId: req.letter._id })
+      .sort({ createdAt: -1 })
+      .limit(100);
+    res.status(200).json(requests.map((request) => describeRequest(request)));
+  } catch (error) {
+    console.error("Error fetching signature requests:", error);
+    res.status(500).json({
+      message: "Failed to fetch signature requests",
+      error: error.message,
+    });
+  }
+});
+
+// Route to ask people to sign the letter, in the order given (see
+// parseSignatureRequest for the body). The letter is locked from now on
+// and everyone signs the text as it is at this moment. The first signer is
+// emailed their link when mail is configured; the response is the only
+// time it is shown either way.
+router.post("/", authMiddleware, isOwner, async (req, res) => {
+  const { options, error } = parseSignatureRequest(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  const request = new SignatureRequest({
+    letterId: req.letter._id,
+    requestedBy: {
+      id: req.user.uid || req.user.id,
+      email: req.user.email,
+      name: req.user.name,
+    },
+    message: options.message,
+    expiresAt: options.expiresAt,
+    signers: options.signers.map((email, index) => ({
+      email,
+      order: index + 1,
+      status: index === 0 ? "pending" : "waiting",
+    })),
+  });
+
+  let letter;
+  try {
+    letter = await lockForSigning(req.letter._id, request._id);
+    if (!letter) {
+      return res.status(409).json({
+        message:
+          req.letter.lock?.reason === "signed"
+            ? "This letter has already been signed"
+            : "This letter already has a signature request in progress",
+      });
+    }
+
+    const document = {
+      title: letter.title,
+      content: letter.content,
+      doc: documentOf(letter),
+    };
+    request.document = document;
+    request.contentHash = hashDocument(document);
+    const first = request.signers[0];
+    const token = issueSignerToken(first);
+    await request.save();
+
+    const emailed = await notifySigner(req, request, first, token);
+    if (emailed) {
+      await request.save();
+    }
+
+    await recordAudit(auditContext(req), {
+      action: "letter.signature_request",
+      letter,
+      target: requestTarget(request),
+      details: {
+        requestId: request._id,
+        signers: options.signers,
+        contentHash: request.contentHash,
+      },
+    });
+
+    res.status(201).json({
+      ...describeRequest(request),
+      link: { email: first.email, url: signUrl(req, token), emailed },
+    });
+  } catch (error) {
+    console.error("Error creating signature request:", error);
+    if (letter && request.isNew) {
+      await unlockAfter(request).catch(() => {});
+    }
+    res.status(500).json({
+      message: "Failed to create signature request",
+      error: error.message,
+    });
+  }
+});
+
+// Route to get a request with the exact document being signed. Signers can
+// read it even if they can't open the letter.
+router.get(
+  "/:requestId",
+  authMiddleware,
+  loadRequest,
+  signerOrViewer,
+  (req, res) => {
+    res
+      .status(200)
+      .json(describeRequest(req.signatureRequest, { withDocument: true }));
+  }
+);
+
+// Route to check a request's hashes: that the signed document and the
+// signatures are as recorded and that the letter still matches what was
+// signed
+router.get(
+  "/:requestId/verify",
+  authMiddleware,
+  loadRequest,
+  signerOrViewer,
+  async (req, res) => {
+    try {
+      const letter = await Letter.findById(req.signatureRequest.letterId);
+      res.status(200).json(verifyRequest(req.signatureRequest, letter));
+    } catch (error) {
+      console.error("Error verifying signatures:", error);
+      res
+        .status(500)
+        .json({ message: "Failed to verify signatures", error: error.message });
+    }
+  }
+);
+
+// Route for the signer whose turn it is to sign while logged in (see
+// parseSignature for the body)
+router.post(
+  "/:requestId/sign",
+  authMiddleware,
+  loadRequest,
+  requireSigner,
+  requireCurrentSigner,
+  async (req, res) => {
+    const { signature, error } = parseSignature(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const request = req.signatureRequest;
+    try {
+      const letter = await Letter.findById(request.letterId);
+      if (!letter || letter.deletedAt) {
+        return res.status(404).json({ message: "Letter not found" });
+      }
+
+      const context = auditContext(req);
+      const next = await submitSignature(req, request, req.signer, signature, {
+        ...context,
+        via: "account",
+      });
+
+      await recordAudit(context, {
+        action: "letter.sign",
+        letter,
+        target: requestTarget(request),
+        details: {
+          requestId: request._id,
+          order: req.signer.order,
+          via: "account",
+          signatureType: signature.type,
+        },
+      });
+      if (!next) {
+        await recordAudit(context, {
+          action: "letter.signature_complete",
+          letter,
+          target: requestTarget(request),
+          details: { requestId: request._id, finalHash: request.finalHash },
+        });
+      }
+
+      res.status(200).json(describeRequest(request));
+    } catch (error) {
+      if (error.name === "VersionError") {
+        return res.status(409).json({
+          message: "The request changed while you were signing; try again",
+        });
+      }
+      console.error("Error signing letter:", error);
+      res
+        .status(500)
+        .json({ message: "Failed to sign letter", error: error.message });
+    }
+  }
+);
+
+// Route for the signer whose turn it is to decline, with an optional
+// `reason`. The request ends and the letter can be edited again.
+router.post(
+  "/:requestId/decline",
+  authMiddleware,
+  loadRequest,
+  requireSigner,
+  requireCurrentSigner,
+  async (req, res) => {
+    const request = req.signatureRequest;
+    try {
+      await declineRequest(request, req.signer, req.body.reason);
+
+      await recordAudit(auditContext(req), {
+        action: "letter.signature_decline",
+        letter: { _id: request.letterId, title: request.document.title },
+        target: requestTarget(request),
+        details: { requestId: request._id, order: req.signer.order },
+      });
+
+      res.status(200).json(describeRequest(request));
+    } catch (error) {
+      if (error.name === "VersionError") {
+        return res
+          .status(409)
+          .json({ message: "The request changed meanwhile; try again" });
+      }
+      console.error("Error declining signature request:", error);
+      res.status(500).json({
+        message: "Failed to decline signature request",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Route for the owner to give the current signer a new link, e.g. when the
+// email went astray. Earlier links for them stop working.
+router.post(
+  "/:requestId/link",
+  authMiddleware,
+  isOwner,
+  loadRequest,
+  async (req, res) => {
+    const request = req.signatureRequest;
+    const problem = requestProblem(request);
+    if (problem) {
+      return res.status(409).json({ message: PROBLEM_MESSAGES[problem] });
+    }
+
+    try {
+      const signer = currentSigner(request);
+      const token = issueSignerToken(signer);
+      await request.save();
+      const emailed = await notifySigner(req, request, signer, token);
+      if (emailed) {
+        await request.save();
+      }
+
+      res.status(200).json({
+        email: signer.email,
+        url: signUrl(req, token),
+        emailed,
+      });
+    } catch (error) {
+      console.error("Error creating signing link:", error);
+      res.status(500).json({
+        message: "Failed to create signing link",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Route for the owner to cancel a pending request, which unlocks the letter.
+// Signatures already given stay on record.
+router.post(
+  "/:requestId/cancel",
+  authMiddleware,
+  isOwner,
+  loadRequest,
+  async (req, res) => {
+    const request = req.signatureRequest;
+    if (request.status !== "pending") {
+      return res
+        .status(409)
+        .json({ message: PROBLEM_MESSAGES[request.status] });
+    }
+
+    try {
+      request.status = "cancelled";
+      request.cancelledBy = req.user.email;
+      request.cancelledAt = new Date();
+      request.signers.forEach((signer) => {
+        signer.tokenHash = undefined;
+      });
+      await request.save();
+      await unlockAfter(request);
+
+      await recordAudit(auditContext(req), {
+        action: "letter.signature_cancel",
+        letter: req.letter,
+        target: requestTarget(request),
+        details: { requestId: request._id },
+      });
+
+      res.status(200).json(describeRequest(request));
+    } catch (error) {
+      if (error.name === "VersionError") {
+        return res
+          .status(409)
+          .json({ message: "The request changed meanwhile; try again" });
+      }
+      console.error("Error cancelling signature request:", error);
+      res.status(500).json({
+        message: "Failed to cancel signature request",
+        error: error.message,
+      });
+    }
+  }
+);
+
+module.exports = router;
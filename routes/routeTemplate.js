@@ -0,0 +1,296 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { parse } = require("csv-parse/sync");
+const Template = require("../models/Template");
+const authMiddleware = require("../middleware/authMiddleware");
+const { upload, handleUploadErrors } = require("../middleware/upload");
+const { createLetter } = require("../helpers/letterService");
+const {
+  QuotaExceededError,
+  quotaErrorBody,
+} = require("../helpers/quotaHelper");
+const {
+  auditContext,
+  summarizeLetter,
+  recordAudit,
+} = require("../helpers/auditHelper");
+const {
+  extractPlaceholders,
+  validateTemplate,
+  renderTemplate,
+} = require("../helpers/templateHelper");
+
+const router = express.Router();
+
+const MAX_MERGE_ROWS = parseInt(process.env.MAIL_MERGE_MAX_ROWS, 10) || 500;
+
+// Load one of the caller's templates or answer 404
+const findOwnTemplate = async (req, res) => {
+  const userId = req.user.uid || req.user.id;
+  const template = mongoose.isValidObjectId(req.params.id)
+    ? await Template.findOne({ _id: req.params.id, userId })
+    : null;
+
+  if (!template) {
+    res.status(404).json({ message: "Template not found" });
+  }
+  return template;
+};
+
+// Route to create a template
+router.post("/", authMiddleware, async (req, res) => {
+  const { title, content, description, fields = [] } = req.body;
+
+  if (!title || !content) {
+    return res.status(400).json({ message: "Title and content are required" });
+  }
+
+  const errors = validateTemplate({ title, content, fields });
+  if (errors.length > 0) {
+    return res.status(400).json({ message: "Invalid template", errors });
+  }
+
+  try {
+    const template = await Template.create({
+      userId: req.user.uid || req.user.id,
+      title,
+      content,
+      description,
+      fields,
+    });
+    res.status(201).json(template);
+  } catch (error) {
+    console.error("Error creating template:", error);
+    const status = error.name === "ValidationError" ? 400 : 500;
+    res
+      .status(status)
+      .json({ message: "Failed to create template", error: error.message });
+  }
+});
+
+// Route to list the caller's templates
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const templates = await Template.find({
+      userId: req.user.uid || req.user.id,
+    }).sort({ updatedAt: -1 });
+    res.status(200).json(templates);
+  } catch (error) {
+    console.error("Error fetching templates:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch templates", error: error.message });
+  }
+});
+
+// Route to get a template along with the placeholders it uses
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+
+    res.status(200).json({
+      ...template.toObject(),
+      placeholders: extractPlaceholders(
+        `${template.title}\n${template.content}`
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching template:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch template", error: error.message });
+  }
+});
+
+// Route to update a template
+router.put("/:id", authMiddleware, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+
+    const { title, content, description, fields } = req.body;
+    const updated = {
+      title: title ?? template.title,
+      content: content ?? template.content,
+      fields: fields ?? template.fields,
+    };
+
+    const errors = validateTemplate(updated);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid template", errors });
+    }
+
+    template.set({
+      ...updated,
+      description: description ?? template.description,
+    });
+    await template.save();
+    res.status(200).json(template);
+  } catch (error) {
+    console.error("Error updating template:", error);
+    const status = error.name === "ValidationError" ? 400 : 500;
+    res
+      .status(status)
+      .json({ message: "Failed to update template", error: error.message });
+  }
+});
+
+// Route to delete a template (letters made from it are kept)
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+
+    await template.deleteOne();
+    res.status(200).json({ message: "Template deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting template:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to delete template", error: error.message });
+  }
+});
+
+// Route to render one letter from a template and a JSON object of values.
+// Pass `save: true` to create the letter, otherwise only a preview is returned.
+router.post("/:id/render", authMiddleware, async (req, res) => {
+  const { data = {}, save = false } = req.body;
+
+  try {
+    const template = await findOwnTemplate(req, res);
+    if (!template) return;
+
+    const { title, content, errors } = renderTemplate(template, data);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid template data", errors });
+    }
+
+    if (!save) {
+      return res.status(200).json({ title, content });
+    }
+
+    const { letter, job } = await createLetter(req.user, {
+      title,
+      content,
+    });
+    await recordAudit(auditContext(req), {
+      action: "letter.create",
+      letter,
+      after: summarizeLetter(letter),
+      details: { templateId: template._id },
+    });
+
+    res.status(201).json({
+      message: "Letter saved successfully",
+      letterId: letter._id,
+      syncStatus: letter.storage.syncStatus,
+      jobId: job._id,
+      title,
+      content,
+    });
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(403).json(quotaErrorBody(error));
+    }
+    console.error("Error rendering template:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to render template", error: error.message });
+  }
+});
+
+// Route to mail-merge a CSV upload (multipart field "file"), creating one
+// letter per row. The CSV header row names the template fields.
+router.post(
+  "/:id/merge",
+  authMiddleware,
+  upload.single("file"),
+  handleUploadErrors,
+  async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ message: "A CSV file is required" });
+    }
+
+    let rows;
+    try {
+      rows = parse(req.file.buffer, {
+        columns: true,
+        skip_empty_lines: true,
+        trim: true,
+        bom: true,
+      });
+    } catch (parseErr) {
+      return res
+        .status(400)
+        .json({ message: "Could not parse CSV", error: parseErr.message });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ message: "The CSV has no data rows" });
+    }
+
+    if (rows.length > MAX_MERGE_ROWS) {
+      return res.status(400).json({
+        message: `A mail-merge can create at most ${MAX_MERGE_ROWS} letters`,
+      });
+    }
+
+    try {
+      const template = await findOwnTemplate(req, res);
+      if (!template) return;
+
+      const results = [];
+
+      // One row at a time so we don't flood the storage backend
+      for (const [index, row] of rows.entries()) {
+        // Row numbers match the spreadsheet: the header is row 1
+        const rowNumber = index + 2;
+        const { title, content, errors } = renderTemplate(template, row);
+
+        if (errors.length > 0) {
+          results.push({ row: rowNumber, status: "error", errors });
+          continue;
+        }
+
+        try {
+          const { letter } = await createLetter(req.user, { title, content });
+          await recordAudit(auditContext(req), {
+            action: "letter.create",
+            letter,
+            after: summarizeLetter(letter),
+            details: { templateId: template._id, mergeRow: rowNumber },
+          });
+          results.push({
+            row: rowNumber,
+            status: "created",
+            letterId: letter._id,
+            title,
+          });
+        } catch (saveErr) {
+          console.error(`Error saving mail-merge row ${rowNumber}:`, saveErr);
+          results.push({
+            row: rowNumber,
+            status: "error",
+            errors: [saveErr.message],
+          });
+        }
+      }
+
+      const created = results.filter((r) => r.status === "created").length;
+      res.status(200).json({
+        message: `Created ${created} of ${rows.length} letters`,
+        created,
+        failed: rows.length - created,
+        results,
+      });
+    } catch (error) {
+      console.error("Error running mail-merge:", error);
+      res
+        .status(500)
+        .json({ message: "Failed to run mail-merge", error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Webhook = require("../models/Webhook");
+const WebhookDelivery = require("../models/WebhookDelivery");
+const authMiddleware = require("../middleware/authMiddleware");
+const { findActiveAdmin } = require("../helpers/authHelper");
+const {
+  QuotaExceededError,
+  quotaErrorBody,
+  checkWebhookQuota,
+} = require("../helpers/quotaHelper");
+const {
+  generateSecret,
+  parseWebhookInput,
+  describeWebhook,
+  describeDelivery,
+  parseDeliveryQuery,
+  listDeliveries,
+  sendPing,
+  replayDelivery,
+} = require("../helpers/webhookHelper");
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Load one of the caller's webhooks (or answer 404)
+const findOwnWebhook = async (req, res) => {
+  const webhook = mongoose.isValidObjectId(req.params.id)
+    ? await Webhook.findOne({ _id: req.params.id, "owner.id": req.user.uid })
+    : null;
+  if (!webhook) {
+    res.status(404).json({ message: "Webhook not found" });
+  }
+  return webhook;
+};
+
+// Load one of the webhook's deliveries (or answer 404)
+const findDelivery = async (req, res, webhook) => {
+  const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+    ? await WebhookDelivery.findOne({
+        _id: req.params.deliveryId,
+        webhookId: webhook._id,
+      })
+    : null;
+  if (!delivery) {
+    res.status(404).json({ message: "Delivery not found" });
+  }
+  return delivery;
+};
+
+// Only admins may hear about every letter
+const rejectAllLetters = async (req, res, fields) => {
+  if (fields.allLetters && !(await findActiveAdmin(req.user))) {
+    res
+      .status(403)
+      .json({ message: "Only admins can register webhooks for all letters" });
+    return true;
+  }
+  return false;
+};
+
+// Route to list the caller's webhooks, newest first
+router.get("/", async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ "owner.id": req.user.uid }).sort({
+      createdAt: -1,
+    });
+    res.status(200).json(webhooks.map((webhook) => describeWebhook(webhook)));
+  } catch (error) {
+    console.error("Error fetching webhooks:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch webhooks", error: error.message });
+  }
+});
+
+// Route to register a webhook (see parseWebhookInput in
+// helpers/webhookHelper.js for the body). The response is the only time the
+// signing secret is shown.
+router.post("/", async (req, res) => {
+  const { fields, error } = parseWebhookInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    if (await rejectAllLetters(req, res, fields)) return;
+    await checkWebhookQuota(req.user.uid);
+
+    const webhook = await Webhook.create({
+      ...fields,
+      owner: { id: req.user.uid, email: req.user.email },
+      secret: generateSecret(),
+    });
+    res.status(201).json(describeWebhook(webhook, { withSecret: true }));
+  } catch (error) {
+    if (error instanceof QuotaExceededError) {
+      return res.status(403).json(quotaErrorBody(error));
+    }
+    console.error("Error creating webhook:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to create webhook", error: error.message });
+  }
+});
+
+// Route to get one of the caller's webhooks
+router.get("/:id", async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    res.status(200).json(describeWebhook(webhook));
+  } catch (error) {
+    console.error("Error fetching webhook:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch webhook", error: error.message });
+  }
+});
+
+// Route to change a webhook's url, events, description, active or
+// allLetters. Deliveries that come due while it is paused (active: false)
+// fail, and can be replayed once it is resumed.
+router.patch("/:id", async (req, res) => {
+  const { fields, error } = parseWebhookInput(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+    if (await rejectAllLetters(req, res, fields)) return;
+
+    webhook.set(fields);
+    await webhook.save();
+    res.status(200).json(describeWebhook(webhook));
+  } catch (error) {
+    console.error("Error updating webhook:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to update webhook", error: error.message });
+  }
+});
+
+// Route to delete a webhook and its delivery log
+router.delete("/:id", async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    await Webhook.deleteOne({ _id: webhook._id });
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    res.status(200).json({ message: "Webhook deleted" });
+  } catch (error) {
+    console.error("Error deleting webhook:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to delete webhook", error: error.message });
+  }
+});
+
+// Route to replace a webhook's signing secret. The old one stops working at
+// once; the response is the only time the new one is shown.
+router.post("/:id/rotate-secret", async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    webhook.secret = generateSecret();
+    await webhook.save();
+    res.status(200).json(describeWebhook(webhook, { withSecret: true }));
+  } catch (error) {
+    console.error("Error rotating webhook secret:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to rotate secret", error: error.message });
+  }
+});
+
+// Route to send a signed "ping" event to the webhook right away. The
+// response is the delivery, with the receiver's status code.
+router.post("/:id/ping", async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    const delivery = await sendPing(webhook, req.user);
+    res.status(200).json(describeDelivery(delivery, { withPayload: true }));
+  } catch (error) {
+    console.error("Error pinging webhook:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to ping webhook", error: error.message });
+  }
+});
+
+// Route to list a webhook's deliveries, newest first, optionally by
+// ?status=. Follow `nextCursor` for the next page.
+router.get("/:id/deliveries", async (req, res) => {
+  const { filter, limit, cursor, error } = parseDeliveryQuery(req.query);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+
+    res
+      .status(200)
+      .json(await listDeliveries(webhook, { filter, limit, cursor }));
+  } catch (error) {
+    console.error("Error fetching deliveries:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch deliveries", error: error.message });
+  }
+});
+
+// Route to get one delivery with its payload and every attempt
+router.get("/:id/deliveries/:deliveryId", async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+    const delivery = await findDelivery(req, res, webhook);
+    if (!delivery) return;
+
+    res.status(200).json(describeDelivery(delivery, { withPayload: true }));
+  } catch (error) {
+    console.error("Error fetching delivery:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch delivery", error: error.message });
+  }
+});
+
+// Route to send a delivery's payload again, e.g. after the receiver was
+// fixed. Queued as a new delivery with the same event ID.
+router.post("/:id/deliveries/:deliveryId/replay", async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req, res);
+    if (!webhook) return;
+    const delivery = await findDelivery(req, res, webhook);
+    if (!delivery) return;
+
+    if (!webhook.active) {
+      return res
+        .status(409)
+        .json({ message: "Resume the webhook before replaying deliveries" });
+    }
+    const replay = await replayDelivery(delivery, webhook, req.user);
+    res.status(202).json(describeDelivery(replay));
+  } catch (error) {
+    console.error("Error replaying delivery:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to replay delivery", error: error.message });
+  }
+});
+
+module.exports = router;
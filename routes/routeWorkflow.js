@@ -0,0 +1,131 @@
+const express = require("express");
+const LetterTransition = require("../models/LetterTransition");
+const authMiddleware = require("../middleware/authMiddleware");
+const requireLetterRole = require("../middleware/letterAccess");
+const {
+  statusOf,
+  isEditable,
+  isInReview,
+  availableActions,
+  parseApprovers,
+  takeAction,
+} = require("../helpers/workflowHelper");
+const { setRoomLocked } = require("../sockets/collaboration");
+const { auditContext, recordAudit } = require("../helpers/auditHelper");
+
+// Mounted under /letters/:id/workflow. The states and actions are defined in
+// config/workflow.js.
+const router = express.Router({ mergeParams: true });
+
+const canView = requireLetterRole("viewer");
+const isOwner = requireLetterRole("owner");
+
+const describeWorkflow = (letter, user) => ({
+  status: statusOf(letter),
+  editable: isEditable(letter),
+  approvers: letter.approvers,
+  approvals: letter.approvals,
+  actions: availableActions(letter, user),
+});
+
+// Route to get the letter's status, its approvers and approvals so far, the
+// actions the caller can take and the most recent transitions
+router.get("/", authMiddleware, canView, async (req, res) => {
+  try {
+    const history = await LetterTransition.find({ letterId: req.letter._id })
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.status(200).json({
+      ...describeWorkflow(req.letter, req.user),
+      history,
+    });
+  } catch (error) {
+    console.error("Error fetching workflow:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch workflow", error: error.message });
+  }
+});
+
+// Route to name the letter's approvers (see parseApprovers for the body).
+// An empty list leaves approval to the owner. They can't change while
+// approvals are being collected.
+router.put("/approvers", authMiddleware, isOwner, async (req, res) => {
+  const letter = req.letter;
+  if (isInReview(letter)) {
+    return res.status(409).json({
+      message: "Approvers can't change while the letter is in review",
+    });
+  }
+
+  const { approvers, error } = parseApprovers(req.body, letter, req.user);
+  if (error) {
+    return res.status(400).json({ message: error });
+  }
+
+  try {
+    const before = letter.approvers.slice();
+    letter.approvers = approvers;
+    await letter.save();
+
+    await recordAudit(auditContext(req), {
+      action: "letter.approvers_change",
+      letter,
+      before: { approvers: before },
+      after: { approvers },
+    });
+
+    res.status(200).json(describeWorkflow(letter, req.user));
+  } catch (error) {
+    console.error("Error updating approvers:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to update approvers", error: error.message });
+  }
+});
+
+// Route to take a workflow action, e.g. POST /letters/:id/workflow/submit.
+// Actions that need a reason (such as reject) take it as `reason`. Whether
+// the caller may take the action depends on their role on the letter and on
+// whether they are a named approver.
+router.post("/:action", authMiddleware, canView, async (req, res) => {
+  try {
+    const { letter, transition, status, error } = await takeAction(
+      req.letter,
+      req.params.action,
+      req.user,
+      { reason: req.body.reason }
+    );
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    if (transition.from !== transition.to) {
+      await setRoomLocked(letter._id, !isEditable(letter));
+    }
+    await recordAudit(auditContext(req), {
+      action: "letter.transition",
+      letter,
+      before: { status: transition.from },
+      after: { status: transition.to },
+      details: {
+        action: transition.action,
+        reason: transition.reason,
+      },
+    });
+
+    res.status(200).json({
+      ...describeWorkflow(letter, req.user),
+      transition,
+    });
+  } catch (error) {
+    console.error("Error changing letter status:", error);
+    res.status(500).json({
+      message: "Failed to change letter status",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
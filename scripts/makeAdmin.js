@@ -0,0 +1,33 @@
+// Make the user with this email an admin, to set up the first admin (later
+// ones can be made with PUT /admin/users/:id/role). Run with
+// `node scripts/makeAdmin.js someone@example.com`.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+
+const makeAdmin = async (email) => {
+  if (!email) {
+    throw new Error("Usage: node scripts/makeAdmin.js EMAIL");
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const users = await User.find({ email: email.trim().toLowerCase() });
+  if (users.length !== 1) {
+    throw new Error(
+      users.length === 0
+        ? `No user has the email ${email}; they need to sign in first`
+        : `${users.length} users have the email ${email}; run scripts/migrateUsers.js`
+    );
+  }
+
+  users[0].role = "admin";
+  await users[0].save();
+  console.log(`${users[0].email} is now an admin`);
+};
+
+makeAdmin(process.argv[2])
+  .catch((err) => {
+    console.error("Failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,45 @@
+// One-off migration: turn legacy `collaborators: ["a@b.com"]` entries into
+// `{ email, role: "editor" }` objects. Run with `node scripts/migrateCollaboratorRoles.js`.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Letter = require("../models/Letter");
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const result = await Letter.collection.updateMany(
+    { collaborators: { $type: "string" } },
+    [
+      {
+        $set: {
+          collaborators: {
+            $map: {
+              input: "$collaborators",
+              as: "c",
+              in: {
+                $cond: [
+                  { $eq: [{ $type: "$$c" }, "string"] },
+                  {
+                    email: { $toLower: "$$c" },
+                    role: "editor",
+                    addedAt: "$createdAt",
+                  },
+                  "$$c",
+                ],
+              },
+            },
+          },
+        },
+      },
+    ]
+  );
+
+  console.log(`Migrated collaborators on ${result.modifiedCount} letters`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,70 @@
+// One-off migration: move Drive-stored letters out of the shared "Letters"
+// folder into their owner's own Letters folder, creating it where needed.
+// Folders mirrored in Drive move along with their letters. Safe to run
+// again. Run with `node scripts/migrateDriveFolders.js`.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Letter = require("../models/Letter");
+const Folder = require("../models/Folder");
+const { lettersFolderFor } = require("../helpers/driveConnectionHelper");
+const {
+  mirrorLetterFolder,
+  mirrorFolderChange,
+} = require("../helpers/folderHelper");
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const owners = await Letter.distinct("userId", {
+    "storage.provider": "gdrive",
+  });
+  let moved = 0;
+  let failed = 0;
+
+  for (const owner of owners) {
+    try {
+      await lettersFolderFor(owner);
+    } catch (err) {
+      console.error(`Skipping letters of ${owner}:`, err.message);
+      continue;
+    }
+
+    // Top-level folders first; everything under them moves with them
+    const folders = await Folder.find({
+      userId: owner,
+      parentId: null,
+      driveFolderId: { $ne: null },
+    });
+    for (const folder of folders) {
+      try {
+        await mirrorFolderChange(folder);
+      } catch (err) {
+        console.error(`Error moving Drive folder ${folder._id}:`, err);
+      }
+    }
+
+    const letters = await Letter.find({
+      userId: owner,
+      "storage.provider": "gdrive",
+    });
+    for (const letter of letters) {
+      try {
+        await mirrorLetterFolder(letter);
+        moved++;
+      } catch (err) {
+        console.error(`Error moving letter ${letter._id}:`, err);
+        failed++;
+      }
+    }
+  }
+
+  console.log(`Moved ${moved} letters into their owners' folders`);
+  console.log(`Failed: ${failed}`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,49 @@
+// One-off migration: give plain-text letters a structured `doc` (blank lines
+// become paragraphs, single newlines line breaks). `content` is left as it is.
+// Run with `node scripts/migrateRichText.js`.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Letter = require("../models/Letter");
+const { fromPlainText } = require("../helpers/richText");
+
+const BATCH_SIZE = 500;
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const cursor = Letter.collection.find(
+    { doc: { $exists: false } },
+    { projection: { content: 1 } }
+  );
+
+  let migrated = 0;
+  let batch = [];
+  const flush = async () => {
+    if (!batch.length) return;
+    const result = await Letter.collection.bulkWrite(batch);
+    migrated += result.modifiedCount;
+    batch = [];
+  };
+
+  for await (const letter of cursor) {
+    batch.push({
+      updateOne: {
+        filter: { _id: letter._id, doc: { $exists: false } },
+        update: { $set: { doc: fromPlainText(letter.content || "") } },
+      },
+    });
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`Converted ${migrated} letters to the structured format`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,70 @@
+// One-off migration: move `googleDriveId` and the `drive*` sync fields into the
+// provider-neutral `storage` subdocument. Run with `node scripts/migrateStorageRefs.js`.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Letter = require("../models/Letter");
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const result = await Letter.collection.updateMany(
+    { storage: { $exists: false }, googleDriveId: { $exists: true } },
+    [
+      {
+        $set: {
+          storage: {
+            provider: "gdrive",
+            ref: "$googleDriveId",
+            format: { $ifNull: ["$driveFormat", "text"] },
+            version: {
+              $ifNull: [
+                "$driveRevisionId",
+                { $dateToString: { date: "$driveModifiedTime" } },
+              ],
+            },
+            modifiedTime: "$driveModifiedTime",
+            syncedAt: "$driveSyncedAt",
+          },
+          collaborators: {
+            $map: {
+              input: { $ifNull: ["$collaborators", []] },
+              as: "c",
+              in: {
+                $cond: [
+                  { $eq: [{ $type: "$$c" }, "object"] },
+                  {
+                    $mergeObjects: [
+                      "$$c",
+                      { permissionId: "$$c.drivePermissionId" },
+                    ],
+                  },
+                  "$$c",
+                ],
+              },
+            },
+          },
+        },
+      },
+      {
+        $unset: [
+          "googleDriveId",
+          "driveFormat",
+          "driveVersion",
+          "driveRevisionId",
+          "driveModifiedTime",
+          "driveSyncedAt",
+          "collaborators.drivePermissionId",
+        ],
+      },
+    ]
+  );
+
+  console.log(`Migrated storage references on ${result.modifiedCount} letters`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
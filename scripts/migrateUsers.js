@@ -0,0 +1,69 @@
+// One-off migration: give legacy users a `uid` and move the Firebase UID
+// that used to be stored in `googleId` to `firebaseUid`, then merge the
+// separate records Google OAuth and Firebase sign-ins made for the same
+// email into one. Run with `node scripts/migrateUsers.js`.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Loading upgrades the record (see the User model) and saving writes it
+  let upgraded = 0;
+  const legacy = await User.find({ uid: { $exists: false } });
+  for (const user of legacy) {
+    await user.save();
+    upgraded++;
+  }
+  console.log(`Gave ${upgraded} legacy users a uid`);
+
+  // Letters belong to the Firebase record's uid, so the Google record is
+  // folded into it
+  let merged = 0;
+  const googleOnly = await User.find({
+    googleId: { $ne: null },
+    firebaseUid: null,
+    email: { $ne: null },
+  });
+  for (const googleUser of googleOnly) {
+    const firebaseUser = await User.findOne({
+      email: googleUser.email,
+      firebaseUid: { $ne: null },
+      googleId: null,
+    });
+    if (!firebaseUser) continue;
+
+    // googleId is unique, so the Google record lets go of it before the
+    // Firebase record takes it, and is only deleted once the merged record
+    // is saved. If the save fails the Google record gets its googleId back,
+    // so nothing is lost and the script can be run again.
+    await User.updateOne({ _id: googleUser._id }, { $unset: { googleId: 1 } });
+    firebaseUser.googleId = googleUser.googleId;
+    firebaseUser.accessToken = googleUser.accessToken;
+    firebaseUser.refreshToken =
+      googleUser.refreshToken || firebaseUser.refreshToken;
+    firebaseUser.lettersFolderId =
+      firebaseUser.lettersFolderId || googleUser.lettersFolderId;
+    if (googleUser.role === "admin") firebaseUser.role = "admin";
+    try {
+      await firebaseUser.save();
+    } catch (err) {
+      await User.updateOne(
+        { _id: googleUser._id },
+        { $set: { googleId: googleUser.googleId } }
+      );
+      throw err;
+    }
+    await User.deleteOne({ _id: googleUser._id });
+    merged++;
+  }
+  console.log(`Merged ${merged} Google users into their Firebase users`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
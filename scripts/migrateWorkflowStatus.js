@@ -0,0 +1,24 @@
+// One-off migration: put letters saved before the workflow into its initial
+// state, with no approvers. Run with `node scripts/migrateWorkflowStatus.js`.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Letter = require("../models/Letter");
+const workflow = require("../config/workflow");
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const result = await Letter.collection.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: workflow.initial, approvers: [], approvals: [] } }
+  );
+
+  console.log(`Set the workflow status of ${result.modifiedCount} letters`);
+};
+
+migrate()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,49 @@
+// A local webhook receiver for trying out webhooks: it checks each
+// delivery's signature, prints the event and answers 200 (or 401 if the
+// signature is wrong). Register http://localhost:PORT/ as the webhook URL
+// (the API must run with WEBHOOK_ALLOW_PRIVATE_URLS=true to accept it) and
+// run with `node scripts/webhookReceiver.js SECRET [PORT]`. Set
+// WEBHOOK_RECEIVER_STATUS to answer with another status, e.g. 500 to watch
+// the retries.
+const http = require("http");
+const {
+  SIGNATURE_HEADER,
+  verifySignature,
+} = require("../helpers/webhookHelper");
+
+const [secret, port = "4000"] = process.argv.slice(2);
+if (!secret) {
+  console.error("Usage: node scripts/webhookReceiver.js SECRET [PORT]");
+  process.exit(1);
+}
+const status = parseInt(process.env.WEBHOOK_RECEIVER_STATUS, 10) || 200;
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.setEncoding("utf8");
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+  req.on("end", () => {
+    const signature = req.headers[SIGNATURE_HEADER.toLowerCase()];
+    const valid = verifySignature(secret, signature, body);
+    const delivery = req.headers["x-documentme-delivery"];
+
+    console.log(
+      `${new Date().toISOString()} ${req.headers["x-documentme-event"]} ` +
+        `delivery ${delivery}: signature ${valid ? "valid" : "INVALID"}`
+    );
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (parseErr) {
+      console.log(body);
+    }
+
+    res.writeHead(valid ? status : 401, { "Content-Type": "text/plain" });
+    res.end(valid ? "ok" : "bad signature");
+  });
+});
+
+server.listen(Number(port), () =>
+  console.log(`Listening for webhooks on http://localhost:${port}/`)
+);
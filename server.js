@@ -8,7 +8,24 @@ const http = require("http");
 const { Server } = require("socket.io");
 const authRoutes = require("./routes/routeAuth");
 const letterRoutes = require("./routes/routeLetter"); // Ensure this path is correct
+const templateRoutes = require("./routes/routeTemplate");
+const folderRoutes = require("./routes/routeFolder");
+const adminRoutes = require("./routes/routeAdmin");
+const sharedRoutes = require("./routes/routeShared");
+const signRoutes = require("./routes/routeSign");
+const jobRoutes = require("./routes/routeJob");
+const meRoutes = require("./routes/routeMe");
+const webhookRoutes = require("./routes/routeWebhook");
 const authMiddleware = require("./middleware/authMiddleware");
+const {
+  registerCollaboration,
+  flushAllRooms,
+} = require("./sockets/collaboration");
+const { startTrashPurge } = require("./jobs/purgeTrash");
+const { startEmailScheduler } = require("./jobs/emailScheduler");
+const { startSignatureExpiry } = require("./jobs/expireSignatures");
+const { startJobRunner } = require("./jobs/jobRunner");
+const { startWebhookDispatcher } = require("./jobs/webhookDispatcher");
 
 require("./config/passport");
 
@@ -30,6 +47,14 @@ app.use(passport.session());
 
 app.use("/auth", authRoutes);
 app.use("/letters", letterRoutes); // Ensure this is registered
+app.use("/templates", templateRoutes);
+app.use("/folders", folderRoutes);
+app.use("/admin", adminRoutes);
+app.use("/shared", sharedRoutes); // Public share links, no auth
+app.use("/sign", signRoutes); // Signing links, no auth
+app.use("/jobs", jobRoutes);
+app.use("/me", meRoutes);
+app.use("/webhooks", webhookRoutes);
 
 const PORT = process.env.PORT || 5000;
 
@@ -48,16 +73,28 @@ mongoose
       },
     });
 
-    io.on("connection", (socket) => {
-      console.log("User connected:", socket.id);
+    // Per-letter editing rooms with merged concurrent edits
+    registerCollaboration(io);
 
-      socket.on("edit", (data) => {
-        socket.broadcast.emit("update", data);
-      });
+    // Delete letters that have been in the trash past the retention period
+    startTrashPurge();
 
-      socket.on("disconnect", () => {
-        console.log("User disconnected:", socket.id);
-      });
+    // Send scheduled emails as they fall due
+    startEmailScheduler();
+
+    // Expire overdue signature requests and unlock their letters
+    startSignatureExpiry();
+
+    // Run queued storage work (uploads, sharing, trash, moves, repairs)
+    startJobRunner();
+
+    // Send letter events to registered webhooks, retrying failed deliveries
+    startWebhookDispatcher();
+
+    // Save any unsaved collaborative edits before the process exits
+    process.on("SIGTERM", async () => {
+      await flushAllRooms();
+      process.exit(0);
     });
 
     server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
@@ -0,0 +1,497 @@
+const mongoose = require("mongoose");
+const Letter = require("../models/Letter");
+const { authenticateToken } = require("../helpers/authHelper");
+const { getLetterRole, hasRole } = require("../helpers/letterAccess");
+const { recordRevision } = require("../helpers/revisionHelper");
+const { queueStoragePush } = require("../helpers/letterService");
+const { rebaseAnchors } = require("../helpers/commentHelper");
+const {
+  socketAuditContext,
+  summarizeLetter,
+  recordAudit,
+} = require("../helpers/auditHelper");
+const textOperation = require("../helpers/textOperation");
+const { documentOf, mergeTextIntoDoc } = require("../helpers/richText");
+const { isEditable } = require("../helpers/workflowHelper");
+const {
+  addPresence,
+  removePresence,
+  updateCursor,
+  transformPresence,
+  clearCursors,
+  listPresence,
+} = require("./presence");
+
+const SAVE_DEBOUNCE_MS =
+  parseInt(process.env.COLLAB_SAVE_DEBOUNCE_MS, 10) || 2000;
+// How many past operations we keep for transforming late clients
+const HISTORY_LIMIT = 500;
+
+// letterId -> { content, version, history, historyStart, unsaved, dirty,
+//              timer, lastContext, locked }
+const rooms = new Map();
+// letterId -> Promise resolving to the room while it is being loaded
+const loading = new Map();
+
+let ioServer = null;
+
+const roomName = (letterId) => `letter:${letterId}`;
+
+const loadRoom = async (letterId) => {
+  if (rooms.has(letterId)) return rooms.get(letterId);
+  if (loading.has(letterId)) return loading.get(letterId);
+
+  const promise = Letter.findById(letterId)
+    .then((letter) => {
+      if (!letter) return null;
+      const room = {
+        content: letter.content || "",
+        version: 0,
+        history: [],
+        historyStart: 0,
+        unsaved: [], // Operations applied since the last save
+        dirty: false,
+        timer: null,
+        lastContext: null, // Audit context of whoever made the last edit
+        locked: !isEditable(letter), // Locked for signing or out of draft
+      };
+      rooms.set(letterId, room);
+      return room;
+    })
+    .finally(() => loading.delete(letterId));
+
+  loading.set(letterId, promise);
+  return promise;
+};
+
+// Write the merged document back to the Letter record
+const saveRoom = async (letterId) => {
+  const room = rooms.get(letterId);
+  if (!room || !room.dirty) return;
+
+  clearTimeout(room.timer);
+  room.timer = null;
+  room.dirty = false;
+  const content = room.content;
+  const ops = room.unsaved;
+  room.unsaved = [];
+
+  try {
+    const letter = await Letter.findById(letterId);
+    if (!letter) {
+      rooms.delete(letterId);
+      return;
+    }
+
+    const before = summarizeLetter(letter);
+    // Editors work on the plain text; carry their edits over to the document
+    letter.doc = mergeTextIntoDoc(documentOf(letter), content);
+    letter.content = content;
+    await letter.save();
+    await recordRevision(letter, room.lastContext?.user || {});
+    await rebaseAnchors(letter._id, ops);
+    if (room.lastContext) {
+      await recordAudit(room.lastContext, {
+        action: "letter.update",
+        letter,
+        before,
+        after: summarizeLetter(letter),
+        details: { source: "collaboration", operations: ops.length },
+      });
+    }
+
+    // If the stored copy was edited directly, the push job leaves it alone
+    // and sends everyone in the room "storage-conflict"
+    try {
+      await queueStoragePush(letter, room.lastContext?.user);
+    } catch (jobErr) {
+      // The edits are saved; don't save them again over a failed enqueue
+      console.error("Error queueing storage update:", jobErr);
+    }
+  } catch (error) {
+    console.error(`Error saving collaborative edits for ${letterId}:`, error);
+    room.dirty = true;
+    room.unsaved = ops.concat(room.unsaved);
+  }
+};
+
+const scheduleSave = (letterId, room) => {
+  room.dirty = true;
+  clearTimeout(room.timer);
+  room.timer = setTimeout(() => saveRoom(letterId), SAVE_DEBOUNCE_MS);
+};
+
+// Save and drop a room once nobody is left editing it
+const releaseRoom = async (io, letterId) => {
+  const members = io.sockets.adapter.rooms.get(roomName(letterId));
+  if (members && members.size > 0) return;
+
+  await saveRoom(letterId);
+  const room = rooms.get(letterId);
+  if (room && !room.dirty) {
+    rooms.delete(letterId);
+  }
+};
+
+// Tell everyone in the letter who is currently there
+const broadcastPresence = (io, letterId) => {
+  io.to(roomName(letterId)).emit("presence", {
+    letterId,
+    editors: listPresence(letterId),
+  });
+};
+
+// Move a client-reported position from its version up to the current one
+const rebaseIndex = (room, version, index) =>
+  room.history
+    .slice(version - room.historyStart)
+    .reduce((i, op) => textOperation.transformIndex(i, op), index);
+
+// Reply through the acknowledgement callback when the client sent one
+const reply = (socket, ack, payload) => {
+  if (typeof ack === "function") {
+    ack(payload);
+  } else if (payload.error) {
+    socket.emit("collab-error", payload);
+  }
+};
+
+// Authenticate sockets the same way authMiddleware checks HTTP requests
+const authenticateSocket = async (socket, next) => {
+  const header = socket.handshake.headers.authorization;
+  const token = socket.handshake.auth?.token || header?.split(" ")[1];
+
+  if (!token) {
+    return next(new Error("Unauthorized - No token provided"));
+  }
+
+  let user;
+  try {
+    user = await authenticateToken(token);
+  } catch (error) {
+    console.error("Error checking socket token:", error);
+  }
+  if (!user) {
+    return next(new Error("Invalid token"));
+  }
+
+  socket.user = user;
+  socket.data.user = user;
+  next();
+};
+
+const registerCollaboration = (io) => {
+  ioServer = io;
+  io.use(authenticateSocket);
+
+  io.on("connection", (socket) => {
+    console.log("User connected:", socket.id, socket.user.email);
+    // letterId -> role this socket was granted when it joined
+    socket.data.letterRoles = {};
+
+    socket.on("join-letter", async ({ letterId } = {}, ack) => {
+      try {
+        if (!mongoose.isValidObjectId(letterId)) {
+          return reply(socket, ack, { error: "Invalid letter ID" });
+        }
+
+        const letter = await Letter.findById(letterId);
+        if (!letter || letter.deletedAt) {
+          return reply(socket, ack, { error: "Letter not found" });
+        }
+        const role = getLetterRole(letter, socket.user);
+        if (!role) {
+          return reply(socket, ack, { error: "Not authorized" });
+        }
+
+        const room = await loadRoom(letterId);
+        socket.join(roomName(letterId));
+        socket.data.letterRoles[letterId] = role;
+        addPresence(letterId, socket.id, socket.user);
+
+        reply(socket, ack, {
+          letterId,
+          title: letter.title,
+          content: room.content,
+          version: room.version,
+          role,
+          locked: room.locked,
+          editors: listPresence(letterId),
+        });
+        broadcastPresence(io, letterId);
+      } catch (error) {
+        console.error("Error joining letter room:", error);
+        reply(socket, ack, { error: "Failed to join letter" });
+      }
+    });
+
+    // Clients send { letterId, version, operation } where version is the
+    // last server version they had seen when making the edit
+    socket.on("operation", ({ letterId, version, operation } = {}, ack) => {
+      const room = rooms.get(letterId);
+      if (!room || !socket.rooms.has(roomName(letterId))) {
+        return reply(socket, ack, { error: "Join the letter first" });
+      }
+
+      if (!hasRole(socket.data.letterRoles[letterId], "editor")) {
+        return reply(socket, ack, {
+          error: "Editing requires the editor role",
+        });
+      }
+
+      if (room.locked) {
+        return reply(socket, ack, { error: "The letter is locked" });
+      }
+
+      if (
+        !Number.isInteger(version) ||
+        version < room.historyStart ||
+        version > room.version
+      ) {
+        // Too far behind to transform; the client must reload the document
+        return reply(socket, ack, {
+          error: "Out of date",
+          resync: true,
+          content: room.content,
+          version: room.version,
+        });
+      }
+
+      try {
+        let op = textOperation.parse(operation);
+
+        // Transform against everything applied since the client's version
+        room.history.slice(version - room.historyStart).forEach((applied) => {
+          op = textOperation.transform(op, applied)[0];
+        });
+
+        room.content = textOperation.apply(room.content, op);
+        transformPresence(letterId, op);
+        room.history.push(op);
+        room.unsaved.push(op);
+        room.version += 1;
+        room.lastContext = socketAuditContext(socket);
+
+        if (room.history.length > HISTORY_LIMIT) {
+          room.history.shift();
+          room.historyStart += 1;
+        }
+
+        reply(socket, ack, { version: room.version });
+        socket.to(roomName(letterId)).emit("operation", {
+          letterId,
+          version: room.version,
+          operation: op,
+          userId: socket.user.uid,
+        });
+
+        scheduleSave(letterId, room);
+      } catch (error) {
+        reply(socket, ack, {
+          error: error.message,
+          resync: true,
+          content: room.content,
+          version: room.version,
+        });
+      }
+    });
+
+    // Clients send { letterId, version, cursor, selection: { start, end } }
+    // with positions as of that version
+    socket.on("cursor", ({ letterId, version, cursor, selection } = {}) => {
+      const room = rooms.get(letterId);
+      if (!room || !socket.rooms.has(roomName(letterId))) return;
+      if (
+        !Number.isInteger(version) ||
+        version < room.historyStart ||
+        version > room.version
+      ) {
+        return;
+      }
+
+      const rebase = (index) =>
+        Number.isInteger(index) ? rebaseIndex(room, version, index) : index;
+
+      const entry = updateCursor(letterId, socket.id, {
+        cursor: rebase(cursor),
+        selection: selection && {
+          start: rebase(selection.start),
+          end: rebase(selection.end),
+        },
+      });
+
+      if (entry) {
+        socket.to(roomName(letterId)).emit("cursor", {
+          letterId,
+          version: room.version,
+          ...entry,
+        });
+      }
+    });
+
+    socket.on("leave-letter", async ({ letterId } = {}) => {
+      socket.leave(roomName(letterId));
+      delete socket.data.letterRoles[letterId];
+      removePresence(letterId, socket.id);
+      broadcastPresence(io, letterId);
+      await releaseRoom(io, letterId);
+    });
+
+    socket.on("disconnecting", () => {
+      const letterIds = [...socket.rooms]
+        .filter((name) => name.startsWith("letter:"))
+        .map((name) => name.slice("letter:".length));
+
+      letterIds.forEach((letterId) => {
+        removePresence(letterId, socket.id);
+        socket.to(roomName(letterId)).emit("presence", {
+          letterId,
+          editors: listPresence(letterId),
+        });
+      });
+
+      // Rooms are only emptied after "disconnecting" has finished
+      setImmediate(() => {
+        letterIds.forEach((letterId) => releaseRoom(io, letterId));
+      });
+    });
+
+    socket.on("disconnect", () => {
+      console.log("User disconnected:", socket.id);
+    });
+  });
+};
+
+// Called when a letter's content is replaced outside the room (REST update,
+// revision restore) so connected editors start again from the new text
+const replaceRoomContent = (letterId, content) => {
+  const room = rooms.get(String(letterId));
+  if (!room) return;
+
+  clearTimeout(room.timer);
+  room.timer = null;
+  room.dirty = false;
+  room.content = content;
+  room.version += 1;
+  room.history = [];
+  room.historyStart = room.version;
+  room.unsaved = [];
+  clearCursors(String(letterId));
+
+  if (ioServer) {
+    ioServer.to(roomName(letterId)).emit("resync", {
+      letterId: String(letterId),
+      content,
+      version: room.version,
+    });
+    broadcastPresence(ioServer, String(letterId));
+  }
+};
+
+// Apply a collaborator role change to sockets already in the letter; a null
+// role means access was revoked and the sockets are removed from the room
+const updateSocketRole = (letterId, email, role) => {
+  if (!ioServer) return;
+  const id = String(letterId);
+  const normalized = email.toLowerCase();
+
+  ioServer
+    .in(roomName(id))
+    .fetchSockets()
+    .then((sockets) => {
+      sockets
+        .filter((s) => (s.data.user?.email || "").toLowerCase() === normalized)
+        .forEach((s) => {
+          if (role) {
+            s.data.letterRoles[id] = role;
+            s.emit("role-changed", { letterId: id, role });
+          } else {
+            delete s.data.letterRoles[id];
+            s.leave(roomName(id));
+            removePresence(id, s.id);
+            s.emit("access-revoked", { letterId: id });
+          }
+        });
+      if (!role) {
+        broadcastPresence(ioServer, id);
+        releaseRoom(ioServer, id);
+      }
+    })
+    .catch((error) => console.error("Error updating socket roles:", error));
+};
+
+// New comments are anchored against the saved Letter.content. Bring a range
+// the client picked at `version` of a live room up to date and flush the
+// room so the saved content matches what the client sees.
+const alignRangeWithSavedContent = async (letterId, version, range) => {
+  const id = String(letterId);
+  const room = rooms.get(id);
+  if (!room) return range;
+
+  let { start, end } = range;
+  if (
+    Number.isInteger(version) &&
+    version >= room.historyStart &&
+    version <= room.version
+  ) {
+    start = rebaseIndex(room, version, start);
+    end = rebaseIndex(room, version, end);
+  }
+
+  await saveRoom(id);
+  return { start, end };
+};
+
+// Push an event to everyone who has the letter open
+const emitToLetter = (letterId, event, payload) => {
+  if (ioServer) {
+    ioServer.to(roomName(String(letterId))).emit(event, payload);
+  }
+};
+
+// Save pending edits and send everyone out of a letter, e.g. when it is
+// moved to the trash
+const closeRoom = async (letterId) => {
+  const id = String(letterId);
+  await saveRoom(id);
+  rooms.delete(id);
+  if (!ioServer) return;
+
+  const sockets = await ioServer.in(roomName(id)).fetchSockets();
+  sockets.forEach((s) => {
+    delete s.data.letterRoles[id];
+    s.leave(roomName(id));
+    removePresence(id, s.id);
+    s.emit("letter-deleted", { letterId: id });
+  });
+};
+
+// Stop or allow live edits, e.g. while a letter is out for signature.
+// Locking saves the edits made so far first, so they are part of what is
+// locked.
+const setRoomLocked = async (letterId, locked) => {
+  const id = String(letterId);
+  const room = rooms.get(id);
+  if (room) {
+    room.locked = locked;
+    if (locked) {
+      await saveRoom(id);
+    }
+  }
+  emitToLetter(id, "lock-changed", { letterId: id, locked });
+};
+
+// Flush every pending save, e.g. before shutting down
+const flushAllRooms = () =>
+  Promise.all([...rooms.keys()].map((letterId) => saveRoom(letterId)));
+
+module.exports = {
+  registerCollaboration,
+  replaceRoomContent,
+  updateSocketRole,
+  alignRangeWithSavedContent,
+  emitToLetter,
+  closeRoom,
+  setRoomLocked,
+  flushAllRooms,
+};
@@ -0,0 +1,141 @@
+const { transformIndex } = require("../helpers/textOperation");
+
+const COLORS = [
+  "#e6194b",
+  "#3cb44b",
+  "#4363d8",
+  "#f58231",
+  "#911eb4",
+  "#42d4f4",
+  "#f032e6",
+  "#469990",
+  "#9a6324",
+  "#800000",
+];
+
+// letterId -> Map(socketId -> { userId, name, email, color, cursor, selection })
+const presence = new Map();
+
+// Same user always gets the same colour
+const colorFor = (userId = "") => {
+  let hash = 0;
+  for (const char of userId) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return COLORS[hash % COLORS.length];
+};
+
+const toEntry = (socketId, p) => ({
+  socketId,
+  userId: p.userId,
+  name: p.name,
+  email: p.email,
+  color: p.color,
+  cursor: p.cursor,
+  selection: p.selection,
+  joinedAt: p.joinedAt,
+});
+
+const addPresence = (letterId, socketId, user) => {
+  if (!presence.has(letterId)) {
+    presence.set(letterId, new Map());
+  }
+
+  const userId = user.uid || user.id;
+  presence.get(letterId).set(socketId, {
+    userId,
+    name: user.name || user.email,
+    email: user.email,
+    color: colorFor(userId),
+    cursor: null,
+    selection: null,
+    joinedAt: new Date(),
+  });
+};
+
+const removePresence = (letterId, socketId) => {
+  const editors = presence.get(letterId);
+  if (!editors) return;
+
+  editors.delete(socketId);
+  if (editors.size === 0) {
+    presence.delete(letterId);
+  }
+};
+
+// Returns the updated entry, or null if the socket is not in the letter
+const updateCursor = (letterId, socketId, { cursor, selection }) => {
+  const entry = presence.get(letterId)?.get(socketId);
+  if (!entry) return null;
+
+  entry.cursor = Number.isInteger(cursor) ? cursor : null;
+  entry.selection =
+    selection &&
+    Number.isInteger(selection.start) &&
+    Number.isInteger(selection.end)
+      ? { start: selection.start, end: selection.end }
+      : null;
+
+  return toEntry(socketId, entry);
+};
+
+// Shift every cursor and selection in the letter past an applied operation
+const transformPresence = (letterId, op) => {
+  const editors = presence.get(letterId);
+  if (!editors) return;
+
+  editors.forEach((entry) => {
+    if (entry.cursor !== null) {
+      entry.cursor = transformIndex(entry.cursor, op);
+    }
+    if (entry.selection) {
+      entry.selection = {
+        start: transformIndex(entry.selection.start, op),
+        end: transformIndex(entry.selection.end, op),
+      };
+    }
+  });
+};
+
+// Forget cursor positions, e.g. after the content was replaced wholesale
+const clearCursors = (letterId) => {
+  presence.get(letterId)?.forEach((entry) => {
+    entry.cursor = null;
+    entry.selection = null;
+  });
+};
+
+// One entry per connection, for clients rendering remote cursors
+const listPresence = (letterId) =>
+  [...(presence.get(letterId) || new Map())].map(([socketId, p]) =>
+    toEntry(socketId, p)
+  );
+
+// One entry per user, for showing who is editing a letter right now
+const listEditors = (letterId) => {
+  const editors = new Map();
+  listPresence(letterId).forEach((p) => {
+    if (!editors.has(p.userId)) {
+      editors.set(p.userId, {
+        userId: p.userId,
+        name: p.name,
+        email: p.email,
+        color: p.color,
+        connections: 0,
+        joinedAt: p.joinedAt,
+      });
+    }
+    editors.get(p.userId).connections += 1;
+  });
+  return [...editors.values()];
+};
+
+module.exports = {
+  addPresence,
+  removePresence,
+  updateCursor,
+  transformPresence,
+  clearCursors,
+  listPresence,
+  listEditors,
+};
@@ -0,0 +1,134 @@
+const {
+  GOOGLE_DOC_MIME_TYPE,
+  createLetterFile,
+  createDriveFolder,
+  moveDriveFile,
+  updateLetterFile,
+  getLetterFileState,
+  downloadLetterFile,
+  downloadGoogleDocHtml,
+  setFilePermission,
+  removeFilePermission,
+  drive,
+} = require("../helpers/googleDriveHelper");
+const { lettersFolderFor } = require("../helpers/driveConnectionHelper");
+
+// Drive permission role granted for each letter role
+const DRIVE_ROLES = {
+  viewer: "reader",
+  commenter: "commenter",
+  editor: "writer",
+  owner: "writer",
+};
+
+// headRevisionId only changes when the bytes change; Google Docs don't have
+// one, so fall back to modifiedTime
+const toState = (file) => ({
+  ref: file.id,
+  name: file.name,
+  format: file.mimeType === GOOGLE_DOC_MIME_TYPE ? "gdoc" : "text",
+  version: file.headRevisionId || file.modifiedTime,
+  modifiedTime: file.modifiedTime,
+  webViewLink: file.webViewLink || null,
+  webContentLink: file.webContentLink || null,
+});
+
+const googleDriveProvider = {
+  name: "gdrive",
+
+  // Letters go in their owner's own Letters folder
+  async create({ title, content, html, format, owner }) {
+    const folderId = await lettersFolderFor(owner);
+    const file = await createLetterFile(folderId, title, content, {
+      asGoogleDoc: format === "gdoc",
+      html,
+    });
+    return toState(file);
+  },
+
+  async update(ref, { title, content, html, format }) {
+    const file = await updateLetterFile(ref, title, content, {
+      asGoogleDoc: format === "gdoc",
+      html,
+    });
+    return toState(file);
+  },
+
+  async getState(ref) {
+    return toState(await getLetterFileState(ref));
+  },
+
+  async fetch(ref) {
+    const file = await getLetterFileState(ref);
+    const content = await downloadLetterFile(ref, file.mimeType);
+    return { content, state: toState(file) };
+  },
+
+  // Read a Drive file that isn't a letter yet so it can be adopted as one.
+  // Google Docs come back as `html`, text files as `content`; other files
+  // can't hold a letter and give null.
+  async open(ref) {
+    const file = await getLetterFileState(ref);
+    if (file.mimeType === GOOGLE_DOC_MIME_TYPE) {
+      return {
+        name: file.name,
+        html: await downloadGoogleDocHtml(ref),
+        state: toState(file),
+      };
+    }
+    if (file.mimeType === "text/plain") {
+      return {
+        name: file.name,
+        content: await downloadLetterFile(ref, file.mimeType),
+        state: toState(file),
+      };
+    }
+    return null;
+  },
+
+  async delete(ref) {
+    await drive.files.delete({ fileId: ref });
+  },
+
+  // Drive keeps trashed files for 30 days and they can be restored from the
+  // Drive UI as well
+  async trash(ref) {
+    await drive.files.update({ fileId: ref, requestBody: { trashed: true } });
+  },
+
+  async restore(ref) {
+    await drive.files.update({ fileId: ref, requestBody: { trashed: false } });
+  },
+
+  async share(ref, email, role, options = {}) {
+    return setFilePermission(ref, email, DRIVE_ROLES[role], options);
+  },
+
+  async unshare(ref, email, permissionId) {
+    await removeFilePermission(ref, email, permissionId);
+  },
+
+  // Folder mirroring (optional; only Drive has folders). A null parentRef
+  // means the owner's top-level Letters folder.
+  async createFolder(name, parentRef, { owner } = {}) {
+    return createDriveFolder(
+      name,
+      parentRef || (await lettersFolderFor(owner))
+    );
+  },
+
+  async renameFolder(ref, name) {
+    await drive.files.update({ fileId: ref, requestBody: { name } });
+  },
+
+  async deleteFolder(ref) {
+    await drive.files.update({ fileId: ref, requestBody: { trashed: true } });
+  },
+
+  // Works for letters and folders alike
+  async moveToFolder(ref, folderRef, { owner } = {}) {
+    await moveDriveFile(ref, folderRef || (await lettersFolderFor(owner)));
+  },
+};
+
+module.exports = googleDriveProvider;
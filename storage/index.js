@@ -0,0 +1,59 @@
+// Letter storage backends. Every provider implements:
+//
+//   name                                  "gdrive" | "local" | "s3"
+//   create({ title, content, html, format, owner }) -> state
+//   update(ref, { title, content, html, format }) -> state
+//   getState(ref)                         -> state
+//   fetch(ref)                            -> { content, state }
+//   delete(ref)                           permanent
+//   trash(ref) / restore(ref)             recoverable delete and its undo
+//   share(ref, email, role, options)      -> provider permission ID or null
+//   unshare(ref, email, permissionId)
+//
+// `content` is the letter's plain text and `html` the same letter rendered
+// from its structured document; providers store whichever suits the format.
+// `owner` is the uid of the user the letter belongs to; Drive keeps each
+// user's letters in a folder of their own.
+//
+// where state is { ref, name, format, version, modifiedTime, webViewLink,
+// webContentLink } and `version` changes whenever the stored content does.
+// `role` is a letter role (viewer, commenter, editor, owner).
+//
+// Providers that can hold files we didn't create (currently only Drive) also
+// implement
+//
+//   open(ref)                             -> { name, content | html, state }
+//                                            or null if it can't be a letter
+//
+// Providers with folders (currently only Drive) also implement
+//
+//   createFolder(name, parentRef, { owner }) -> folder ref
+//   renameFolder(ref, name)
+//   deleteFolder(ref)
+//   moveToFolder(ref, folderRef, { owner }) a null folderRef is the owner's
+//                                            top level
+//
+// STORAGE_PROVIDER picks the provider for new letters. Existing letters keep
+// using the provider recorded in Letter.storage.provider.
+
+// Loaded lazily so e.g. the S3 SDK is only required when it is used
+const PROVIDERS = {
+  gdrive: () => require("./googleDriveProvider"),
+  local: () => require("./localProvider"),
+  s3: () => require("./s3Provider"),
+};
+
+const getProvider = (name) => {
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown storage provider: ${name}`);
+  }
+  return PROVIDERS[name]();
+};
+
+// Provider used for new letters
+const getStorage = () => getProvider(process.env.STORAGE_PROVIDER || "gdrive");
+
+// Provider holding an existing letter
+const getStorageFor = (letter) => getProvider(letter.storage.provider);
+
+module.exports = { getStorage, getStorageFor, getProvider };
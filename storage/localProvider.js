@@ -0,0 +1,106 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+// Stores each letter as <ref>.txt plus a small <ref>.json with its title.
+// Meant for development, CI and installs that don't use Google.
+const baseDir = path.resolve(process.env.LOCAL_STORAGE_DIR || "./data/letters");
+
+// Trashed letters are moved here until they are restored or purged
+const trashDir = path.join(baseDir, ".trash");
+
+const REF_PATTERN = /^[a-f0-9-]{36}$/;
+
+const filePaths = (ref, dir = baseDir) => {
+  // Refs come from the database, but never let one escape the base dir
+  if (!REF_PATTERN.test(ref)) {
+    throw new Error(`Invalid local storage reference: ${ref}`);
+  }
+  return {
+    content: path.join(dir, `${ref}.txt`),
+    meta: path.join(dir, `${ref}.json`),
+  };
+};
+
+const hash = (content) =>
+  crypto.createHash("sha256").update(content).digest("hex");
+
+const readState = async (ref) => {
+  const paths = filePaths(ref);
+  const [content, meta, stats] = await Promise.all([
+    fs.readFile(paths.content, "utf8"),
+    fs.readFile(paths.meta, "utf8").then(JSON.parse),
+    fs.stat(paths.content),
+  ]);
+
+  return {
+    content,
+    state: {
+      ref,
+      name: meta.title,
+      format: "text",
+      version: hash(content),
+      modifiedTime: stats.mtime.toISOString(),
+      webViewLink: null,
+      webContentLink: null,
+    },
+  };
+};
+
+const write = async (ref, { title, content }) => {
+  const paths = filePaths(ref);
+  await fs.mkdir(baseDir, { recursive: true });
+  await fs.writeFile(paths.content, content, "utf8");
+  await fs.writeFile(paths.meta, JSON.stringify({ title }), "utf8");
+  return (await readState(ref)).state;
+};
+
+const move = async (from, to) => {
+  await fs.rename(from.content, to.content);
+  await fs.rename(from.meta, to.meta);
+};
+
+const localProvider = {
+  name: "local",
+
+  async create({ title, content }) {
+    return write(crypto.randomUUID(), { title, content });
+  },
+
+  async update(ref, { title, content }) {
+    return write(ref, { title, content });
+  },
+
+  async getState(ref) {
+    return (await readState(ref)).state;
+  },
+
+  async fetch(ref) {
+    return readState(ref);
+  },
+
+  async delete(ref) {
+    for (const paths of [filePaths(ref), filePaths(ref, trashDir)]) {
+      await fs.rm(paths.content, { force: true });
+      await fs.rm(paths.meta, { force: true });
+    }
+  },
+
+  async trash(ref) {
+    await fs.mkdir(trashDir, { recursive: true });
+    await move(filePaths(ref), filePaths(ref, trashDir));
+  },
+
+  async restore(ref) {
+    await move(filePaths(ref, trashDir), filePaths(ref));
+  },
+
+  // Local files have no sharing of their own; access is enforced by the API
+  async share() {
+    return null;
+  },
+
+  async unshare() {},
+};
+
+module.exports = localProvider;
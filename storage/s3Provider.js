@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+// Works with AWS S3 and S3-compatible servers such as MinIO. For MinIO set
+// S3_ENDPOINT (e.g. http://localhost:9000) and S3_FORCE_PATH_STYLE=true.
+const bucket = process.env.S3_BUCKET || "letters";
+const prefix = process.env.S3_PREFIX || "letters/";
+
+let client = null;
+const getClient = () => {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          }
+        : undefined,
+    });
+  }
+  return client;
+};
+
+const keyFor = (ref) => `${prefix}${ref}.txt`;
+
+// Titles can hold any characters; S3 metadata must be ASCII
+const encodeTitle = (title) => encodeURIComponent(title || "");
+const decodeTitle = (value) => decodeURIComponent(value || "");
+
+const toState = (ref, object) => ({
+  ref,
+  name: decodeTitle(object.Metadata?.title),
+  format: "text",
+  version: object.ETag,
+  modifiedTime: new Date(object.LastModified).toISOString(),
+  webViewLink: null,
+  webContentLink: null,
+});
+
+const write = async (ref, { title, content }) => {
+  await getClient().send(
+    new PutObjectCommand({
+      Bucket: bucket,
+      Key: keyFor(ref),
+      Body: content,
+      ContentType: "text/plain; charset=utf-8",
+      Metadata: { title: encodeTitle(title) },
+    })
+  );
+  return s3Provider.getState(ref);
+};
+
+const s3Provider = {
+  name: "s3",
+
+  async create({ title, content }) {
+    return write(crypto.randomUUID(), { title, content });
+  },
+
+  async update(ref, { title, content }) {
+    return write(ref, { title, content });
+  },
+
+  async getState(ref) {
+    const object = await getClient().send(
+      new HeadObjectCommand({ Bucket: bucket, Key: keyFor(ref) })
+    );
+    return toState(ref, object);
+  },
+
+  async fetch(ref) {
+    const object = await getClient().send(
+      new GetObjectCommand({ Bucket: bucket, Key: keyFor(ref) })
+    );
+    const content = await object.Body.transformToString("utf-8");
+    return { content, state: toState(ref, object) };
+  },
+
+  async delete(ref) {
+    await getClient().send(
+      new DeleteObjectCommand({ Bucket: bucket, Key: keyFor(ref) })
+    );
+  },
+
+  // Objects stay where they are until the letter is purged; the database
+  // alone decides whether a letter is in the trash
+  async trash() {},
+
+  async restore() {},
+
+  // Objects stay private; access is enforced by the API
+  async share() {
+    return null;
+  },
+
+  async unshare() {},
+};
+
+module.exports = s3Provider;
@@ -0,0 +1,147 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The Firebase config needs a service account; these tests never verify a
+// Firebase token, so stand in for it
+const firebasePath = require.resolve("../config/firbaseAdmin");
+require.cache[firebasePath] = {
+  id: firebasePath,
+  filename: firebasePath,
+  loaded: true,
+  exports: { verifyToken: async () => null },
+};
+
+const User = require("../models/User");
+const Session = require("../models/Session");
+const {
+  userFromFirebase,
+  userFromGoogle,
+  startSession,
+  authenticateToken,
+} = require("../helpers/authHelper");
+
+// Users "in the database", and just enough of find/findOne/save for the
+// queries authHelper makes
+let users = [];
+const matches = (user, query) =>
+  Object.entries(query).every(([key, value]) =>
+    key === "$or"
+      ? value.some((part) => matches(user, part))
+      : (user[key] ?? null) === value
+  );
+test.beforeEach((t) => {
+  users = [];
+  t.mock.method(User, "find", async (query) =>
+    users.filter((user) => matches(user, query))
+  );
+  t.mock.method(
+    User,
+    "findOne",
+    async (query) => users.find((user) => matches(user, query)) || null
+  );
+  t.mock.method(User.prototype, "save", async function () {
+    if (!users.includes(this)) users.push(this);
+    return this;
+  });
+});
+
+const firebaseToken = (uid, email, verified) => ({
+  uid,
+  email,
+  email_verified: verified,
+  name: uid,
+});
+const googleProfile = (id, email, verified) => ({
+  id,
+  displayName: id,
+  emails: [{ value: email, verified }],
+});
+const tokens = { accessToken: "access", refreshToken: "refresh" };
+
+test("only provider-verified emails are saved", async () => {
+  const unverified = await userFromFirebase(
+    firebaseToken("fb-1", "someone@example.com", false),
+    { login: true }
+  );
+  assert.equal(unverified.email, undefined);
+  assert.equal(unverified.emailVerified, false);
+
+  const verified = await userFromFirebase(
+    firebaseToken("fb-2", "Other@Example.com", true),
+    { login: true }
+  );
+  assert.equal(verified.email, "other@example.com");
+  assert.equal(verified.emailVerified, true);
+});
+
+test("a Google sign-in isn't linked to an account with an unverified email", async () => {
+  // The attacker signs up with the victim's address, unverified
+  const attacker = await userFromFirebase(
+    firebaseToken("fb-attacker", "victim@example.com", false),
+    { login: true }
+  );
+  // A legacy record from before verification was tracked
+  const legacy = new User({ email: "victim@example.com", firebaseUid: "old" });
+  await legacy.save();
+
+  const victim = await userFromGoogle(
+    googleProfile("g-victim", "victim@example.com", true),
+    tokens
+  );
+  assert.notEqual(String(victim._id), String(attacker._id));
+  assert.notEqual(String(victim._id), String(legacy._id));
+  assert.equal(victim.googleId, "g-victim");
+  assert.equal(attacker.googleId, undefined);
+});
+
+test("sign-ins link by email only when both emails are verified", async () => {
+  const google = await userFromGoogle(
+    googleProfile("g-1", "pat@example.com", true),
+    tokens
+  );
+
+  // Unverified on the incoming side: a separate account
+  const other = await userFromFirebase(
+    firebaseToken("fb-unverified", "pat@example.com", false),
+    { login: true }
+  );
+  assert.notEqual(String(other._id), String(google._id));
+
+  // Verified on both sides: the same account
+  const linked = await userFromFirebase(
+    firebaseToken("fb-verified", "pat@example.com", true),
+    { login: true }
+  );
+  assert.equal(String(linked._id), String(google._id));
+  assert.equal(linked.firebaseUid, "fb-verified");
+});
+
+test("Google emails without a verified flag don't link", async () => {
+  await userFromFirebase(firebaseToken("fb-1", "sam@example.com", true), {
+    login: true,
+  });
+  const google = await userFromGoogle(
+    googleProfile("g-1", "sam@example.com", undefined),
+    tokens
+  );
+  assert.equal(google.firebaseUid, undefined);
+  assert.equal(google.email, undefined);
+});
+
+test("access tokens say whether the email was verified", async (t) => {
+  process.env.JWT_SECRET = "test-secret";
+  t.mock.method(Session, "create", async (fields) => ({
+    _id: "session-id",
+    ...fields,
+  }));
+  t.mock.method(Session, "exists", async () => true);
+
+  for (const emailVerified of [true, false]) {
+    const user = new User({ uid: "u1", email: "pat@example.com" });
+    user.emailVerified = emailVerified;
+    const { accessToken } = await startSession(user, { provider: "test" });
+    const authUser = await authenticateToken(accessToken);
+    assert.equal(authUser.email, "pat@example.com");
+    assert.equal(authUser.emailVerified, emailVerified);
+  }
+});
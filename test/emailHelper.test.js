@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSendOptions } = require("../helpers/emailHelper");
+
+test("parseSendOptions takes arrays or comma-separated addresses", () => {
+  const { options, error } = parseSendOptions({
+    to: "A@Example.com, b@example.com",
+    cc: ["c@example.com"],
+    subject: "Hello",
+  });
+  assert.equal(error, undefined);
+  assert.deepEqual(options.to, ["a@example.com", "b@example.com"]);
+  assert.deepEqual(options.cc, ["c@example.com"]);
+  assert.deepEqual(options.bcc, []);
+  assert.equal(options.subject, "Hello");
+  assert.equal(options.attachPdf, false);
+  assert.equal(options.sendAt, undefined);
+});
+
+test("parseSendOptions drops repeated addresses", () => {
+  const { options } = parseSendOptions({
+    to: ["a@example.com", "A@example.com"],
+  });
+  assert.deepEqual(options.to, ["a@example.com"]);
+});
+
+test("parseSendOptions needs a valid recipient", () => {
+  assert.match(parseSendOptions({}).error, /At least one recipient/);
+  assert.match(
+    parseSendOptions({ to: "not-an-address" }).error,
+    /to has an invalid address: not-an-address/
+  );
+  assert.match(
+    parseSendOptions({ to: "a@example.com", bcc: "x@y" }).error,
+    /bcc has an invalid address/
+  );
+});
+
+test("parseSendOptions limits the number of recipients", () => {
+  const to = Array.from({ length: 51 }, (_, i) => `p${i}@example.com`);
+  assert.match(parseSendOptions({ to }).error, /at most 50 people/);
+});
+
+test("parseSendOptions only schedules sends in the next year", () => {
+  const to = "a@example.com";
+  assert.match(
+    parseSendOptions({ to, sendAt: "2000-01-01" }).error,
+    /in the future/
+  );
+  assert.match(
+    parseSendOptions({ to, sendAt: "not a date" }).error,
+    /in the future/
+  );
+  const tooLate = new Date(Date.now() + 400 * 86400000).toISOString();
+  assert.match(parseSendOptions({ to, sendAt: tooLate }).error, /at most 365/);
+
+  const tomorrow = new Date(Date.now() + 86400000);
+  const { options } = parseSendOptions({ to, sendAt: tomorrow.toISOString() });
+  assert.equal(options.sendAt.getTime(), tomorrow.getTime());
+});
+
+test("parseSendOptions accepts attachPdf from JSON or a form", () => {
+  const to = "a@example.com";
+  assert.equal(
+    parseSendOptions({ to, attachPdf: true }).options.attachPdf,
+    true
+  );
+  assert.equal(
+    parseSendOptions({ to, attachPdf: "true" }).options.attachPdf,
+    true
+  );
+});
@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const Job = require("../models/Job");
+const Letter = require("../models/Letter");
+const {
+  backoffDelay,
+  failJob,
+  completeJob,
+  retryJob,
+} = require("../helpers/jobHelper");
+
+// The updates the helpers make, and what the sync status lookups find
+let jobUpdates = [];
+let letterUpdates = [];
+let activeJob = null;
+let lastFinished = null;
+test.beforeEach((t) => {
+  jobUpdates = [];
+  letterUpdates = [];
+  activeJob = null;
+  lastFinished = null;
+  t.mock.method(Job, "updateOne", async (filter, update) => {
+    jobUpdates.push({ filter, update });
+  });
+  t.mock.method(Job, "exists", async () => activeJob);
+  t.mock.method(Job, "findOne", () => ({ sort: async () => lastFinished }));
+  t.mock.method(Letter, "updateOne", async (filter, update) => {
+    letterUpdates.push({ filter, update });
+  });
+});
+
+const newJob = (fields = {}) =>
+  new Job({ type: "push", attempts: 1, maxAttempts: 3, ...fields });
+
+test("retries back off exponentially, with jitter, up to an hour", () => {
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    const base = 30 * 1000 * 2 ** (attempt - 1);
+    const delay = backoffDelay(attempt);
+    assert.ok(delay >= base * 0.8 && delay <= base * 1.2, `attempt ${attempt}`);
+  }
+  assert.ok(backoffDelay(20) <= 60 * 60 * 1000 * 1.2);
+});
+
+test("a failed attempt goes back in the queue after a delay", async () => {
+  const job = newJob();
+  const before = Date.now();
+  const dead = await failJob(job, new Error("Drive is down"));
+
+  assert.equal(dead, false);
+  const { $set, $push } = jobUpdates[0].update;
+  assert.equal($set.status, "queued");
+  assert.equal($set.lockedAt, null);
+  assert.equal($set.lastError, "Drive is down");
+  assert.ok($set.runAt.getTime() >= before + 24 * 1000);
+  assert.equal($push.failures.$each[0].attempt, 1);
+});
+
+test("a job is given up on after its last attempt", async () => {
+  const dead = await failJob(newJob({ attempts: 3 }), new Error("still down"));
+
+  assert.equal(dead, true);
+  const { $set } = jobUpdates[0].update;
+  assert.equal($set.status, "dead");
+  assert.ok($set.finishedAt instanceof Date);
+  assert.equal($set.runAt, undefined);
+});
+
+test("a permanent error kills the job on its first attempt", async () => {
+  const dead = await failJob(newJob(), new Error("bad request"), {
+    permanent: true,
+  });
+  assert.equal(dead, true);
+  assert.equal(jobUpdates[0].update.$set.status, "dead");
+});
+
+test("a dead job marks its letter's sync as failed", async () => {
+  const letterId = new Letter()._id;
+  lastFinished = { status: "dead", lastError: "still down" };
+  await failJob(newJob({ attempts: 3, letterId }), new Error("still down"));
+
+  const { $set } = letterUpdates[0].update;
+  assert.equal($set["storage.syncStatus"], "failed");
+  assert.equal($set["storage.syncError"], "still down");
+});
+
+test("the letter stays pending while it has other jobs queued", async () => {
+  const letterId = new Letter()._id;
+  activeJob = { _id: "another" };
+  await completeJob(newJob({ letterId }), {});
+
+  assert.equal(jobUpdates[0].update.$set.status, "succeeded");
+  assert.equal(letterUpdates[0].update.$set["storage.syncStatus"], "pending");
+});
+
+test("retrying a dead job starts its attempts afresh", async (t) => {
+  let filter;
+  let update;
+  t.mock.method(Job, "findOneAndUpdate", async (...args) => {
+    [filter, update] = args;
+    return null;
+  });
+
+  assert.equal(await retryJob(newJob({ status: "dead" })), null);
+  assert.equal(filter.status, "dead");
+  assert.equal(update.$set.status, "queued");
+  assert.equal(update.$set.attempts, 0);
+});
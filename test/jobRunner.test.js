@@ -0,0 +1,200 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Loading the collaboration sockets pulls in the Firebase config, which
+// needs a service account; these tests never verify a Firebase token
+const firebasePath = require.resolve("../config/firbaseAdmin");
+require.cache[firebasePath] = {
+  id: firebasePath,
+  filename: firebasePath,
+  loaded: true,
+  exports: { verifyToken: async () => null },
+};
+
+const Job = require("../models/Job");
+const Letter = require("../models/Letter");
+const Folder = require("../models/Folder");
+const localProvider = require("../storage/localProvider");
+const { runDueJobs } = require("../jobs/jobRunner");
+
+// The queue "in the database": candidates are what the due-job query finds,
+// claimable are the ones no other process has taken yet
+let candidates = [];
+let claimable = [];
+let earlierActive = [];
+let jobUpdates = [];
+test.beforeEach((t) => {
+  candidates = [];
+  claimable = [];
+  earlierActive = [];
+  jobUpdates = [];
+  t.mock.method(Job, "updateMany", async () => ({}));
+  t.mock.method(Job, "find", () => {
+    const query = {
+      sort: () => query,
+      limit: () => query,
+      select: async () => candidates.splice(0),
+    };
+    return query;
+  });
+  t.mock.method(Job, "exists", async (filter) =>
+    filter.createdAt && earlierActive.includes(String(filter.letterId))
+      ? { _id: "earlier" }
+      : null
+  );
+  t.mock.method(Job, "findOneAndUpdate", async (filter) => {
+    const job = claimable.find((job) => String(job._id) === String(filter._id));
+    if (!job) return null;
+    claimable = claimable.filter((other) => other !== job);
+    job.attempts++;
+    job.status = "running";
+    return job;
+  });
+  t.mock.method(Job, "updateOne", async (filter, update) => {
+    jobUpdates.push({ filter, update });
+  });
+  t.mock.method(Job, "findOne", () => ({ sort: async () => null }));
+  t.mock.method(Letter, "updateOne", async () => ({}));
+  t.mock.method(console, "error", () => {});
+});
+
+const queue = (fields) => {
+  const job = new Job({ maxAttempts: 3, ...fields });
+  candidates.push(job);
+  claimable.push(job);
+  return job;
+};
+// The status the job was last given
+const statusOf = (job) =>
+  jobUpdates
+    .filter((update) => String(update.filter._id) === String(job._id))
+    .map((update) => update.update.$set.status)
+    .filter(Boolean)
+    .at(-1);
+
+test("a job waits while an older one for its letter is unfinished", async (t) => {
+  t.mock.method(Folder, "findById", async () => null);
+  const blocked = queue({ type: "move", letterId: new Letter()._id });
+  const free = queue({
+    type: "move_folder",
+    payload: { folderId: new Folder()._id },
+  });
+  earlierActive = [String(blocked.letterId)];
+
+  assert.equal(await runDueJobs(), 1);
+  assert.equal(blocked.status, "queued");
+  assert.equal(free.attempts, 1);
+  assert.equal(statusOf(free), "succeeded");
+});
+
+test("a job another process claimed first is left alone", async () => {
+  const job = queue({ type: "move_folder" });
+  claimable = [];
+
+  assert.equal(await runDueJobs(), 0);
+  assert.equal(job.attempts, 0);
+});
+
+test("a job that can't succeed is dead on its first attempt", async () => {
+  const job = queue({ type: "move_folder" });
+  // Saved before the type was removed, say
+  job.type = "fax";
+
+  await runDueJobs();
+  assert.equal(statusOf(job), "dead");
+});
+
+test("a failed attempt is queued for a retry", async (t) => {
+  t.mock.method(Folder, "findById", async () => {
+    throw new Error("Mongo hiccup");
+  });
+  const job = queue({ type: "move_folder", payload: { folderId: "x" } });
+
+  await runDueJobs();
+  assert.equal(statusOf(job), "queued");
+});
+
+test("a running job renews its lock until its handler finishes", async (t) => {
+  // Hold the handler until the heartbeat has fired
+  let finish;
+  t.mock.method(
+    Folder,
+    "findById",
+    () => new Promise((resolve) => (finish = () => resolve(null)))
+  );
+  let beat = null;
+  let cleared = false;
+  t.mock.method(global, "setInterval", (fn) => {
+    beat = fn;
+    return { unref: () => "heartbeat" };
+  });
+  t.mock.method(global, "clearInterval", (handle) => {
+    cleared = handle === "heartbeat";
+  });
+  const job = queue({ type: "move_folder", payload: { folderId: "x" } });
+
+  const running = runDueJobs();
+  while (!finish) await new Promise((resolve) => setImmediate(resolve));
+  beat();
+  const renewal = jobUpdates.at(-1);
+  assert.deepEqual(renewal.filter, { _id: job._id, status: "running" });
+  assert.ok(renewal.update.$set.lockedAt instanceof Date);
+
+  finish();
+  await running;
+  assert.equal(statusOf(job), "succeeded");
+  assert.equal(cleared, true);
+});
+
+// A stored letter last pushed at version 1, whose stored copy is now at
+// `remoteVersion`
+const storedLetter = (t, remoteVersion) => {
+  const letter = new Letter({
+    title: "Offer",
+    content: "Dear Sam",
+    storage: { provider: "local", ref: "offer.txt", version: "1" },
+  });
+  t.mock.method(Letter, "findById", async () => letter);
+  t.mock.method(localProvider, "getState", async () => ({
+    version: remoteVersion,
+    modifiedTime: new Date(),
+  }));
+  const pushed = t.mock.method(localProvider, "update", async () => ({
+    version: "3",
+    modifiedTime: new Date(),
+  }));
+  return { letter, pushed };
+};
+
+test("a push never overwrites direct edits to the stored copy", async (t) => {
+  const { letter, pushed } = storedLetter(t, "2");
+  const job = queue({ type: "push", letterId: letter._id, payload: {} });
+
+  await runDueJobs();
+  assert.equal(pushed.mock.callCount(), 0);
+  assert.equal(statusOf(job), "dead");
+});
+
+test("a forced push overwrites direct edits to the stored copy", async (t) => {
+  const { letter, pushed } = storedLetter(t, "2");
+  const job = queue({
+    type: "push",
+    letterId: letter._id,
+    payload: { force: true },
+  });
+
+  await runDueJobs();
+  assert.equal(pushed.mock.callCount(), 1);
+  assert.equal(statusOf(job), "succeeded");
+});
+
+test("a push after an earlier one landed isn't taken for a conflict", async (t) => {
+  // The earlier push moved the stored copy and the letter on to version 2
+  const { letter, pushed } = storedLetter(t, "2");
+  letter.storage.version = "2";
+  const job = queue({ type: "push", letterId: letter._id, payload: {} });
+
+  await runDueJobs();
+  assert.equal(pushed.mock.callCount(), 1);
+  assert.equal(statusOf(job), "succeeded");
+});
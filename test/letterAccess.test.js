@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  findCollaborator,
+  getLetterRole,
+  hasRole,
+  canAccessLetter,
+} = require("../helpers/letterAccess");
+
+const letter = {
+  userId: "owner-uid",
+  collaborators: [
+    { email: "viewer@example.com", role: "viewer" },
+    { email: "editor@example.com", role: "editor" },
+  ],
+};
+const verified = (email) => ({
+  uid: `${email}-uid`,
+  email,
+  emailVerified: true,
+});
+
+test("the owner is found by uid", () => {
+  assert.equal(getLetterRole(letter, { uid: "owner-uid" }), "owner");
+  assert.equal(getLetterRole(letter, { id: "owner-uid" }), "owner");
+});
+
+test("collaborators get their role by verified email", () => {
+  assert.equal(getLetterRole(letter, verified("viewer@example.com")), "viewer");
+  assert.equal(getLetterRole(letter, verified("Editor@Example.com")), "editor");
+  assert.equal(getLetterRole(letter, verified("other@example.com")), null);
+});
+
+test("an unverified email never matches an invitation", () => {
+  const impostor = { uid: "someone-else", email: "editor@example.com" };
+  assert.equal(getLetterRole(letter, impostor), null);
+  assert.equal(
+    getLetterRole(letter, { ...impostor, emailVerified: false }),
+    null
+  );
+  assert.equal(canAccessLetter(letter, impostor, "viewer"), false);
+});
+
+test("roles are ordered viewer < commenter < editor < owner", () => {
+  assert.equal(hasRole("editor", "commenter"), true);
+  assert.equal(hasRole("viewer", "commenter"), false);
+  assert.equal(hasRole("owner", "editor"), true);
+  assert.equal(hasRole(null, "viewer"), false);
+});
+
+test("canAccessLetter checks the minimum role", () => {
+  const viewer = verified("viewer@example.com");
+  assert.equal(canAccessLetter(letter, viewer), true);
+  assert.equal(canAccessLetter(letter, viewer, "editor"), false);
+  assert.equal(
+    canAccessLetter(letter, verified("editor@example.com"), "editor"),
+    true
+  );
+  assert.equal(canAccessLetter(letter, { uid: "owner-uid" }, "owner"), true);
+});
+
+test("findCollaborator ignores case and empty emails", () => {
+  assert.equal(findCollaborator(letter, "VIEWER@example.com").role, "viewer");
+  assert.equal(findCollaborator(letter, ""), null);
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// The Firebase config needs a service account; these tests never verify a
+// Firebase token, so stand in for it
+const firebasePath = require.resolve("../config/firbaseAdmin");
+require.cache[firebasePath] = {
+  id: firebasePath,
+  filename: firebasePath,
+  loaded: true,
+  exports: { verifyToken: async () => null },
+};
+
+const User = require("../models/User");
+const { findActiveAdmin } = require("../helpers/authHelper");
+const requireAdmin = require("../middleware/requireAdmin");
+
+const records = {
+  admin: { _id: "admin", uid: "uid-admin", role: "admin" },
+  user: { _id: "user", uid: "uid-user", role: "user" },
+  disabled: {
+    _id: "disabled",
+    uid: "uid-disabled",
+    role: "admin",
+    disabledAt: new Date(),
+  },
+};
+test.beforeEach((t) => {
+  t.mock.method(User, "findById", async (id) => records[id] || null);
+  t.mock.method(
+    User,
+    "findByUid",
+    async (uid) =>
+      Object.values(records).find((record) => record.uid === uid) || null
+  );
+});
+
+const fakeRes = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+test("findActiveAdmin goes by the User record, not the token", async () => {
+  assert.equal(await findActiveAdmin({ userId: "admin" }), records.admin);
+  assert.equal(await findActiveAdmin({ uid: "uid-admin" }), records.admin);
+  // A token claiming admin counts for nothing if the record says otherwise
+  assert.equal(await findActiveAdmin({ userId: "user", role: "admin" }), null);
+  assert.equal(await findActiveAdmin({ userId: "missing" }), null);
+});
+
+test("findActiveAdmin turns away disabled admins", async () => {
+  assert.equal(await findActiveAdmin({ userId: "disabled" }), null);
+});
+
+test("requireAdmin lets active admins through and sets req.admin", async () => {
+  const req = { user: { userId: "admin" } };
+  const res = fakeRes();
+  let nextCalled = false;
+  await requireAdmin(req, res, () => {
+    nextCalled = true;
+  });
+  assert.equal(nextCalled, true);
+  assert.equal(req.admin, records.admin);
+});
+
+test("requireAdmin answers 403 for non-admins and disabled admins", async () => {
+  for (const userId of ["user", "disabled", "missing"]) {
+    const res = fakeRes();
+    let nextCalled = false;
+    await requireAdmin({ user: { userId } }, res, () => {
+      nextCalled = true;
+    });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  }
+});
+
+test("requireAdmin answers 500 when the lookup fails", async (t) => {
+  t.mock.method(User, "findById", async () => {
+    throw new Error("down");
+  });
+  t.mock.method(console, "error", () => {});
+  const res = fakeRes();
+  await requireAdmin({ user: { userId: "admin" } }, res, () => {
+    assert.fail("next should not be called");
+  });
+  assert.equal(res.statusCode, 500);
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeDoc, toPlainText } = require("../helpers/richText");
+
+const paragraph = (...content) => ({ type: "paragraph", content });
+const text = (value, marks) => ({ type: "text", text: value, marks });
+
+test("normalizeDoc keeps a valid document", () => {
+  const { doc, error } = normalizeDoc({
+    type: "doc",
+    content: [
+      { type: "heading", attrs: { level: 2 }, content: [text("Title")] },
+      paragraph(text("Hello "), text("world", [{ type: "bold" }])),
+    ],
+  });
+  assert.equal(error, undefined);
+  assert.deepEqual(doc.content[0], {
+    type: "heading",
+    attrs: { level: 2 },
+    content: [{ type: "text", text: "Title" }],
+  });
+  assert.equal(toPlainText(doc), "Title\n\nHello world");
+});
+
+test("normalizeDoc gives an empty document one empty paragraph", () => {
+  assert.deepEqual(normalizeDoc({ type: "doc", content: [] }).doc, {
+    type: "doc",
+    content: [{ type: "paragraph", content: [] }],
+  });
+});
+
+test("normalizeDoc turns newlines in text into hard breaks", () => {
+  const { doc } = normalizeDoc({
+    type: "doc",
+    content: [paragraph(text("one\ntwo"))],
+  });
+  assert.deepEqual(
+    doc.content[0].content.map((node) => node.type),
+    ["text", "hard_break", "text"]
+  );
+});
+
+test("normalizeDoc rejects what isn't a document", () => {
+  assert.match(normalizeDoc(null).error, /type "doc"/);
+  assert.match(normalizeDoc({ type: "paragraph" }).error, /type "doc"/);
+});
+
+test("normalizeDoc rejects unknown nodes and misplaced ones", () => {
+  assert.match(
+    normalizeDoc({ type: "doc", content: [{ type: "script" }] }).error,
+    /doc.content\[0\]: unknown node type "script"/
+  );
+  assert.match(
+    normalizeDoc({ type: "doc", content: [{ type: "list_item" }] }).error,
+    /"list_item" is not allowed here/
+  );
+});
+
+test("normalizeDoc only allows http(s) and mailto links", () => {
+  const withLink = (href) =>
+    normalizeDoc({
+      type: "doc",
+      content: [paragraph(text("x", [{ type: "link", attrs: { href } }]))],
+    });
+  assert.match(withLink("javascript:alert(1)").error, /http\(s\) or mailto/);
+  assert.equal(withLink("https://example.com").error, undefined);
+});
+
+test("normalizeDoc checks heading levels", () => {
+  const { error } = normalizeDoc({
+    type: "doc",
+    content: [{ type: "heading", attrs: { level: 9 }, content: [] }],
+  });
+  assert.match(error, /heading level/);
+});
+
+test("normalizeDoc stops documents nested too deeply", () => {
+  let node = paragraph(text("deep"));
+  for (let i = 0; i < 10; i++) {
+    node = {
+      type: "bullet_list",
+      content: [{ type: "list_item", content: [node] }],
+    };
+  }
+  assert.match(
+    normalizeDoc({ type: "doc", content: [node] }).error,
+    /nested too deeply/
+  );
+});
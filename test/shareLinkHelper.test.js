@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  linkProblem,
+  parseShareLinkOptions,
+  verifyPassword,
+} = require("../helpers/shareLinkHelper");
+
+const now = new Date("2026-01-01T12:00:00Z");
+
+test("linkProblem is null while a link is usable", () => {
+  assert.equal(linkProblem({ viewCount: 0 }, now), null);
+  assert.equal(
+    linkProblem(
+      { expiresAt: new Date("2026-01-02"), maxViews: 3, viewCount: 2 },
+      now
+    ),
+    null
+  );
+});
+
+test("linkProblem says why a link can't be used", () => {
+  assert.equal(linkProblem({ revokedAt: now, viewCount: 0 }, now), "revoked");
+  assert.equal(linkProblem({ expiresAt: now, viewCount: 0 }, now), "expired");
+  assert.equal(linkProblem({ maxViews: 2, viewCount: 2 }, now), "exhausted");
+});
+
+test("linkProblem reports a revoked link before anything else", () => {
+  assert.equal(
+    linkProblem(
+      { revokedAt: now, expiresAt: now, maxViews: 1, viewCount: 1 },
+      now
+    ),
+    "revoked"
+  );
+});
+
+test("parseShareLinkOptions needs passwords of at least 8 characters", async () => {
+  assert.match(
+    (await parseShareLinkOptions({ password: "1234567" })).error,
+    /at least 8 characters/
+  );
+  const { options } = await parseShareLinkOptions({ password: "12345678" });
+  assert.equal(await verifyPassword("12345678", options.passwordHash), true);
+  assert.equal(await verifyPassword("12345679", options.passwordHash), false);
+});
+
+test("parseShareLinkOptions checks expiry and view limits", async () => {
+  assert.match(
+    (await parseShareLinkOptions({ expiresInDays: 400 })).error,
+    /expiresInDays/
+  );
+  assert.match(
+    (await parseShareLinkOptions({ expiresAt: "2000-01-01" })).error,
+    /in the future/
+  );
+  assert.match(
+    (await parseShareLinkOptions({ maxViews: 0 })).error,
+    /maxViews/
+  );
+});
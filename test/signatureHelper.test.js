@@ -0,0 +1,172 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Loading the collaboration sockets pulls in the Firebase config, which
+// needs a service account; these tests never verify a Firebase token
+const firebasePath = require.resolve("../config/firbaseAdmin");
+require.cache[firebasePath] = {
+  id: firebasePath,
+  filename: firebasePath,
+  loaded: true,
+  exports: { verifyToken: async () => null },
+};
+
+const Letter = require("../models/Letter");
+const SignatureRequest = require("../models/SignatureRequest");
+const AuditLog = require("../models/AuditLog");
+const {
+  hashDocument,
+  parseSignatureRequest,
+  parseSignature,
+  requestProblem,
+  currentSigner,
+  issueSignerToken,
+  submitSignature,
+  expireRequest,
+  declineRequest,
+  verifyRequest,
+} = require("../helpers/signatureHelper");
+const { fromPlainText } = require("../helpers/richText");
+
+const document = {
+  title: "Offer",
+  content: "Dear Sam",
+  doc: fromPlainText("Dear Sam"),
+};
+
+const newRequest = (emails, fields = {}) => {
+  const request = new SignatureRequest({
+    letterId: new Letter()._id,
+    document,
+    contentHash: hashDocument(document),
+    expiresAt: new Date(Date.now() + 86400000),
+    signers: emails.map((email, index) => ({
+      email,
+      order: index + 1,
+      status: index === 0 ? "pending" : "waiting",
+    })),
+    ...fields,
+  });
+  issueSignerToken(request.signers[0]);
+  return request;
+};
+
+const typed = (name) => ({ type: "typed", name });
+const context = { via: "account", user: { uid: "u1" }, ip: "127.0.0.1" };
+
+let letterUpdates;
+test.beforeEach((t) => {
+  letterUpdates = [];
+  t.mock.method(SignatureRequest.prototype, "save", async function () {
+    return this;
+  });
+  t.mock.method(Letter, "updateOne", async (filter, update) => {
+    letterUpdates.push(update);
+  });
+  t.mock.method(Letter, "findOneAndUpdate", async (filter, update) => {
+    letterUpdates.push(update);
+    return new Letter({ _id: filter._id, title: document.title });
+  });
+  t.mock.method(AuditLog, "create", async () => ({}));
+});
+
+test("parseSignatureRequest needs signers and a sensible expiry", () => {
+  assert.match(parseSignatureRequest({}).error, /At least one signer/);
+  assert.match(
+    parseSignatureRequest({ signers: "a@example.com", expiresInDays: 0 }).error,
+    /expiresInDays/
+  );
+  const { options } = parseSignatureRequest({
+    signers: "a@example.com, b@example.com, a@example.com",
+  });
+  assert.deepEqual(options.signers, ["a@example.com", "b@example.com"]);
+  assert.ok(options.expiresAt > new Date());
+});
+
+test("parseSignature takes typed names and PNG drawings only", () => {
+  assert.deepEqual(parseSignature(typed(" Sam ")).signature, typed("Sam"));
+  assert.match(parseSignature(typed("")).error, /typed signature/);
+  assert.match(
+    parseSignature({ type: "drawn", image: "data:image/png;base64,AAAA" })
+      .error,
+    /PNG data URL/
+  );
+  assert.match(parseSignature({ type: "stamp" }).error, /typed" or "drawn/);
+});
+
+test("signers sign in order and the last signature locks the letter", async () => {
+  const request = newRequest(["a@example.com", "b@example.com"]);
+  assert.equal(currentSigner(request).email, "a@example.com");
+
+  const next = await submitSignature(
+    {},
+    request,
+    request.signers[0],
+    typed("A"),
+    context
+  );
+  assert.equal(next.email, "b@example.com");
+  assert.equal(next.status, "pending");
+  assert.ok(next.tokenHash);
+  assert.equal(request.signers[0].tokenHash, undefined);
+  assert.equal(request.status, "pending");
+  assert.equal(letterUpdates.length, 0);
+
+  const last = await submitSignature({}, request, next, typed("B"), context);
+  assert.equal(last, null);
+  assert.equal(request.status, "completed");
+  assert.ok(request.finalHash);
+  assert.equal(requestProblem(request), "completed");
+  assert.equal(letterUpdates[0].$set.lock.reason, "signed");
+});
+
+test("verifyRequest notices changes to the content or the signatures", async () => {
+  const request = newRequest(["a@example.com"]);
+  await submitSignature({}, request, request.signers[0], typed("A"), context);
+  const letter = { ...document };
+
+  assert.equal(verifyRequest(request, letter).valid, true);
+  assert.equal(
+    verifyRequest(request, { ...letter, doc: fromPlainText("Dear Alex") })
+      .checks.letterUnchanged,
+    false
+  );
+  request.signers[0].signature.name = "Someone else";
+  assert.equal(verifyRequest(request, letter).checks.signaturesIntact, false);
+});
+
+test("declining ends the request and unlocks the letter", async () => {
+  const request = newRequest(["a@example.com", "b@example.com"]);
+  await declineRequest(request, request.signers[0], "Wrong salary");
+  assert.equal(request.status, "declined");
+  assert.equal(request.signers[0].declineReason, "Wrong salary");
+  assert.equal(requestProblem(request), "declined");
+  assert.deepEqual(letterUpdates, [{ $set: { lock: null } }]);
+});
+
+test("an overdue request expires, stops its links and unlocks the letter", async () => {
+  const request = newRequest(["a@example.com"], {
+    expiresAt: new Date(Date.now() - 1000),
+  });
+  assert.equal(requestProblem(request), "expired");
+
+  assert.equal(await expireRequest(request), true);
+  assert.equal(request.status, "expired");
+  assert.equal(request.signers[0].tokenHash, undefined);
+  assert.deepEqual(letterUpdates, [{ $set: { lock: null } }]);
+  assert.equal(
+    AuditLog.create.mock.calls[0].arguments[0].action,
+    "letter.signature_expire"
+  );
+
+  // Already expired: nothing more to do
+  assert.equal(await expireRequest(request), false);
+});
+
+test("requests that haven't expired are left alone", async () => {
+  const request = newRequest(["a@example.com"]);
+  assert.equal(await expireRequest(request), false);
+  assert.equal(request.status, "pending");
+  assert.equal(requestProblem(request), null);
+  assert.equal(letterUpdates.length, 0);
+});
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalize,
+  parse,
+  apply,
+  transform,
+  transformIndex,
+  fromDiff,
+} = require("../helpers/textOperation");
+
+test("apply runs retains, inserts and deletes in order", () => {
+  assert.equal(apply("hello world", [6, "there ", -5]), "hello there ");
+  assert.throws(() => apply("short", [10]), /does not match/);
+});
+
+test("normalize merges neighbours and puts inserts before deletes", () => {
+  assert.deepEqual(normalize([2, 3, -1, -1, "a", "b"]), [5, "ab", -2]);
+  assert.deepEqual(normalize([0, "", 4]), [4]);
+});
+
+test("parse rejects anything but an array of components", () => {
+  assert.throws(() => parse("abc"), /must be an array/);
+  assert.throws(() => parse([1.5]), /Invalid operation component/);
+  assert.throws(() => parse([0]), /Invalid operation component/);
+});
+
+test("transform makes concurrent operations converge", () => {
+  const doc = "The quick fox";
+  const cases = [
+    [
+      [4, "very ", 9],
+      [10, "brown ", 3],
+    ],
+    [
+      [4, -6, 3],
+      [6, "X", 7],
+    ],
+    [
+      [4, -6, 3],
+      [2, -5, 6],
+    ],
+    [
+      [13, "!"],
+      [13, "?"],
+    ],
+  ];
+  for (const [a, b] of cases) {
+    const [aPrime, bPrime] = transform(a, b);
+    assert.equal(apply(apply(doc, a), bPrime), apply(apply(doc, b), aPrime));
+  }
+});
+
+test("transform puts the first operation's insert first at the same spot", () => {
+  const [aPrime, bPrime] = transform(["a"], ["b"]);
+  assert.equal(apply(apply("", ["a"]), bPrime), "ab");
+  assert.equal(apply(apply("", ["b"]), aPrime), "ab");
+});
+
+test("transform refuses operations on different documents", () => {
+  assert.throws(() => transform([3], [4]), /same document/);
+});
+
+test("transformIndex moves an index through an operation", () => {
+  // Inserts before (or at) the index push it right
+  assert.equal(transformIndex(5, [2, "abc", 8]), 8);
+  assert.equal(transformIndex(2, [2, "abc", 8]), 5);
+  // Inserts after it leave it alone
+  assert.equal(transformIndex(1, [2, "abc", 8]), 1);
+  // Deletes before it pull it left; deletes around it clamp to the start
+  assert.equal(transformIndex(6, [1, -3, 6]), 3);
+  assert.equal(transformIndex(2, [1, -3, 6]), 1);
+  assert.equal(transformIndex(0, [-4, 6]), 0);
+});
+
+test("fromDiff builds an operation between two texts", () => {
+  const before = "Dear Sir, thank you.";
+  const after = "Dear Madam, many thanks.";
+  assert.equal(apply(before, fromDiff(before, after)), after);
+  assert.deepEqual(fromDiff("same", "same"), [4]);
+});